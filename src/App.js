@@ -9,8 +9,11 @@
 import React from "react";
 import { BrowserRouter as Router, Routes, Route } from "react-router-dom";
 import { AuthProvider } from "./contexts/AuthContext";
+import { JobsProvider } from "./contexts/JobsContext";
+import { PreferencesProvider } from "./contexts/PreferencesContext";
 import ProtectedRoute from "./components/ProtectedRoute";
 import Login from "./pages/Login";
+import ForgotPassword from "./pages/ForgotPassword";
 import Dashboard from "./pages/Dashboard";
 import ShopifyCasesReceived from "./pages/ShopifyCasesReceived";
 import SpecialShopifyCasesReceived from "./pages/SpecialShopifyCasesReceived";
@@ -18,7 +21,12 @@ import CaseStatusUpdate from "./pages/CaseStatusUpdate";
 import CasesShippedToCustomer from "./pages/CasesShippedToCustomer";
 import CasesShippedToCustomerCsv from "./pages/CasesShippedToCustomerCsv";
 import RushCasesReport from "./pages/RushCasesReport";
+import Users from "./pages/Users";
+import Settings from "./pages/Settings";
+import Statuses from "./pages/Statuses";
+import EmailTemplates from "./pages/EmailTemplates";
 import { ROUTES } from "./config/constants";
+import { PERMISSIONS } from "./config/permissions";
 
 /**
  * Main App component
@@ -26,81 +34,135 @@ import { ROUTES } from "./config/constants";
  * Sets up the application with:
  * - Authentication context provider
  * - React Router for navigation
- * - Protected routes for authenticated pages
+ * - Preferences provider, so pages start from the user's saved defaults
+ * - Jobs provider, so batch jobs outlive the page that started them
+ * - Protected routes for authenticated pages, gated by permission
  * - Global CSS styles
  */
 function App() {
   return (
     <AuthProvider>
       <Router>
-        <div className="App">
-          <Routes>
-            {/* Public route - Login page */}
-            <Route path={ROUTES.HOME} element={<Login />} />
+        <PreferencesProvider>
+          <JobsProvider>
+            <div className="App">
+              <Routes>
+                {/* Public routes - Login and password reset */}
+                <Route path={ROUTES.HOME} element={<Login />} />
+                <Route
+                  path={ROUTES.FORGOT_PASSWORD}
+                  element={<ForgotPassword />}
+                />
 
-            {/* Protected route - Dashboard (requires authentication) */}
-            <Route
-              path={ROUTES.DASHBOARD}
-              element={
-                <ProtectedRoute>
-                  <Dashboard />
-                </ProtectedRoute>
-              }
-            />
+                {/* Protected route - Dashboard (requires authentication) */}
+                <Route
+                  path={ROUTES.DASHBOARD}
+                  element={
+                    <ProtectedRoute>
+                      <Dashboard />
+                    </ProtectedRoute>
+                  }
+                />
 
-            {/* Protected routes - Transaction Manager nested pages */}
-            <Route
-              path={ROUTES.SHOPIFY_CASES_RECEIVED}
-              element={
-                <ProtectedRoute>
-                  <ShopifyCasesReceived />
-                </ProtectedRoute>
-              }
-            />
-            <Route
-              path={ROUTES.SPECIAL_SHOPIFY_CASES_RECEIVED}
-              element={
-                <ProtectedRoute>
-                  <SpecialShopifyCasesReceived />
-                </ProtectedRoute>
-              }
-            />
-            <Route
-              path={ROUTES.CASE_STATUS_UPDATE}
-              element={
-                <ProtectedRoute>
-                  <CaseStatusUpdate />
-                </ProtectedRoute>
-              }
-            />
-            <Route
-              path={ROUTES.CASES_SHIPPED_TO_CUSTOMER}
-              element={
-                <ProtectedRoute>
-                  <CasesShippedToCustomer />
-                </ProtectedRoute>
-              }
-            />
-            <Route
-              path={ROUTES.CASES_SHIPPED_TO_CUSTOMER_CSV}
-              element={
-                <ProtectedRoute>
-                  <CasesShippedToCustomerCsv />
-                </ProtectedRoute>
-              }
-            />
+                {/* Protected routes - Transaction Manager nested pages */}
+                <Route
+                  path={ROUTES.SHOPIFY_CASES_RECEIVED}
+                  element={
+                    <ProtectedRoute permission={PERMISSIONS.CASES_RECEIVE}>
+                      <ShopifyCasesReceived />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path={ROUTES.SPECIAL_SHOPIFY_CASES_RECEIVED}
+                  element={
+                    <ProtectedRoute permission={PERMISSIONS.CASES_RECEIVE}>
+                      <SpecialShopifyCasesReceived />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path={ROUTES.CASE_STATUS_UPDATE}
+                  element={
+                    <ProtectedRoute
+                      permission={PERMISSIONS.CASES_UPDATE_STATUS}
+                    >
+                      <CaseStatusUpdate />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path={ROUTES.CASES_SHIPPED_TO_CUSTOMER}
+                  element={
+                    <ProtectedRoute permission={PERMISSIONS.SHIPPING_VALIDATE}>
+                      <CasesShippedToCustomer />
+                    </ProtectedRoute>
+                  }
+                />
+                <Route
+                  path={ROUTES.CASES_SHIPPED_TO_CUSTOMER_CSV}
+                  element={
+                    <ProtectedRoute permission={PERMISSIONS.OFFLINE_PROCESSES}>
+                      <CasesShippedToCustomerCsv />
+                    </ProtectedRoute>
+                  }
+                />
 
-            {/* Protected routes - Reports and Analytics nested pages */}
-            <Route
-              path={ROUTES.RUSH_CASES_REPORT}
-              element={
-                <ProtectedRoute>
-                  <RushCasesReport />
-                </ProtectedRoute>
-              }
-            />
-          </Routes>
-        </div>
+                {/* Protected routes - Reports and Analytics nested pages */}
+                <Route
+                  path={ROUTES.RUSH_CASES_REPORT}
+                  element={
+                    <ProtectedRoute permission={PERMISSIONS.REPORTS_VIEW}>
+                      <RushCasesReport />
+                    </ProtectedRoute>
+                  }
+                />
+
+                {/* Protected route - Users administration */}
+                <Route
+                  path={ROUTES.USERS}
+                  element={
+                    <ProtectedRoute permission={PERMISSIONS.USERS_MANAGE}>
+                      <Users />
+                    </ProtectedRoute>
+                  }
+                />
+
+                {/* Protected route - Status configuration */}
+                <Route
+                  path={ROUTES.STATUSES}
+                  element={
+                    <ProtectedRoute permission={PERMISSIONS.STATUSES_MANAGE}>
+                      <Statuses />
+                    </ProtectedRoute>
+                  }
+                />
+
+                {/* Protected route - Email template editor */}
+                <Route
+                  path={ROUTES.EMAIL_TEMPLATES}
+                  element={
+                    <ProtectedRoute
+                      permission={PERMISSIONS.EMAIL_TEMPLATES_MANAGE}
+                    >
+                      <EmailTemplates />
+                    </ProtectedRoute>
+                  }
+                />
+
+                {/* Protected route - Personal settings */}
+                <Route
+                  path={ROUTES.SETTINGS}
+                  element={
+                    <ProtectedRoute>
+                      <Settings />
+                    </ProtectedRoute>
+                  }
+                />
+              </Routes>
+            </div>
+          </JobsProvider>
+        </PreferencesProvider>
       </Router>
     </AuthProvider>
   );
@@ -3,30 +3,40 @@
  * Protected Route Component
  *
  * Higher-order component that protects routes requiring authentication.
- * Redirects unauthenticated users to the login page.
+ * Redirects unauthenticated users to the login page, remembering where they
+ * were going, and shows the not authorized page to users without the
+ * route's permission.
  */
 
 import React from "react";
 import PropTypes from "prop-types";
-import { Navigate } from "react-router-dom";
+import { Navigate, useLocation } from "react-router-dom";
 import { useAuth } from "../contexts/AuthContext";
+import { usePreferences } from "../contexts/PreferencesContext";
 import { ROUTES, MESSAGES } from "../config/constants";
+import NotAuthorized from "../pages/NotAuthorized";
 
 /**
  * Protected Route wrapper component
  *
  * Only renders children if user is authenticated.
- * Shows loading state during authentication check.
+ * Shows loading state during authentication check and until the user's
+ * preferences are loaded, so pages start from them.
  * Redirects to login page if user is not authenticated.
+ * Shows the not authorized page if the user lacks the permission.
  *
  * @param {Object} props - Component props
  * @param {ReactNode} props.children - Components to render if authenticated
+ * @param {string|Array<string>} props.permission - Permission(s) the route
+ *   requires (optional; see config/permissions)
  */
-const ProtectedRoute = ({ children }) => {
-  const { currentUser, loading } = useAuth();
+const ProtectedRoute = ({ children, permission }) => {
+  const location = useLocation();
+  const { currentUser, loading, can } = useAuth();
+  const { loading: loadingPreferences } = usePreferences();
 
   // Show loading spinner while checking authentication
-  if (loading) {
+  if (loading || loadingPreferences) {
     return (
       <div className="min-h-screen flex items-center justify-center bg-gray-50">
         <div className="text-center">
@@ -37,13 +47,22 @@ const ProtectedRoute = ({ children }) => {
     );
   }
 
-  // Redirect to login if not authenticated
-  return currentUser ? children : <Navigate to={ROUTES.HOME} />;
+  // Redirect to login if not authenticated; Login sends the user back to
+  // this location (query string included) afterwards
+  if (!currentUser) {
+    return <Navigate to={ROUTES.HOME} state={{ from: location }} replace />;
+  }
+
+  return can(permission) ? children : <NotAuthorized />;
 };
 
 // Prop types for type checking
 ProtectedRoute.propTypes = {
   children: PropTypes.node.isRequired,
+  permission: PropTypes.oneOfType([
+    PropTypes.string,
+    PropTypes.arrayOf(PropTypes.string),
+  ]),
 };
 
 export default ProtectedRoute;
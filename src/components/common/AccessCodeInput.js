@@ -0,0 +1,70 @@
+// src/components/common/AccessCodeInput.js
+/**
+ * Access Code Input Component
+ *
+ * Labelled input for the 6-character codes sent by email (login access
+ * code, password reset code).
+ */
+
+import React from "react";
+import PropTypes from "prop-types";
+
+export const ACCESS_CODE_LENGTH = 6;
+
+/**
+ * Access code input
+ * @param {Object} props - Component props
+ * @param {string} props.value - Current code
+ * @param {function} props.onChange - Change handler, called with the input event
+ * @param {boolean} props.disabled - Whether the input is disabled
+ * @param {string} props.id - Input ID (default "accessCode")
+ * @param {string} props.name - Input name (default "accessCode")
+ * @param {string} props.label - Label text (default "Access Code")
+ * @param {boolean} props.autoFocus - Focus the input on mount
+ */
+const AccessCodeInput = ({
+  value,
+  onChange,
+  disabled = false,
+  id = "accessCode",
+  name = "accessCode",
+  label = "Access Code",
+  autoFocus = false,
+}) => {
+  return (
+    <div>
+      <label
+        htmlFor={id}
+        className="block text-sm font-medium text-gray-700 mb-2"
+      >
+        {label}
+      </label>
+      <input
+        id={id}
+        name={name}
+        type="text"
+        placeholder={`Enter ${ACCESS_CODE_LENGTH}-character code`}
+        value={value}
+        onChange={onChange}
+        disabled={disabled}
+        maxLength={ACCESS_CODE_LENGTH}
+        autoFocus={autoFocus}
+        className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition disabled:bg-gray-100 disabled:cursor-not-allowed uppercase tracking-wider text-center text-lg font-mono"
+        autoComplete="one-time-code"
+      />
+    </div>
+  );
+};
+
+// Prop types for type checking
+AccessCodeInput.propTypes = {
+  value: PropTypes.string.isRequired,
+  onChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+  id: PropTypes.string,
+  name: PropTypes.string,
+  label: PropTypes.string,
+  autoFocus: PropTypes.bool,
+};
+
+export default AccessCodeInput;
@@ -0,0 +1,152 @@
+// src/components/common/AccessCodeOptions.js
+/**
+ * Access Code Options Component
+ *
+ * Shown under the access code input: how long the emailed code stays valid,
+ * a rate-limited resend button and the "trust this device" choice.
+ */
+
+import React, { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { formatDuration } from "./BatchProgress";
+import { API_ERROR_CODES } from "../../config/constants";
+import { resendAccessCode } from "../../utils/authApi";
+
+/**
+ * Access code options
+ * @param {Object} props - Component props
+ * @param {Object} props.challenge - Pending challenge (see getAccessCodeChallenge)
+ * @param {function(Object)} props.onChallengeChange - Called with the renewed challenge
+ * @param {boolean} props.trustDevice - Whether "trust this device" is ticked
+ * @param {function(boolean)} props.onTrustDeviceChange - Toggles "trust this device"
+ * @param {boolean} props.disabled - Whether the controls are disabled
+ */
+const AccessCodeOptions = ({
+  challenge,
+  onChallengeChange,
+  trustDevice,
+  onTrustDeviceChange,
+  disabled = false,
+}) => {
+  const [now, setNow] = useState(() => Date.now());
+  const [resending, setResending] = useState(false);
+  const [notice, setNotice] = useState(null);
+
+  useEffect(() => {
+    const intervalId = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(intervalId);
+  }, []);
+
+  const expiresInMs = challenge.expiresAt ? challenge.expiresAt - now : null;
+  const resendInMs = challenge.resendAvailableAt - now;
+
+  const handleResend = async () => {
+    setNotice(null);
+    setResending(true);
+    try {
+      const renewed = await resendAccessCode(challenge.challengeId);
+      onChallengeChange(renewed);
+      setNotice({
+        type: "success",
+        text: `A new code has been sent${
+          renewed.email ? ` to ${renewed.email}` : ""
+        }. Earlier codes no longer work.`,
+      });
+    } catch (err) {
+      // Rate limited: the backend says when the next resend is allowed
+      if (
+        err.code === API_ERROR_CODES.TOO_MANY_REQUESTS &&
+        err.data?.resendInSeconds
+      ) {
+        onChallengeChange({
+          ...challenge,
+          resendAvailableAt: Date.now() + err.data.resendInSeconds * 1000,
+        });
+      }
+      setNotice({ type: "error", text: err.message });
+    } finally {
+      setResending(false);
+    }
+  };
+
+  let resendLabel = "Resend code";
+  if (resending) {
+    resendLabel = "Sending...";
+  } else if (resendInMs > 0) {
+    resendLabel = `Resend code in ${formatDuration(resendInMs)}`;
+  }
+
+  return (
+    <div className="space-y-3 text-sm">
+      <div className="flex items-center justify-between gap-2">
+        {expiresInMs !== null &&
+          (expiresInMs > 0 ? (
+            <span className="text-gray-600">
+              Code expires in{" "}
+              <span className="font-semibold text-gray-900">
+                {formatDuration(expiresInMs)}
+              </span>
+            </span>
+          ) : (
+            <span className="font-medium text-red-600">
+              This code has expired. Send a new one.
+            </span>
+          ))}
+        {challenge.challengeId && (
+          <button
+            type="button"
+            onClick={handleResend}
+            disabled={disabled || resending || resendInMs > 0}
+            className="ml-auto text-xs font-semibold text-blue-600 hover:text-blue-800 disabled:text-gray-400 disabled:cursor-not-allowed"
+          >
+            {resendLabel}
+          </button>
+        )}
+      </div>
+
+      {notice && (
+        <p
+          role="status"
+          className={
+            notice.type === "error" ? "text-red-600" : "text-green-700"
+          }
+        >
+          {notice.text}
+        </p>
+      )}
+
+      {challenge.trustDeviceDays > 0 && (
+        <div className="flex items-center">
+          <input
+            type="checkbox"
+            id="trustDevice"
+            checked={trustDevice}
+            disabled={disabled}
+            onChange={(e) => onTrustDeviceChange(e.target.checked)}
+            className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+          />
+          <label htmlFor="trustDevice" className="ml-2 text-gray-700">
+            Trust this device for {challenge.trustDeviceDays} days
+          </label>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Prop types for type checking
+AccessCodeOptions.propTypes = {
+  challenge: PropTypes.shape({
+    challengeId: PropTypes.string,
+    email: PropTypes.string,
+    expiresAt: PropTypes.number,
+    resendAvailableAt: PropTypes.number.isRequired,
+    trustDeviceDays: PropTypes.number,
+  }).isRequired,
+  onChallengeChange: PropTypes.func.isRequired,
+  trustDevice: PropTypes.bool.isRequired,
+  onTrustDeviceChange: PropTypes.func.isRequired,
+  disabled: PropTypes.bool,
+};
+
+export default AccessCodeOptions;
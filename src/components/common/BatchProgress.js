@@ -0,0 +1,146 @@
+// src/components/common/BatchProgress.js
+/**
+ * Batch Progress Component
+ *
+ * Overall progress bar for a batch job, with ETA and pause/resume/cancel
+ * controls.
+ */
+
+import React from "react";
+import PropTypes from "prop-types";
+import { BATCH_STATES } from "../../utils/batchProcessor";
+
+/**
+ * Format a duration as "1h 2m", "3m 05s" or "12s"
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string}
+ */
+export const formatDuration = (ms) => {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  if (hours > 0) {
+    return `${hours}h ${minutes}m`;
+  }
+  if (minutes > 0) {
+    return `${minutes}m ${String(seconds).padStart(2, "0")}s`;
+  }
+  return `${seconds}s`;
+};
+
+const STATE_LABELS = {
+  [BATCH_STATES.RUNNING]: "Processing",
+  [BATCH_STATES.PAUSED]: "Paused",
+  [BATCH_STATES.CANCELLED]: "Cancelled",
+  [BATCH_STATES.DONE]: "Completed",
+};
+
+const BAR_COLORS = {
+  [BATCH_STATES.RUNNING]: "bg-blue-600",
+  [BATCH_STATES.PAUSED]: "bg-yellow-500",
+  [BATCH_STATES.CANCELLED]: "bg-red-500",
+  [BATCH_STATES.DONE]: "bg-green-600",
+};
+
+/**
+ * Batch progress bar
+ * @param {Object} props - Component props
+ * @param {Object|null} props.progress - Progress snapshot of the job
+ * @param {function} props.onPause - Pause handler
+ * @param {function} props.onResume - Resume handler
+ * @param {function} props.onCancel - Cancel handler
+ * @param {string} props.itemLabel - Plural noun for the items (default "cases")
+ */
+const BatchProgress = ({
+  progress,
+  onPause,
+  onResume,
+  onCancel,
+  itemLabel = "cases",
+}) => {
+  if (!progress || progress.total === 0) {
+    return null;
+  }
+
+  const isActive =
+    progress.state === BATCH_STATES.RUNNING ||
+    progress.state === BATCH_STATES.PAUSED;
+  const isPaused = progress.state === BATCH_STATES.PAUSED;
+
+  return (
+    <div className="bg-white border border-gray-300 rounded-lg p-4 space-y-2">
+      <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+        <span className="font-semibold text-gray-900">
+          {STATE_LABELS[progress.state] || "Ready"}: {progress.completed} of{" "}
+          {progress.total} {itemLabel}
+          {progress.failed > 0 && (
+            <span className="ml-2 text-red-600">
+              ({progress.failed} failed)
+            </span>
+          )}
+        </span>
+        <span className="text-gray-600">
+          {isActive && progress.etaMs !== null
+            ? `About ${formatDuration(progress.etaMs)} left`
+            : `Elapsed ${formatDuration(progress.elapsedMs)}`}
+        </span>
+      </div>
+
+      <div
+        className="w-full h-2 bg-gray-200 rounded-full overflow-hidden"
+        role="progressbar"
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={progress.percent}
+      >
+        <div
+          className={`h-full transition-all duration-300 ${
+            BAR_COLORS[progress.state] || "bg-blue-600"
+          }`}
+          style={{ width: `${progress.percent}%` }}
+        />
+      </div>
+
+      {isActive && (
+        <div className="flex justify-end gap-2">
+          <button
+            type="button"
+            onClick={isPaused ? onResume : onPause}
+            className="px-3 py-1 text-xs font-semibold rounded border border-gray-300 bg-white text-gray-700 hover:bg-gray-100"
+          >
+            {isPaused ? "Resume" : "Pause"}
+          </button>
+          <button
+            type="button"
+            onClick={onCancel}
+            className="px-3 py-1 text-xs font-semibold rounded bg-red-600 text-white hover:bg-red-700"
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Prop types for type checking
+BatchProgress.propTypes = {
+  progress: PropTypes.shape({
+    state: PropTypes.string.isRequired,
+    total: PropTypes.number.isRequired,
+    completed: PropTypes.number.isRequired,
+    failed: PropTypes.number.isRequired,
+    inFlight: PropTypes.number.isRequired,
+    percent: PropTypes.number.isRequired,
+    elapsedMs: PropTypes.number.isRequired,
+    etaMs: PropTypes.number,
+  }),
+  onPause: PropTypes.func.isRequired,
+  onResume: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired,
+  itemLabel: PropTypes.string,
+};
+
+export default BatchProgress;
@@ -0,0 +1,197 @@
+// src/components/common/EmailPreviewDrawer.js
+/**
+ * Email Preview Drawer Component
+ *
+ * Shows the email each queued case's customer will get from a status
+ * update, rendered by the backend with the case's own data. Cases can be
+ * left out of the emailing; their status is still updated.
+ */
+
+import React, { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import { MESSAGES } from "../../config/constants";
+import { apiPost, isAbortError } from "../../utils/api";
+import { TEMPLATE_VARIABLES } from "../../utils/emailTemplates";
+import Button from "./Button";
+
+/**
+ * Labels of template variables, for the missing-data warnings
+ * @param {Array<string>} [names] - Variable names
+ * @returns {string}
+ */
+const describeVariables = (names = []) =>
+  names
+    .map(
+      (name) =>
+        TEMPLATE_VARIABLES.find((variable) => variable.name === name)?.label ||
+        name,
+    )
+    .join(", ");
+
+/**
+ * Email preview drawer
+ * @param {Object} props - Component props
+ * @param {Array<string>} props.caseIds - Queued case IDs
+ * @param {number} props.emailTemplateId - Template of the selected status
+ * @param {Array<string>} props.excludedCaseIds - Cases that get no email
+ * @param {function} props.onExcludedChange - Called with the new excluded IDs
+ * @param {function} props.onClose - Closes the drawer
+ */
+const EmailPreviewDrawer = ({
+  caseIds,
+  emailTemplateId,
+  excludedCaseIds,
+  onExcludedChange,
+  onClose,
+}) => {
+  const [previews, setPreviews] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  // A case pasted twice is previewed once
+  const caseIdsKey = [...new Set(caseIds)].join(",");
+
+  useEffect(() => {
+    const controller = new AbortController();
+
+    setLoading(true);
+    setError("");
+    apiPost(
+      "/case-status/email-preview",
+      { caseIds: caseIdsKey.split(","), emailTemplateId },
+      { signal: controller.signal },
+    )
+      .then((response) => {
+        setPreviews(response.data?.previews || []);
+        setLoading(false);
+      })
+      .catch((err) => {
+        if (isAbortError(err)) {
+          return;
+        }
+        console.error("Error loading email previews:", err);
+        setError(err.message || "Could not load the email previews.");
+        setLoading(false);
+      });
+
+    return () => controller.abort();
+  }, [caseIdsKey, emailTemplateId]);
+
+  const foundCaseIds = previews
+    .filter((preview) => preview.found)
+    .map((preview) => preview.caseId);
+  const emailedCount = foundCaseIds.filter(
+    (caseId) => !excludedCaseIds.includes(caseId),
+  ).length;
+
+  const handleToggle = (caseId, send) => {
+    onExcludedChange(
+      send
+        ? excludedCaseIds.filter((excluded) => excluded !== caseId)
+        : [...excludedCaseIds, caseId],
+    );
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-[60] flex justify-end bg-gray-900 bg-opacity-60"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="email-preview-title"
+    >
+      <div className="flex h-full w-full max-w-xl flex-col bg-white shadow-xl">
+        <div className="border-b border-gray-200 px-6 py-4">
+          <h2
+            id="email-preview-title"
+            className="text-lg font-semibold text-gray-900"
+          >
+            Email preview
+          </h2>
+          <p className="text-sm text-gray-600 mt-1">
+            {loading
+              ? MESSAGES.LOADING
+              : `${emailedCount} of ${foundCaseIds.length} customers will be emailed. Unchecked cases still get the new status.`}
+          </p>
+        </div>
+
+        <div className="flex-1 space-y-4 overflow-y-auto px-6 py-4">
+          {error && (
+            <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded-md text-sm">
+              {error}
+            </div>
+          )}
+
+          {previews.map((preview) =>
+            preview.found ? (
+              <div
+                key={preview.caseId}
+                className={`rounded-lg border p-4 space-y-2 ${
+                  excludedCaseIds.includes(preview.caseId)
+                    ? "border-gray-200 bg-gray-50 opacity-60"
+                    : "border-gray-300"
+                }`}
+              >
+                <div className="flex items-center justify-between gap-3">
+                  <p className="text-sm font-medium text-gray-900">
+                    {preview.caseId}
+                    {preview.customerName && (
+                      <span className="font-normal text-gray-600">
+                        {" "}
+                        · {preview.customerName}
+                      </span>
+                    )}
+                  </p>
+                  <label className="flex items-center gap-2 text-sm text-gray-900 cursor-pointer">
+                    <input
+                      type="checkbox"
+                      checked={!excludedCaseIds.includes(preview.caseId)}
+                      onChange={(e) =>
+                        handleToggle(preview.caseId, e.target.checked)
+                      }
+                      className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                    />
+                    Send email
+                  </label>
+                </div>
+                {preview.missingVariables?.length > 0 && (
+                  <p className="text-xs text-yellow-800 bg-yellow-50 border border-yellow-200 rounded px-2 py-1">
+                    Missing: {describeVariables(preview.missingVariables)}
+                  </p>
+                )}
+                <p className="text-sm font-semibold text-gray-900">
+                  {preview.subject}
+                </p>
+                <p className="whitespace-pre-wrap text-sm text-gray-700">
+                  {preview.body}
+                </p>
+              </div>
+            ) : (
+              <div
+                key={preview.caseId}
+                className="rounded-lg border border-red-200 bg-red-50 p-4 text-sm text-red-800"
+              >
+                {preview.caseId}: case not found, nothing will be sent
+              </div>
+            ),
+          )}
+        </div>
+
+        <div className="flex justify-end border-t border-gray-200 px-6 py-4">
+          <Button size="sm" onClick={onClose}>
+            Done
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Prop types for type checking
+EmailPreviewDrawer.propTypes = {
+  caseIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+  emailTemplateId: PropTypes.number.isRequired,
+  excludedCaseIds: PropTypes.arrayOf(PropTypes.string).isRequired,
+  onExcludedChange: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired,
+};
+
+export default EmailPreviewDrawer;
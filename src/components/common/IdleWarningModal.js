@@ -0,0 +1,73 @@
+// src/components/common/IdleWarningModal.js
+/**
+ * Idle Warning Modal Component
+ *
+ * Counts down to the automatic logout of an idle session and lets the user
+ * stay signed in.
+ */
+
+import React, { useEffect, useState } from "react";
+import PropTypes from "prop-types";
+import Button from "./Button";
+import { formatDuration } from "./BatchProgress";
+
+/**
+ * Idle warning modal
+ * @param {Object} props - Component props
+ * @param {number} props.deadline - Time of the automatic logout (ms since epoch)
+ * @param {function} props.onStaySignedIn - Keeps the session
+ * @param {function} props.onLogout - Logs out now
+ */
+const IdleWarningModal = ({ deadline, onStaySignedIn, onLogout }) => {
+  const [remainingMs, setRemainingMs] = useState(() => deadline - Date.now());
+
+  useEffect(() => {
+    const intervalId = setInterval(() => {
+      setRemainingMs(deadline - Date.now());
+    }, 1000);
+
+    return () => clearInterval(intervalId);
+  }, [deadline]);
+
+  return (
+    <div
+      className="fixed inset-0 z-[60] flex items-center justify-center bg-gray-900 bg-opacity-60 px-4"
+      role="alertdialog"
+      aria-modal="true"
+      aria-labelledby="idle-warning-title"
+    >
+      <div className="w-full max-w-sm bg-white rounded-lg shadow-xl p-6 space-y-4">
+        <h2
+          id="idle-warning-title"
+          className="text-lg font-semibold text-gray-900"
+        >
+          Are you still there?
+        </h2>
+        <p className="text-sm text-gray-600">
+          You will be logged out in{" "}
+          <span className="font-semibold text-gray-900">
+            {formatDuration(Math.max(0, remainingMs))}
+          </span>{" "}
+          because this station has been idle.
+        </p>
+        <div className="flex justify-end gap-2">
+          <Button variant="secondary" size="sm" onClick={onLogout}>
+            Log out now
+          </Button>
+          <Button size="sm" onClick={onStaySignedIn}>
+            Stay signed in
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Prop types for type checking
+IdleWarningModal.propTypes = {
+  deadline: PropTypes.number.isRequired,
+  onStaySignedIn: PropTypes.func.isRequired,
+  onLogout: PropTypes.func.isRequired,
+};
+
+export default IdleWarningModal;
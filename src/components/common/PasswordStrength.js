@@ -0,0 +1,73 @@
+// src/components/common/PasswordStrength.js
+/**
+ * Password Strength Component
+ *
+ * Strength bar and rule checklist for a password being chosen.
+ */
+
+import React from "react";
+import PropTypes from "prop-types";
+
+const BAR_COLORS = [
+  "bg-red-500",
+  "bg-red-500",
+  "bg-yellow-500",
+  "bg-blue-500",
+  "bg-green-500",
+];
+
+/**
+ * Password strength indicator
+ * @param {Object} props - Component props
+ * @param {Object} props.result - Result of checkPassword (utils/passwordPolicy)
+ */
+const PasswordStrength = ({ result }) => {
+  const { rules, score, label } = result;
+
+  return (
+    <div className="space-y-2" aria-live="polite">
+      <div className="flex items-center gap-2">
+        <div className="flex flex-1 gap-1">
+          {[1, 2, 3, 4].map((step) => (
+            <div
+              key={step}
+              className={`h-1.5 flex-1 rounded ${
+                label && score >= step ? BAR_COLORS[score] : "bg-gray-200"
+              }`}
+            />
+          ))}
+        </div>
+        <span className="w-14 text-right text-xs font-medium text-gray-600">
+          {label}
+        </span>
+      </div>
+      <ul className="space-y-1 text-xs">
+        {rules.map((rule) => (
+          <li
+            key={rule.id}
+            className={rule.passed ? "text-green-700" : "text-gray-500"}
+          >
+            {rule.passed ? "✓" : "○"} {rule.label}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+// Prop types for type checking
+PasswordStrength.propTypes = {
+  result: PropTypes.shape({
+    rules: PropTypes.arrayOf(
+      PropTypes.shape({
+        id: PropTypes.string.isRequired,
+        label: PropTypes.string.isRequired,
+        passed: PropTypes.bool.isRequired,
+      }),
+    ).isRequired,
+    score: PropTypes.number.isRequired,
+    label: PropTypes.string.isRequired,
+  }).isRequired,
+};
+
+export default PasswordStrength;
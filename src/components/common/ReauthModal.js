@@ -0,0 +1,216 @@
+// src/components/common/ReauthModal.js
+/**
+ * Re-authentication Modal Component
+ *
+ * Shown over the current page when the session can no longer be refreshed.
+ * Logging in again here keeps everything typed on the page.
+ */
+
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import Button from "./Button";
+import AccessCodeInput from "./AccessCodeInput";
+import AccessCodeOptions from "./AccessCodeOptions";
+import { MESSAGES } from "../../config/constants";
+import {
+  getAccessCodeChallenge,
+  getGoogleIdToken,
+  LOGIN_ENDPOINTS,
+  requestLogin,
+} from "../../utils/authApi";
+
+/**
+ * Re-authentication modal
+ * @param {Object} props - Component props
+ * @param {Object} props.user - User whose session expired
+ * @param {function(Object)} props.onAuthenticated - Called with the login response data
+ * @param {function} props.onLogout - Gives up and logs out
+ */
+const ReauthModal = ({ user, onAuthenticated, onLogout }) => {
+  const [password, setPassword] = useState("");
+  const [accessCode, setAccessCode] = useState("");
+  const [accessCodeMessage, setAccessCodeMessage] = useState("");
+  const [accessCodeChallenge, setAccessCodeChallenge] = useState(null);
+  const [trustDevice, setTrustDevice] = useState(false);
+  // Firebase ID token kept while a Google sign-in waits for its access code
+  const [googleIdToken, setGoogleIdToken] = useState(null);
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  /**
+   * Handle a login response
+   * @param {Object} data - Response body
+   */
+  const handleResponse = (data) => {
+    if (data.status === "access_code_required") {
+      setAccessCodeMessage(data.message);
+      setAccessCodeChallenge(getAccessCodeChallenge(data));
+      return;
+    }
+    if (data.status === "error") {
+      throw new Error(data.message || MESSAGES.LOGIN_ERROR_INVALID);
+    }
+    onAuthenticated(data.data);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError("");
+
+    if (!googleIdToken && !password.trim()) {
+      setError("Please enter your password");
+      return;
+    }
+    if (accessCodeMessage && !accessCode.trim()) {
+      setError("Please enter the 6-character access code from your email");
+      return;
+    }
+
+    setLoading(true);
+    try {
+      handleResponse(
+        googleIdToken
+          ? await requestLogin(LOGIN_ENDPOINTS.GOOGLE, {
+              idToken: googleIdToken,
+              accessCode: accessCode.trim() || undefined,
+              trustDevice: (accessCode.trim() && trustDevice) || undefined,
+            })
+          : await requestLogin(LOGIN_ENDPOINTS.CREDENTIALS, {
+              username: user.UserLogin,
+              password: password.trim(),
+              accessCode: accessCode.trim() || undefined,
+              trustDevice: (accessCode.trim() && trustDevice) || undefined,
+            }),
+      );
+    } catch (err) {
+      setError(err.message || MESSAGES.LOGIN_ERROR_NETWORK);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleGoogleLogin = async () => {
+    setError("");
+    setLoading(true);
+    try {
+      const { idToken } = await getGoogleIdToken();
+      setGoogleIdToken(idToken);
+      handleResponse(await requestLogin(LOGIN_ENDPOINTS.GOOGLE, { idToken }));
+    } catch (err) {
+      setGoogleIdToken(null);
+      setError(`Google login failed: ${err.message}`);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-[60] flex items-center justify-center bg-gray-900 bg-opacity-60 px-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="reauth-title"
+    >
+      <div className="w-full max-w-sm bg-white rounded-lg shadow-xl p-6 space-y-4">
+        <div>
+          <h2 id="reauth-title" className="text-lg font-semibold text-gray-900">
+            {MESSAGES.REAUTH_TITLE}
+          </h2>
+          <p className="text-sm text-gray-600 mt-1">
+            {MESSAGES.REAUTH_MESSAGE}
+          </p>
+        </div>
+
+        {accessCodeMessage && (
+          <div className="p-3 bg-blue-50 border border-blue-200 text-blue-800 rounded-md text-sm">
+            {accessCodeMessage}
+          </div>
+        )}
+
+        {error && (
+          <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded-md text-sm">
+            {error}
+          </div>
+        )}
+
+        <form onSubmit={handleSubmit} className="space-y-3">
+          <p className="text-sm text-gray-700">
+            Logged in as{" "}
+            <strong>{user.UserName || user.UserLogin || user.email}</strong>
+          </p>
+
+          {!googleIdToken && (
+            <input
+              type="password"
+              aria-label="Password"
+              placeholder={MESSAGES.PASSWORD_PLACEHOLDER}
+              value={password}
+              onChange={(e) => setPassword(e.target.value)}
+              disabled={loading}
+              autoFocus
+              className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition disabled:bg-gray-100 disabled:cursor-not-allowed"
+            />
+          )}
+
+          {accessCodeMessage && (
+            <AccessCodeInput
+              id="reauthAccessCode"
+              value={accessCode}
+              onChange={(e) => setAccessCode(e.target.value.toUpperCase())}
+              disabled={loading}
+              autoFocus
+            />
+          )}
+          {accessCodeMessage && accessCodeChallenge && (
+            <AccessCodeOptions
+              challenge={accessCodeChallenge}
+              onChallengeChange={setAccessCodeChallenge}
+              trustDevice={trustDevice}
+              onTrustDeviceChange={setTrustDevice}
+              disabled={loading}
+            />
+          )}
+
+          <Button type="submit" disabled={loading} className="w-full">
+            {loading ? MESSAGES.LOADING : "Continue"}
+          </Button>
+        </form>
+
+        <div className="flex justify-between gap-2">
+          {!googleIdToken && (
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={handleGoogleLogin}
+              disabled={loading}
+            >
+              {MESSAGES.LOGIN_WITH_GOOGLE}
+            </Button>
+          )}
+          <Button
+            variant="danger"
+            size="sm"
+            onClick={onLogout}
+            disabled={loading}
+            className="ml-auto"
+          >
+            {MESSAGES.LOGOUT}
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Prop types for type checking
+ReauthModal.propTypes = {
+  user: PropTypes.shape({
+    UserLogin: PropTypes.string,
+    UserName: PropTypes.string,
+    email: PropTypes.string,
+  }).isRequired,
+  onAuthenticated: PropTypes.func.isRequired,
+  onLogout: PropTypes.func.isRequired,
+};
+
+export default ReauthModal;
@@ -0,0 +1,40 @@
+// src/components/layout/EnvironmentBanner.js
+/**
+ * Environment Banner Component
+ *
+ * Shows a strip above the page content when the backend reports a
+ * non-production environment, so test data is not mistaken for live data.
+ */
+
+import React, { useState, useEffect } from "react";
+import {
+  getServerEnvironment,
+  subscribeToServerEnvironment,
+} from "../../utils/apiInterceptors";
+
+const PRODUCTION_ENVIRONMENTS = ["production", "prod"];
+
+/**
+ * Environment banner driven by the environment interceptor
+ * Renders nothing until a response reports a non-production environment.
+ */
+const EnvironmentBanner = () => {
+  const [environment, setEnvironment] = useState(getServerEnvironment);
+
+  useEffect(() => subscribeToServerEnvironment(setEnvironment), []);
+
+  if (
+    !environment ||
+    PRODUCTION_ENVIRONMENTS.includes(environment.toLowerCase())
+  ) {
+    return null;
+  }
+
+  return (
+    <div className="bg-amber-400 px-4 py-1 text-center text-xs font-semibold uppercase tracking-wider text-amber-950">
+      {environment} environment - changes here do not affect live orders
+    </div>
+  );
+};
+
+export default EnvironmentBanner;
@@ -0,0 +1,143 @@
+// src/components/layout/ImpersonateDialog.js
+/**
+ * Impersonate Dialog Component
+ *
+ * Lets an admin pick a user to act as, to see exactly what that user sees:
+ * their navigation, permissions and stats.
+ */
+
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import { MESSAGES } from "../../config/constants";
+import { useAuth } from "../../contexts/AuthContext";
+import useApiQuery from "../../hooks/useApiQuery";
+import { getImpersonationUsers } from "../../utils/authApi";
+import Button from "../common/Button";
+
+/**
+ * Impersonate dialog
+ * @param {Object} props - Component props
+ * @param {function} props.onClose - Closes the dialog
+ * @param {function} props.onImpersonated - Called once acting as the picked user
+ */
+const ImpersonateDialog = ({ onClose, onImpersonated }) => {
+  const { impersonate } = useAuth();
+  const usersQuery = useApiQuery("/auth/impersonate/users", {
+    fetcher: () => getImpersonationUsers(),
+  });
+  const [search, setSearch] = useState("");
+  const [pendingUserId, setPendingUserId] = useState(null);
+  const [error, setError] = useState("");
+
+  const term = search.trim().toLowerCase();
+  const users = (usersQuery.data || []).filter((user) =>
+    [user.UserLogin, user.UserName, user.email].some((value) =>
+      String(value || "")
+        .toLowerCase()
+        .includes(term),
+    ),
+  );
+
+  const handleImpersonate = async (userId) => {
+    setError("");
+    setPendingUserId(userId);
+    try {
+      await impersonate(userId);
+      onImpersonated();
+    } catch (err) {
+      setError(err.message);
+      setPendingUserId(null);
+    }
+  };
+
+  return (
+    <div
+      className="fixed inset-0 z-[60] flex items-center justify-center bg-gray-900 bg-opacity-60 px-4"
+      role="dialog"
+      aria-modal="true"
+      aria-labelledby="impersonate-title"
+    >
+      <div className="w-full max-w-md bg-white rounded-lg shadow-xl p-6 space-y-4">
+        <div>
+          <h2
+            id="impersonate-title"
+            className="text-lg font-semibold text-gray-900"
+          >
+            Act as user
+          </h2>
+          <p className="text-sm text-gray-600 mt-1">
+            See the app exactly as this user does. Everything you do is done as
+            them until you return to your account.
+          </p>
+        </div>
+
+        <input
+          type="search"
+          aria-label="Search users"
+          placeholder="Search by name, login or email"
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          autoFocus
+          className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition"
+        />
+
+        {(error || usersQuery.error) && (
+          <div className="p-3 bg-red-100 border border-red-400 text-red-700 rounded-md text-sm">
+            {error || usersQuery.error.message}
+          </div>
+        )}
+
+        <ul className="max-h-72 overflow-y-auto divide-y divide-gray-200 border border-gray-200 rounded-md">
+          {usersQuery.loading && (
+            <li className="p-3 text-sm text-gray-500">{MESSAGES.LOADING}</li>
+          )}
+          {!usersQuery.loading && users.length === 0 && (
+            <li className="p-3 text-sm text-gray-500">No matching users</li>
+          )}
+          {users.map((user) => (
+            <li
+              key={user.UserID}
+              className="flex items-center justify-between gap-2 p-3"
+            >
+              <div className="min-w-0 text-sm">
+                <p className="font-medium text-gray-900 truncate">
+                  {user.UserName || user.UserLogin}
+                </p>
+                <p className="text-gray-500 truncate">
+                  {user.UserLogin}
+                  {user.role ? ` · ${user.role}` : ""}
+                </p>
+              </div>
+              <Button
+                size="sm"
+                onClick={() => handleImpersonate(user.UserID)}
+                disabled={pendingUserId !== null}
+              >
+                {pendingUserId === user.UserID ? MESSAGES.LOADING : "Act as"}
+              </Button>
+            </li>
+          ))}
+        </ul>
+
+        <div className="flex justify-end">
+          <Button
+            variant="secondary"
+            size="sm"
+            onClick={onClose}
+            disabled={pendingUserId !== null}
+          >
+            Cancel
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+// Prop types for type checking
+ImpersonateDialog.propTypes = {
+  onClose: PropTypes.func.isRequired,
+  onImpersonated: PropTypes.func.isRequired,
+};
+
+export default ImpersonateDialog;
@@ -0,0 +1,63 @@
+// src/components/layout/ImpersonationBanner.js
+/**
+ * Impersonation Banner Component
+ *
+ * Shows on every page while an admin acts as another user, with a one-click
+ * return to the admin's own session.
+ */
+
+import React, { useState } from "react";
+import { useAuth } from "../../contexts/AuthContext";
+import Button from "../common/Button";
+
+/**
+ * Impersonation banner
+ * Renders nothing unless an admin is acting as another user.
+ */
+const ImpersonationBanner = () => {
+  const { currentUser, impersonator, stopImpersonating } = useAuth();
+  const [returning, setReturning] = useState(false);
+  const [error, setError] = useState("");
+
+  if (!currentUser || !impersonator) {
+    return null;
+  }
+
+  const handleReturn = async () => {
+    setError("");
+    setReturning(true);
+    try {
+      // The banner unmounts once the admin session is back
+      await stopImpersonating();
+    } catch (err) {
+      setError(err.message);
+      setReturning(false);
+    }
+  };
+
+  return (
+    <div
+      role="status"
+      className="flex flex-wrap items-center justify-between gap-2 bg-purple-700 px-4 py-2 text-sm text-white"
+    >
+      <span>
+        Acting as{" "}
+        <strong>{currentUser.UserName || currentUser.UserLogin}</strong> (
+        {currentUser.UserLogin}
+        {currentUser.role ? `, ${currentUser.role}` : ""}). Signed in as{" "}
+        {impersonator.UserName || impersonator.UserLogin}.
+        {error && <span className="ml-2 text-red-200">{error}</span>}
+      </span>
+      <Button
+        variant="secondary"
+        size="sm"
+        onClick={handleReturn}
+        disabled={returning}
+      >
+        {returning ? "Returning..." : "Return to my account"}
+      </Button>
+    </div>
+  );
+};
+
+export default ImpersonationBanner;
@@ -0,0 +1,159 @@
+// src/components/layout/JobTray.js
+/**
+ * Job Tray Component
+ *
+ * Floating panel listing running and finished batch jobs, with links back
+ * to the page that shows each job's results.
+ */
+
+import React, { useState } from "react";
+import { useNavigate, useLocation } from "react-router-dom";
+import { isJobActive, useJobs } from "../../contexts/JobsContext";
+import { BATCH_STATES } from "../../utils/batchProcessor";
+import { formatDuration } from "../common/BatchProgress";
+
+const STATE_LABELS = {
+  [BATCH_STATES.RUNNING]: "Running",
+  [BATCH_STATES.PAUSED]: "Paused",
+  [BATCH_STATES.CANCELLED]: "Cancelled",
+  [BATCH_STATES.DONE]: "Done",
+};
+
+const BAR_COLORS = {
+  [BATCH_STATES.RUNNING]: "bg-blue-600",
+  [BATCH_STATES.PAUSED]: "bg-yellow-500",
+  [BATCH_STATES.CANCELLED]: "bg-red-500",
+  [BATCH_STATES.DONE]: "bg-green-600",
+};
+
+/**
+ * Job tray
+ * Renders nothing while there are no jobs.
+ */
+const JobTray = () => {
+  const navigate = useNavigate();
+  const location = useLocation();
+  const { jobs, pauseJob, resumeJob, cancelJob, dismissJob } = useJobs();
+  const [collapsed, setCollapsed] = useState(false);
+
+  // Jobs with no items only carry over page results; nothing to track
+  const visibleJobs = jobs.filter((job) => job.progress.total > 0);
+
+  if (visibleJobs.length === 0) {
+    return null;
+  }
+
+  const runningCount = visibleJobs.filter(isJobActive).length;
+
+  return (
+    <div className="fixed bottom-4 right-4 z-30 w-80 bg-white border border-gray-300 rounded-lg shadow-lg">
+      <button
+        type="button"
+        onClick={() => setCollapsed((prev) => !prev)}
+        className="w-full flex items-center justify-between px-4 py-2 bg-gray-800 text-white text-sm font-semibold rounded-t-lg"
+      >
+        <span>
+          Jobs
+          {runningCount > 0 && (
+            <span className="ml-2 inline-block bg-blue-600 text-xs font-bold px-2 py-0.5 rounded-full">
+              {runningCount} running
+            </span>
+          )}
+        </span>
+        <span className="text-xs text-gray-300">
+          {collapsed ? "Show" : "Hide"}
+        </span>
+      </button>
+
+      {!collapsed && (
+        <ul className="max-h-80 overflow-y-auto divide-y divide-gray-200">
+          {visibleJobs.map((job) => {
+            const { progress } = job;
+            const active = isJobActive(job);
+            const isPaused = progress.state === BATCH_STATES.PAUSED;
+
+            return (
+              <li key={job.id} className="px-4 py-3 space-y-2">
+                <div className="flex items-start justify-between gap-2">
+                  <p className="text-sm font-medium text-gray-900 truncate">
+                    {job.title}
+                  </p>
+                  <span className="text-xs text-gray-500 whitespace-nowrap">
+                    {STATE_LABELS[progress.state] || "Queued"}
+                  </span>
+                </div>
+
+                <div className="w-full h-1.5 bg-gray-200 rounded-full overflow-hidden">
+                  <div
+                    className={`h-full ${
+                      BAR_COLORS[progress.state] || "bg-blue-600"
+                    }`}
+                    style={{ width: `${progress.percent}%` }}
+                  />
+                </div>
+
+                <div className="flex items-center justify-between text-xs text-gray-600">
+                  <span>
+                    {progress.completed} / {progress.total}
+                    {progress.failed > 0 && (
+                      <span className="ml-1 text-red-600">
+                        ({progress.failed} failed)
+                      </span>
+                    )}
+                    {active && progress.etaMs !== null && (
+                      <span className="ml-1">
+                        - {formatDuration(progress.etaMs)} left
+                      </span>
+                    )}
+                  </span>
+
+                  <span className="flex gap-2">
+                    {location.pathname !== job.route && (
+                      <button
+                        type="button"
+                        onClick={() => navigate(job.route)}
+                        className="font-semibold text-blue-600 hover:text-blue-800"
+                      >
+                        View
+                      </button>
+                    )}
+                    {active && (
+                      <button
+                        type="button"
+                        onClick={() =>
+                          isPaused ? resumeJob(job.id) : pauseJob(job.id)
+                        }
+                        className="font-semibold text-gray-700 hover:text-gray-900"
+                      >
+                        {isPaused ? "Resume" : "Pause"}
+                      </button>
+                    )}
+                    {active ? (
+                      <button
+                        type="button"
+                        onClick={() => cancelJob(job.id)}
+                        className="font-semibold text-red-600 hover:text-red-800"
+                      >
+                        Cancel
+                      </button>
+                    ) : (
+                      <button
+                        type="button"
+                        onClick={() => dismissJob(job.id)}
+                        className="font-semibold text-gray-500 hover:text-gray-700"
+                      >
+                        Dismiss
+                      </button>
+                    )}
+                  </span>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </div>
+  );
+};
+
+export default JobTray;
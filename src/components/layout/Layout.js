@@ -9,11 +9,33 @@
 import React, { useState } from "react";
 import PropTypes from "prop-types";
 import { useNavigate, useLocation } from "react-router-dom";
-import { signOut } from "firebase/auth";
-import { auth } from "../../config/firebase";
 import { NAV_ITEMS, MESSAGES, ROUTES } from "../../config/constants";
 import { useAuth } from "../../contexts/AuthContext";
 import Button from "../common/Button";
+import EnvironmentBanner from "./EnvironmentBanner";
+import ImpersonationBanner from "./ImpersonationBanner";
+import ImpersonateDialog from "./ImpersonateDialog";
+import JobTray from "./JobTray";
+
+/**
+ * Navigation items the user has permission for
+ * Parents whose children are all hidden are dropped as well.
+ * @param {Array} items - Navigation items
+ * @param {function} can - Permission check from the auth context
+ * @returns {Array} Visible navigation items
+ */
+const getVisibleNavItems = (items, can) =>
+  items.reduce((visible, item) => {
+    if (!can(item.permission)) {
+      return visible;
+    }
+    if (!item.children) {
+      return [...visible, item];
+    }
+
+    const children = item.children.filter((child) => can(child.permission));
+    return children.length > 0 ? [...visible, { ...item, children }] : visible;
+  }, []);
 
 /**
  * Layout component with vertical sidebar navigation
@@ -25,8 +47,9 @@ import Button from "../common/Button";
 const Layout = ({ children, showLogout = false, title = "" }) => {
   const navigate = useNavigate();
   const location = useLocation();
-  const { currentUser } = useAuth();
+  const { currentUser, can, canImpersonate, logout } = useAuth();
   const [sidebarOpen, setSidebarOpen] = useState(false);
+  const [impersonateOpen, setImpersonateOpen] = useState(false);
   const [expandedMenus, setExpandedMenus] = useState({
     "transaction-manager": true,
     "offline-processes": true,
@@ -34,16 +57,20 @@ const Layout = ({ children, showLogout = false, title = "" }) => {
 
   /**
    * Handle user logout
-   * Signs out the user and redirects to login page
+   * Ends the session everywhere and redirects to login page
    */
   const handleLogout = async () => {
-    try {
-      await signOut(auth);
-      navigate(ROUTES.HOME);
-    } catch (error) {
-      console.error("Error signing out:", error);
-      // In a real app, you might show a toast notification here
-    }
+    await logout();
+    navigate(ROUTES.HOME);
+  };
+
+  /**
+   * Start over from the dashboard as the impersonated user
+   * The current page may not be one they can open.
+   */
+  const handleImpersonated = () => {
+    setImpersonateOpen(false);
+    navigate(ROUTES.DASHBOARD);
   };
 
   /**
@@ -135,7 +162,7 @@ const Layout = ({ children, showLogout = false, title = "" }) => {
 
           {/* Navigation Menu */}
           <nav className="flex-1 px-4 py-6 space-y-1">
-            {NAV_ITEMS.map((item) => {
+            {getVisibleNavItems(NAV_ITEMS, can).map((item) => {
               const hasChildren = item.children && item.children.length > 0;
               const hasActiveChild = hasChildren && hasActiveChildRoute(item.children);
               const isExpanded = expandedMenus[item.key] ?? hasActiveChild;
@@ -202,6 +229,36 @@ const Layout = ({ children, showLogout = false, title = "" }) => {
                             />
                           </svg>
                         )}
+                        {item.key === "statuses" && (
+                          <svg
+                            className="w-full h-full"
+                            fill="none"
+                            stroke="currentColor"
+                            viewBox="0 0 24 24"
+                          >
+                            <path
+                              strokeLinecap="round"
+                              strokeLinejoin="round"
+                              strokeWidth={2}
+                              d="M7 7h.01M7 3h5c.512 0 1.024.195 1.414.586l7 7a2 2 0 010 2.828l-7 7a2 2 0 01-2.828 0l-7-7A1.994 1.994 0 013 12V7a4 4 0 014-4z"
+                            />
+                          </svg>
+                        )}
+                        {item.key === "email-templates" && (
+                          <svg
+                            className="w-full h-full"
+                            fill="none"
+                            stroke="currentColor"
+                            viewBox="0 0 24 24"
+                          >
+                            <path
+                              strokeLinecap="round"
+                              strokeLinejoin="round"
+                              strokeWidth={2}
+                              d="M3 8l7.89 5.26a2 2 0 002.22 0L21 8M5 19h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v10a2 2 0 002 2z"
+                            />
+                          </svg>
+                        )}
                         {item.key === "settings" && (
                           <svg
                             className="w-full h-full"
@@ -340,6 +397,16 @@ const Layout = ({ children, showLogout = false, title = "" }) => {
                   </p>
                 </div>
               )}
+              {canImpersonate && (
+                <Button
+                  variant="secondary"
+                  size="sm"
+                  onClick={() => setImpersonateOpen(true)}
+                  className="w-full"
+                >
+                  Act as user
+                </Button>
+              )}
               <Button
                 variant="danger"
                 size="sm"
@@ -355,6 +422,9 @@ const Layout = ({ children, showLogout = false, title = "" }) => {
 
       {/* Main Content */}
       <div className="flex-1 flex flex-col overflow-hidden">
+        <EnvironmentBanner />
+        <ImpersonationBanner />
+
         {/* Mobile menu button */}
         <div className="lg:hidden bg-white shadow-sm px-4 py-3">
           <button
@@ -380,6 +450,16 @@ const Layout = ({ children, showLogout = false, title = "" }) => {
         {/* Page Content */}
         <main className="flex-1 overflow-y-auto p-6">{children}</main>
       </div>
+
+      {/* Batch jobs started from any page */}
+      <JobTray />
+
+      {impersonateOpen && (
+        <ImpersonateDialog
+          onClose={() => setImpersonateOpen(false)}
+          onImpersonated={handleImpersonated}
+        />
+      )}
     </div>
   );
 };
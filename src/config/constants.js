@@ -3,11 +3,14 @@
  * Application constants for routes, messages, and configuration
  */
 
+import { PERMISSIONS } from "./permissions";
+
 /**
  * Route paths used throughout the application
  */
 export const ROUTES = {
   HOME: "/",
+  FORGOT_PASSWORD: "/forgot-password",
   DASHBOARD: "/dashboard",
   SHOPIFY_CASES_RECEIVED: "/dashboard/shopify-cases-received",
   SPECIAL_SHOPIFY_CASES_RECEIVED:
@@ -17,6 +20,10 @@ export const ROUTES = {
   CASES_SHIPPED_TO_CUSTOMER_CSV:
     "/dashboard/offline-processes/cases-shipped-to-customer-csv",
   RUSH_CASES_REPORT: "/dashboard/reports/rush-cases",
+  USERS: "/dashboard/users",
+  SETTINGS: "/dashboard/settings",
+  STATUSES: "/dashboard/statuses",
+  EMAIL_TEMPLATES: "/dashboard/email-templates",
 };
 
 /**
@@ -39,10 +46,100 @@ export const MESSAGES = {
   LOGIN_ERROR_REQUIRED: "Username and password are required",
   LOGIN_ERROR_NETWORK: "Network error. Please try again.",
   LOGIN_SUCCESS: "Login successful",
+  IDLE_LOGOUT_MESSAGE:
+    "You were logged out because the station was idle. Log in again to continue where you left off.",
+  REAUTH_TITLE: "Session expired",
+  REAUTH_MESSAGE: "Log in again to carry on. Everything on this page is kept.",
+  NOT_AUTHORIZED_TITLE: "Not authorized",
+  NOT_AUTHORIZED_MESSAGE:
+    "Your account does not have access to this page. Ask an administrator if you need it.",
+};
+
+/**
+ * Error codes carried on ApiError.code
+ * Codes sent by the backend are passed through unchanged; the generic ones
+ * are derived client-side from the HTTP status when the body has no code.
+ */
+export const API_ERROR_CODES = {
+  NETWORK_ERROR: "NETWORK_ERROR",
+  REQUEST_TIMEOUT: "REQUEST_TIMEOUT",
+  REQUEST_ABORTED: "REQUEST_ABORTED",
+  BAD_REQUEST: "BAD_REQUEST",
+  UNAUTHORIZED: "UNAUTHORIZED",
+  FORBIDDEN: "FORBIDDEN",
+  NOT_FOUND: "NOT_FOUND",
+  CONFLICT: "CONFLICT",
+  TOO_MANY_REQUESTS: "TOO_MANY_REQUESTS",
+  SERVER_ERROR: "SERVER_ERROR",
+  INVALID_RESPONSE: "INVALID_RESPONSE",
+  UNKNOWN_ERROR: "UNKNOWN_ERROR",
+  CASE_NOT_FOUND: "CASE_NOT_FOUND",
+  PAYMENT_DEFAULT_CARRIER: "PAYMENT_DEFAULT_CARRIER",
+  INVOICE_NOT_APPROVED: "INVOICE_NOT_APPROVED",
+  OPEN_TICKET: "OPEN_TICKET",
+  SHOPIFY_ORDER_NOT_FOUND: "SHOPIFY_ORDER_NOT_FOUND",
+};
+
+/**
+ * How long cached lookups stay fresh (see utils/queryCache)
+ */
+export const QUERY_TTL_MS = {
+  CARRIERS: 10 * 60 * 1000,
+  STATUSES: 10 * 60 * 1000,
+  USER_STATS: 30 * 1000,
+  USERS: 60 * 1000,
+};
+
+/**
+ * Cases processed at the same time by the batch pages (see utils/batchProcessor)
+ * Keep this low: each case makes several backend and Shopify calls.
+ */
+export const BATCH_CONCURRENCY = Number(
+  process.env.REACT_APP_BATCH_CONCURRENCY || 4,
+);
+
+/**
+ * Inactivity before a session is logged out (see hooks/useIdleTimer)
+ * Set REACT_APP_IDLE_TIMEOUT_MINUTES=0 to turn the timeout off.
+ */
+export const IDLE_TIMEOUT_MS =
+  Number(process.env.REACT_APP_IDLE_TIMEOUT_MINUTES ?? 15) * 60 * 1000;
+
+/**
+ * How long before the idle logout the warning dialog is shown
+ */
+export const IDLE_WARNING_MS = 60 * 1000;
+
+/**
+ * How long before the JWT expires it is silently refreshed
+ */
+export const TOKEN_REFRESH_LEEWAY_MS = 60 * 1000;
+
+/**
+ * How often statusService asks the backend whether the statuses changed
+ */
+export const STATUS_REFRESH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Per-user preferences before the user saves any (see contexts/PreferencesContext)
+ */
+export const DEFAULT_PREFERENCES = {
+  // Batch processing on the case entry pages
+  batchMode: false,
+  // Cases Shipped to Customer; "0" leaves the carrier to the tracking number
+  defaultCarrierId: "0",
+  // Case Status Update
+  ticketStatus: "closed",
+  sendEmail: true,
+  // Rush Cases report filters
+  rushMinDaysInLab: 0,
+  rushStatusGroup: "",
 };
 
 /**
  * Navigation menu items with nested structure
+ * `permission` hides an entry from users without it (see config/permissions);
+ * a parent with no visible children is hidden too.
  */
 export const NAV_ITEMS = [
   { label: "Home", key: "home", route: ROUTES.DASHBOARD },
@@ -54,21 +151,25 @@ export const NAV_ITEMS = [
         label: "Shopify Cases Received - 8+ Digits",
         key: "shopify-cases-received",
         route: ROUTES.SHOPIFY_CASES_RECEIVED,
+        permission: PERMISSIONS.CASES_RECEIVE,
       },
       {
         label: "Special Shopify Cases Received - Less than 8 Digits",
         key: "special-shopify-cases-received",
         route: ROUTES.SPECIAL_SHOPIFY_CASES_RECEIVED,
+        permission: PERMISSIONS.CASES_RECEIVE,
       },
       {
         label: "Case Status Update",
         key: "case-status-update",
         route: ROUTES.CASE_STATUS_UPDATE,
+        permission: PERMISSIONS.CASES_UPDATE_STATUS,
       },
       {
         label: "Cases Shipped to Customer",
         key: "cases-shipped-to-customer",
         route: ROUTES.CASES_SHIPPED_TO_CUSTOMER,
+        permission: PERMISSIONS.SHIPPING_VALIDATE,
       },
     ],
   },
@@ -80,11 +181,29 @@ export const NAV_ITEMS = [
         label: "Cases Shipped to Customer (CSV)",
         key: "cases-shipped-to-customer-csv",
         route: ROUTES.CASES_SHIPPED_TO_CUSTOMER_CSV,
+        permission: PERMISSIONS.OFFLINE_PROCESSES,
       },
     ],
   },
-  // { label: "Users", key: "users", route: null },
-  // { label: "Settings", key: "settings", route: null },
+  {
+    label: "Users",
+    key: "users",
+    route: ROUTES.USERS,
+    permission: PERMISSIONS.USERS_MANAGE,
+  },
+  {
+    label: "Statuses",
+    key: "statuses",
+    route: ROUTES.STATUSES,
+    permission: PERMISSIONS.STATUSES_MANAGE,
+  },
+  {
+    label: "Email Templates",
+    key: "email-templates",
+    route: ROUTES.EMAIL_TEMPLATES,
+    permission: PERMISSIONS.EMAIL_TEMPLATES_MANAGE,
+  },
+  { label: "Settings", key: "settings", route: ROUTES.SETTINGS },
   {
     label: "Reports and Analytics",
     key: "reports-and-analytics",
@@ -93,6 +212,7 @@ export const NAV_ITEMS = [
         label: "Rush Cases",
         key: "rush-cases-report",
         route: ROUTES.RUSH_CASES_REPORT,
+        permission: PERMISSIONS.REPORTS_VIEW,
       },
     ],
   },
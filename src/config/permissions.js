@@ -0,0 +1,110 @@
+// src/config/permissions.js
+/**
+ * Roles and permissions
+ *
+ * Permissions come from the login user record: an explicit `permissions`
+ * list when the backend sends one, otherwise the defaults of the user's
+ * `role` (or `roles`). Records without either, such as sessions saved
+ * before roles existed, get the employee defaults. Routes, navigation
+ * entries and individual actions
+ * are gated by permission, never by role name, so a role can be changed
+ * here without touching the pages.
+ */
+
+/**
+ * Permission names
+ */
+export const PERMISSIONS = {
+  CASES_RECEIVE: "cases:receive",
+  CASES_UPDATE_STATUS: "cases:update-status",
+  CASES_SEND_STATUS_EMAIL: "cases:send-status-email",
+  SHIPPING_VALIDATE: "shipping:validate",
+  SHIPPING_SUBMIT: "shipping:submit",
+  OFFLINE_PROCESSES: "offline-processes:run",
+  REPORTS_VIEW: "reports:view",
+  USERS_MANAGE: "users:manage",
+  USERS_IMPERSONATE: "users:impersonate",
+  STATUSES_MANAGE: "statuses:manage",
+  EMAIL_TEMPLATES_MANAGE: "email-templates:manage",
+};
+
+/**
+ * Role names sent by the backend
+ */
+export const ROLES = {
+  ADMIN: "admin",
+  SUPERVISOR: "supervisor",
+  EMPLOYEE: "employee",
+};
+
+const EMPLOYEE_PERMISSIONS = [
+  PERMISSIONS.CASES_RECEIVE,
+  PERMISSIONS.CASES_UPDATE_STATUS,
+  PERMISSIONS.CASES_SEND_STATUS_EMAIL,
+  PERMISSIONS.SHIPPING_VALIDATE,
+  PERMISSIONS.SHIPPING_SUBMIT,
+];
+
+/**
+ * Default permissions of each role
+ */
+export const ROLE_PERMISSIONS = {
+  [ROLES.EMPLOYEE]: EMPLOYEE_PERMISSIONS,
+  [ROLES.SUPERVISOR]: [
+    ...EMPLOYEE_PERMISSIONS,
+    PERMISSIONS.REPORTS_VIEW,
+    PERMISSIONS.EMAIL_TEMPLATES_MANAGE,
+  ],
+  [ROLES.ADMIN]: Object.values(PERMISSIONS),
+};
+
+/**
+ * Get the roles of a user
+ * @param {Object|null} user - Login user record
+ * @returns {Array<string>} Role names, lower case; employee when the record
+ *   has none
+ */
+export const getUserRoles = (user) => {
+  if (!user) {
+    return [];
+  }
+  if (user.roles?.length) {
+    return user.roles.map((role) => String(role).toLowerCase());
+  }
+  return [String(user.role || ROLES.EMPLOYEE).toLowerCase()];
+};
+
+/**
+ * Get the permissions of a user
+ * @param {Object|null} user - Login user record
+ * @returns {Set<string>} Permission names
+ */
+export const getUserPermissions = (user) => {
+  if (Array.isArray(user?.permissions)) {
+    return new Set(user.permissions);
+  }
+
+  return new Set(
+    getUserRoles(user).flatMap((role) => ROLE_PERMISSIONS[role] || []),
+  );
+};
+
+/**
+ * Check whether a user has a permission
+ * @param {Object|null} user - Login user record
+ * @param {string|Array<string>} [permission] - Permission, or a list that
+ *   must all be granted; nothing means any logged-in user
+ * @returns {boolean}
+ */
+export const hasPermission = (user, permission) => {
+  if (!user) {
+    return false;
+  }
+  if (!permission) {
+    return true;
+  }
+
+  const granted = getUserPermissions(user);
+  const required = Array.isArray(permission) ? permission : [permission];
+  return required.every((name) => granted.has(name));
+};
@@ -0,0 +1,74 @@
+// src/config/permissions.test.js
+import {
+  PERMISSIONS,
+  ROLES,
+  getUserPermissions,
+  getUserRoles,
+  hasPermission,
+} from "./permissions";
+
+describe("getUserPermissions", () => {
+  it("uses the permissions list sent by the backend over the role", () => {
+    const user = { role: ROLES.ADMIN, permissions: [PERMISSIONS.REPORTS_VIEW] };
+
+    expect([...getUserPermissions(user)]).toEqual([PERMISSIONS.REPORTS_VIEW]);
+  });
+
+  it("combines the defaults of every role, whatever their case", () => {
+    const permissions = getUserPermissions({
+      roles: ["Employee", "SUPERVISOR"],
+    });
+
+    expect(permissions.has(PERMISSIONS.REPORTS_VIEW)).toBe(true);
+    expect(permissions.has(PERMISSIONS.OFFLINE_PROCESSES)).toBe(false);
+  });
+
+  it("gives a record without role or permissions the employee defaults", () => {
+    const legacyUser = { UserID: 1, UserLogin: "demo" };
+
+    expect(getUserRoles(legacyUser)).toEqual([ROLES.EMPLOYEE]);
+    expect(getUserPermissions(legacyUser)).toEqual(
+      getUserPermissions({ role: ROLES.EMPLOYEE }),
+    );
+  });
+
+  it("lets employees submit shipments and send status emails", () => {
+    const permissions = getUserPermissions({ role: ROLES.EMPLOYEE });
+
+    expect(permissions.has(PERMISSIONS.SHIPPING_SUBMIT)).toBe(true);
+    expect(permissions.has(PERMISSIONS.CASES_SEND_STATUS_EMAIL)).toBe(true);
+    expect(permissions.has(PERMISSIONS.REPORTS_VIEW)).toBe(false);
+  });
+
+  it("grants nothing for an unknown role", () => {
+    expect(getUserPermissions({ role: "contractor" }).size).toBe(0);
+  });
+});
+
+describe("hasPermission", () => {
+  const employee = { role: ROLES.EMPLOYEE };
+
+  it("denies everything without a user", () => {
+    expect(hasPermission(null)).toBe(false);
+    expect(hasPermission(null, PERMISSIONS.CASES_RECEIVE)).toBe(false);
+  });
+
+  it("allows any logged-in user when no permission is required", () => {
+    expect(hasPermission(employee)).toBe(true);
+  });
+
+  it("requires every permission of a list", () => {
+    expect(
+      hasPermission(employee, [
+        PERMISSIONS.CASES_RECEIVE,
+        PERMISSIONS.SHIPPING_VALIDATE,
+      ]),
+    ).toBe(true);
+    expect(
+      hasPermission(employee, [
+        PERMISSIONS.CASES_RECEIVE,
+        PERMISSIONS.REPORTS_VIEW,
+      ]),
+    ).toBe(false);
+  });
+});
@@ -3,15 +3,69 @@
  * Authentication Context
  *
  * Provides authentication state management throughout the application.
- * Supports two authentication methods:
- * 1. Firebase Auth (Google OAuth)
+ * Supports two sign-in methods, both ending in the same backend session
+ * (JWT and user record in localStorage):
+ * 1. Google sign-in (Firebase ID token exchanged with the backend)
  * 2. Local Auth (Username/Password)
+ *
+ * A Firebase session on its own does not count as logged in; the API only
+ * accepts the backend JWT.
+ *
+ * Idle sessions are warned, then logged out (IDLE_TIMEOUT_MS), so a shared
+ * station does not keep working under the last operator's name. A session
+ * is idle only when none of its tabs has been used.
+ *
+ * Logins, logouts and user switches in another tab are applied right away.
+ *
+ * The JWT is refreshed silently shortly before it expires. When that fails,
+ * or a request is rejected with 401, a re-login dialog opens over the
+ * current page so nothing typed there is lost.
+ *
+ * Admins can act as another user with the admin token they got at login;
+ * the stored session is then the other user's, and `impersonator` holds the
+ * admin until they return to their own session.
  */
 
-import React, { createContext, useContext, useEffect, useState } from "react";
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useState,
+} from "react";
 import PropTypes from "prop-types";
-import { onAuthStateChanged } from "firebase/auth";
+import { signOut } from "firebase/auth";
 import { auth } from "../config/firebase";
+import { hasPermission, PERMISSIONS } from "../config/permissions";
+import {
+  API_ERROR_CODES,
+  IDLE_TIMEOUT_MS,
+  IDLE_WARNING_MS,
+  TOKEN_REFRESH_LEEWAY_MS,
+} from "../config/constants";
+import { apiPost, subscribeToSessionExpired } from "../utils/api";
+import { clearQueryCache } from "../utils/queryCache";
+import {
+  clearStatusCache,
+  initializeStatusCache,
+} from "../utils/statusService";
+import { endImpersonation, startImpersonation } from "../utils/authApi";
+import {
+  clearSession,
+  getAdminToken,
+  getAuthToken,
+  getStoredSession,
+  getTokenExpiresAt,
+  saveSession,
+  subscribeToSessionChanges,
+  updateAuthToken,
+} from "../utils/session";
+import useIdleTimer from "../hooks/useIdleTimer";
+import IdleWarningModal from "../components/common/IdleWarningModal";
+import ReauthModal from "../components/common/ReauthModal";
+
+// Longest delay setTimeout supports; longer ones fire immediately
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
 
 /**
  * Authentication Context
@@ -24,7 +78,13 @@ const AuthContext = createContext();
  * @returns {Object} Authentication context value
  * @returns {Object|null} currentUser - Current authenticated user or null
  * @returns {boolean} loading - Whether authentication state is being determined
- * @returns {string} authType - Type of authentication ('firebase' or 'local')
+ * @returns {string} authType - Type of authentication ('local' once a backend session exists)
+ * @returns {function} can - Check a permission of the current user (see config/permissions)
+ * @returns {Object|null} idleLogout - { username } after an idle logout, until the next login
+ * @returns {Object|null} impersonator - Admin acting as currentUser, or null
+ * @returns {boolean} canImpersonate - Whether the user may act as another user
+ * @returns {function} impersonate - Act as another user (by UserID)
+ * @returns {function} stopImpersonating - Return to the admin's own session
  */
 export const useAuth = () => {
   const context = useContext(AuthContext);
@@ -38,8 +98,7 @@ export const useAuth = () => {
  * Authentication Provider Component
  *
  * Wraps the application to provide authentication context.
- * Checks for Firebase authentication and local JWT token on mount.
- * Manages loading state for both authentication methods.
+ * Restores the backend session from the local JWT token on mount.
  *
  * @param {Object} props - Component props
  * @param {ReactNode} props.children - Child components to render
@@ -47,50 +106,55 @@ export const useAuth = () => {
 export const AuthProvider = ({ children }) => {
   const [currentUser, setCurrentUser] = useState(null);
   const [loading, setLoading] = useState(true);
-  const [authType, setAuthType] = useState(null); // 'firebase' or 'local'
+  const [authType, setAuthType] = useState(null); // 'local' or null
+  const [idleDeadline, setIdleDeadline] = useState(null);
+  const [idleLogout, setIdleLogout] = useState(null);
+  const [tokenExpiresAt, setTokenExpiresAt] = useState(null);
+  const [reauthRequired, setReauthRequired] = useState(false);
+  const [impersonator, setImpersonator] = useState(null);
+
+  /**
+   * Check whether the current user has a permission
+   * @param {string|Array<string>} [permission] - Permission(s) to check
+   * @returns {boolean}
+   */
+  const can = (permission) => hasPermission(currentUser, permission);
 
   const setLocalAuth = (user) => {
     setCurrentUser(user || null);
     setAuthType(user ? "local" : null);
+    setTokenExpiresAt(user ? getTokenExpiresAt(getAuthToken()) : null);
+    setReauthRequired(false);
+    setIdleLogout(null);
   };
 
   useEffect(() => {
     /**
-     * Combined authentication check
-     * Checks Firebase auth and local JWT token
+     * Restore the backend session
+     * Google sign-ins store the same JWT as credential logins, so the token
+     * is the only thing to check
      */
-    const checkAuth = async () => {
+    const checkAuth = () => {
       try {
-        // Check for local JWT token
-        const token = localStorage.getItem("authToken");
-        const storedUser = localStorage.getItem("user");
+        const session = getStoredSession();
+        const expiresAt = session && getTokenExpiresAt(session.token);
 
-        if (token && storedUser) {
-          // User has local authentication
-          setCurrentUser(JSON.parse(storedUser));
+        // An expired token is left in storage: another tab may be about to
+        // log in again over it
+        if (session && !(expiresAt && expiresAt <= Date.now())) {
+          setCurrentUser(session.user);
           setAuthType("local");
-          setLoading(false);
-          return; // Don't check Firebase if local auth exists
+          setTokenExpiresAt(expiresAt);
+          setImpersonator(session.impersonator);
+        } else {
+          setCurrentUser(null);
+          setAuthType(null);
         }
-
-        // Firebase auth state listener
-        const unsubscribe = onAuthStateChanged(auth, (user) => {
-          if (user) {
-            setCurrentUser(user);
-            setAuthType("firebase");
-          } else {
-            setCurrentUser(null);
-            setAuthType(null);
-          }
-          setLoading(false);
-        });
-
-        // Cleanup subscription on unmount
-        return unsubscribe;
       } catch (error) {
         console.error("Authentication check error:", error);
         setCurrentUser(null);
         setAuthType(null);
+      } finally {
         setLoading(false);
       }
     };
@@ -98,36 +162,221 @@ export const AuthProvider = ({ children }) => {
     checkAuth();
   }, []);
 
+  // Follow the session when another tab logs in, logs out or switches user
+  useEffect(
+    () =>
+      subscribeToSessionChanges((session) => {
+        // Cached lookups such as user stats belong to the previous user
+        clearQueryCache();
+        setIdleDeadline(null);
+        setReauthRequired(false);
+        setCurrentUser(session?.user || null);
+        setAuthType(session ? "local" : null);
+        setTokenExpiresAt(session ? getTokenExpiresAt(session.token) : null);
+        setImpersonator(session?.impersonator || null);
+      }),
+    [],
+  );
+
+  // A 401 anywhere means the session is gone; ask for the password again
+  useEffect(() => subscribeToSessionExpired(() => setReauthRequired(true)), []);
+
   /**
-   * Logout function
-   * Clears both local storage and Firebase session
+   * Silently replace the JWT before it expires
+   * Opens the re-login dialog when the backend refuses.
    */
-  const logout = async () => {
+  const refreshToken = useCallback(async () => {
+    // Another tab may have refreshed it already
+    const storedExpiresAt = getTokenExpiresAt(getAuthToken());
+    if (
+      storedExpiresAt &&
+      storedExpiresAt - Date.now() > TOKEN_REFRESH_LEEWAY_MS
+    ) {
+      setTokenExpiresAt(storedExpiresAt);
+      return;
+    }
+
     try {
-      // Clear local JWT
-      localStorage.removeItem("authToken");
-      localStorage.removeItem("user");
+      const response = await apiPost(
+        "/auth/refresh",
+        {},
+        { skipAuthRedirect: true, retry: false },
+      );
+      updateAuthToken(response.data.token);
+      setTokenExpiresAt(getTokenExpiresAt(response.data.token));
+    } catch (error) {
+      console.error("Token refresh failed:", error);
+      setReauthRequired(true);
+    }
+  }, []);
+
+  useEffect(() => {
+    if (!currentUser || !tokenExpiresAt || reauthRequired) {
+      return undefined;
+    }
+
+    const delay = Math.min(
+      MAX_TIMEOUT_MS,
+      Math.max(0, tokenExpiresAt - Date.now() - TOKEN_REFRESH_LEEWAY_MS),
+    );
+    const timeoutId = setTimeout(refreshToken, delay);
+    return () => clearTimeout(timeoutId);
+  }, [currentUser, tokenExpiresAt, reauthRequired, refreshToken]);
+
+  // Keep the case statuses current while a session is usable
+  const isLoggedIn = Boolean(currentUser);
+  useEffect(
+    () => (isLoggedIn && !reauthRequired ? initializeStatusCache() : undefined),
+    [isLoggedIn, reauthRequired],
+  );
+
+  /**
+   * Store the session from the re-login dialog
+   * An admin re-logs in as themselves, which ends any impersonation.
+   * @param {Object} data - Login response data
+   */
+  const handleReauthenticated = (data) => {
+    saveSession(data);
+    if (data.user.UserID !== currentUser?.UserID) {
+      // Someone else logged in; nothing cached belongs to them
+      clearQueryCache();
+    }
+    setLocalAuth(data.user);
+    setImpersonator(null);
+  };
+
+  /**
+   * Act as another user
+   * The admin token stays stored so the admin can return.
+   * @param {number} userId - User to act as
+   */
+  const impersonate = async (userId) => {
+    const { token, user } = await startImpersonation(userId);
+    saveSession({
+      token,
+      user,
+      adminToken: getAdminToken(),
+      impersonator: currentUser,
+    });
+    clearQueryCache();
+    setLocalAuth(user);
+    setImpersonator(currentUser);
+  };
 
-      // Firebase logout if applicable
-      if (authType === "firebase" && auth.currentUser) {
-        await auth.signOut();
+  /**
+   * Return to the admin's own session
+   * Logs out when the admin token has expired.
+   */
+  const stopImpersonating = async () => {
+    try {
+      const session = await endImpersonation();
+      saveSession(session);
+      clearQueryCache();
+      setLocalAuth(session.user);
+      setImpersonator(null);
+    } catch (error) {
+      if (error.code !== API_ERROR_CODES.UNAUTHORIZED) {
+        throw error;
       }
+      await logout();
+    }
+  };
+
+  /**
+   * Logout function
+   * The only logout path: clears the stored session, cached queries,
+   * persisted statuses and any Firebase session right away, then asks the
+   * backend to revoke the token in the background. JobsProvider cancels
+   * running jobs once the user is cleared.
+   */
+  const logout = async () => {
+    const token = getAuthToken();
+
+    clearSession();
+    clearQueryCache();
+    clearStatusCache();
+    setCurrentUser(null);
+    setAuthType(null);
+    setTokenExpiresAt(null);
+    setReauthRequired(false);
+    setImpersonator(null);
+
+    if (token) {
+      // Not awaited: a slow or offline network must not hold up the logout.
+      // The token is passed explicitly because the session is already gone.
+      apiPost(
+        "/auth/logout",
+        {},
+        {
+          headers: { Authorization: `Bearer ${token}` },
+          skipAuthRedirect: true,
+          retry: false,
+        },
+      ).catch((error) => {
+        console.error("Token revocation failed:", error);
+      });
+    }
 
-      setCurrentUser(null);
-      setAuthType(null);
+    try {
+      // Drop any Firebase session left over from Google sign-in
+      if (auth.currentUser) {
+        await signOut(auth);
+      }
     } catch (error) {
       console.error("Logout error:", error);
     }
   };
 
+  /**
+   * Log out an idle session
+   * Remembers the user so the login page can offer a quick re-login;
+   * ProtectedRoute remembers the page to return to.
+   */
+  const handleIdle = () => {
+    setIdleDeadline(null);
+    setIdleLogout({
+      username: (impersonator || currentUser)?.UserLogin || "",
+    });
+    logout();
+  };
+
+  const resetIdleTimer = useIdleTimer({
+    enabled: Boolean(currentUser),
+    timeoutMs: IDLE_TIMEOUT_MS,
+    warningMs: IDLE_WARNING_MS,
+    onWarning: setIdleDeadline,
+    onIdle: handleIdle,
+    onActive: () => setIdleDeadline(null),
+  });
+
+  const handleStaySignedIn = () => {
+    setIdleDeadline(null);
+    resetIdleTimer();
+  };
+
+  const handleIdleLogoutNow = () => {
+    setIdleDeadline(null);
+    logout();
+  };
+
   /**
    * Context value object
-   * Contains current user, loading state, auth type, and logout function
+   * Contains current user, loading state, auth type, permission check,
+   * impersonation state and functions, and logout function
    */
   const value = {
     currentUser,
     loading,
     authType,
+    can,
+    idleLogout,
+    impersonator,
+    canImpersonate:
+      !impersonator &&
+      Boolean(getAdminToken()) &&
+      can(PERMISSIONS.USERS_IMPERSONATE),
+    impersonate,
+    stopImpersonating,
     setLocalAuth,
     logout,
   };
@@ -135,6 +384,20 @@ export const AuthProvider = ({ children }) => {
   return (
     <AuthContext.Provider value={value}>
       {!loading && children}
+      {currentUser && idleDeadline && (
+        <IdleWarningModal
+          deadline={idleDeadline}
+          onStaySignedIn={handleStaySignedIn}
+          onLogout={handleIdleLogoutNow}
+        />
+      )}
+      {currentUser && reauthRequired && (
+        <ReauthModal
+          user={impersonator || currentUser}
+          onAuthenticated={handleReauthenticated}
+          onLogout={logout}
+        />
+      )}
     </AuthContext.Provider>
   );
 };
@@ -0,0 +1,281 @@
+// src/contexts/JobsContext.js
+/**
+ * Jobs Context
+ *
+ * Hosts batch jobs above the routes so they keep running, and keep their
+ * results, when the operator navigates to another page.
+ * - Each page runs one job type at a time; starting a new job replaces the
+ *   finished job of the same type
+ * - A job's `data` holds the page's result lists; pages render from it
+ * - The job tray in Layout lists jobs and links back to their page
+ * - Logging out, or another user logging in, cancels and removes every job
+ */
+
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useRef,
+  useState,
+} from "react";
+import PropTypes from "prop-types";
+import { useAuth } from "./AuthContext";
+import { BATCH_STATES, createBatchProcessor } from "../utils/batchProcessor";
+
+/**
+ * Jobs Context
+ * Holds the job list and the functions that control jobs
+ */
+const JobsContext = createContext();
+
+/**
+ * Check whether a job is still running (or paused)
+ * @param {Object|null} job - Job from the context
+ * @returns {boolean}
+ */
+export const isJobActive = (job) =>
+  job?.progress.state === BATCH_STATES.RUNNING ||
+  job?.progress.state === BATCH_STATES.PAUSED;
+
+/**
+ * Build a job data updater that changes one list in the data
+ * @param {string} listName - Key of the list in the job data
+ * @param {function(Array): Array} update - Returns the new list
+ * @returns {function(Object): Object} Updater for updateData
+ */
+export const updateJobList = (listName, update) => (data) => ({
+  ...data,
+  [listName]: update(data[listName] || []),
+});
+
+/**
+ * Custom hook to use jobs context
+ * @returns {Object} Jobs context value
+ * @returns {Array} jobs - Jobs, newest first
+ * @returns {function} startJob - Start a job (see JobsProvider)
+ * @returns {function} updateJobData - Update the data of a job
+ * @returns {function} pauseJob / resumeJob / cancelJob / dismissJob - Job controls by ID
+ */
+export const useJobs = () => {
+  const context = useContext(JobsContext);
+  if (!context) {
+    throw new Error("useJobs must be used within a JobsProvider");
+  }
+  return context;
+};
+
+/**
+ * Custom hook for the job of one page
+ * @param {string} type - Job type, one per page
+ * @returns {Object} { job, isRunning, isPaused, start, updateData, pause, resume, cancel, dismiss }
+ *   - start(definition): startJob with this type filled in
+ *   - updateData(updater): update the job data; no-op without a job
+ */
+export const useJob = (type) => {
+  const {
+    jobs,
+    startJob,
+    updateJobData,
+    pauseJob,
+    resumeJob,
+    cancelJob,
+    dismissJob,
+  } = useJobs();
+  const job = jobs.find((item) => item.type === type) || null;
+  const jobId = job?.id;
+
+  const start = useCallback(
+    (definition) => startJob({ ...definition, type }),
+    [startJob, type],
+  );
+  const updateData = useCallback(
+    (updater) => jobId && updateJobData(jobId, updater),
+    [jobId, updateJobData],
+  );
+
+  const pause = useCallback(() => pauseJob(jobId), [jobId, pauseJob]);
+  const resume = useCallback(() => resumeJob(jobId), [jobId, resumeJob]);
+  const cancel = useCallback(() => cancelJob(jobId), [jobId, cancelJob]);
+  const dismiss = useCallback(() => dismissJob(jobId), [jobId, dismissJob]);
+
+  return {
+    job,
+    isRunning: isJobActive(job),
+    isPaused: job?.progress.state === BATCH_STATES.PAUSED,
+    start,
+    updateData,
+    pause,
+    resume,
+    cancel,
+    dismiss,
+  };
+};
+
+/**
+ * Jobs Provider Component
+ *
+ * Wraps the routes so jobs outlive the page that started them. Must be
+ * inside AuthProvider.
+ *
+ * @param {Object} props - Component props
+ * @param {ReactNode} props.children - Child components to render
+ */
+export const JobsProvider = ({ children }) => {
+  const [jobs, setJobs] = useState([]);
+  // { type, processor } of running jobs by job ID
+  const processorsRef = useRef(new Map());
+  const jobCounterRef = useRef(0);
+  const { currentUser } = useAuth();
+
+  const patchJob = useCallback((jobId, patch) => {
+    setJobs((prev) =>
+      prev.map((job) =>
+        job.id === jobId
+          ? { ...job, ...(typeof patch === "function" ? patch(job) : patch) }
+          : job,
+      ),
+    );
+  }, []);
+
+  const updateJobData = useCallback(
+    (jobId, updater) => {
+      patchJob(jobId, (job) => ({
+        data: typeof updater === "function" ? updater(job.data) : updater,
+      }));
+    },
+    [patchJob],
+  );
+
+  /**
+   * Start a job
+   *
+   * Callbacks run after the page that started the job may have unmounted,
+   * so they must only write through `updateData`, never to page state.
+   *
+   * @param {Object} definition
+   * @param {string} definition.type - Job type, one per page
+   * @param {string} definition.title - Label shown in the job tray
+   * @param {string} definition.route - Page that shows the job results
+   * @param {Array} definition.items - Items to process
+   * @param {function} definition.worker - Called with (item, { index, signal, updateData })
+   * @param {Object} [definition.initialData] - Initial job data
+   * @param {function} [definition.onItemComplete] - Called in input order with
+   *   (result, { updateData }); see createBatchProcessor
+   * @param {number} [definition.concurrency] - Maximum items in flight
+   * @param {function} [definition.getKey] - Items with the same key run one at a time
+   * @returns {Promise<Object>} Resolves with { results, cancelled }
+   */
+  const startJob = useCallback(
+    ({
+      type,
+      title,
+      route,
+      items,
+      worker,
+      initialData = {},
+      onItemComplete,
+      concurrency,
+      getKey,
+    }) => {
+      // A page never runs two jobs at once; stop any job being replaced
+      processorsRef.current.forEach((running) => {
+        if (running.type === type) {
+          running.processor.cancel();
+        }
+      });
+
+      jobCounterRef.current += 1;
+      const jobId = `${type}-${jobCounterRef.current}`;
+      const updateData = (updater) => updateJobData(jobId, updater);
+
+      const processor = createBatchProcessor(
+        items,
+        (item, context) => worker(item, { ...context, updateData }),
+        {
+          concurrency,
+          getKey,
+          onItemComplete: (result) => onItemComplete?.(result, { updateData }),
+          onProgress: (progress) => patchJob(jobId, { progress }),
+        },
+      );
+      processorsRef.current.set(jobId, { type, processor });
+
+      setJobs((prev) => [
+        {
+          id: jobId,
+          type,
+          title,
+          route,
+          data: initialData,
+          progress: processor.getProgress(),
+          startedAt: Date.now(),
+          finishedAt: null,
+        },
+        ...prev.filter((job) => job.type !== type),
+      ]);
+
+      return processor.run().then((outcome) => {
+        processorsRef.current.delete(jobId);
+        patchJob(jobId, { finishedAt: Date.now() });
+        return outcome;
+      });
+    },
+    [patchJob, updateJobData],
+  );
+
+  const pauseJob = useCallback((jobId) => {
+    processorsRef.current.get(jobId)?.processor.pause();
+  }, []);
+
+  const resumeJob = useCallback((jobId) => {
+    processorsRef.current.get(jobId)?.processor.resume();
+  }, []);
+
+  const cancelJob = useCallback((jobId) => {
+    processorsRef.current.get(jobId)?.processor.cancel();
+  }, []);
+
+  /**
+   * Remove a job and its results; a running job is cancelled first
+   * @param {string} jobId - Job ID
+   */
+  const dismissJob = useCallback((jobId) => {
+    processorsRef.current.get(jobId)?.processor.cancel();
+    setJobs((prev) => prev.filter((job) => job.id !== jobId));
+  }, []);
+
+  // Jobs belong to the user who started them; drop them when the user
+  // logs out or is replaced (possibly from another tab)
+  const userId = currentUser?.UserID ?? null;
+  useEffect(() => {
+    processorsRef.current.forEach((running) => running.processor.cancel());
+    processorsRef.current.clear();
+    setJobs([]);
+  }, [userId]);
+
+  /**
+   * Context value object
+   * Contains the jobs and the job controls
+   */
+  const value = useMemo(
+    () => ({
+      jobs,
+      startJob,
+      updateJobData,
+      pauseJob,
+      resumeJob,
+      cancelJob,
+      dismissJob,
+    }),
+    [jobs, startJob, updateJobData, pauseJob, resumeJob, cancelJob, dismissJob],
+  );
+
+  return <JobsContext.Provider value={value}>{children}</JobsContext.Provider>;
+};
+
+// Prop types for type checking
+JobsProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+};
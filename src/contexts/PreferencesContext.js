@@ -0,0 +1,167 @@
+// src/contexts/PreferencesContext.js
+/**
+ * Preferences Context
+ *
+ * Per-user defaults the operator saves on the Settings page, such as batch
+ * mode or the default ticket status. Pages start from these values instead
+ * of resetting on each visit.
+ * - Preferences are stored by the backend, so they follow the user to any
+ *   station
+ * - They are loaded when a user logs in (or an admin acts as another user)
+ *   and dropped on logout
+ * - Missing or unknown values fall back to DEFAULT_PREFERENCES
+ */
+
+import React, {
+  createContext,
+  useCallback,
+  useContext,
+  useEffect,
+  useMemo,
+  useState,
+} from "react";
+import PropTypes from "prop-types";
+import { useAuth } from "./AuthContext";
+import { DEFAULT_PREFERENCES } from "../config/constants";
+import { apiGet, apiPut } from "../utils/api";
+
+const PREFERENCES_ENDPOINT = "/preferences";
+
+/**
+ * Preferences Context
+ * Holds the current user's preferences and the function that saves them
+ */
+const PreferencesContext = createContext();
+
+/**
+ * Merge stored preferences over the defaults
+ * Keys the client does not know are dropped.
+ * @param {Object} [stored] - Preferences from the backend
+ * @returns {Object} Complete preferences
+ */
+const withDefaults = (stored = {}) =>
+  Object.keys(DEFAULT_PREFERENCES).reduce(
+    (preferences, key) => ({
+      ...preferences,
+      [key]: stored[key] ?? DEFAULT_PREFERENCES[key],
+    }),
+    {},
+  );
+
+/**
+ * Custom hook to use preferences context
+ * @returns {Object} Preferences context value
+ * @returns {Object} preferences - Current user's preferences (see DEFAULT_PREFERENCES)
+ * @returns {boolean} loading - True until the current user's preferences are loaded
+ * @returns {Error|null} error - Why loading failed; the defaults are used meanwhile
+ * @returns {function} savePreferences - Save changed preferences
+ */
+export const usePreferences = () => {
+  const context = useContext(PreferencesContext);
+  if (!context) {
+    throw new Error("usePreferences must be used within a PreferencesProvider");
+  }
+  return context;
+};
+
+/**
+ * Preferences Provider Component
+ *
+ * Wraps the routes so every page reads the same preferences. Must be
+ * inside AuthProvider.
+ *
+ * @param {Object} props - Component props
+ * @param {ReactNode} props.children - Child components to render
+ */
+export const PreferencesProvider = ({ children }) => {
+  const { currentUser } = useAuth();
+  const userId = currentUser?.UserID ?? null;
+  // Preferences of the user they were loaded for
+  const [loaded, setLoaded] = useState({
+    userId: null,
+    preferences: DEFAULT_PREFERENCES,
+    error: null,
+  });
+
+  // Load the preferences of each user that logs in; a late answer for a
+  // previous user is ignored
+  useEffect(() => {
+    if (userId === null) {
+      setLoaded({
+        userId: null,
+        preferences: DEFAULT_PREFERENCES,
+        error: null,
+      });
+      return undefined;
+    }
+
+    let active = true;
+    apiGet(PREFERENCES_ENDPOINT)
+      .then((response) => {
+        if (active) {
+          setLoaded({
+            userId,
+            preferences: withDefaults(response.data?.preferences),
+            error: null,
+          });
+        }
+      })
+      .catch((error) => {
+        console.error("Error loading preferences:", error);
+        if (active) {
+          setLoaded({ userId, preferences: DEFAULT_PREFERENCES, error });
+        }
+      });
+
+    return () => {
+      active = false;
+    };
+  }, [userId]);
+
+  const loading = userId !== null && loaded.userId !== userId;
+  const preferences = loading ? DEFAULT_PREFERENCES : loaded.preferences;
+
+  /**
+   * Save changed preferences
+   * Unchanged preferences keep their current value.
+   * @param {Object} changes - Preferences to change
+   * @returns {Promise<Object>} The saved preferences
+   * @throws {Error} If the backend rejects the change
+   */
+  const savePreferences = useCallback(
+    async (changes) => {
+      const response = await apiPut(PREFERENCES_ENDPOINT, {
+        preferences: withDefaults({ ...preferences, ...changes }),
+      });
+      const saved = withDefaults(response.data?.preferences);
+      setLoaded({ userId, preferences: saved, error: null });
+      return saved;
+    },
+    [preferences, userId],
+  );
+
+  /**
+   * Context value object
+   * Contains the preferences and the function that saves them
+   */
+  const value = useMemo(
+    () => ({
+      preferences,
+      loading,
+      error: loaded.error,
+      savePreferences,
+    }),
+    [preferences, loading, loaded.error, savePreferences],
+  );
+
+  return (
+    <PreferencesContext.Provider value={value}>
+      {children}
+    </PreferencesContext.Provider>
+  );
+};
+
+// Prop types for type checking
+PreferencesProvider.propTypes = {
+  children: PropTypes.node.isRequired,
+};
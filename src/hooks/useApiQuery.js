@@ -0,0 +1,86 @@
+// src/hooks/useApiQuery.js
+/**
+ * useApiQuery Hook
+ *
+ * Loads a read-only API lookup through the shared query cache, so screens
+ * that need the same data share one request and one cached result.
+ */
+
+import { useState, useEffect, useCallback, useRef } from "react";
+import {
+  DEFAULT_QUERY_TTL_MS,
+  fetchQuery,
+  getQuerySnapshot,
+  isQueryFresh,
+  subscribeToQuery,
+} from "../utils/queryCache";
+
+/**
+ * Cached API query
+ *
+ * Refetches automatically when the key is invalidated (see
+ * invalidateQueries) while the component is mounted.
+ *
+ * @param {string} key - Query key, usually the API endpoint
+ * @param {Object} [options]
+ * @param {function} [options.fetcher] - Loads the data; defaults to apiGet(key)
+ * @param {number} [options.ttl] - Time to live in milliseconds
+ * @param {boolean} [options.enabled] - Set to false to skip loading
+ * @returns {Object} { data, error, loading, isFetching, refetch }
+ *   - loading: no data yet and a request is in flight
+ *   - isFetching: any request is in flight, including background refetches
+ */
+const useApiQuery = (
+  key,
+  { fetcher, ttl = DEFAULT_QUERY_TTL_MS, enabled = true } = {},
+) => {
+  const [snapshot, setSnapshot] = useState(() => getQuerySnapshot(key));
+
+  // Keep the latest fetcher without refetching when callers pass an inline function
+  const fetcherRef = useRef(fetcher);
+  useEffect(() => {
+    fetcherRef.current = fetcher;
+  });
+
+  const load = useCallback(
+    (force = false) =>
+      fetchQuery(key, fetcherRef.current, { ttl, force }).catch((error) => {
+        // The error is kept on the cache entry and exposed through `error`
+        console.error(`Query failed [${key}]:`, error);
+      }),
+    [key, ttl],
+  );
+
+  useEffect(() => {
+    setSnapshot(getQuerySnapshot(key));
+
+    if (!enabled) {
+      return undefined;
+    }
+
+    const unsubscribe = subscribeToQuery(key, (nextSnapshot, type) => {
+      setSnapshot(nextSnapshot);
+      if (type === "invalidated") {
+        load();
+      }
+    });
+
+    if (!isQueryFresh(key, ttl)) {
+      load();
+    }
+
+    return unsubscribe;
+  }, [key, ttl, enabled, load]);
+
+  const refetch = useCallback(() => load(true), [load]);
+
+  return {
+    data: snapshot.data,
+    error: snapshot.error,
+    loading: snapshot.isFetching && snapshot.data === undefined,
+    isFetching: snapshot.isFetching,
+    refetch,
+  };
+};
+
+export default useApiQuery;
@@ -0,0 +1,149 @@
+// src/hooks/useIdleTimer.js
+/**
+ * useIdleTimer Hook
+ *
+ * Watches user activity (pointer, keyboard and scanner input) and reports
+ * when the user has been idle long enough to warn, then to log out.
+ * Activity is shared by the open tabs of the app, so a tab left open in the
+ * background does not time out while the user works in another one.
+ */
+
+import { useCallback, useEffect, useRef } from "react";
+
+// Barcode scanners type into the page, so keyboard events count as activity
+const ACTIVITY_EVENTS = [
+  "mousemove",
+  "mousedown",
+  "keydown",
+  "wheel",
+  "touchstart",
+  "scroll",
+];
+
+const CHECK_INTERVAL_MS = 1000;
+
+/**
+ * localStorage key of the last activity in any tab (ms since epoch)
+ * Written at most once per CHECK_INTERVAL_MS.
+ */
+const ACTIVITY_STORAGE_KEY = "lastActivityAt";
+
+/**
+ * Read the last activity recorded by any tab
+ * @returns {number} Ms since epoch, 0 when none is stored
+ */
+const readSharedActivity = () =>
+  parseInt(localStorage.getItem(ACTIVITY_STORAGE_KEY), 10) || 0;
+
+/**
+ * Record activity for the other tabs
+ * @param {number} timestamp - Ms since epoch
+ */
+const writeSharedActivity = (timestamp) => {
+  try {
+    localStorage.setItem(ACTIVITY_STORAGE_KEY, String(timestamp));
+  } catch (error) {
+    // Storage full or disabled: idle time is then measured in this tab only
+  }
+};
+
+/**
+ * Idle timer
+ *
+ * Idle time is measured against the clock rather than with one long timer,
+ * so a sleeping laptop or a throttled background tab still times out on
+ * time. Activity is ignored once the warning is shown; only `reset` (the
+ * "stay signed in" button) ends it, in this tab or another one.
+ *
+ * The idle period is measured from the latest activity of all tabs, so
+ * onIdle only fires once every tab has been idle for the timeout.
+ *
+ * @param {Object} options
+ * @param {boolean} options.enabled - Whether to watch for inactivity
+ * @param {number} options.timeoutMs - Idle time before onIdle
+ * @param {number} options.warningMs - How long before the timeout onWarning fires
+ * @param {function(number)} options.onWarning - Called once with the logout time
+ * @param {function} options.onIdle - Called when the timeout is reached
+ * @param {function} [options.onActive] - Called when activity in another
+ *   tab ends a warning shown in this one
+ * @returns {function} reset - Restart the idle period
+ */
+const useIdleTimer = ({
+  enabled,
+  timeoutMs,
+  warningMs,
+  onWarning,
+  onIdle,
+  onActive,
+}) => {
+  const lastActivityRef = useRef(Date.now());
+  const lastWriteRef = useRef(0);
+  const warnedRef = useRef(false);
+
+  // Keep the latest callbacks without restarting the timer
+  const callbacksRef = useRef({ onWarning, onIdle, onActive });
+  callbacksRef.current = { onWarning, onIdle, onActive };
+
+  const recordActivity = useCallback((force = false) => {
+    const now = Date.now();
+    lastActivityRef.current = now;
+    if (force || now - lastWriteRef.current >= CHECK_INTERVAL_MS) {
+      lastWriteRef.current = now;
+      writeSharedActivity(now);
+    }
+  }, []);
+
+  const reset = useCallback(() => {
+    recordActivity(true);
+    warnedRef.current = false;
+  }, [recordActivity]);
+
+  useEffect(() => {
+    if (!enabled || timeoutMs <= 0) {
+      return undefined;
+    }
+
+    reset();
+
+    const handleActivity = () => {
+      if (!warnedRef.current) {
+        recordActivity();
+      }
+    };
+
+    ACTIVITY_EVENTS.forEach((eventName) =>
+      window.addEventListener(eventName, handleActivity, { passive: true }),
+    );
+
+    const intervalId = setInterval(() => {
+      const sharedActivity = readSharedActivity();
+      if (sharedActivity > lastActivityRef.current) {
+        lastActivityRef.current = sharedActivity;
+      }
+      const idleMs = Date.now() - lastActivityRef.current;
+
+      if (warnedRef.current && idleMs < timeoutMs - warningMs) {
+        // Another tab was used or its "stay signed in" was pressed
+        warnedRef.current = false;
+        callbacksRef.current.onActive?.();
+      } else if (idleMs >= timeoutMs) {
+        clearInterval(intervalId);
+        callbacksRef.current.onIdle();
+      } else if (!warnedRef.current && idleMs >= timeoutMs - warningMs) {
+        warnedRef.current = true;
+        callbacksRef.current.onWarning(lastActivityRef.current + timeoutMs);
+      }
+    }, CHECK_INTERVAL_MS);
+
+    return () => {
+      clearInterval(intervalId);
+      ACTIVITY_EVENTS.forEach((eventName) =>
+        window.removeEventListener(eventName, handleActivity),
+      );
+    };
+  }, [enabled, timeoutMs, warningMs, reset, recordActivity]);
+
+  return reset;
+};
+
+export default useIdleTimer;
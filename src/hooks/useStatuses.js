@@ -0,0 +1,29 @@
+// src/hooks/useStatuses.js
+/**
+ * useStatuses Hook
+ *
+ * Case statuses from statusService, kept current while the screen is
+ * mounted: background refreshes and changes from other tabs re-render it.
+ */
+
+import useApiQuery from "./useApiQuery";
+import { QUERY_TTL_MS } from "../config/constants";
+import { STATUSES_QUERY_KEY, loadStatuses } from "../utils/statusService";
+
+const NO_STATUSES = [];
+
+/**
+ * Case statuses
+ * @returns {Object} { statuses, error, loading, refetch }
+ *   - statuses: status objects, empty until loaded
+ */
+const useStatuses = () => {
+  const { data, error, loading, refetch } = useApiQuery(STATUSES_QUERY_KEY, {
+    fetcher: loadStatuses,
+    ttl: QUERY_TTL_MS.STATUSES,
+  });
+
+  return { statuses: data || NO_STATUSES, error, loading, refetch };
+};
+
+export default useStatuses;
@@ -2,10 +2,32 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { registerAppInterceptors } from './utils/apiInterceptors';
+
+// Station ID, correlation ID, timing and environment hooks for every API call
+registerAppInterceptors();
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
\ No newline at end of file
+
+const renderApp = () => {
+  root.render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>
+  );
+};
+
+// The mock backend is loaded on demand so it stays out of the main bundle.
+// Production builds only use it when built with REACT_APP_USE_MOCK_API.
+if (
+  process.env.REACT_APP_USE_MOCK_API === 'true' ||
+  (process.env.NODE_ENV !== 'production' &&
+    localStorage.getItem('useMockApi') === 'true')
+) {
+  import('./mocks').then(({ startMockApi }) => {
+    startMockApi();
+    renderApp();
+  });
+} else {
+  renderApp();
+}
@@ -0,0 +1,325 @@
+// src/mocks/fixtures.js
+/**
+ * Mock Backend Fixtures
+ *
+ * Seed data for the mock backend. The case IDs below each trigger one
+ * backend outcome, so every branch of every page can be exercised offline:
+ *
+ * Receiving (Shopify Cases Received):
+ * - 10000001, 10000002       case already exists in the database
+ * - 20000001, 20000002       not in the database, order found in Shopify
+ * - 20000404                 not in the database, Shopify returns 404
+ * - 20000500                 Shopify order found, case creation fails
+ *
+ * Shipping (Cases Shipped to Customer):
+ * - 30000001 - 30000003      valid, ready to ship (30000002 is rush)
+ * - 30000010                 invoice not approved for payment
+ * - 30000020                 open ticket
+ * - 30000030                 ship carrier is Payment Default (59)
+ * - any other 8+ digit ID    case not found
+ *
+ * Status updates accept any existing case ID from the lists above.
+ */
+
+export const MOCK_USERS = [
+  {
+    username: "demo",
+    password: "demo",
+    user: {
+      UserID: 1,
+      UserLogin: "demo",
+      UserName: "Demo Operator",
+      email: "demo@example.com",
+      role: "employee",
+    },
+  },
+  {
+    username: "supervisor",
+    password: "supervisor",
+    user: {
+      UserID: 3,
+      UserLogin: "supervisor",
+      UserName: "Demo Supervisor",
+      email: "supervisor@example.com",
+      role: "supervisor",
+    },
+  },
+  {
+    // Requires the access code flow
+    username: "admin",
+    password: "admin",
+    accessCode: "ABC123",
+    user: {
+      UserID: 2,
+      UserLogin: "admin",
+      UserName: "Demo Admin",
+      email: "admin@example.com",
+      role: "admin",
+    },
+  },
+];
+
+export const MOCK_STATUSES = [
+  {
+    Status_ID: 10,
+    Status_Streamline_Options: "Case Received",
+    Email_Template_Id: null,
+    KlaviyoEventName: "",
+    ShopifyTags: "",
+    AssignCaseShipCarrierID: null,
+    MarkRush: false,
+    Default_Scheduled_Status_ID: null,
+  },
+  {
+    Status_ID: 20,
+    Status_Streamline_Options: "In Production",
+    Email_Template_Id: 1,
+    KlaviyoEventName: "Case In Production",
+    ShopifyTags: "in-production",
+    AssignCaseShipCarrierID: null,
+    MarkRush: false,
+    Default_Scheduled_Status_ID: null,
+  },
+  {
+    Status_ID: 30,
+    Status_Streamline_Options: "On Hold - Waiting on Customer",
+    Email_Template_Id: 2,
+    KlaviyoEventName: "Case On Hold",
+    ShopifyTags: "on-hold",
+    AssignCaseShipCarrierID: null,
+    MarkRush: false,
+    Default_Scheduled_Status_ID: 31,
+  },
+  {
+    Status_ID: 31,
+    Status_Streamline_Options: "On Hold - Follow Up Sent",
+    Email_Template_Id: null,
+    KlaviyoEventName: "",
+    ShopifyTags: "on-hold",
+    AssignCaseShipCarrierID: null,
+    MarkRush: false,
+    Default_Scheduled_Status_ID: null,
+  },
+  {
+    Status_ID: 40,
+    Status_Streamline_Options: "Rush - Expedite",
+    Email_Template_Id: null,
+    KlaviyoEventName: "",
+    ShopifyTags: "rush",
+    AssignCaseShipCarrierID: null,
+    MarkRush: true,
+    Default_Scheduled_Status_ID: null,
+  },
+  {
+    Status_ID: 50,
+    Status_Streamline_Options: "Shipped to Customer",
+    Email_Template_Id: 3,
+    KlaviyoEventName: "Case Shipped",
+    ShopifyTags: "shipped",
+    AssignCaseShipCarrierID: 48,
+    MarkRush: false,
+    Default_Scheduled_Status_ID: null,
+  },
+];
+
+export const MOCK_EMAIL_TEMPLATES = [
+  {
+    Email_Template_Id: 1,
+    Title: "Your case is in production",
+    Body: "Hi {{firstName}}, your case {{caseId}} is now in production.",
+  },
+  {
+    Email_Template_Id: 2,
+    Title: "We need a bit more information",
+    Body: "Hi {{firstName}}, we need more information about case {{caseId}}.",
+  },
+  {
+    Email_Template_Id: 3,
+    Title: "Your order has shipped",
+    Body: "Hi {{firstName}}, case {{caseId}} shipped with tracking {{trackingNumber}}.",
+  },
+];
+
+export const MOCK_CARRIERS = [
+  { ID: 16, Name: "USPS Postal Service", CATN: "N" },
+  { ID: 48, Name: "UPS Default 2", CATN: "N" },
+  { ID: 59, Name: "Payment Default", CATN: "N" },
+  { ID: 95, Name: "FedEx Pak", CATN: "N" },
+  { ID: 99, Name: "Customer Pickup", CATN: "Y" },
+];
+
+/**
+ * Build a case record in the shape returned by /cases/receive-case
+ * @param {Object} fields - Case fields to set
+ * @returns {Object}
+ */
+const buildCase = ({
+  caseId,
+  firstName,
+  lastName,
+  statusId = 20,
+  isRush = false,
+  receivedDate = "2026-01-05",
+  invoiceApprovedForPayment = true,
+  openTickets = 0,
+  shipCarrierId = null,
+}) => ({
+  Case_ID: caseId,
+  Case_Patient_First_Name: firstName,
+  Case_Patient_Last_Name: lastName,
+  Status_ID: statusId,
+  Status_Streamline_Options:
+    MOCK_STATUSES.find((status) => status.Status_ID === statusId)
+      ?.Status_Streamline_Options || "Unknown",
+  Case_Date_Received: receivedDate,
+  Last_Status_Update: `${receivedDate}T15:30:00.000Z`,
+  IsRushOrder: isRush,
+  InvoiceApprovedForPayment: invoiceApprovedForPayment,
+  OpenTicketCount: openTickets,
+  ShipCarrierID: shipCarrierId,
+  TrackingNumbers: [],
+});
+
+export const MOCK_CASES = [
+  buildCase({ caseId: "10000001", firstName: "Ava", lastName: "Johnson" }),
+  buildCase({
+    caseId: "10000002",
+    firstName: "Liam",
+    lastName: "Smith",
+    isRush: true,
+  }),
+  buildCase({ caseId: "30000001", firstName: "Noah", lastName: "Brown" }),
+  buildCase({
+    caseId: "30000002",
+    firstName: "Emma",
+    lastName: "Davis",
+    isRush: true,
+  }),
+  buildCase({ caseId: "30000003", firstName: "Mia", lastName: "Wilson" }),
+  buildCase({
+    caseId: "30000010",
+    firstName: "Lucas",
+    lastName: "Moore",
+    invoiceApprovedForPayment: false,
+  }),
+  buildCase({
+    caseId: "30000020",
+    firstName: "Ella",
+    lastName: "Taylor",
+    openTickets: 2,
+  }),
+  buildCase({
+    caseId: "30000030",
+    firstName: "Owen",
+    lastName: "Anderson",
+    shipCarrierId: 59,
+  }),
+];
+
+/**
+ * Shopify orders keyed by order ID (the case ID scanned at receiving)
+ */
+export const MOCK_SHOPIFY_ORDERS = {
+  20000001: {
+    orderId: "20000001",
+    orderNumber: "#20000001",
+    customer: { firstName: "Grace", lastName: "Martin" },
+    email: "grace@example.com",
+    isRush: false,
+    lineItems: [{ title: "Night Guard", quantity: 1 }],
+  },
+  20000002: {
+    orderId: "20000002",
+    orderNumber: "#20000002",
+    customer: { firstName: "Henry", lastName: "Clark" },
+    email: "henry@example.com",
+    isRush: true,
+    lineItems: [{ title: "Retainer", quantity: 2 }],
+  },
+  20000500: {
+    orderId: "20000500",
+    orderNumber: "#20000500",
+    customer: { firstName: "Isla", lastName: "Lewis" },
+    email: "isla@example.com",
+    isRush: false,
+    // Missing line items make case creation fail
+    lineItems: [],
+  },
+};
+
+const RUSH_STATUS_GROUPS = ["Intake", "Production", "Finishing", "Shipping"];
+const RUSH_DOCTORS = ["Dr. Patel", "Dr. Nguyen", "Dr. Garcia", "Dr. Kim"];
+
+/**
+ * Rows for the rush cases report, enough for three pages
+ * @returns {Array<Object>}
+ */
+const buildRushCases = () => {
+  const rows = [];
+  for (let index = 0; index < 45; index += 1) {
+    const receivedDay = String((index % 28) + 1).padStart(2, "0");
+    const receivedMonth = index < 28 ? "01" : "02";
+    rows.push({
+      Case_ID: String(40000001 + index),
+      Customer_Name: `Rush Customer ${index + 1}`,
+      Status: index % 3 === 0 ? "Rush - Expedite" : "In Production",
+      Last_Updated_By: index % 2 === 0 ? "demo" : "admin",
+      Status_Group: RUSH_STATUS_GROUPS[index % RUSH_STATUS_GROUPS.length],
+      Received_Date: `2026-${receivedMonth}-${receivedDay}`,
+      Last_Status_Update: `2026-${receivedMonth}-${receivedDay}T18:00:00.000Z`,
+      Doctor_Name: RUSH_DOCTORS[index % RUSH_DOCTORS.length],
+      Days_Passed_Not_In_Finishing: (index * 7) % 12,
+      Has_1603: index % 5 === 0 ? 1 : 0,
+    });
+  }
+  return rows;
+};
+
+export const MOCK_RUSH_CASES = buildRushCases();
+
+/**
+ * Create a fresh, mutable copy of the fixtures
+ * Handlers change this copy (received cases, shipments, status updates);
+ * the exported fixtures are never modified.
+ * @returns {Object} Mock database
+ */
+export const createMockDb = () => ({
+  users: MOCK_USERS.map((entry) => ({
+    ...entry,
+    user: { ...entry.user },
+    active: true,
+    lastLoginAt: null,
+  })),
+  statuses: MOCK_STATUSES.map((status) => ({ ...status })),
+  // Bumped whenever the statuses change (see GET /status/statuses/version)
+  statusesVersion: 1,
+  // Title and Body are the published version; Draft holds unpublished edits
+  emailTemplates: MOCK_EMAIL_TEMPLATES.map((template) => ({
+    ...template,
+    Version: 1,
+    PublishedAt: null,
+    PublishedBy: null,
+    Draft: null,
+  })),
+  carriers: MOCK_CARRIERS.map((carrier) => ({ ...carrier })),
+  cases: MOCK_CASES.map((caseRecord) => ({
+    ...caseRecord,
+    TrackingNumbers: [...caseRecord.TrackingNumbers],
+  })),
+  shopifyOrders: { ...MOCK_SHOPIFY_ORDERS },
+  rushCases: MOCK_RUSH_CASES.map((row) => ({ ...row })),
+  passwordResets: [],
+  accessCodeChallenges: [],
+  trustedDevices: [],
+  // Today's counts per UserID: { casesReceivedToday, casesShippedToday }
+  userStats: {},
+  // Saved preferences per UserID
+  preferences: {},
+  stats: {
+    casesReceivedToday: 0,
+    casesShippedToday: 0,
+    casesShippedThisWeek: 12,
+    casesShippedAllUsersToday: 7,
+    casesShippedAllUsersThisWeek: 84,
+  },
+});
@@ -0,0 +1,1435 @@
+// src/mocks/handlers.js
+/**
+ * Mock Backend Route Handlers
+ *
+ * One handler per backend route the client calls. Handlers receive the
+ * parsed request and the mutable mock database and return
+ * { status, body, headers }. Response shapes mirror the real server.
+ */
+
+import { API_ERROR_CODES } from "../config/constants";
+import { hasPermission, PERMISSIONS, ROLES } from "../config/permissions";
+import { checkPassword } from "../utils/passwordPolicy";
+import { normalizeStatus, validateStatus } from "../utils/statusConfig";
+import {
+  findMissingVariables,
+  renderTemplate,
+  validateTemplate,
+} from "../utils/emailTemplates";
+
+const RUSH_PAGE_SIZE = 20;
+const PAYMENT_DEFAULT_CARRIER_ID = 59;
+const SHIPPED_STATUS_ID = 50;
+// Short enough to see the silent refresh happen while clicking around
+const MOCK_TOKEN_TTL_SECONDS = 15 * 60;
+const ADMIN_TOKEN_TTL_SECONDS = 8 * 60 * 60;
+const ACCESS_CODE_TTL_SECONDS = 10 * 60;
+const ACCESS_CODE_RESEND_SECONDS = 30;
+const ACCESS_CODE_MAX_RESENDS = 3;
+const TRUSTED_DEVICE_DAYS = 30;
+// Every mock reset email carries this code
+const MOCK_RESET_CODE = "XYZ789";
+const RESET_CODE_TTL_MS = 15 * 60 * 1000;
+// Set-password links sent by admins (new accounts, password resets)
+const PASSWORD_LINK_TTL_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Successful JSON response
+ * @param {*} data - Value for the `data` field
+ * @param {Object} [extra] - Extra top-level fields
+ * @returns {Object}
+ */
+const ok = (data, extra = {}) => ({
+  status: 200,
+  body: { status: "success", data, ...extra },
+});
+
+/**
+ * Error JSON response
+ * @param {number} status - HTTP status
+ * @param {string} code - Error code
+ * @param {string} message - Error message
+ * @param {Object} [data] - Extra error payload
+ * @returns {Object}
+ */
+const fail = (status, code, message, data) => ({
+  status,
+  body: { status: "error", code, message, ...(data ? { data } : {}) },
+});
+
+const encodeTokenPart = (value) =>
+  btoa(JSON.stringify(value))
+    .replace(/=+$/, "")
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_");
+
+/**
+ * Read the payload of a JWT without verifying it
+ * @param {string} token - JWT
+ * @returns {Object|null}
+ */
+const decodeTokenPayload = (token) => {
+  try {
+    const payload = String(token).split(".")[1];
+    return JSON.parse(atob(payload.replace(/-/g, "+").replace(/_/g, "/")));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Create an unsigned JWT for a mock user
+ * @param {Object} user - Mock user record
+ * @param {Object} [claims] - Extra claims (`act`: impersonating admin,
+ *   `scope: "admin"`: admin token)
+ * @param {number} [ttlSeconds] - Lifetime
+ * @returns {string}
+ */
+const createMockToken = (
+  user,
+  claims = {},
+  ttlSeconds = MOCK_TOKEN_TTL_SECONDS,
+) =>
+  [
+    encodeTokenPart({ alg: "none", typ: "JWT" }),
+    encodeTokenPart({
+      ...claims,
+      sub: user.UserLogin,
+      exp: Math.floor(Date.now() / 1000) + ttlSeconds,
+    }),
+    "mock",
+  ].join(".");
+
+/**
+ * Find the logged-in user from the Authorization header
+ * @param {Object} request - Parsed request
+ * @param {Object} db - Mock database
+ * @returns {Object|null} User or null when the token is missing, unknown
+ *   or expired
+ */
+const getRequestUser = (request, db) => {
+  const header = request.headers.Authorization || "";
+  const payload = decodeTokenPayload(header.replace(/^Bearer\s+/i, ""));
+  if (!payload?.sub || payload.exp * 1000 <= Date.now()) {
+    return null;
+  }
+
+  return (
+    db.users.find(
+      (entry) => entry.active && entry.user.UserLogin === payload.sub,
+    )?.user || null
+  );
+};
+
+/**
+ * Add to one of today's counts of a user
+ * @param {Object} db - Mock database
+ * @param {Object|null} user - User record
+ * @param {string} field - "casesReceivedToday" or "casesShippedToday"
+ * @param {number} amount - Amount to add
+ */
+const addUserStat = (db, user, field, amount) => {
+  if (!user) {
+    return;
+  }
+
+  const stats = db.userStats[user.UserID] || {
+    casesReceivedToday: 0,
+    casesShippedToday: 0,
+  };
+  stats[field] += amount;
+  db.userStats[user.UserID] = stats;
+};
+
+const findCase = (db, caseId) =>
+  db.cases.find((caseRecord) => caseRecord.Case_ID === String(caseId));
+
+const getStatusName = (db, statusId) =>
+  db.statuses.find((status) => status.Status_ID === statusId)
+    ?.Status_Streamline_Options || "Unknown";
+
+const getCustomerName = (caseRecord) =>
+  [caseRecord.Case_Patient_First_Name, caseRecord.Case_Patient_Last_Name]
+    .filter(Boolean)
+    .join(" ");
+
+/**
+ * Find the admin from the X-Admin-Token header
+ * @param {Object} request - Parsed request
+ * @param {Object} db - Mock database
+ * @returns {Object|null} Admin user or null when the token is missing,
+ *   expired or no longer belongs to an admin
+ */
+const getAdminUser = (request, db) => {
+  const payload = decodeTokenPayload(request.headers["X-Admin-Token"]);
+  if (payload?.scope !== "admin" || payload.exp * 1000 <= Date.now()) {
+    return null;
+  }
+
+  const admin = db.users.find(
+    (candidate) => candidate.user.UserLogin === payload.sub,
+  )?.user;
+  return hasPermission(admin, PERMISSIONS.USERS_IMPERSONATE) ? admin : null;
+};
+
+/**
+ * Public fields of a pending access code challenge
+ * @param {Object} challenge - Challenge entry
+ * @returns {Object} Response data
+ */
+const describeChallenge = (challenge) => ({
+  challengeId: challenge.id,
+  email: challenge.email,
+  expiresInSeconds: Math.ceil((challenge.expiresAt - Date.now()) / 1000),
+  resendInSeconds: Math.max(
+    0,
+    Math.ceil((challenge.resendAvailableAt - Date.now()) / 1000),
+  ),
+  trustDeviceDays: TRUSTED_DEVICE_DAYS,
+});
+
+/**
+ * Start a new access code challenge for a user, replacing any pending one
+ * @param {Object} db - Mock database
+ * @param {Object} entry - Mock user entry
+ * @returns {Object} Response
+ */
+const startAccessCodeChallenge = (db, entry) => {
+  const now = Date.now();
+  const challenge = {
+    id: `mock-challenge.${entry.username}.${now}`,
+    username: entry.username,
+    email: entry.user.email,
+    expiresAt: now + ACCESS_CODE_TTL_SECONDS * 1000,
+    resendAvailableAt: now + ACCESS_CODE_RESEND_SECONDS * 1000,
+    resends: 0,
+  };
+  db.accessCodeChallenges = [
+    ...db.accessCodeChallenges.filter(
+      (candidate) => candidate.username !== entry.username,
+    ),
+    challenge,
+  ];
+
+  return {
+    status: 200,
+    body: {
+      status: "access_code_required",
+      message: "An access code has been sent to your email",
+      data: describeChallenge(challenge),
+    },
+  };
+};
+
+/**
+ * Finish a mock login: ask for the access code when the user has one and
+ * the device is not trusted, then issue the session
+ * @param {Object} db - Mock database
+ * @param {Object} entry - Mock user entry
+ * @param {Object} body - Request body ({ accessCode, trustDevice, deviceToken })
+ * @returns {Object} Response
+ */
+const issueSession = (db, entry, { accessCode, trustDevice, deviceToken }) => {
+  if (!entry.active) {
+    return fail(
+      403,
+      API_ERROR_CODES.FORBIDDEN,
+      "This account has been deactivated",
+    );
+  }
+
+  const session = { token: createMockToken(entry.user), user: entry.user };
+  const complete = (data) => {
+    entry.lastLoginAt = new Date().toISOString();
+    return ok(data);
+  };
+  if (hasPermission(entry.user, PERMISSIONS.USERS_IMPERSONATE)) {
+    session.adminToken = createMockToken(
+      entry.user,
+      { scope: "admin" },
+      ADMIN_TOKEN_TTL_SECONDS,
+    );
+  }
+
+  if (!entry.accessCode) {
+    return complete(session);
+  }
+
+  const trusted = db.trustedDevices.some(
+    (device) =>
+      device.token === deviceToken &&
+      device.username === entry.username &&
+      device.expiresAt > Date.now(),
+  );
+  if (trusted) {
+    return complete(session);
+  }
+
+  if (!accessCode) {
+    return startAccessCodeChallenge(db, entry);
+  }
+
+  const challenge = db.accessCodeChallenges.find(
+    (candidate) => candidate.username === entry.username,
+  );
+  if (!challenge || challenge.expiresAt <= Date.now()) {
+    return fail(
+      401,
+      API_ERROR_CODES.UNAUTHORIZED,
+      "The access code has expired. Send a new one.",
+    );
+  }
+  if (String(accessCode).toUpperCase() !== entry.accessCode) {
+    return fail(401, API_ERROR_CODES.UNAUTHORIZED, "Invalid access code");
+  }
+
+  db.accessCodeChallenges = db.accessCodeChallenges.filter(
+    (candidate) => candidate !== challenge,
+  );
+
+  if (!trustDevice) {
+    return complete(session);
+  }
+
+  const device = {
+    token: `mock-device.${entry.username}.${Date.now()}`,
+    username: entry.username,
+    expiresAt: Date.now() + TRUSTED_DEVICE_DAYS * 24 * 60 * 60 * 1000,
+  };
+  db.trustedDevices.push(device);
+  return complete({ ...session, deviceToken: device.token });
+};
+
+const resendAccessCode = (request, db) => {
+  const challenge = db.accessCodeChallenges.find(
+    (candidate) => candidate.id === request.body?.challengeId,
+  );
+
+  if (!challenge) {
+    return fail(
+      400,
+      API_ERROR_CODES.BAD_REQUEST,
+      "This login attempt has ended. Sign in again to get a new code.",
+    );
+  }
+
+  const waitSeconds = Math.ceil(
+    (challenge.resendAvailableAt - Date.now()) / 1000,
+  );
+  if (waitSeconds > 0) {
+    return fail(
+      429,
+      API_ERROR_CODES.TOO_MANY_REQUESTS,
+      `Please wait ${waitSeconds}s before requesting another code.`,
+      { resendInSeconds: waitSeconds },
+    );
+  }
+  if (challenge.resends >= ACCESS_CODE_MAX_RESENDS) {
+    return fail(
+      429,
+      API_ERROR_CODES.TOO_MANY_REQUESTS,
+      "Too many codes requested. Sign in again later.",
+    );
+  }
+
+  const now = Date.now();
+  challenge.resends += 1;
+  challenge.expiresAt = now + ACCESS_CODE_TTL_SECONDS * 1000;
+  challenge.resendAvailableAt = now + ACCESS_CODE_RESEND_SECONDS * 1000;
+
+  return ok(describeChallenge(challenge));
+};
+
+const login = (request, db) => {
+  const { username, password } = request.body || {};
+  const entry = db.users.find(
+    (candidate) =>
+      candidate.username === username && candidate.password === password,
+  );
+
+  if (!entry) {
+    return fail(
+      401,
+      API_ERROR_CODES.UNAUTHORIZED,
+      "Invalid username or password",
+    );
+  }
+
+  return issueSession(db, entry, request.body);
+};
+
+const googleLogin = (request, db) => {
+  const { idToken } = request.body || {};
+
+  if (!idToken) {
+    return fail(
+      401,
+      API_ERROR_CODES.UNAUTHORIZED,
+      "Google sign-in token is missing",
+    );
+  }
+
+  const email = decodeTokenPayload(idToken)?.email;
+  const entry = db.users.find(
+    (candidate) =>
+      candidate.user.email.toLowerCase() === String(email).toLowerCase(),
+  );
+
+  if (!entry) {
+    return fail(
+      403,
+      API_ERROR_CODES.FORBIDDEN,
+      "No account is linked to this Google address",
+    );
+  }
+
+  return issueSession(db, entry, request.body);
+};
+
+// Mock tokens are not stored, so there is nothing to revoke
+const logout = () => ok(null);
+
+// An impersonation token stays one after a refresh
+const refreshToken = (request, db) => {
+  const { act } = decodeTokenPayload(
+    request.headers.Authorization.replace(/^Bearer\s+/i, ""),
+  );
+  return ok({
+    token: createMockToken(getRequestUser(request, db), act ? { act } : {}),
+  });
+};
+
+const getImpersonationUsers = (request, db) => {
+  const admin = getAdminUser(request, db);
+  if (!admin) {
+    return fail(403, API_ERROR_CODES.FORBIDDEN, "Admin token is missing");
+  }
+
+  return ok({
+    users: db.users
+      .filter((entry) => entry.active && entry.user.UserID !== admin.UserID)
+      .map(({ user }) => ({
+        UserID: user.UserID,
+        UserLogin: user.UserLogin,
+        UserName: user.UserName,
+        email: user.email,
+        role: user.role,
+      })),
+  });
+};
+
+const impersonate = (request, db) => {
+  const admin = getAdminUser(request, db);
+  if (!admin) {
+    return fail(403, API_ERROR_CODES.FORBIDDEN, "Admin token is missing");
+  }
+
+  const target = db.users.find(
+    (entry) =>
+      entry.active && entry.user.UserID === Number(request.body?.userId),
+  );
+  if (!target) {
+    return fail(404, API_ERROR_CODES.NOT_FOUND, "User not found");
+  }
+  if (target.user.UserID === admin.UserID) {
+    return fail(400, API_ERROR_CODES.BAD_REQUEST, "You are already this user");
+  }
+
+  return ok({
+    token: createMockToken(target.user, { act: admin.UserLogin }),
+    user: target.user,
+  });
+};
+
+// Only the admin token is checked: the impersonation JWT may have expired
+const endImpersonation = (request, db) => {
+  const admin = getAdminUser(request, db);
+  if (!admin) {
+    return fail(
+      401,
+      API_ERROR_CODES.UNAUTHORIZED,
+      "Your admin session has expired. Log in again.",
+    );
+  }
+
+  return ok({
+    token: createMockToken(admin),
+    user: admin,
+    adminToken: request.headers["X-Admin-Token"],
+  });
+};
+
+/**
+ * Find the unexpired password reset matching a predicate
+ * @param {Object} db - Mock database
+ * @param {function(Object): boolean} predicate - Reset matcher
+ * @returns {Object|undefined} Reset entry
+ */
+const findPasswordReset = (db, predicate) =>
+  db.passwordResets.find(
+    (reset) => reset.expiresAt > Date.now() && predicate(reset),
+  );
+
+const forgotPassword = (request, db) => {
+  const identifier = String(request.body?.identifier || "").toLowerCase();
+  const entry = db.users.find(
+    (candidate) =>
+      candidate.username.toLowerCase() === identifier ||
+      candidate.user.email.toLowerCase() === identifier,
+  );
+
+  // Same answer either way, so the endpoint cannot be used to find accounts
+  if (entry) {
+    db.passwordResets = db.passwordResets.filter(
+      (reset) => reset.username !== entry.username,
+    );
+    db.passwordResets.push({
+      username: entry.username,
+      identifier,
+      code: MOCK_RESET_CODE,
+      resetToken: null,
+      expiresAt: Date.now() + RESET_CODE_TTL_MS,
+    });
+  }
+
+  return ok(null);
+};
+
+const verifyPasswordResetCode = (request, db) => {
+  const identifier = String(request.body?.identifier || "").toLowerCase();
+  const code = String(request.body?.code || "").toUpperCase();
+  const reset = findPasswordReset(
+    db,
+    (candidate) =>
+      candidate.identifier === identifier && candidate.code === code,
+  );
+
+  if (!reset) {
+    return fail(
+      400,
+      API_ERROR_CODES.BAD_REQUEST,
+      "The reset code is invalid or has expired",
+    );
+  }
+
+  reset.resetToken = `mock-reset.${reset.username}.${Date.now()}`;
+  return ok({ resetToken: reset.resetToken, username: reset.username });
+};
+
+const resetPassword = (request, db) => {
+  const { resetToken, password } = request.body || {};
+  const reset =
+    resetToken &&
+    findPasswordReset(db, (candidate) => candidate.resetToken === resetToken);
+
+  if (!reset) {
+    return fail(
+      400,
+      API_ERROR_CODES.BAD_REQUEST,
+      "The reset link is invalid or has expired. Request a new code.",
+    );
+  }
+
+  if (!checkPassword(password, { username: reset.username }).valid) {
+    return fail(
+      400,
+      API_ERROR_CODES.BAD_REQUEST,
+      "The new password does not meet the password policy",
+    );
+  }
+
+  const entry = db.users.find(
+    (candidate) => candidate.username === reset.username,
+  );
+  entry.password = password;
+  db.passwordResets = db.passwordResets.filter(
+    (candidate) => candidate !== reset,
+  );
+
+  return ok({ username: entry.username });
+};
+
+/**
+ * "Email" a set-password link to a user
+ * The mock cannot send mail, so the link is logged to the console.
+ * @param {Object} db - Mock database
+ * @param {Object} entry - Mock user entry
+ */
+const sendPasswordLink = (db, entry) => {
+  const resetToken = `mock-reset.${entry.username}.${Date.now()}`;
+  db.passwordResets = [
+    ...db.passwordResets.filter((reset) => reset.username !== entry.username),
+    {
+      username: entry.username,
+      identifier: null,
+      code: null,
+      resetToken,
+      expiresAt: Date.now() + PASSWORD_LINK_TTL_MS,
+    },
+  ];
+  console.info(
+    `[mock] Set-password link for ${entry.user.email}: /forgot-password?token=${resetToken}`,
+  );
+};
+
+/**
+ * User as listed on the Users page
+ * @param {Object} db - Mock database
+ * @param {Object} entry - Mock user entry
+ * @returns {Object}
+ */
+const describeUser = (db, entry) => ({
+  UserID: entry.user.UserID,
+  UserLogin: entry.user.UserLogin,
+  UserName: entry.user.UserName,
+  email: entry.user.email,
+  role: entry.user.role,
+  active: entry.active,
+  lastLoginAt: entry.lastLoginAt,
+  casesReceivedToday: db.userStats[entry.user.UserID]?.casesReceivedToday || 0,
+  casesShippedToday: db.userStats[entry.user.UserID]?.casesShippedToday || 0,
+});
+
+const findUserEntry = (db, userId) =>
+  db.users.find((entry) => entry.user.UserID === Number(userId));
+
+const listUsers = (request, db) =>
+  ok({ users: db.users.map((entry) => describeUser(db, entry)) });
+
+const createUser = (request, db) => {
+  const { UserLogin, UserName, email, role } = request.body || {};
+  const login = String(UserLogin || "").trim();
+  const address = String(email || "").trim();
+
+  if (!login || !String(UserName || "").trim() || !address) {
+    return fail(
+      400,
+      API_ERROR_CODES.BAD_REQUEST,
+      "Login, name and email are required",
+    );
+  }
+  if (!Object.values(ROLES).includes(role)) {
+    return fail(400, API_ERROR_CODES.BAD_REQUEST, "Unknown role");
+  }
+  if (
+    db.users.some(
+      (entry) =>
+        entry.username.toLowerCase() === login.toLowerCase() ||
+        entry.user.email.toLowerCase() === address.toLowerCase(),
+    )
+  ) {
+    return fail(
+      409,
+      API_ERROR_CODES.CONFLICT,
+      "A user with this login or email already exists",
+    );
+  }
+
+  const entry = {
+    username: login,
+    password: null,
+    user: {
+      UserID: Math.max(...db.users.map((other) => other.user.UserID)) + 1,
+      UserLogin: login,
+      UserName: String(UserName).trim(),
+      email: address,
+      role,
+    },
+    active: true,
+    lastLoginAt: null,
+  };
+  db.users.push(entry);
+  sendPasswordLink(db, entry);
+
+  return ok({ user: describeUser(db, entry) });
+};
+
+// Role and active flag; admins cannot lock themselves out
+const updateUser = (request, db) => {
+  const entry = findUserEntry(db, request.params.id);
+  const { role, active } = request.body || {};
+
+  if (!entry) {
+    return fail(404, API_ERROR_CODES.NOT_FOUND, "User not found");
+  }
+  if (role !== undefined && !Object.values(ROLES).includes(role)) {
+    return fail(400, API_ERROR_CODES.BAD_REQUEST, "Unknown role");
+  }
+  if (
+    entry.user.UserID === getRequestUser(request, db)?.UserID &&
+    ((role !== undefined && role !== entry.user.role) || active === false)
+  ) {
+    return fail(
+      400,
+      API_ERROR_CODES.BAD_REQUEST,
+      "You cannot change your own role or deactivate yourself",
+    );
+  }
+
+  if (role !== undefined) {
+    entry.user.role = role;
+  }
+  if (active !== undefined) {
+    entry.active = Boolean(active);
+  }
+
+  return ok({ user: describeUser(db, entry) });
+};
+
+const sendUserPasswordReset = (request, db) => {
+  const entry = findUserEntry(db, request.params.id);
+
+  if (!entry) {
+    return fail(404, API_ERROR_CODES.NOT_FOUND, "User not found");
+  }
+  if (!entry.active) {
+    return fail(
+      400,
+      API_ERROR_CODES.BAD_REQUEST,
+      "Reactivate the user before resetting their password",
+    );
+  }
+
+  sendPasswordLink(db, entry);
+  return ok({ email: entry.user.email });
+};
+
+// The client fills in missing preferences with its defaults
+const getPreferences = (request, db) =>
+  ok({
+    preferences: db.preferences[getRequestUser(request, db).UserID] || {},
+  });
+
+const savePreferences = (request, db) => {
+  const { preferences } = request.body || {};
+
+  if (!preferences || typeof preferences !== "object") {
+    return fail(400, API_ERROR_CODES.BAD_REQUEST, "Preferences are required");
+  }
+
+  db.preferences[getRequestUser(request, db).UserID] = { ...preferences };
+  return ok({ preferences });
+};
+
+// The version changes whenever the statuses do, like an ETag
+const getStatuses = (request, db) =>
+  ok({ statuses: db.statuses, version: String(db.statusesVersion) });
+
+const getStatusesVersion = (request, db) =>
+  ok({ version: String(db.statusesVersion) });
+
+/**
+ * Validate and store a created or edited status
+ * @param {Object} request - Request with the status in the body
+ * @param {Object} db - Mock database
+ * @param {Object|null} existing - Status being edited, null to create one
+ * @returns {Object} Response
+ */
+const saveStatus = (request, db, existing) => {
+  const status = normalizeStatus({
+    ...request.body,
+    Status_ID: existing ? existing.Status_ID : request.body?.Status_ID,
+  });
+  const errors = validateStatus(status, {
+    statuses: db.statuses,
+    templates: db.emailTemplates,
+    carriers: db.carriers,
+    isNew: !existing,
+  });
+
+  if (Object.keys(errors).length > 0) {
+    return fail(400, API_ERROR_CODES.BAD_REQUEST, Object.values(errors)[0], {
+      errors,
+    });
+  }
+
+  if (existing) {
+    Object.assign(existing, status);
+  } else {
+    db.statuses.push(status);
+  }
+  db.statusesVersion += 1;
+  return ok({ status });
+};
+
+const createStatus = (request, db) => saveStatus(request, db, null);
+
+const updateStatus = (request, db) => {
+  const existing = db.statuses.find(
+    (candidate) => String(candidate.Status_ID) === request.params.id,
+  );
+
+  if (!existing) {
+    return fail(404, API_ERROR_CODES.NOT_FOUND, "Status not found");
+  }
+
+  return saveStatus(request, db, existing);
+};
+
+const listEmailTemplates = (request, db) =>
+  ok({ templates: db.emailTemplates });
+
+const findEmailTemplate = (db, templateId) =>
+  db.emailTemplates.find(
+    (candidate) => String(candidate.Email_Template_Id) === templateId,
+  );
+
+const templateNotFound = () =>
+  fail(404, API_ERROR_CODES.NOT_FOUND, "Email template not found");
+
+const getEmailTemplate = (request, db) => {
+  const template = findEmailTemplate(db, request.params.id);
+
+  if (!template) {
+    return templateNotFound();
+  }
+
+  return ok({ template });
+};
+
+// Drafts are never sent; only publishing changes the emails customers get
+const saveEmailTemplateDraft = (request, db) => {
+  const template = findEmailTemplate(db, request.params.id);
+  const { Title = "", Body = "" } = request.body || {};
+
+  if (!template) {
+    return templateNotFound();
+  }
+
+  template.Draft = {
+    Title,
+    Body,
+    UpdatedAt: new Date().toISOString(),
+    UpdatedBy: getRequestUser(request, db).UserName,
+  };
+  return ok({ template });
+};
+
+const discardEmailTemplateDraft = (request, db) => {
+  const template = findEmailTemplate(db, request.params.id);
+
+  if (!template) {
+    return templateNotFound();
+  }
+
+  template.Draft = null;
+  return ok({ template });
+};
+
+const publishEmailTemplate = (request, db) => {
+  const template = findEmailTemplate(db, request.params.id);
+
+  if (!template) {
+    return templateNotFound();
+  }
+  if (!template.Draft) {
+    return fail(
+      400,
+      API_ERROR_CODES.BAD_REQUEST,
+      "There is no draft to publish",
+    );
+  }
+
+  const problems = validateTemplate(template.Draft);
+  if (problems.length > 0) {
+    return fail(400, API_ERROR_CODES.BAD_REQUEST, problems[0], { problems });
+  }
+
+  template.Title = template.Draft.Title;
+  template.Body = template.Draft.Body;
+  template.Version += 1;
+  template.PublishedAt = new Date().toISOString();
+  template.PublishedBy = getRequestUser(request, db).UserName;
+  template.Draft = null;
+  return ok({ template });
+};
+
+const updateCaseStatus = (request, db) => {
+  const { caseId, statusId, sendEmail, ticketStatus, markRush } =
+    request.body || {};
+  const caseRecord = findCase(db, caseId);
+
+  if (!caseRecord) {
+    return fail(
+      404,
+      API_ERROR_CODES.CASE_NOT_FOUND,
+      `Case ${caseId} not found`,
+    );
+  }
+
+  const status = db.statuses.find(
+    (candidate) => candidate.Status_ID === statusId,
+  );
+  caseRecord.Status_ID = statusId;
+  caseRecord.Status_Streamline_Options = getStatusName(db, statusId);
+  caseRecord.Last_Status_Update = new Date().toISOString();
+  if (markRush) {
+    caseRecord.IsRushOrder = true;
+  }
+
+  return ok({
+    caseId: caseRecord.Case_ID,
+    customerName: getCustomerName(caseRecord),
+    isRush: caseRecord.IsRushOrder,
+    // "check", "x", "pending" or "na", as CaseStatusUpdate displays them
+    processingResults: {
+      ticketCreated: ticketStatus === "open" ? "check" : "na",
+      orderTimeline: "check",
+      orderTag: status?.ShopifyTags ? "check" : "na",
+      klaviyoEvent: status?.KlaviyoEventName ? "check" : "na",
+      emailSent: status?.Email_Template_Id && sendEmail ? "check" : "na",
+    },
+  });
+};
+
+// Renders the published template, the version the update would send
+const previewStatusEmails = (request, db) => {
+  const { caseIds = [], emailTemplateId } = request.body || {};
+  const template = findEmailTemplate(db, String(emailTemplateId));
+
+  if (!template) {
+    return templateNotFound();
+  }
+
+  const previews = caseIds.map((caseId) => {
+    const caseRecord = findCase(db, caseId);
+    if (!caseRecord) {
+      return { caseId: String(caseId), found: false };
+    }
+
+    const values = {
+      firstName: caseRecord.Case_Patient_First_Name,
+      lastName: caseRecord.Case_Patient_Last_Name,
+      caseId: caseRecord.Case_ID,
+      trackingNumber: caseRecord.TrackingNumbers.at(-1) || "",
+    };
+    return {
+      caseId: caseRecord.Case_ID,
+      found: true,
+      customerName: getCustomerName(caseRecord),
+      subject: renderTemplate(template.Title, values),
+      body: renderTemplate(template.Body, values),
+      missingVariables: findMissingVariables(
+        `${template.Title}\n${template.Body}`,
+        values,
+      ),
+    };
+  });
+
+  return ok({ previews });
+};
+
+const receiveCase = (request, db) => {
+  const caseRecord = findCase(db, request.body?.caseId);
+
+  if (!caseRecord) {
+    return ok({ exists: false });
+  }
+
+  return ok({ exists: true, caseData: caseRecord });
+};
+
+const fetchShopifyOrder = (request, db) => {
+  const orderId = String(request.body?.orderId || "");
+  const orderData = db.shopifyOrders[orderId];
+
+  if (!orderData) {
+    return fail(
+      404,
+      API_ERROR_CODES.SHOPIFY_ORDER_NOT_FOUND,
+      `Order ${orderId} not found in Shopify`,
+    );
+  }
+
+  return ok({ orderData });
+};
+
+const createCase = (request, db) => {
+  const orderData = request.body?.orderData;
+
+  if (!orderData?.orderId) {
+    return fail(400, API_ERROR_CODES.BAD_REQUEST, "Order data is required");
+  }
+
+  if (findCase(db, orderData.orderId)) {
+    return fail(
+      409,
+      API_ERROR_CODES.CONFLICT,
+      `Case ${orderData.orderId} already exists`,
+    );
+  }
+
+  if (!Array.isArray(orderData.lineItems) || orderData.lineItems.length === 0) {
+    return {
+      status: 200,
+      body: {
+        status: "error",
+        code: "CASE_CREATION_ERROR",
+        message: "Order has no line items to create a case from",
+      },
+    };
+  }
+
+  const today = new Date().toISOString().slice(0, 10);
+  db.cases.push({
+    Case_ID: orderData.orderId,
+    Case_Patient_First_Name: orderData.customer?.firstName || "",
+    Case_Patient_Last_Name: orderData.customer?.lastName || "",
+    Status_ID: 10,
+    Status_Streamline_Options: getStatusName(db, 10),
+    Case_Date_Received: today,
+    Last_Status_Update: new Date().toISOString(),
+    IsRushOrder: Boolean(orderData.isRush),
+    InvoiceApprovedForPayment: true,
+    OpenTicketCount: 0,
+    ShipCarrierID: null,
+    TrackingNumbers: [],
+  });
+  db.stats.casesReceivedToday += 1;
+  addUserStat(db, getRequestUser(request, db), "casesReceivedToday", 1);
+
+  return ok({ caseId: orderData.orderId });
+};
+
+const getCaseUserStats = (request, db) => {
+  const user = getRequestUser(request, db);
+  return ok({
+    totalCaseReceivedToday: db.stats.casesReceivedToday,
+    userName: user?.UserName || "",
+  });
+};
+
+const getCarriers = (request, db) => ok({ carriers: db.carriers });
+
+const getShippingUserStats = (request, db) => {
+  const user = getRequestUser(request, db);
+  return ok({
+    totalCaseShippedToday: db.stats.casesShippedToday,
+    totalCaseShippedThisWeek: db.stats.casesShippedThisWeek,
+    totalCaseShippedAllUsersToday: db.stats.casesShippedAllUsersToday,
+    totalCaseShippedAllUsersThisWeek: db.stats.casesShippedAllUsersThisWeek,
+    userName: user?.UserName || "",
+  });
+};
+
+const validateShippingCase = (request, db) => {
+  const caseId = request.body?.caseId;
+  const caseRecord = findCase(db, caseId);
+
+  if (!caseRecord) {
+    return fail(
+      404,
+      API_ERROR_CODES.CASE_NOT_FOUND,
+      `Case ${caseId} not found`,
+    );
+  }
+
+  const isPaymentDefault =
+    caseRecord.ShipCarrierID === PAYMENT_DEFAULT_CARRIER_ID;
+  const valid =
+    !isPaymentDefault &&
+    caseRecord.InvoiceApprovedForPayment &&
+    caseRecord.OpenTicketCount === 0;
+
+  return ok({
+    valid,
+    caseId: caseRecord.Case_ID,
+    customerName: getCustomerName(caseRecord),
+    caseStatus: caseRecord.Status_Streamline_Options,
+    receivedDate: caseRecord.Case_Date_Received,
+    lastStatusUpdate: caseRecord.Last_Status_Update,
+    isRush: caseRecord.IsRushOrder,
+    invoiceApprovedForPayment: caseRecord.InvoiceApprovedForPayment,
+    checkOpenTicket: caseRecord.OpenTicketCount,
+    reasonCode: isPaymentDefault
+      ? API_ERROR_CODES.PAYMENT_DEFAULT_CARRIER
+      : null,
+    message: isPaymentDefault
+      ? "Ship Carrier is set to Payment Default (59)"
+      : null,
+  });
+};
+
+const checkTrackingNumber = (request, db) => {
+  const trackingNumber = String(request.body?.trackingNumber || "").trim();
+  const caseIds = db.cases
+    .filter((caseRecord) => caseRecord.TrackingNumbers.includes(trackingNumber))
+    .map((caseRecord) => caseRecord.Case_ID);
+
+  return ok({ caseIds });
+};
+
+const shipToCustomer = (request, db) => {
+  const { carrierId, carrierName, trackingNumber, caseIds } =
+    request.body || {};
+
+  if (!Array.isArray(caseIds) || caseIds.length === 0 || !trackingNumber) {
+    return fail(
+      400,
+      API_ERROR_CODES.BAD_REQUEST,
+      "caseIds and trackingNumber are required",
+    );
+  }
+
+  const shippedDate = new Date().toISOString();
+  const processedCases = caseIds
+    .map((caseId) => findCase(db, caseId))
+    .filter(Boolean)
+    .map((caseRecord) => {
+      caseRecord.Status_ID = SHIPPED_STATUS_ID;
+      caseRecord.Status_Streamline_Options = getStatusName(
+        db,
+        SHIPPED_STATUS_ID,
+      );
+      caseRecord.ShipCarrierID = carrierId;
+      caseRecord.Last_Status_Update = shippedDate;
+      caseRecord.TrackingNumbers.push(trackingNumber);
+
+      return {
+        caseId: caseRecord.Case_ID,
+        customerName: getCustomerName(caseRecord),
+        caseStatus: caseRecord.Status_Streamline_Options,
+        shippedDate,
+        trackingNumber,
+        carrierName,
+      };
+    });
+
+  db.stats.casesShippedToday += processedCases.length;
+  db.stats.casesShippedThisWeek += processedCases.length;
+  db.stats.casesShippedAllUsersToday += processedCases.length;
+  db.stats.casesShippedAllUsersThisWeek += processedCases.length;
+  addUserStat(
+    db,
+    getRequestUser(request, db),
+    "casesShippedToday",
+    processedCases.length,
+  );
+
+  return ok({ processedCases });
+};
+
+/**
+ * Apply the report filters shared by the page and export routes
+ * @param {Object} request - Parsed request
+ * @param {Object} db - Mock database
+ * @returns {Array<Object>} Matching rows, oldest first
+ */
+const getFilteredRushCases = (request, db) => {
+  const minDaysInLab = parseInt(request.query.get("minDaysInLab"), 10) || 0;
+  const statusGroup = request.query.get("statusGroup");
+
+  return db.rushCases
+    .filter(
+      (row) =>
+        row.Days_Passed_Not_In_Finishing >= minDaysInLab &&
+        (!statusGroup || row.Status_Group === statusGroup),
+    )
+    .sort(
+      (a, b) =>
+        a.Received_Date.localeCompare(b.Received_Date) ||
+        a.Case_ID.localeCompare(b.Case_ID),
+    );
+};
+
+const getRushCases = (request, db) => {
+  const cursorDate = request.query.get("cursorDate");
+  const cursorId = request.query.get("cursorId");
+  const rows = getFilteredRushCases(request, db).filter(
+    (row) =>
+      !cursorDate ||
+      row.Received_Date > cursorDate ||
+      (row.Received_Date === cursorDate && row.Case_ID > cursorId),
+  );
+
+  const page = rows
+    .slice(0, RUSH_PAGE_SIZE)
+    .map((row) => ({ ...row, Cursor_Received_Date: row.Received_Date }));
+  const lastRow = page[page.length - 1];
+  const hasMore = rows.length > RUSH_PAGE_SIZE;
+
+  return ok(page, {
+    hasMore,
+    nextCursor: hasMore
+      ? { date: lastRow.Received_Date, id: lastRow.Case_ID }
+      : null,
+  });
+};
+
+const getRushStatusGroups = (request, db) => {
+  const groups = [...new Set(db.rushCases.map((row) => row.Status_Group))];
+  return ok(groups.map((group) => ({ Status_Group: group })));
+};
+
+const exportRushCases = (request, db) => {
+  const columns = [
+    "Case_ID",
+    "Customer_Name",
+    "Status",
+    "Status_Group",
+    "Received_Date",
+    "Doctor_Name",
+    "Days_Passed_Not_In_Finishing",
+  ];
+  const lines = getFilteredRushCases(request, db).map((row) =>
+    columns.map((column) => `"${String(row[column] ?? "")}"`).join(","),
+  );
+
+  return {
+    status: 200,
+    body: [columns.join(","), ...lines].join("\n"),
+    headers: {
+      "Content-Type": "text/csv;charset=utf-8",
+      "Content-Disposition": 'attachment; filename="rush-cases-mock.csv"',
+    },
+  };
+};
+
+/**
+ * Route table
+ * `auth: false` marks routes that work without a token; `permission`
+ * answers 403 to users without it, like the real server.
+ */
+export const routes = [
+  { method: "POST", path: "/auth/login", handler: login, auth: false },
+  { method: "POST", path: "/auth/google", handler: googleLogin, auth: false },
+  { method: "POST", path: "/auth/logout", handler: logout, auth: false },
+  { method: "POST", path: "/auth/refresh", handler: refreshToken },
+  {
+    method: "GET",
+    path: "/auth/impersonate/users",
+    handler: getImpersonationUsers,
+    permission: PERMISSIONS.USERS_IMPERSONATE,
+  },
+  {
+    method: "POST",
+    path: "/auth/impersonate",
+    handler: impersonate,
+    permission: PERMISSIONS.USERS_IMPERSONATE,
+  },
+  {
+    method: "POST",
+    path: "/auth/impersonate/end",
+    handler: endImpersonation,
+    auth: false,
+  },
+  // After /auth/impersonate/users: routes match on the end of the path
+  {
+    method: "GET",
+    path: "/users",
+    handler: listUsers,
+    permission: PERMISSIONS.USERS_MANAGE,
+  },
+  {
+    method: "POST",
+    path: "/users",
+    handler: createUser,
+    permission: PERMISSIONS.USERS_MANAGE,
+  },
+  {
+    method: "PUT",
+    path: "/users/:id",
+    handler: updateUser,
+    permission: PERMISSIONS.USERS_MANAGE,
+  },
+  {
+    method: "POST",
+    path: "/users/:id/reset-password",
+    handler: sendUserPasswordReset,
+    permission: PERMISSIONS.USERS_MANAGE,
+  },
+  { method: "GET", path: "/preferences", handler: getPreferences },
+  { method: "PUT", path: "/preferences", handler: savePreferences },
+  {
+    method: "POST",
+    path: "/auth/access-code/resend",
+    handler: resendAccessCode,
+    auth: false,
+  },
+  {
+    method: "POST",
+    path: "/auth/password/forgot",
+    handler: forgotPassword,
+    auth: false,
+  },
+  {
+    method: "POST",
+    path: "/auth/password/verify",
+    handler: verifyPasswordResetCode,
+    auth: false,
+  },
+  {
+    method: "POST",
+    path: "/auth/password/reset",
+    handler: resetPassword,
+    auth: false,
+  },
+  { method: "GET", path: "/status/statuses", handler: getStatuses },
+  {
+    method: "GET",
+    path: "/status/statuses/version",
+    handler: getStatusesVersion,
+  },
+  {
+    method: "POST",
+    path: "/status/status",
+    handler: createStatus,
+    permission: PERMISSIONS.STATUSES_MANAGE,
+  },
+  {
+    method: "PUT",
+    path: "/status/status/:id",
+    handler: updateStatus,
+    permission: PERMISSIONS.STATUSES_MANAGE,
+  },
+  {
+    method: "GET",
+    path: "/status/email-templates",
+    handler: listEmailTemplates,
+  },
+  { method: "POST", path: "/status/statuses", handler: getStatuses },
+  {
+    method: "GET",
+    path: "/status/email-template/:id",
+    handler: getEmailTemplate,
+  },
+  {
+    method: "PUT",
+    path: "/status/email-template/:id/draft",
+    handler: saveEmailTemplateDraft,
+    permission: PERMISSIONS.EMAIL_TEMPLATES_MANAGE,
+  },
+  {
+    method: "DELETE",
+    path: "/status/email-template/:id/draft",
+    handler: discardEmailTemplateDraft,
+    permission: PERMISSIONS.EMAIL_TEMPLATES_MANAGE,
+  },
+  {
+    method: "POST",
+    path: "/status/email-template/:id/publish",
+    handler: publishEmailTemplate,
+    permission: PERMISSIONS.EMAIL_TEMPLATES_MANAGE,
+  },
+  { method: "POST", path: "/case-status/update", handler: updateCaseStatus },
+  {
+    method: "POST",
+    path: "/case-status/email-preview",
+    handler: previewStatusEmails,
+    permission: PERMISSIONS.CASES_SEND_STATUS_EMAIL,
+  },
+  { method: "POST", path: "/cases/receive-case", handler: receiveCase },
+  { method: "POST", path: "/cases/create-case", handler: createCase },
+  { method: "GET", path: "/cases/user-stats/today", handler: getCaseUserStats },
+  { method: "POST", path: "/shopify/fetch-order", handler: fetchShopifyOrder },
+  { method: "GET", path: "/shipping/carriers", handler: getCarriers },
+  {
+    method: "GET",
+    path: "/shipping/user-stats/today",
+    handler: getShippingUserStats,
+  },
+  {
+    method: "POST",
+    path: "/shipping/validate-case",
+    handler: validateShippingCase,
+  },
+  {
+    method: "POST",
+    path: "/shipping/check-tracking-number",
+    handler: checkTrackingNumber,
+  },
+  {
+    method: "POST",
+    path: "/shipping/shipped-to-customer",
+    handler: shipToCustomer,
+    permission: PERMISSIONS.SHIPPING_SUBMIT,
+  },
+  {
+    method: "GET",
+    path: "/reports/rush-cases",
+    handler: getRushCases,
+    permission: PERMISSIONS.REPORTS_VIEW,
+  },
+  {
+    method: "GET",
+    path: "/reports/rush-cases/status-groups",
+    handler: getRushStatusGroups,
+    permission: PERMISSIONS.REPORTS_VIEW,
+  },
+  {
+    method: "GET",
+    path: "/reports/rush-cases/export",
+    handler: exportRushCases,
+    permission: PERMISSIONS.REPORTS_VIEW,
+  },
+];
+
+/**
+ * Find the route for a request path
+ * Matches the end of the path so any API base URL prefix is ignored.
+ * @param {string} method - HTTP method
+ * @param {string} pathname - Request path
+ * @returns {Object|null} { route, params } or null when no route matches
+ */
+export const matchRoute = (method, pathname) => {
+  for (const route of routes) {
+    if (route.method !== method) {
+      continue;
+    }
+
+    const paramNames = [];
+    const pattern = route.path.replace(/:(\w+)/g, (match, name) => {
+      paramNames.push(name);
+      return "([^/]+)";
+    });
+    const match = pathname.match(new RegExp(`${pattern}$`));
+
+    if (match) {
+      const params = {};
+      paramNames.forEach((name, index) => {
+        params[name] = decodeURIComponent(match[index + 1]);
+      });
+      return { route, params };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Run the handler for a request
+ * @param {Object} request - { method, pathname, query, headers, body }
+ * @param {Object} db - Mock database
+ * @returns {Object} { status, body, headers }
+ */
+export const handleRequest = (request, db) => {
+  const matched = matchRoute(request.method, request.pathname);
+
+  if (!matched) {
+    return fail(
+      404,
+      API_ERROR_CODES.NOT_FOUND,
+      `No mock handler for ${request.method} ${request.pathname}`,
+    );
+  }
+
+  if (matched.route.auth !== false) {
+    const user = getRequestUser(request, db);
+    if (!user) {
+      return fail(
+        401,
+        API_ERROR_CODES.UNAUTHORIZED,
+        "Invalid or missing token",
+      );
+    }
+    if (!hasPermission(user, matched.route.permission)) {
+      return fail(
+        403,
+        API_ERROR_CODES.FORBIDDEN,
+        "You do not have permission to do this",
+      );
+    }
+  }
+
+  return matched.route.handler({ ...request, params: matched.params }, db);
+};
@@ -0,0 +1,68 @@
+// src/mocks/index.js
+/**
+ * Mock Backend
+ *
+ * Serves every API route the client calls from in-memory fixtures, so the
+ * UI can run without the real server. Enable it with either:
+ * - REACT_APP_USE_MOCK_API=true at build/start time, or
+ * - localStorage.setItem("useMockApi", "true") and a page reload
+ *   (development builds only; see src/index.js)
+ *
+ * Pick a scenario with REACT_APP_MOCK_SCENARIO or
+ * localStorage.setItem("mockApiScenario", "<name>"), or at runtime from the
+ * browser console with window.mockApi.setScenario("<name>").
+ *
+ * In Node (tests, scripts) use createMockFetch with setTransport from
+ * utils/api, or assign it to global.fetch.
+ */
+
+import { setTransport } from "../utils/api";
+import { createMockFetch } from "./mockFetch";
+import { MOCK_SCENARIOS, DEFAULT_MOCK_SCENARIO } from "./scenarios";
+
+const MOCK_SCENARIO_STORAGE_KEY = "mockApiScenario";
+
+export { createMockFetch } from "./mockFetch";
+export { MOCK_SCENARIOS } from "./scenarios";
+export * from "./fixtures";
+
+/**
+ * Route all API calls to the mock backend
+ * @param {Object} [options]
+ * @param {string} [options.scenario] - Scenario name; defaults to the stored or configured one
+ * @returns {Object} { mockFetch, stop } where stop() restores the real backend
+ */
+export const startMockApi = ({ scenario } = {}) => {
+  const mockFetch = createMockFetch({
+    scenario:
+      scenario ||
+      localStorage.getItem(MOCK_SCENARIO_STORAGE_KEY) ||
+      process.env.REACT_APP_MOCK_SCENARIO ||
+      DEFAULT_MOCK_SCENARIO,
+  });
+  const restoreTransport = setTransport(mockFetch);
+
+  // Console helpers for switching scenarios while the app is running
+  window.mockApi = {
+    scenarios: Object.keys(MOCK_SCENARIOS),
+    getScenario: mockFetch.getScenario,
+    setScenario: (name) => {
+      mockFetch.setScenario(name);
+      localStorage.setItem(MOCK_SCENARIO_STORAGE_KEY, name);
+    },
+    reset: mockFetch.reset,
+    getDb: mockFetch.getDb,
+  };
+
+  console.info(
+    `Mock API enabled (scenario: ${mockFetch.getScenario()}). Log in as demo/demo.`,
+  );
+
+  return {
+    mockFetch,
+    stop: () => {
+      restoreTransport();
+      delete window.mockApi;
+    },
+  };
+};
@@ -0,0 +1,150 @@
+// src/mocks/mockFetch.js
+/**
+ * Mock Fetch
+ *
+ * A fetch-compatible function that answers from the mock handlers instead
+ * of the network. It only relies on the standard Response/URL globals, so
+ * it runs in the browser and in Node 18+ (tests, scripts).
+ */
+
+import { createMockDb } from "./fixtures";
+import { handleRequest } from "./handlers";
+import { DEFAULT_MOCK_SCENARIO, getMockScenario } from "./scenarios";
+
+const MOCK_ENVIRONMENT = "mock";
+
+/**
+ * Parse a JSON request body
+ * @param {*} body - Body passed to fetch
+ * @returns {Object|null}
+ */
+const parseBody = (body) => {
+  if (typeof body !== "string" || !body) {
+    return null;
+  }
+  try {
+    return JSON.parse(body);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Normalize fetch headers to a plain object
+ * @param {Object|Headers} [headers] - Headers passed to fetch
+ * @returns {Object}
+ */
+const toHeaderObject = (headers) => {
+  if (!headers) {
+    return {};
+  }
+  if (typeof Headers !== "undefined" && headers instanceof Headers) {
+    return Object.fromEntries(headers.entries());
+  }
+  return { ...headers };
+};
+
+/**
+ * Wait for the simulated latency, rejecting like fetch if aborted
+ * @param {number} delayMs - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Request signal
+ * @returns {Promise<void>}
+ */
+const wait = (delayMs, signal) =>
+  new Promise((resolve, reject) => {
+    const abortError = () =>
+      new DOMException("The operation was aborted.", "AbortError");
+
+    if (signal?.aborted) {
+      reject(abortError());
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(abortError());
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, delayMs);
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+/**
+ * Build a fetch Response from a handler result
+ * @param {Object} result - { status, body, headers }
+ * @returns {Response}
+ */
+const toResponse = ({ status, body, headers = {} }) => {
+  const isText = typeof body === "string";
+
+  return new Response(isText ? body : JSON.stringify(body), {
+    status,
+    headers: {
+      "Content-Type": "application/json",
+      "X-App-Environment": MOCK_ENVIRONMENT,
+      ...headers,
+    },
+  });
+};
+
+/**
+ * Create a mock fetch function backed by its own mock database
+ *
+ * The returned function also exposes:
+ * - setScenario(name) / getScenario(): switch the active scenario
+ * - reset(): restore the fixtures and the request counter
+ * - getDb(): current mock database, for assertions
+ *
+ * @param {Object} [options]
+ * @param {string} [options.scenario] - Scenario name (see scenarios.js)
+ * @param {number} [options.delayMs] - Latency override for every scenario
+ * @returns {function(string, Object): Promise<Response>}
+ */
+export const createMockFetch = ({
+  scenario = DEFAULT_MOCK_SCENARIO,
+  delayMs,
+} = {}) => {
+  let db = createMockDb();
+  let scenarioName = scenario;
+  let requestCount = 0;
+
+  const mockFetch = async (url, init = {}) => {
+    const { pathname, searchParams } = new URL(url, "http://localhost");
+    const request = {
+      method: (init.method || "GET").toUpperCase(),
+      pathname,
+      query: searchParams,
+      headers: toHeaderObject(init.headers),
+      body: parseBody(init.body),
+    };
+    const activeScenario = getMockScenario(scenarioName);
+    const state = { requestCount };
+    requestCount += 1;
+
+    await wait(delayMs ?? activeScenario.delayMs, init.signal);
+
+    const result =
+      activeScenario.intercept(request, state) || handleRequest(request, db);
+
+    if (result.networkError) {
+      throw new TypeError("Failed to fetch");
+    }
+
+    return toResponse(result);
+  };
+
+  mockFetch.setScenario = (name) => {
+    scenarioName = name;
+  };
+  mockFetch.getScenario = () => scenarioName;
+  mockFetch.reset = () => {
+    db = createMockDb();
+    requestCount = 0;
+  };
+  mockFetch.getDb = () => db;
+
+  return mockFetch;
+};
@@ -0,0 +1,123 @@
+// src/mocks/mockFetch.test.js
+import { API_ERROR_CODES } from "../config/constants";
+import { apiPost, setTransport } from "../utils/api";
+import { createMockFetch } from "./mockFetch";
+
+/**
+ * Call the mock backend directly
+ * @param {function} mockFetch - Mock fetch to call
+ * @param {string} endpoint - API endpoint
+ * @param {Object} [body] - JSON body; sends a POST when given
+ * @param {Object} [headers] - Request headers
+ * @returns {Promise<Object>} { status, body }
+ */
+const callMock = async (mockFetch, endpoint, body, headers = {}) => {
+  const response = await mockFetch(endpoint, {
+    method: body ? "POST" : "GET",
+    headers,
+    body: body && JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+describe("createMockFetch", () => {
+  it("rejects requests without a token except the login", async () => {
+    const mockFetch = createMockFetch({ delayMs: 0 });
+
+    const carriers = await callMock(mockFetch, "/shipping/carriers");
+    const login = await callMock(mockFetch, "/auth/login", {
+      username: "demo",
+      password: "demo",
+    });
+
+    expect(carriers.status).toBe(401);
+    expect(login.status).toBe(200);
+    expect(login.body.data.token).toBeTruthy();
+  });
+
+  it("asks users with an access code for it before logging them in", async () => {
+    const mockFetch = createMockFetch({ delayMs: 0 });
+
+    const first = await callMock(mockFetch, "/auth/login", {
+      username: "admin",
+      password: "admin",
+    });
+    const second = await callMock(mockFetch, "/auth/login", {
+      username: "admin",
+      password: "admin",
+      accessCode: "abc123",
+    });
+
+    expect(first.body.status).toBe("access_code_required");
+    expect(second.body.data.token).toBeTruthy();
+  });
+
+  it("follows the active scenario", async () => {
+    const mockFetch = createMockFetch({ scenario: "offline", delayMs: 0 });
+
+    await expect(mockFetch("/shipping/carriers")).rejects.toThrow(
+      "Failed to fetch",
+    );
+
+    mockFetch.setScenario("server-error");
+    expect((await callMock(mockFetch, "/shipping/carriers")).status).toBe(500);
+    expect(mockFetch.getScenario()).toBe("server-error");
+  });
+
+  it("answers unknown routes with a 404", async () => {
+    const mockFetch = createMockFetch({ delayMs: 0 });
+
+    const { status, body } = await callMock(mockFetch, "/no/such/route");
+
+    expect(status).toBe(404);
+    expect(body.code).toBe(API_ERROR_CODES.NOT_FOUND);
+  });
+});
+
+describe("api against the mock backend", () => {
+  let restoreTransport;
+
+  beforeEach(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    restoreTransport = setTransport(createMockFetch({ delayMs: 0 }));
+  });
+
+  afterEach(() => {
+    restoreTransport();
+    localStorage.removeItem("authToken");
+    jest.restoreAllMocks();
+  });
+
+  it("receives a known case and reports an unknown one", async () => {
+    const login = await apiPost("/auth/login", {
+      username: "demo",
+      password: "demo",
+    });
+    localStorage.setItem("authToken", login.data.token);
+
+    const known = await apiPost("/cases/receive-case", { caseId: "10000001" });
+    const unknown = await apiPost("/cases/receive-case", {
+      caseId: "99999999",
+    });
+
+    expect(known.data.exists).toBe(true);
+    expect(known.data.caseData.Case_ID).toBe("10000001");
+    expect(unknown.data.exists).toBe(false);
+  });
+
+  it("returns the server's error code for an unknown case", async () => {
+    const login = await apiPost("/auth/login", {
+      username: "demo",
+      password: "demo",
+    });
+    localStorage.setItem("authToken", login.data.token);
+
+    await expect(
+      apiPost("/case-status/update", { caseId: "99999999", statusId: 20 }),
+    ).rejects.toMatchObject({
+      status: 404,
+      code: API_ERROR_CODES.CASE_NOT_FOUND,
+      attempts: 1,
+    });
+  });
+});
@@ -0,0 +1,98 @@
+// src/mocks/scenarios.js
+/**
+ * Mock Backend Scenarios
+ *
+ * Scenarios change how the whole mock backend behaves, on top of the
+ * per-case outcomes defined in fixtures.js. Each scenario may set:
+ * - delayMs: latency added to every response
+ * - intercept(request, state): return a response (or a transport error via
+ *   { networkError: true }) to replace the handler result, or null to let
+ *   the handler answer. `state.requestCount` counts requests so far.
+ */
+
+import { API_ERROR_CODES } from "../config/constants";
+
+// Login and password reset routes keep working in every scenario so the
+// scenario can be reached
+const AUTH_PATHS = [
+  "/auth/login",
+  "/auth/google",
+  "/auth/access-code/resend",
+  "/auth/password/forgot",
+  "/auth/password/verify",
+  "/auth/password/reset",
+];
+
+const isAuthRequest = (request) =>
+  AUTH_PATHS.some((path) => request.pathname.endsWith(path));
+
+const serverError = (status, code, message) => ({
+  status,
+  body: { status: "error", code, message },
+});
+
+export const MOCK_SCENARIOS = {
+  // Every route answers from the fixtures
+  default: {
+    label: "Default",
+    delayMs: 150,
+    intercept: () => null,
+  },
+  // Slow backend, useful for checking loading states and Cancel buttons
+  slow: {
+    label: "Slow network (2s per request)",
+    delayMs: 2000,
+    intercept: () => null,
+  },
+  // Every other request fails with 503 so automatic retries kick in
+  flaky: {
+    label: "Flaky server (every other request returns 503)",
+    delayMs: 150,
+    intercept: (request, state) =>
+      !isAuthRequest(request) && state.requestCount % 2 === 1
+        ? serverError(
+            503,
+            API_ERROR_CODES.SERVER_ERROR,
+            "Service temporarily unavailable",
+          )
+        : null,
+  },
+  // Backend is down for everything but login
+  "server-error": {
+    label: "Server error (500 on every route but login)",
+    delayMs: 150,
+    intercept: (request) =>
+      isAuthRequest(request)
+        ? null
+        : serverError(
+            500,
+            API_ERROR_CODES.SERVER_ERROR,
+            "Internal server error",
+          ),
+  },
+  // Token rejected, e.g. expired in the middle of a batch
+  "session-expired": {
+    label: "Session expired (401 on every route but login)",
+    delayMs: 150,
+    intercept: (request) =>
+      isAuthRequest(request)
+        ? null
+        : serverError(401, API_ERROR_CODES.UNAUTHORIZED, "Token expired"),
+  },
+  // No response at all
+  offline: {
+    label: "Offline (network error on every request)",
+    delayMs: 300,
+    intercept: () => ({ networkError: true }),
+  },
+};
+
+export const DEFAULT_MOCK_SCENARIO = "default";
+
+/**
+ * Look up a scenario by name, falling back to the default one
+ * @param {string} name - Scenario name
+ * @returns {Object} Scenario
+ */
+export const getMockScenario = (name) =>
+  MOCK_SCENARIOS[name] || MOCK_SCENARIOS[DEFAULT_MOCK_SCENARIO];
@@ -4,42 +4,86 @@
  *
  * Displays a page for updating case statuses.
  * - Status dropdown selector for choosing the status
- * - Email template display when status has an associated email
+ * - Email template display when status has an associated email (sending it
+ *   needs the send-status-email permission)
+ * - Email preview of each queued case, where cases can be left out of the
+ *   emailing while their status is still updated
  * - Input field for case IDs (numeral only, one per line)
- * - Process button to update cases one by one
+ * - Process button to update cases through the batch processor
  * - Display processed cases
  * - Display cases that couldn't be found
  */
 
 import React, { useState, useEffect, useRef } from "react";
 import Layout from "../components/layout/Layout";
-import { apiGet, apiPost } from "../utils/api";
+import { apiPost } from "../utils/api";
+import { fetchQuery } from "../utils/queryCache";
+import { BATCH_STATES, ITEM_STATUSES } from "../utils/batchProcessor";
+import useStatuses from "../hooks/useStatuses";
+import { updateJobList, useJob } from "../contexts/JobsContext";
+import { usePreferences } from "../contexts/PreferencesContext";
+import BatchProgress from "../components/common/BatchProgress";
+import EmailPreviewDrawer from "../components/common/EmailPreviewDrawer";
+import { useAuth } from "../contexts/AuthContext";
+import { PERMISSIONS } from "../config/permissions";
+import {
+  API_ERROR_CODES,
+  BATCH_CONCURRENCY,
+  ROUTES,
+} from "../config/constants";
+
+const JOB_TYPE = "case-status-update";
+
+// Job data before the first run
+const EMPTY_RESULTS = {
+  processingCases: [],
+  successfulCases: [],
+  notFoundCases: [],
+};
 
 /**
  * Case Status Update page component
  * Shows interface for updating case statuses
  */
 const CaseStatusUpdate = () => {
-  const [statuses, setStatuses] = useState([]);
   const [statusFilter, setStatusFilter] = useState("");
   const [selectedStatus, setSelectedStatus] = useState("");
   const [emailTemplate, setEmailTemplate] = useState(null);
-  const [ticketStatus, setTicketStatus] = useState("closed");
-  const [sendEmail, setSendEmail] = useState(true);
-  const [loadingStatuses, setLoadingStatuses] = useState(false);
+  const { preferences } = usePreferences();
+  const defaultTicketStatus = preferences.ticketStatus;
+  const defaultSendEmail = preferences.sendEmail;
+  const [ticketStatus, setTicketStatus] = useState(defaultTicketStatus);
+  const [sendEmail, setSendEmail] = useState(defaultSendEmail);
+  const { can } = useAuth();
+  const canSendEmail = can(PERMISSIONS.CASES_SEND_STATUS_EMAIL);
   const [loadingTemplate, setLoadingTemplate] = useState(false);
+  // Queued cases whose customers get no email; their status is still updated
+  const [excludedEmailCaseIds, setExcludedEmailCaseIds] = useState([]);
+  const [emailPreviewOpen, setEmailPreviewOpen] = useState(false);
 
-  const [batchProcessing, setBatchProcessing] = useState(false);
+  const [batchProcessing, setBatchProcessing] = useState(preferences.batchMode);
   const [notes, setNotes] = useState("");
   const [caseInput, setCaseInput] = useState("");
-  const [processingCases, setProcessingCases] = useState([]);
-  const [successfulCases, setSuccessfulCases] = useState([]);
-  const [notFoundCases, setNotFoundCases] = useState([]);
   const [copiedSection, setCopiedSection] = useState(null);
-  const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
   const caseInputRef = useRef(null);
 
+  // Results live in the job so they survive leaving the page
+  const updateJob = useJob(JOB_TYPE);
+  const results = updateJob.job?.data || EMPTY_RESULTS;
+  const { processingCases, successfulCases, notFoundCases } = results;
+  const loading = updateJob.isRunning;
+  const displayedError =
+    error ||
+    (updateJob.job?.progress.state === BATCH_STATES.CANCELLED
+      ? "Processing cancelled. Remaining cases were not updated."
+      : null);
+
+  // Kept current by statusService, including edits made in other tabs
+  const statusesQuery = useStatuses();
+  const { statuses } = statusesQuery;
+  const loadingStatuses = statusesQuery.loading;
+
   const getFilteredStatuses = () => {
     return statuses.filter((status) => {
       if (status.Status_ID === 10) {
@@ -58,51 +102,44 @@ const CaseStatusUpdate = () => {
     });
   };
 
-  /**
-   * Fetch all statuses on component mount
-   */
   useEffect(() => {
-    fetchStatuses();
-  }, []);
-
-  /**
-   * Fetch statuses from the backend
-   */
-  const fetchStatuses = async () => {
-    setLoadingStatuses(true);
-    try {
-      const data = await apiGet("/status/statuses");
-      setStatuses(data.data.statuses || []);
-    } catch (err) {
-      console.error("Error fetching statuses:", err);
-      setError(`Failed to load statuses: ${err.message}`);
-    } finally {
-      setLoadingStatuses(false);
+    if (statusesQuery.error) {
+      console.error("Error fetching statuses:", statusesQuery.error);
+      setError(`Failed to load statuses: ${statusesQuery.error.message}`);
     }
-  };
+  }, [statusesQuery.error]);
+
+  // The statuses array is replaced by every background refresh, so the
+  // effect below compares against what it last acted on
+  const previousStatusRef = useRef(selectedStatus);
+  const templateIdRef = useRef(null);
 
   /**
-   * Fetch email template when status changes
+   * Reset the email options when the operator picks another status, and
+   * fetch the email template when the status's template changes
    */
   useEffect(() => {
-    if (selectedStatus) {
-      const status = statuses.find(
-        (s) => s.Status_ID === parseInt(selectedStatus),
-      );
+    const status = selectedStatus
+      ? statuses.find((s) => s.Status_ID === parseInt(selectedStatus))
+      : null;
+    const templateId = status?.Email_Template_Id || null;
+
+    if (selectedStatus !== previousStatusRef.current) {
+      previousStatusRef.current = selectedStatus;
+      setTicketStatus(defaultTicketStatus);
+      setSendEmail(defaultSendEmail);
+    }
 
-      if (status && status.Email_Template_Id) {
-        setTicketStatus("closed");
-        fetchEmailTemplate(status.Email_Template_Id);
+    if (templateId !== templateIdRef.current) {
+      templateIdRef.current = templateId;
+      if (templateId) {
+        fetchEmailTemplate(templateId);
       } else {
         setEmailTemplate(null);
-        setSendEmail(true);
-        setTicketStatus("closed");
+        setLoadingTemplate(false);
       }
-    } else {
-      setEmailTemplate(null);
-      setTicketStatus("closed");
     }
-  }, [selectedStatus, statuses]);
+  }, [selectedStatus, statuses, defaultTicketStatus, defaultSendEmail]);
 
   /**
    * Fetch email template data
@@ -110,14 +147,26 @@ const CaseStatusUpdate = () => {
   const fetchEmailTemplate = async (templateId) => {
     setLoadingTemplate(true);
     try {
-      const data = await apiGet(`/status/email-template/${templateId}`);
-      setEmailTemplate(data.data.template);
-      setSendEmail(true); // Default to checked
+      // Always fetched fresh: a template published in another tab or by
+      // another user must show here before its email goes out
+      const data = await fetchQuery(
+        `/status/email-template/${templateId}`,
+        undefined,
+        { force: true },
+      );
+      // Ignore answers for a template that is no longer selected
+      if (templateIdRef.current === templateId) {
+        setEmailTemplate(data.data.template);
+      }
     } catch (err) {
       console.error("Error fetching email template:", err);
-      setEmailTemplate(null);
+      if (templateIdRef.current === templateId) {
+        setEmailTemplate(null);
+      }
     } finally {
-      setLoadingTemplate(false);
+      if (templateIdRef.current === templateId) {
+        setLoadingTemplate(false);
+      }
     }
   };
 
@@ -143,7 +192,78 @@ const CaseStatusUpdate = () => {
   };
 
   /**
-   * Process all case IDs one by one
+   * Add a finished case to its result list
+   * Called by the job in input order.
+   * @param {Object} result - { item, status, value, error } from the batch processor
+   * @param {Object} context - { updateData } from the job
+   */
+  const handleCaseComplete = (
+    { item: caseId, status, value, error: err },
+    { updateData },
+  ) => {
+    if (status === ITEM_STATUSES.CANCELLED) {
+      return;
+    }
+
+    if (status === ITEM_STATUSES.REJECTED) {
+      // Add to not found cases with error details
+      updateData(
+        updateJobList("notFoundCases", (prev) => [
+          ...prev,
+          {
+            caseId,
+            reason: err.message || "Failed to update case status",
+            errorCode: err.code || API_ERROR_CODES.UNKNOWN_ERROR,
+            attempts: err.attempts || 1,
+          },
+        ]),
+      );
+      return;
+    }
+
+    const { response, attempts } = value;
+
+    if (response.status === "success") {
+      const resultData = response.data || {};
+      const resultFlags = resultData.processingResults || {};
+
+      // Add to successful cases
+      updateData(
+        updateJobList("successfulCases", (prev) => [
+          ...prev,
+          {
+            caseId,
+            customerName: resultData.customerName || "N/A",
+            isRush: Boolean(resultData.isRush),
+            ticketCreated: resultFlags.ticketCreated || "na",
+            orderTimeline: resultFlags.orderTimeline || "na",
+            orderTag: resultFlags.orderTag || "na",
+            klaviyoEvent: resultFlags.klaviyoEvent || "na",
+            emailSent: resultFlags.emailSent || "na",
+            status: "Updated Successfully",
+            timestamp: new Date().toLocaleTimeString(),
+            attempts,
+          },
+        ]),
+      );
+    } else {
+      // Add to not found cases
+      updateData(
+        updateJobList("notFoundCases", (prev) => [
+          ...prev,
+          {
+            caseId,
+            reason: response.message || "Unknown error",
+            errorCode: response.code || API_ERROR_CODES.UNKNOWN_ERROR,
+            attempts,
+          },
+        ]),
+      );
+    }
+  };
+
+  /**
+   * Process all case IDs as a background job
    */
   const handleProcess = async (inputOverride) => {
     const resolvedInput =
@@ -175,30 +295,36 @@ const CaseStatusUpdate = () => {
       return;
     }
 
-    setLoading(true);
-    setError(null);
-
-    if (batchProcessing) {
-      setProcessingCases([]);
-      setSuccessfulCases([]);
-      setNotFoundCases([]);
-    }
-
-    try {
-      // Process each case ID sequentially
-      for (const caseId of caseIds) {
-        // Add to processing list
-        setProcessingCases((prev) => [
+    /**
+     * Update the status of one case
+     * @param {string} caseId - Case ID
+     * @param {Object} context - { signal, updateData } from the job
+     * @returns {Promise<Object>} { response, attempts }
+     */
+    const updateCase = async (caseId, { signal, updateData }) => {
+      // Add to processing list
+      updateData(
+        updateJobList("processingCases", (prev) => [
           ...prev,
           {
             caseId,
             status: "Processing...",
           },
-        ]);
+        ]),
+      );
 
-        try {
-          // Call the backend API to update case status
-          const response = await apiPost("/case-status/update", {
+      // Attempts taken by the update (only retried when the server
+      // guarantees the update was not applied)
+      let attempts = 1;
+      const onRetry = ({ attempt }) => {
+        attempts = attempt;
+      };
+
+      try {
+        // Call the backend API to update case status
+        const response = await apiPost(
+          "/case-status/update",
+          {
             caseId,
             statusId: parseInt(selectedStatus),
             statusName: status.Status_Streamline_Options,
@@ -207,7 +333,10 @@ const CaseStatusUpdate = () => {
             shipCarrierId: status.AssignCaseShipCarrierID || null,
             markRush: status.MarkRush,
             emailTemplateId: status.Email_Template_Id || null,
-            sendEmail,
+            sendEmail:
+              canSendEmail &&
+              sendEmail &&
+              !excludedEmailCaseIds.includes(caseId),
             ticketStatus,
             ticketScheduleStatusId:
               ticketStatus === "scheduled"
@@ -215,67 +344,42 @@ const CaseStatusUpdate = () => {
                 : null,
             notes: notes || "",
             trackingNumber: "",
-          });
+          },
+          { signal, onRetry },
+        );
 
-          // Remove from processing
-          setProcessingCases((prev) =>
+        return { response, attempts };
+      } catch (err) {
+        console.error(`Error processing case ${caseId}:`, err);
+        throw err;
+      } finally {
+        // Remove from processing
+        updateData(
+          updateJobList("processingCases", (prev) =>
             prev.filter((item) => item.caseId !== caseId),
-          );
-
-          if (response.status === "success") {
-            const resultData = response.data || {};
-            const resultFlags = resultData.processingResults || {};
-
-            // Add to successful cases
-            setSuccessfulCases((prev) => [
-              ...prev,
-              {
-                caseId,
-                customerName: resultData.customerName || "N/A",
-                isRush: Boolean(resultData.isRush),
-                ticketCreated: resultFlags.ticketCreated || "na",
-                orderTimeline: resultFlags.orderTimeline || "na",
-                orderTag: resultFlags.orderTag || "na",
-                klaviyoEvent: resultFlags.klaviyoEvent || "na",
-                emailSent: resultFlags.emailSent || "na",
-                status: "Updated Successfully",
-                timestamp: new Date().toLocaleTimeString(),
-              },
-            ]);
-          } else {
-            // Add to not found cases
-            setNotFoundCases((prev) => [
-              ...prev,
-              {
-                caseId,
-                reason: response.message || "Unknown error",
-              },
-            ]);
-          }
-        } catch (err) {
-          console.error(`Error processing case ${caseId}:`, err);
-
-          // Remove from processing
-          setProcessingCases((prev) =>
-            prev.filter((item) => item.caseId !== caseId),
-          );
-
-          // Add to not found cases with error details
-          setNotFoundCases((prev) => [
-            ...prev,
-            {
-              caseId,
-              reason: err.message || "Failed to update case status",
-            },
-          ]);
-        }
+          ),
+        );
       }
+    };
+
+    setError(null);
+
+    try {
+      // Single-case runs keep the previous results; batch runs start empty
+      await updateJob.start({
+        title: `Status update: ${status.Status_Streamline_Options}`,
+        route: ROUTES.CASE_STATUS_UPDATE,
+        items: caseIds,
+        worker: updateCase,
+        initialData: batchProcessing ? EMPTY_RESULTS : results,
+        concurrency: BATCH_CONCURRENCY,
+        getKey: (caseId) => caseId,
+        onItemComplete: handleCaseComplete,
+      });
     } catch (err) {
       console.error("Error processing cases:", err);
       setError(`Error processing cases: ${err.message}`);
     } finally {
-      setLoading(false);
-
       if (!batchProcessing) {
         setCaseInput("");
         setTimeout(() => {
@@ -315,14 +419,13 @@ const CaseStatusUpdate = () => {
   const handleClear = () => {
     setSelectedStatus("");
     setEmailTemplate(null);
-    setTicketStatus("closed");
-    setSendEmail(true);
-    setBatchProcessing(false);
+    setTicketStatus(defaultTicketStatus);
+    setSendEmail(defaultSendEmail);
+    setExcludedEmailCaseIds([]);
+    setBatchProcessing(preferences.batchMode);
     setNotes("");
     setCaseInput("");
-    setProcessingCases([]);
-    setSuccessfulCases([]);
-    setNotFoundCases([]);
+    updateJob.dismiss();
     setError(null);
   };
 
@@ -389,7 +492,11 @@ const CaseStatusUpdate = () => {
 
   const totalProcessed =
     processingCases.length + successfulCases.length + notFoundCases.length;
-  const totalCaseIds = parseCaseIds(caseInput).length;
+  const queuedCaseIds = parseCaseIds(caseInput);
+  const totalCaseIds = queuedCaseIds.length;
+  const excludedQueuedCount = excludedEmailCaseIds.filter((caseId) =>
+    queuedCaseIds.includes(caseId),
+  ).length;
   const renderResultStatus = (value) => {
     const normalized = String(value || "na").toLowerCase();
 
@@ -482,7 +589,11 @@ const CaseStatusUpdate = () => {
                 </p>
                 <select
                   value={selectedStatus}
-                  onChange={(e) => setSelectedStatus(e.target.value)}
+                  onChange={(e) => {
+                    setSelectedStatus(e.target.value);
+                    // Exclusions were picked for the previous status's email
+                    setExcludedEmailCaseIds([]);
+                  }}
                   disabled={loadingStatuses}
                   className="w-full p-3 border border-gray-300 rounded-lg focus:ring-2 focus:ring-blue-500 focus:border-transparent"
                 >
@@ -518,7 +629,8 @@ const CaseStatusUpdate = () => {
                     <input
                       type="checkbox"
                       id="sendEmail"
-                      checked={sendEmail}
+                      checked={canSendEmail && sendEmail}
+                      disabled={!canSendEmail}
                       onChange={(e) => setSendEmail(e.target.checked)}
                       className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
                     />
@@ -529,6 +641,29 @@ const CaseStatusUpdate = () => {
                       Send email notification
                     </label>
                   </div>
+                  {!canSendEmail && (
+                    <p className="text-xs text-gray-600">
+                      Your account cannot send customer emails; the status is
+                      updated without one.
+                    </p>
+                  )}
+                  {canSendEmail && sendEmail && (
+                    <div className="flex items-center justify-between gap-2">
+                      <p className="text-xs text-gray-600">
+                        {excludedQueuedCount > 0
+                          ? `${excludedQueuedCount} of ${totalCaseIds} cases will not be emailed`
+                          : "Check what each customer will get"}
+                      </p>
+                      <button
+                        type="button"
+                        onClick={() => setEmailPreviewOpen(true)}
+                        disabled={totalCaseIds === 0 || loading}
+                        className="px-3 py-1.5 text-xs font-semibold rounded-md border border-yellow-300 text-yellow-800 bg-white hover:bg-yellow-100 disabled:bg-gray-100 disabled:text-gray-400 disabled:border-gray-300 disabled:cursor-not-allowed transition-colors"
+                      >
+                        Preview emails
+                      </button>
+                    </div>
+                  )}
                 </div>
               )}
 
@@ -643,21 +778,38 @@ const CaseStatusUpdate = () => {
                 >
                   {loading ? "Processing..." : "Process"}
                 </button>
-                <button
-                  onClick={handleClear}
-                  disabled={loading}
-                  className="flex-1 px-4 py-2 bg-gray-300 text-gray-900 rounded-lg hover:bg-gray-400 disabled:bg-gray-200 disabled:cursor-not-allowed transition-colors font-medium"
-                >
-                  Clear
-                </button>
+                {loading ? (
+                  <button
+                    onClick={updateJob.cancel}
+                    className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors font-medium"
+                  >
+                    Cancel
+                  </button>
+                ) : (
+                  <button
+                    onClick={handleClear}
+                    className="flex-1 px-4 py-2 bg-gray-300 text-gray-900 rounded-lg hover:bg-gray-400 transition-colors font-medium"
+                  >
+                    Clear
+                  </button>
+                )}
               </div>
 
-              {error && (
+              {displayedError && (
                 <div className="bg-red-50 border border-red-200 rounded-lg p-3">
-                  <p className="text-sm text-red-800">{error}</p>
+                  <p className="text-sm text-red-800">{displayedError}</p>
                 </div>
               )}
 
+              {batchProcessing && (
+                <BatchProgress
+                  progress={updateJob.job?.progress}
+                  onPause={updateJob.pause}
+                  onResume={updateJob.resume}
+                  onCancel={updateJob.cancel}
+                />
+              )}
+
               {/* Stats */}
               <div className="rounded-lg border border-gray-400 p-3">
                 <div className="text-xs text-gray-600">
@@ -755,6 +907,9 @@ const CaseStatusUpdate = () => {
                         <th className="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
                           Reason
                         </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
+                          Attempts
+                        </th>
                       </tr>
                     </thead>
                     <tbody className="bg-white divide-y divide-gray-200">
@@ -766,6 +921,9 @@ const CaseStatusUpdate = () => {
                           <td className="px-6 py-4 text-sm text-gray-900">
                             {item.reason}
                           </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                            {item.attempts || "-"}
+                          </td>
                         </tr>
                       ))}
                     </tbody>
@@ -842,6 +1000,9 @@ const CaseStatusUpdate = () => {
                         <th className="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
                           Status
                         </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
+                          Attempts
+                        </th>
                         <th className="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
                           Time
                         </th>
@@ -885,6 +1046,9 @@ const CaseStatusUpdate = () => {
                           <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
                             {item.status}
                           </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                            {item.attempts || "-"}
+                          </td>
                           <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
                             {item.timestamp}
                           </td>
@@ -898,6 +1062,16 @@ const CaseStatusUpdate = () => {
           </div>
         </div>
       </div>
+
+      {emailPreviewOpen && selectedStatusDetails?.Email_Template_Id && (
+        <EmailPreviewDrawer
+          caseIds={queuedCaseIds}
+          emailTemplateId={selectedStatusDetails.Email_Template_Id}
+          excludedCaseIds={excludedEmailCaseIds}
+          onExcludedChange={setExcludedEmailCaseIds}
+          onClose={() => setEmailPreviewOpen(false)}
+        />
+      )}
     </Layout>
   );
 };
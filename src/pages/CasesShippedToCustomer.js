@@ -10,15 +10,23 @@
  * - Ship cases in batch
  */
 
-import React, {
-  useEffect,
-  useMemo,
-  useState,
-  useCallback,
-  useRef,
-} from "react";
+import React, { useEffect, useMemo, useState, useRef } from "react";
 import Layout from "../components/layout/Layout";
-import { apiGet, apiPost } from "../utils/api";
+import { apiPost } from "../utils/api";
+import { invalidateQueries } from "../utils/queryCache";
+import { ITEM_STATUSES } from "../utils/batchProcessor";
+import useApiQuery from "../hooks/useApiQuery";
+import { updateJobList, useJob } from "../contexts/JobsContext";
+import { usePreferences } from "../contexts/PreferencesContext";
+import BatchProgress from "../components/common/BatchProgress";
+import { useAuth } from "../contexts/AuthContext";
+import { PERMISSIONS } from "../config/permissions";
+import {
+  API_ERROR_CODES,
+  BATCH_CONCURRENCY,
+  QUERY_TTL_MS,
+  ROUTES,
+} from "../config/constants";
 
 const BARCODE_LENGTH_22 = 22;
 const BARCODE_LENGTH_32 = 32;
@@ -28,6 +36,14 @@ const CARRIER_ID_FEDEX_PAK = "95";
 const CARRIER_ID_USPS_POSTAL_SERVICE = "16";
 const CARRIER_ID_UPS_DEFAULT_2 = "48";
 
+const JOB_TYPE = "cases-shipped-validation";
+
+// Job data before the first validation
+const EMPTY_RESULTS = {
+  validCases: [],
+  invalidCases: [],
+};
+
 const parseBarcodeToTracking = (barcode) => {
   const trimmed = String(barcode || "").trim();
 
@@ -103,36 +119,54 @@ const escapeHtml = (value) =>
     .replace(/'/g, "&#39;");
 
 const CasesShippedToCustomer = () => {
-  const [carriers, setCarriers] = useState([]);
-  const [selectedCarrierId, setSelectedCarrierId] = useState("0");
-  const [batchMode, setBatchMode] = useState(false);
+  const { preferences } = usePreferences();
+  const [selectedCarrierId, setSelectedCarrierId] = useState(
+    preferences.defaultCarrierId,
+  );
+  const [batchMode, setBatchMode] = useState(preferences.batchMode);
   const [trackingNumber, setTrackingNumber] = useState("");
   const [barcodeValue, setBarcodeValue] = useState("");
   const [caseInput, setCaseInput] = useState("");
 
-  const [validCases, setValidCases] = useState([]);
-  const [invalidCases, setInvalidCases] = useState([]);
   const [shippedCases, setShippedCases] = useState([]);
 
-  const [loadingCarriers, setLoadingCarriers] = useState(false);
-  const [validatingCases, setValidatingCases] = useState(false);
   const [submitting, setSubmitting] = useState(false);
+  const { can } = useAuth();
+  const canSubmitShipment = can(PERMISSIONS.SHIPPING_SUBMIT);
   const [error, setError] = useState("");
   const [trackingWarning, setTrackingWarning] = useState("");
   const [checkingTrackingNumber, setCheckingTrackingNumber] = useState(false);
 
-  const [totalCaseShippedToday, setTotalCaseShippedToday] = useState(0);
-  const [totalCaseShippedThisWeek, setTotalCaseShippedThisWeek] = useState(0);
-  const [totalCaseShippedAllUsersToday, setTotalCaseShippedAllUsersToday] =
-    useState(0);
-  const [
-    totalCaseShippedAllUsersThisWeek,
-    setTotalCaseShippedAllUsersThisWeek,
-  ] = useState(0);
-  const [statsLoading, setStatsLoading] = useState(true);
+  const carriersQuery = useApiQuery("/shipping/carriers", {
+    ttl: QUERY_TTL_MS.CARRIERS,
+  });
+  const userStatsQuery = useApiQuery("/shipping/user-stats/today", {
+    ttl: QUERY_TTL_MS.USER_STATS,
+  });
+
+  const carriers = useMemo(
+    () => carriersQuery.data?.data?.carriers || [],
+    [carriersQuery.data],
+  );
+  const loadingCarriers = carriersQuery.loading;
+
+  const userStats =
+    userStatsQuery.data?.status === "success" ? userStatsQuery.data.data : {};
+  const totalCaseShippedToday = userStats?.totalCaseShippedToday || 0;
+  const totalCaseShippedThisWeek = userStats?.totalCaseShippedThisWeek || 0;
+  const totalCaseShippedAllUsersToday =
+    userStats?.totalCaseShippedAllUsersToday || 0;
+  const totalCaseShippedAllUsersThisWeek =
+    userStats?.totalCaseShippedAllUsersThisWeek || 0;
+  const statsLoading = userStatsQuery.loading;
   const trackingNumberInputRef = useRef(null);
   const caseInputRef = useRef(null);
 
+  // Validated cases live in the job so they survive leaving the page
+  const validationJob = useJob(JOB_TYPE);
+  const { validCases, invalidCases } = validationJob.job?.data || EMPTY_RESULTS;
+  const validatingCases = validationJob.isRunning;
+
   const selectedCarrier = useMemo(
     () =>
       carriers.find((carrier) => String(carrier.ID) === selectedCarrierId) ||
@@ -144,52 +178,13 @@ const CasesShippedToCustomer = () => {
   const isCATN = String(selectedCarrier?.CATN || "").toUpperCase() === "Y";
   const isFedExCarrier = selectedCarrierName.toLowerCase().includes("fedex");
 
-  const fetchUserStats = useCallback(async () => {
-    try {
-      setStatsLoading(true);
-      const response = await apiGet("/shipping/user-stats/today");
-
-      if (response.status === "success") {
-        setTotalCaseShippedToday(response.data?.totalCaseShippedToday || 0);
-        setTotalCaseShippedThisWeek(
-          response.data?.totalCaseShippedThisWeek || 0,
-        );
-        setTotalCaseShippedAllUsersToday(
-          response.data?.totalCaseShippedAllUsersToday || 0,
-        );
-        setTotalCaseShippedAllUsersThisWeek(
-          response.data?.totalCaseShippedAllUsersThisWeek || 0,
-        );
-        if (response.data?.userName) {
-          // userName is now shown in the navigation sidebar
-        }
-      }
-    } catch (statsError) {
-      console.error("Error fetching user stats:", statsError);
-    } finally {
-      setStatsLoading(false);
-    }
-  }, []);
-
   useEffect(() => {
-    const fetchCarriers = async () => {
-      setLoadingCarriers(true);
-      try {
-        const response = await apiGet("/shipping/carriers");
-        setCarriers(response?.data?.carriers || []);
-      } catch (err) {
-        setError(err.message || "Failed to retrieve carrier names");
-      } finally {
-        setLoadingCarriers(false);
-      }
-    };
-
-    fetchCarriers();
-  }, []);
-
-  useEffect(() => {
-    fetchUserStats();
-  }, [fetchUserStats]);
+    if (carriersQuery.error) {
+      setError(
+        carriersQuery.error.message || "Failed to retrieve carrier names",
+      );
+    }
+  }, [carriersQuery.error]);
 
   const handleCarrierChange = (event) => {
     setSelectedCarrierId(event.target.value);
@@ -329,123 +324,204 @@ const CasesShippedToCustomer = () => {
       return;
     }
 
-    setValidatingCases(true);
     setError("");
 
+    // IDs already listed or repeated in the input are flagged without an API
+    // call, but keep their place in the results
     const existingIds = new Set([
       ...validCases.map((item) => item.caseId),
       ...invalidCases.map((item) => item.caseId),
     ]);
-
-    const nextValidCases = [...validCases];
-    const nextInvalidCases = [...invalidCases];
     const seenInInput = new Set();
-
-    for (const caseId of inputCaseIds) {
-      if (seenInInput.has(caseId)) {
-        nextInvalidCases.push({
-          caseId,
-          caseStatus: "-",
-          reason: "Duplicate Input",
-          details: "",
-        });
-        continue;
-      }
-
+    const items = inputCaseIds.map((caseId) => {
+      const duplicate = seenInInput.has(caseId) || existingIds.has(caseId);
       seenInInput.add(caseId);
-
-      if (existingIds.has(caseId)) {
-        nextInvalidCases.push({
-          caseId,
-          caseStatus: "-",
-          reason: "Duplicate Input",
-          details: "",
-        });
-        continue;
+      return { caseId, duplicate };
+    });
+
+    /**
+     * Validate one case for shipping
+     * @param {Object} item - { caseId, duplicate }
+     * @param {Object} context - { signal } from the job
+     * @returns {Promise<Object>} { valid, entry }
+     */
+    const validateCase = async ({ caseId, duplicate }, { signal }) => {
+      if (duplicate) {
+        return {
+          valid: false,
+          entry: {
+            caseId,
+            caseStatus: "-",
+            reason: "Duplicate Input",
+            details: "",
+          },
+        };
       }
 
-      try {
-        const response = await apiPost("/shipping/validate-case", { caseId });
-        const result = response?.data || {};
+      // Attempts taken by the validation call (retried on transient errors)
+      let attempts = 1;
+      const onRetry = ({ attempt }) => {
+        attempts = attempt;
+      };
 
-        if (result.valid) {
-          nextValidCases.push({
+      const response = await apiPost(
+        "/shipping/validate-case",
+        { caseId },
+        { signal, onRetry },
+      );
+      const result = response?.data || {};
+
+      if (result.valid) {
+        return {
+          valid: true,
+          entry: {
             caseId,
             customerName: result.customerName || "-",
             caseStatus: result.caseStatus || "-",
             receivedDate: result.receivedDate || null,
             lastStatusUpdate: result.lastStatusUpdate || null,
             isRush: Boolean(result.isRush),
-          });
-          existingIds.add(caseId);
-        } else {
-          const openCount = parseInt(result.checkOpenTicket, 10) || 0;
-          const isPaymentDefault =
-            String(result.reasonCode || "").toUpperCase() ===
-            "PAYMENT_DEFAULT_CARRIER";
-
-          if (isPaymentDefault) {
-            nextInvalidCases.push({
-              caseId,
-              caseStatus: result.caseStatus || "-",
-              reason: "Payment Default Carrier",
-              details:
-                result.message || "Ship Carrier is set to Payment Default (59)",
-            });
-          } else if (!result.invoiceApprovedForPayment) {
-            nextInvalidCases.push({
-              caseId,
-              caseStatus: result.caseStatus || "-",
-              reason: "Invoice Not Approved",
-              details: "Invoice approval for payment is required",
-            });
-          } else if (openCount > 0) {
-            nextInvalidCases.push({
-              caseId,
-              caseStatus: result.caseStatus || "-",
-              reason: "Open Ticket",
-              details: `Open ticket count: ${openCount}`,
-            });
-          } else {
-            nextInvalidCases.push({
-              caseId,
-              caseStatus: result.caseStatus || "-",
-              reason: "Validation Failed",
-              details: "Case failed shipping validation",
-            });
-          }
+            attempts,
+          },
+        };
+      }
 
-          existingIds.add(caseId);
-        }
-      } catch (err) {
-        const message = String(err.message || "");
-        const normalizedMessage = message.toLowerCase();
-        const isNotFound = message.toLowerCase().includes("not found");
-        const isPaymentDefault = normalizedMessage.includes("payment default");
-        const errorCaseStatus = err?.data?.caseStatus || "-";
-
-        nextInvalidCases.push({
+      const openCount = parseInt(result.checkOpenTicket, 10) || 0;
+      const isPaymentDefault =
+        String(result.reasonCode || "").toUpperCase() ===
+        API_ERROR_CODES.PAYMENT_DEFAULT_CARRIER;
+      const caseStatus = result.caseStatus || "-";
+
+      if (isPaymentDefault) {
+        return {
+          valid: false,
+          entry: {
+            caseId,
+            caseStatus,
+            reason: "Payment Default Carrier",
+            details:
+              result.message || "Ship Carrier is set to Payment Default (59)",
+            attempts,
+          },
+        };
+      }
+
+      if (!result.invoiceApprovedForPayment) {
+        return {
+          valid: false,
+          entry: {
+            caseId,
+            caseStatus,
+            reason: "Invoice Not Approved",
+            details: "Invoice approval for payment is required",
+            attempts,
+          },
+        };
+      }
+
+      if (openCount > 0) {
+        return {
+          valid: false,
+          entry: {
+            caseId,
+            caseStatus,
+            reason: "Open Ticket",
+            details: `Open ticket count: ${openCount}`,
+            attempts,
+          },
+        };
+      }
+
+      return {
+        valid: false,
+        entry: {
           caseId,
-          caseStatus: errorCaseStatus,
-          reason: isPaymentDefault
-            ? "Payment Default Carrier"
-            : isNotFound
-              ? "Case Not Found"
-              : "Validation Error",
-          details: isPaymentDefault
-            ? "Ship Carrier is set to Payment Default (59)"
-            : isNotFound
-              ? "No matching case record was found"
-              : message || "Failed to validate case",
-        });
-        existingIds.add(caseId);
+          caseStatus,
+          reason: "Validation Failed",
+          details: "Case failed shipping validation",
+          attempts,
+        },
+      };
+    };
+
+    const validatedIndexes = new Set();
+
+    // Called in input order, so the lists match the scan order
+    const handleCaseComplete = (
+      { item, index, status, value, error: err },
+      { updateData },
+    ) => {
+      if (status === ITEM_STATUSES.CANCELLED) {
+        return;
+      }
+
+      validatedIndexes.add(index);
+
+      if (status === ITEM_STATUSES.FULFILLED) {
+        updateData(
+          updateJobList(value.valid ? "validCases" : "invalidCases", (prev) => [
+            ...prev,
+            value.entry,
+          ]),
+        );
+        return;
       }
+
+      const message = String(err.message || "");
+      const isNotFound =
+        err.code === API_ERROR_CODES.CASE_NOT_FOUND ||
+        err.code === API_ERROR_CODES.NOT_FOUND;
+      const isPaymentDefault =
+        err.code === API_ERROR_CODES.PAYMENT_DEFAULT_CARRIER;
+      const errorCaseStatus = err.data?.caseStatus || "-";
+
+      updateData(
+        updateJobList("invalidCases", (prev) => [
+          ...prev,
+          {
+            caseId: item.caseId,
+            caseStatus: errorCaseStatus,
+            attempts: err.attempts || 1,
+            reason: isPaymentDefault
+              ? "Payment Default Carrier"
+              : isNotFound
+                ? "Case Not Found"
+                : "Validation Error",
+            details: isPaymentDefault
+              ? "Ship Carrier is set to Payment Default (59)"
+              : isNotFound
+                ? "No matching case record was found"
+                : message || "Failed to validate case",
+          },
+        ]),
+      );
+    };
+
+    // New results are added to the cases already listed
+    const { cancelled } = await validationJob.start({
+      title: "Shipping validation",
+      route: ROUTES.CASES_SHIPPED_TO_CUSTOMER,
+      items,
+      worker: validateCase,
+      initialData: { validCases, invalidCases },
+      concurrency: BATCH_CONCURRENCY,
+      onItemComplete: handleCaseComplete,
+    });
+
+    if (cancelled) {
+      setError(
+        "Validation cancelled. Remaining case IDs were kept in the input.",
+      );
+      // Keep the interrupted and unstarted cases in the input
+      setCaseInput(
+        inputCaseIds
+          .filter((caseId, index) => !validatedIndexes.has(index))
+          .join("\n"),
+      );
+      return;
     }
 
-    setValidCases(nextValidCases);
-    setInvalidCases(nextInvalidCases);
     setCaseInput("");
-    setValidatingCases(false);
     focusTrackingNumberField();
   };
 
@@ -477,22 +553,29 @@ const CasesShippedToCustomer = () => {
     setTrackingNumber("");
     setTrackingWarning("");
     setBarcodeValue("");
-    setValidCases([]);
-    setInvalidCases([]);
+    validationJob.dismiss();
   };
 
   const handleClearAll = () => {
     resetEntryFields();
-    setSelectedCarrierId("0");
+    setSelectedCarrierId(preferences.defaultCarrierId);
     setError("");
   };
 
   const handleDeleteValidCase = (caseId) => {
-    setValidCases((prev) => prev.filter((item) => item.caseId !== caseId));
+    validationJob.updateData(
+      updateJobList("validCases", (prev) =>
+        prev.filter((item) => item.caseId !== caseId),
+      ),
+    );
   };
 
   const handleDeleteInvalidCase = (caseId) => {
-    setInvalidCases((prev) => prev.filter((item) => item.caseId !== caseId));
+    validationJob.updateData(
+      updateJobList("invalidCases", (prev) =>
+        prev.filter((item) => item.caseId !== caseId),
+      ),
+    );
   };
 
   const handleDeleteShippedCase = (caseId) => {
@@ -595,6 +678,11 @@ const CasesShippedToCustomer = () => {
   };
 
   const submitShipment = async () => {
+    if (!canSubmitShipment) {
+      setError("You do not have permission to submit shipments");
+      return;
+    }
+
     const validationError = validateSubmissionInput();
     if (validationError) {
       setError(validationError);
@@ -653,6 +741,7 @@ const CasesShippedToCustomer = () => {
         return merged;
       });
 
+      invalidateQueries("/shipping/user-stats");
       resetEntryFields();
       // Focus the case input field for easy scanning of next batch
       if (caseInputRef.current) {
@@ -797,16 +886,35 @@ const CasesShippedToCustomer = () => {
                 >
                   {validatingCases ? "Validating..." : "Validate"}
                 </button>
-                <button
-                  type="button"
-                  onClick={handleClearAll}
-                  disabled={submitting || validatingCases}
-                  className="px-4 py-2 bg-gray-100 text-gray-800 rounded-lg hover:bg-gray-200 disabled:bg-gray-100"
-                >
-                  Clear
-                </button>
+                {validatingCases ? (
+                  <button
+                    type="button"
+                    onClick={validationJob.cancel}
+                    className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
+                  >
+                    Cancel
+                  </button>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={handleClearAll}
+                    disabled={submitting}
+                    className="px-4 py-2 bg-gray-100 text-gray-800 rounded-lg hover:bg-gray-200 disabled:bg-gray-100"
+                  >
+                    Clear
+                  </button>
+                )}
               </div>
 
+              {batchMode && (
+                <BatchProgress
+                  progress={validationJob.job?.progress}
+                  onPause={validationJob.pause}
+                  onResume={validationJob.resume}
+                  onCancel={validationJob.cancel}
+                />
+              )}
+
               <div className="rounded-lg border border-gray-300 p-4 space-y-4">
                 <div className="grid grid-cols-1 gap-4">
                   <div className="hidden">
@@ -881,11 +989,20 @@ const CasesShippedToCustomer = () => {
                   </div>
                 )}
 
+                {!canSubmitShipment && (
+                  <p className="text-xs text-gray-500">
+                    Your account can validate cases but not ship them. Ask a
+                    supervisor to submit the shipment.
+                  </p>
+                )}
+
                 <div className="grid grid-cols-1 gap-3">
                   <button
                     type="button"
                     onClick={submitShipment}
-                    disabled={submitting || validatingCases}
+                    disabled={
+                      submitting || validatingCases || !canSubmitShipment
+                    }
                     className="px-4 py-2 bg-emerald-700 text-white rounded-lg hover:bg-emerald-800 disabled:bg-gray-400 disabled:cursor-not-allowed"
                   >
                     Ship Cases to Customer
@@ -930,6 +1047,9 @@ const CasesShippedToCustomer = () => {
                           <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                             Rush
                           </th>
+                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            Attempts
+                          </th>
                           <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                             Action
                           </th>
@@ -940,7 +1060,7 @@ const CasesShippedToCustomer = () => {
                       {validCases.length === 0 && (
                         <tr>
                           <td
-                            colSpan={7}
+                            colSpan={8}
                             className="px-4 py-6 text-sm text-gray-500 text-center"
                           >
                             No valid cases yet.
@@ -975,6 +1095,9 @@ const CasesShippedToCustomer = () => {
                               </span>
                             )}
                           </td>
+                          <td className="px-4 py-3 text-sm text-gray-700">
+                            {item.attempts || "-"}
+                          </td>
                           <td className="px-4 py-3 text-right">
                             <button
                               type="button"
@@ -1019,6 +1142,9 @@ const CasesShippedToCustomer = () => {
                           <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                             Details
                           </th>
+                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            Attempts
+                          </th>
                           <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                             Action
                           </th>
@@ -1029,7 +1155,7 @@ const CasesShippedToCustomer = () => {
                       {invalidCases.length === 0 && (
                         <tr>
                           <td
-                            colSpan={4}
+                            colSpan={6}
                             className="px-4 py-6 text-sm text-gray-500 text-center"
                           >
                             No invalid cases.
@@ -1050,6 +1176,9 @@ const CasesShippedToCustomer = () => {
                           <td className="px-4 py-3 text-sm text-gray-700">
                             {item.details || "-"}
                           </td>
+                          <td className="px-4 py-3 text-sm text-gray-700">
+                            {item.attempts || "-"}
+                          </td>
                           <td className="px-4 py-3 text-right">
                             <button
                               type="button"
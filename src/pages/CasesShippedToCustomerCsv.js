@@ -6,7 +6,20 @@ import React, {
   useRef,
 } from "react";
 import Layout from "../components/layout/Layout";
-import { apiGet, apiPost } from "../utils/api";
+import { apiPost, saveBlobAsFile } from "../utils/api";
+import { invalidateQueries } from "../utils/queryCache";
+import { ITEM_STATUSES } from "../utils/batchProcessor";
+import useApiQuery from "../hooks/useApiQuery";
+import { updateJobList, useJob } from "../contexts/JobsContext";
+import BatchProgress from "../components/common/BatchProgress";
+import { useAuth } from "../contexts/AuthContext";
+import { PERMISSIONS } from "../config/permissions";
+import {
+  API_ERROR_CODES,
+  BATCH_CONCURRENCY,
+  QUERY_TTL_MS,
+  ROUTES,
+} from "../config/constants";
 
 const CARRIER_ID_FEDEX_PAK = "95";
 const CARRIER_ID_USPS_POSTAL_SERVICE = "16";
@@ -230,30 +243,53 @@ const parseCsvContent = (content) => {
   return { rows, error: "" };
 };
 
+const JOB_TYPE = "cases-shipped-csv-validation";
+
+// Job data before the first validation
+const EMPTY_RESULTS = {
+  validCases: [],
+  invalidCases: [],
+};
+
 const CasesShippedToCustomerCsv = () => {
   const csvFileInputRef = useRef(null);
-  const [carriers, setCarriers] = useState([]);
+  const abortControllerRef = useRef(null);
   const [uploadedFileName, setUploadedFileName] = useState("");
   const [parsedRows, setParsedRows] = useState([]);
 
-  const [validCases, setValidCases] = useState([]);
-  const [invalidCases, setInvalidCases] = useState([]);
   const [shippedCases, setShippedCases] = useState([]);
 
-  const [loadingCarriers, setLoadingCarriers] = useState(false);
-  const [validatingCases, setValidatingCases] = useState(false);
+  // Validated rows live in the job so they survive leaving the page
+  const validationJob = useJob(JOB_TYPE);
+  const { validCases, invalidCases } = validationJob.job?.data || EMPTY_RESULTS;
+  const validatingCases = validationJob.isRunning;
+  const startValidationJob = validationJob.start;
   const [submitting, setSubmitting] = useState(false);
+  const { can } = useAuth();
+  const canSubmitShipment = can(PERMISSIONS.SHIPPING_SUBMIT);
   const [error, setError] = useState("");
 
-  const [totalCaseShippedToday, setTotalCaseShippedToday] = useState(0);
-  const [totalCaseShippedThisWeek, setTotalCaseShippedThisWeek] = useState(0);
-  const [totalCaseShippedAllUsersToday, setTotalCaseShippedAllUsersToday] =
-    useState(0);
-  const [
-    totalCaseShippedAllUsersThisWeek,
-    setTotalCaseShippedAllUsersThisWeek,
-  ] = useState(0);
-  const [statsLoading, setStatsLoading] = useState(true);
+  const carriersQuery = useApiQuery("/shipping/carriers", {
+    ttl: QUERY_TTL_MS.CARRIERS,
+  });
+  const userStatsQuery = useApiQuery("/shipping/user-stats/today", {
+    ttl: QUERY_TTL_MS.USER_STATS,
+  });
+
+  const carriers = useMemo(
+    () => carriersQuery.data?.data?.carriers || [],
+    [carriersQuery.data],
+  );
+
+  const userStats =
+    userStatsQuery.data?.status === "success" ? userStatsQuery.data.data : {};
+  const totalCaseShippedToday = userStats?.totalCaseShippedToday || 0;
+  const totalCaseShippedThisWeek = userStats?.totalCaseShippedThisWeek || 0;
+  const totalCaseShippedAllUsersToday =
+    userStats?.totalCaseShippedAllUsersToday || 0;
+  const totalCaseShippedAllUsersThisWeek =
+    userStats?.totalCaseShippedAllUsersThisWeek || 0;
+  const statsLoading = userStatsQuery.loading;
 
   // Map of carrierId to carrierName for auto-detection
   const carrierNameById = useMemo(() => {
@@ -264,58 +300,33 @@ const CasesShippedToCustomerCsv = () => {
     return map;
   }, [carriers]);
 
-  const fetchUserStats = useCallback(async () => {
-    try {
-      setStatsLoading(true);
-      const response = await apiGet("/shipping/user-stats/today");
-
-      if (response.status === "success") {
-        setTotalCaseShippedToday(response.data?.totalCaseShippedToday || 0);
-        setTotalCaseShippedThisWeek(
-          response.data?.totalCaseShippedThisWeek || 0,
-        );
-        setTotalCaseShippedAllUsersToday(
-          response.data?.totalCaseShippedAllUsersToday || 0,
-        );
-        setTotalCaseShippedAllUsersThisWeek(
-          response.data?.totalCaseShippedAllUsersThisWeek || 0,
-        );
-      }
-    } catch (statsError) {
-      console.error("Error fetching user stats:", statsError);
-    } finally {
-      setStatsLoading(false);
+  useEffect(() => {
+    if (carriersQuery.error) {
+      setError(
+        carriersQuery.error.message || "Failed to retrieve carrier names",
+      );
     }
-  }, []);
+  }, [carriersQuery.error]);
 
+  // Stop any in-flight shipment batch when leaving the page
   useEffect(() => {
-    const fetchCarriers = async () => {
-      setLoadingCarriers(true);
-      try {
-        const response = await apiGet("/shipping/carriers");
-        setCarriers(response?.data?.carriers || []);
-      } catch (err) {
-        setError(err.message || "Failed to retrieve carrier names");
-      } finally {
-        setLoadingCarriers(false);
-      }
-    };
-
-    fetchCarriers();
+    return () => abortControllerRef.current?.abort();
   }, []);
 
-  useEffect(() => {
-    fetchUserStats();
-  }, [fetchUserStats]);
-
   const handleDeleteValidCase = (caseId) => {
-    setValidCases((prev) => prev.filter((item) => item.caseId !== caseId));
+    validationJob.updateData(
+      updateJobList("validCases", (prev) =>
+        prev.filter((item) => item.caseId !== caseId),
+      ),
+    );
   };
 
   const handleDeleteInvalidCase = (caseId, rowNumber) => {
-    setInvalidCases((prev) =>
-      prev.filter(
-        (item) => !(item.caseId === caseId && item.rowNumber === rowNumber),
+    validationJob.updateData(
+      updateJobList("invalidCases", (prev) =>
+        prev.filter(
+          (item) => !(item.caseId === caseId && item.rowNumber === rowNumber),
+        ),
       ),
     );
   };
@@ -327,8 +338,7 @@ const CasesShippedToCustomerCsv = () => {
   const resetEntryFields = () => {
     setUploadedFileName("");
     setParsedRows([]);
-    setValidCases([]);
-    setInvalidCases([]);
+    validationJob.dismiss();
     if (csvFileInputRef.current) {
       csvFileInputRef.current.value = "";
     }
@@ -345,14 +355,7 @@ const CasesShippedToCustomerCsv = () => {
       type: "text/csv;charset=utf-8;",
     });
 
-    const url = window.URL.createObjectURL(blob);
-    const link = document.createElement("a");
-    link.href = url;
-    link.setAttribute("download", "cases-shipped-template.csv");
-    document.body.appendChild(link);
-    link.click();
-    document.body.removeChild(link);
-    window.URL.revokeObjectURL(url);
+    saveBlobAsFile(blob, "cases-shipped-template.csv");
   };
 
   const validateRows = useCallback(
@@ -362,62 +365,43 @@ const CasesShippedToCustomerCsv = () => {
         return;
       }
 
-      setValidatingCases(true);
       setError("");
 
-      const nextValidCases = [];
-      const nextInvalidCases = [];
+      // Rows that fail the local checks are rejected without an API call,
+      // but keep their place in the results
       const seenCaseIds = new Set();
-
-      for (const row of rowsToValidate) {
+      const items = rowsToValidate.map((row) => {
         const caseId = normalizeCaseId(row.orderId);
-        const userLogin = row.userLogin || "-";
-        const shippedDate = row.shippedDate || "-";
         const trackingNumber = row.trackingNumber || "";
+        const rowFields = {
+          rowNumber: row.rowNumber,
+          caseId: caseId || "-",
+          orderId: row.orderId || "-",
+          userLogin: row.userLogin || "-",
+          shippedDate: row.shippedDate || "-",
+          trackingNumber: trackingNumber || "-",
+        };
+        const reject = (reason, details) => ({
+          rowFields,
+          rejection: { ...rowFields, caseStatus: "-", reason, details },
+        });
 
         if (!caseId) {
-          nextInvalidCases.push({
-            rowNumber: row.rowNumber,
-            caseId: "-",
-            orderId: row.orderId || "-",
-            userLogin,
-            shippedDate,
-            trackingNumber: trackingNumber || "-",
-            caseStatus: "-",
-            reason: "Invalid Order ID",
-            details: "Order ID must contain a numeric case ID",
-          });
-          continue;
+          return reject(
+            "Invalid Order ID",
+            "Order ID must contain a numeric case ID",
+          );
         }
 
         if (!trackingNumber) {
-          nextInvalidCases.push({
-            rowNumber: row.rowNumber,
-            caseId,
-            orderId: row.orderId || "-",
-            userLogin,
-            shippedDate,
-            trackingNumber: "-",
-            caseStatus: "-",
-            reason: "Missing Tracking",
-            details: "Tracking is required in the CSV row",
-          });
-          continue;
+          return reject(
+            "Missing Tracking",
+            "Tracking is required in the CSV row",
+          );
         }
 
         if (seenCaseIds.has(caseId)) {
-          nextInvalidCases.push({
-            rowNumber: row.rowNumber,
-            caseId,
-            orderId: row.orderId || "-",
-            userLogin,
-            shippedDate,
-            trackingNumber,
-            caseStatus: "-",
-            reason: "Duplicate Input",
-            details: "Duplicate case ID in uploaded CSV",
-          });
-          continue;
+          return reject("Duplicate Input", "Duplicate case ID in uploaded CSV");
         }
 
         seenCaseIds.add(caseId);
@@ -426,33 +410,47 @@ const CasesShippedToCustomerCsv = () => {
         const inferredCarrierId =
           detectCarrierIdFromTrackingNumber(trackingNumber);
         if (!inferredCarrierId) {
-          nextInvalidCases.push({
-            rowNumber: row.rowNumber,
-            caseId,
-            orderId: row.orderId || "-",
-            userLogin,
-            shippedDate,
-            trackingNumber,
-            caseStatus: "-",
-            reason: "Carrier Not Detected",
-            details:
-              "Unable to auto-detect carrier from tracking number. Only supported carriers are allowed.",
-          });
-          continue;
+          return reject(
+            "Carrier Not Detected",
+            "Unable to auto-detect carrier from tracking number. Only supported carriers are allowed.",
+          );
         }
 
-        try {
-          const response = await apiPost("/shipping/validate-case", { caseId });
-          const result = response?.data || {};
+        return { rowFields, inferredCarrierId };
+      });
 
-          if (result.valid) {
-            nextValidCases.push({
-              rowNumber: row.rowNumber,
-              caseId,
-              orderId: row.orderId || "-",
-              userLogin,
-              shippedDate,
-              trackingNumber,
+      /**
+       * Validate one CSV row for shipping
+       * @param {Object} item - { rowFields, rejection, inferredCarrierId }
+       * @param {Object} context - { signal } from the job
+       * @returns {Promise<Object>} { valid, entry }
+       */
+      const validateRow = async (
+        { rowFields, rejection, inferredCarrierId },
+        { signal },
+      ) => {
+        if (rejection) {
+          return { valid: false, entry: rejection };
+        }
+
+        // Attempts taken by the validation call (retried on transient errors)
+        let attempts = 1;
+        const onRetry = ({ attempt }) => {
+          attempts = attempt;
+        };
+
+        const response = await apiPost(
+          "/shipping/validate-case",
+          { caseId: rowFields.caseId },
+          { signal, onRetry },
+        );
+        const result = response?.data || {};
+
+        if (result.valid) {
+          return {
+            valid: true,
+            entry: {
+              ...rowFields,
               customerName: result.customerName || "-",
               caseStatus: result.caseStatus || "-",
               receivedDate: result.receivedDate || null,
@@ -460,99 +458,112 @@ const CasesShippedToCustomerCsv = () => {
               isRush: Boolean(result.isRush),
               carrierId: inferredCarrierId,
               carrierName: carrierNameById.get(inferredCarrierId) || "-",
-            });
-          } else {
-            const openCount = parseInt(result.checkOpenTicket, 10) || 0;
-            const isPaymentDefault =
-              String(result.reasonCode || "").toUpperCase() ===
-              "PAYMENT_DEFAULT_CARRIER";
-
-            if (isPaymentDefault) {
-              nextInvalidCases.push({
-                rowNumber: row.rowNumber,
-                caseId,
-                orderId: row.orderId || "-",
-                userLogin,
-                shippedDate,
-                trackingNumber,
-                caseStatus: result.caseStatus || "-",
-                reason: "Payment Default Carrier",
-                details:
-                  result.message ||
-                  "Ship Carrier is set to Payment Default (59)",
-              });
-            } else if (!result.invoiceApprovedForPayment) {
-              nextInvalidCases.push({
-                rowNumber: row.rowNumber,
-                caseId,
-                orderId: row.orderId || "-",
-                userLogin,
-                shippedDate,
-                trackingNumber,
-                caseStatus: result.caseStatus || "-",
-                reason: "Invoice Not Approved",
-                details: "Invoice approval for payment is required",
-              });
-            } else if (openCount > 0) {
-              nextInvalidCases.push({
-                rowNumber: row.rowNumber,
-                caseId,
-                orderId: row.orderId || "-",
-                userLogin,
-                shippedDate,
-                trackingNumber,
-                caseStatus: result.caseStatus || "-",
-                reason: "Open Ticket",
-                details: `Open ticket count: ${openCount}`,
-              });
-            } else {
-              nextInvalidCases.push({
-                rowNumber: row.rowNumber,
-                caseId,
-                orderId: row.orderId || "-",
-                userLogin,
-                shippedDate,
-                trackingNumber,
-                caseStatus: result.caseStatus || "-",
-                reason: "Validation Failed",
-                details: "Case failed shipping validation",
-              });
-            }
-          }
-        } catch (err) {
-          const message = String(err.message || "");
-          const normalizedMessage = message.toLowerCase();
-          const isNotFound = normalizedMessage.includes("not found");
-          const isPaymentDefault =
-            normalizedMessage.includes("payment default");
-
-          nextInvalidCases.push({
-            rowNumber: row.rowNumber,
-            caseId,
-            orderId: row.orderId || "-",
-            userLogin,
-            shippedDate,
-            trackingNumber,
-            caseStatus: "-",
-            reason: isPaymentDefault
-              ? "Payment Default Carrier"
-              : isNotFound
-                ? "Case Not Found"
-                : "Validation Error",
-            details: isPaymentDefault
-              ? "Ship Carrier is set to Payment Default (59)"
-              : isNotFound
-                ? "No matching case record was found"
-                : message || "Failed to validate case",
-          });
+              attempts,
+            },
+          };
+        }
+
+        const openCount = parseInt(result.checkOpenTicket, 10) || 0;
+        const isPaymentDefault =
+          String(result.reasonCode || "").toUpperCase() ===
+          API_ERROR_CODES.PAYMENT_DEFAULT_CARRIER;
+        const invalid = (reason, details) => ({
+          valid: false,
+          entry: {
+            ...rowFields,
+            caseStatus: result.caseStatus || "-",
+            reason,
+            details,
+            attempts,
+          },
+        });
+
+        if (isPaymentDefault) {
+          return invalid(
+            "Payment Default Carrier",
+            result.message || "Ship Carrier is set to Payment Default (59)",
+          );
+        }
+
+        if (!result.invoiceApprovedForPayment) {
+          return invalid(
+            "Invoice Not Approved",
+            "Invoice approval for payment is required",
+          );
+        }
+
+        if (openCount > 0) {
+          return invalid("Open Ticket", `Open ticket count: ${openCount}`);
+        }
+
+        return invalid("Validation Failed", "Case failed shipping validation");
+      };
+
+      // Called in input order, so the lists follow the CSV row order
+      const handleRowComplete = (
+        { item, status, value, error: err },
+        { updateData },
+      ) => {
+        if (status === ITEM_STATUSES.CANCELLED) {
+          return;
+        }
+
+        if (status === ITEM_STATUSES.FULFILLED) {
+          updateData(
+            updateJobList(
+              value.valid ? "validCases" : "invalidCases",
+              (prev) => [...prev, value.entry],
+            ),
+          );
+          return;
         }
-      }
 
-      setValidCases(nextValidCases);
-      setInvalidCases(nextInvalidCases);
-      setValidatingCases(false);
+        const message = String(err.message || "");
+        const isNotFound =
+          err.code === API_ERROR_CODES.CASE_NOT_FOUND ||
+          err.code === API_ERROR_CODES.NOT_FOUND;
+        const isPaymentDefault =
+          err.code === API_ERROR_CODES.PAYMENT_DEFAULT_CARRIER;
+
+        updateData(
+          updateJobList("invalidCases", (prev) => [
+            ...prev,
+            {
+              ...item.rowFields,
+              caseStatus: err.data?.caseStatus || "-",
+              attempts: err.attempts || 1,
+              reason: isPaymentDefault
+                ? "Payment Default Carrier"
+                : isNotFound
+                  ? "Case Not Found"
+                  : "Validation Error",
+              details: isPaymentDefault
+                ? "Ship Carrier is set to Payment Default (59)"
+                : isNotFound
+                  ? "No matching case record was found"
+                  : message || "Failed to validate case",
+            },
+          ]),
+        );
+      };
+
+      const { cancelled } = await startValidationJob({
+        title: "CSV shipping validation",
+        route: ROUTES.CASES_SHIPPED_TO_CUSTOMER_CSV,
+        items,
+        worker: validateRow,
+        initialData: EMPTY_RESULTS,
+        concurrency: BATCH_CONCURRENCY,
+        onItemComplete: handleRowComplete,
+      });
+
+      if (cancelled) {
+        setError(
+          "Validation cancelled. Only the rows validated so far are listed; run Validate again to check the rest.",
+        );
+      }
     },
-    [carrierNameById],
+    [startValidationJob, carrierNameById],
   );
 
   const handleCsvUpload = async (event) => {
@@ -574,8 +585,7 @@ const CasesShippedToCustomerCsv = () => {
       if (parseError) {
         setUploadedFileName(file.name);
         setParsedRows([]);
-        setValidCases([]);
-        setInvalidCases([]);
+        validationJob.dismiss();
         setError(parseError);
         return;
       }
@@ -667,11 +677,20 @@ const CasesShippedToCustomerCsv = () => {
   };
 
   const submitShipment = async () => {
+    if (!canSubmitShipment) {
+      setError("You do not have permission to submit shipments");
+      return;
+    }
+
     if (validCases.length === 0) {
       setError("Please upload and validate at least one valid case");
       return;
     }
 
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    const { signal } = controller;
+
     setSubmitting(true);
     setError("");
 
@@ -725,7 +744,13 @@ const CasesShippedToCustomerCsv = () => {
 
       const processedCasesCombined = [];
 
+      // Shipment requests are not aborted mid-flight; cancelling stops
+      // before the next carrier/tracking group is sent.
       for (const payload of groupedPayloads.values()) {
+        if (signal.aborted) {
+          break;
+        }
+
         const response = await apiPost(
           "/shipping/shipped-to-customer",
           payload,
@@ -787,15 +812,39 @@ const CasesShippedToCustomerCsv = () => {
         return merged;
       });
 
-      resetEntryFields();
-      await fetchUserStats();
+      if (signal.aborted) {
+        // Keep the cases that were not shipped so they can be submitted later
+        const shippedCaseIds = new Set(
+          processedCasesCombined.map((item) => item.caseId),
+        );
+        validationJob.updateData(
+          updateJobList("validCases", (prev) =>
+            prev.filter((item) => !shippedCaseIds.has(item.caseId)),
+          ),
+        );
+        setError("Shipment cancelled. Unshipped cases remain in Valid Cases.");
+      } else {
+        resetEntryFields();
+      }
+      invalidateQueries("/shipping/user-stats");
     } catch (err) {
       setError(err.message || "Failed to ship cases");
     } finally {
+      if (abortControllerRef.current === controller) {
+        abortControllerRef.current = null;
+      }
       setSubmitting(false);
     }
   };
 
+  /**
+   * Cancel the validation or shipment batch currently running
+   */
+  const handleCancel = () => {
+    validationJob.cancel();
+    abortControllerRef.current?.abort();
+  };
+
   return (
     <Layout showLogout={true} title="Cases Shipped to Customer (CSV)">
       <div className="space-y-6">
@@ -904,16 +953,33 @@ const CasesShippedToCustomerCsv = () => {
                 >
                   {validatingCases ? "Validating..." : "Validate"}
                 </button>
-                <button
-                  type="button"
-                  onClick={handleClearAll}
-                  disabled={submitting || validatingCases}
-                  className="px-4 py-2 bg-gray-100 text-gray-800 rounded-lg hover:bg-gray-200 disabled:bg-gray-100"
-                >
-                  Clear
-                </button>
+                {validatingCases || submitting ? (
+                  <button
+                    type="button"
+                    onClick={handleCancel}
+                    className="px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700"
+                  >
+                    Cancel
+                  </button>
+                ) : (
+                  <button
+                    type="button"
+                    onClick={handleClearAll}
+                    className="px-4 py-2 bg-gray-100 text-gray-800 rounded-lg hover:bg-gray-200 disabled:bg-gray-100"
+                  >
+                    Clear
+                  </button>
+                )}
               </div>
 
+              <BatchProgress
+                progress={validationJob.job?.progress}
+                onPause={validationJob.pause}
+                onResume={validationJob.resume}
+                onCancel={validationJob.cancel}
+                itemLabel="rows"
+              />
+
               <div className="rounded-lg border border-gray-300 p-4 space-y-4">
                 {/* Carrier selection is not allowed in offline CSV mode. Carrier is auto-detected from tracking number. */}
                 <div className="text-xs text-gray-500">
@@ -921,12 +987,22 @@ const CasesShippedToCustomerCsv = () => {
                   selection is not allowed.
                 </div>
 
+                {!canSubmitShipment && (
+                  <p className="text-xs text-gray-500">
+                    Your account can validate cases but not ship them. Ask a
+                    supervisor to submit the shipment.
+                  </p>
+                )}
+
                 <div className="grid grid-cols-1 gap-3">
                   <button
                     type="button"
                     onClick={submitShipment}
                     disabled={
-                      submitting || validatingCases || validCases.length === 0
+                      submitting ||
+                      validatingCases ||
+                      validCases.length === 0 ||
+                      !canSubmitShipment
                     }
                     className="px-4 py-2 bg-emerald-700 text-white rounded-lg hover:bg-emerald-800 disabled:bg-gray-400 disabled:cursor-not-allowed"
                   >
@@ -978,6 +1054,9 @@ const CasesShippedToCustomerCsv = () => {
                           <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                             Tracking Number
                           </th>
+                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            Attempts
+                          </th>
                           <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                             Action
                           </th>
@@ -988,7 +1067,7 @@ const CasesShippedToCustomerCsv = () => {
                       {validCases.length === 0 && (
                         <tr>
                           <td
-                            colSpan={7}
+                            colSpan={10}
                             className="px-4 py-6 text-sm text-gray-500 text-center"
                           >
                             No valid cases yet.
@@ -1021,6 +1100,9 @@ const CasesShippedToCustomerCsv = () => {
                           <td className="px-4 py-3 text-sm text-gray-700">
                             {item.trackingNumber || "-"}
                           </td>
+                          <td className="px-4 py-3 text-sm text-gray-700">
+                            {item.attempts || "-"}
+                          </td>
                           <td className="px-4 py-3 text-right">
                             <button
                               type="button"
@@ -1074,6 +1156,9 @@ const CasesShippedToCustomerCsv = () => {
                           <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
                             Details
                           </th>
+                          <th className="px-4 py-3 text-left text-xs font-medium text-gray-500 uppercase tracking-wider">
+                            Attempts
+                          </th>
                           <th className="px-4 py-3 text-right text-xs font-medium text-gray-500 uppercase tracking-wider">
                             Action
                           </th>
@@ -1084,7 +1169,7 @@ const CasesShippedToCustomerCsv = () => {
                       {invalidCases.length === 0 && (
                         <tr>
                           <td
-                            colSpan={8}
+                            colSpan={9}
                             className="px-4 py-6 text-sm text-gray-500 text-center"
                           >
                             No invalid cases.
@@ -1114,6 +1199,9 @@ const CasesShippedToCustomerCsv = () => {
                           <td className="px-4 py-3 text-sm text-gray-700">
                             {item.details || "-"}
                           </td>
+                          <td className="px-4 py-3 text-sm text-gray-700">
+                            {item.attempts || "-"}
+                          </td>
                           <td className="px-4 py-3 text-right">
                             <button
                               type="button"
@@ -0,0 +1,450 @@
+// src/pages/EmailTemplates.js
+/**
+ * Email Templates Page Component
+ *
+ * Editor for the customer emails sent when a case changes status.
+ * - Subject and message use placeholders such as {{caseId}}, filled in per
+ *   case when the email is sent
+ * - A live preview renders the edits with sample case data
+ * - Edits are saved as a draft; customers keep getting the published
+ *   version until the draft is published
+ */
+
+import React, { useRef, useState } from "react";
+import Layout from "../components/layout/Layout";
+import Button from "../components/common/Button";
+import useApiQuery from "../hooks/useApiQuery";
+import useStatuses from "../hooks/useStatuses";
+import { QUERY_TTL_MS } from "../config/constants";
+import { apiDelete, apiPost, apiPut } from "../utils/api";
+import { invalidateQueries } from "../utils/queryCache";
+import {
+  TEMPLATE_VARIABLES,
+  getSampleValues,
+  renderTemplate,
+  toPlaceholder,
+  validateTemplate,
+} from "../utils/emailTemplates";
+
+const TEMPLATES_QUERY_KEY = "/status/email-templates";
+
+const INPUT_CLASSES =
+  "w-full rounded-md border border-gray-300 bg-white px-3 py-2 text-sm text-gray-800 focus:border-blue-500 focus:outline-none focus:ring-2 focus:ring-blue-100 disabled:cursor-not-allowed disabled:bg-gray-100";
+
+const LABEL_CLASSES =
+  "text-xs font-semibold uppercase tracking-wide text-gray-600";
+
+/**
+ * Format when and by whom a version was saved
+ * @param {string|null} at - ISO date time
+ * @param {string|null} by - User name
+ * @returns {string}
+ */
+const formatSaved = (at, by) => {
+  if (!at) return "";
+  const date = new Date(at);
+  if (isNaN(date.getTime())) return "";
+  return ` on ${date.toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  })}${by ? ` by ${by}` : ""}`;
+};
+
+/**
+ * The text the editor starts from: the draft if there is one
+ * @param {Object} template - Email template
+ * @returns {Object} { Title, Body }
+ */
+const getSavedText = (template) => ({
+  Title: template.Draft ? template.Draft.Title : template.Title || "",
+  Body: template.Draft ? template.Draft.Body : template.Body || "",
+});
+
+const EmailTemplates = () => {
+  const templatesQuery = useApiQuery(TEMPLATES_QUERY_KEY, {
+    ttl: QUERY_TTL_MS.STATUSES,
+  });
+  const templates = templatesQuery.data?.data?.templates || [];
+  const { statuses } = useStatuses();
+
+  const [selectedId, setSelectedId] = useState(null);
+  const [form, setForm] = useState({ Title: "", Body: "" });
+  const [sampleValues, setSampleValues] = useState(getSampleValues);
+  // Field placeholders are inserted into: "Title" or "Body"
+  const [insertTarget, setInsertTarget] = useState("Body");
+  const [pendingAction, setPendingAction] = useState(null);
+  const [notice, setNotice] = useState("");
+  const [error, setError] = useState("");
+  const fieldRefs = { Title: useRef(null), Body: useRef(null) };
+
+  const selected =
+    templates.find((template) => template.Email_Template_Id === selectedId) ||
+    null;
+  const savedText = selected ? getSavedText(selected) : null;
+  const isDirty =
+    Boolean(savedText) &&
+    (form.Title !== savedText.Title || form.Body !== savedText.Body);
+  const problems = selected ? validateTemplate(form) : [];
+  const busy = pendingAction !== null;
+  const usedBy = statuses.filter(
+    (status) => status.Email_Template_Id === selectedId,
+  );
+
+  const openTemplate = (template) => {
+    setNotice("");
+    setError("");
+    setSelectedId(template.Email_Template_Id);
+    setForm(getSavedText(template));
+  };
+
+  const handleFieldChange = (e) => {
+    const { name, value } = e.target;
+    setNotice("");
+    setForm((prev) => ({ ...prev, [name]: value }));
+  };
+
+  /**
+   * Insert a placeholder at the cursor of the last focused field
+   * @param {string} name - Variable name
+   */
+  const handleInsertVariable = (name) => {
+    const field = fieldRefs[insertTarget].current;
+    const value = form[insertTarget];
+    const start = field?.selectionStart ?? value.length;
+    const end = field?.selectionEnd ?? value.length;
+    const placeholder = toPlaceholder(name);
+
+    setForm((prev) => ({
+      ...prev,
+      [insertTarget]: value.slice(0, start) + placeholder + value.slice(end),
+    }));
+    // Put the cursor after the placeholder once the value is rendered
+    requestAnimationFrame(() => {
+      field?.focus();
+      field?.setSelectionRange(
+        start + placeholder.length,
+        start + placeholder.length,
+      );
+    });
+  };
+
+  /**
+   * Run a template request, then reload the template everywhere it is shown
+   * @param {string} action - Action name, for the pending state
+   * @param {function} request - Async request resolving with the response
+   * @param {string} successMessage - Message shown when it succeeds
+   */
+  const runTemplateAction = async (action, request, successMessage) => {
+    setError("");
+    setNotice("");
+    setPendingAction(action);
+    try {
+      const response = await request();
+      // Covers the list and the template CaseStatusUpdate shows
+      invalidateQueries("/status/email-template");
+      setForm(getSavedText(response.data.template));
+      setNotice(successMessage);
+    } catch (err) {
+      setError(err.message || "The template could not be saved.");
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const templatePath = `/status/email-template/${selectedId}`;
+
+  const handleSaveDraft = () =>
+    runTemplateAction(
+      "draft",
+      () => apiPut(`${templatePath}/draft`, form),
+      "Draft saved. Customers still get the published version.",
+    );
+
+  const handlePublish = () =>
+    runTemplateAction(
+      "publish",
+      async () => {
+        if (isDirty || !selected.Draft) {
+          await apiPut(`${templatePath}/draft`, form);
+        }
+        return apiPost(`${templatePath}/publish`, {});
+      },
+      "Published. Emails sent from now on use this version.",
+    );
+
+  const handleDiscardDraft = () =>
+    runTemplateAction(
+      "discard",
+      () => apiDelete(`${templatePath}/draft`),
+      "Draft discarded.",
+    );
+
+  const handleRevert = () => {
+    setNotice("");
+    setForm(savedText);
+  };
+
+  return (
+    <Layout showLogout={true} title="Email Templates">
+      <div className="space-y-6">
+        <div className="bg-white shadow-sm rounded-lg border border-gray-200 overflow-hidden">
+          <div className="px-6 py-4 border-b border-gray-200 bg-gray-50">
+            <h1 className="text-xl font-semibold text-gray-900">
+              Email Templates
+            </h1>
+            <p className="mt-1 text-sm text-gray-600">
+              Customer emails sent when a case changes status. Save your edits
+              as a draft and publish them when they are ready.
+            </p>
+          </div>
+
+          <div className="grid grid-cols-1 gap-6 p-6 lg:grid-cols-[16rem_minmax(0,1fr)]">
+            <div className="space-y-2">
+              {templatesQuery.loading && (
+                <p className="text-sm text-gray-500">Loading templates...</p>
+              )}
+              {templatesQuery.error && (
+                <p className="text-sm text-red-600">
+                  {templatesQuery.error.message}
+                </p>
+              )}
+              {isDirty && (
+                <p className="text-xs text-gray-500">
+                  Save or revert your changes to open another template.
+                </p>
+              )}
+              <ul className="divide-y divide-gray-200 rounded-md border border-gray-200">
+                {templates.map((template) => (
+                  <li key={template.Email_Template_Id}>
+                    <button
+                      type="button"
+                      onClick={() => openTemplate(template)}
+                      disabled={
+                        busy ||
+                        (isDirty && template.Email_Template_Id !== selectedId)
+                      }
+                      className={`w-full px-3 py-2 text-left text-sm disabled:cursor-not-allowed ${
+                        template.Email_Template_Id === selectedId
+                          ? "bg-blue-50 text-blue-900"
+                          : "text-gray-700 hover:bg-gray-50 disabled:opacity-50"
+                      }`}
+                    >
+                      <span className="block font-medium">
+                        {template.Title || "No title"}
+                      </span>
+                      <span className="text-xs text-gray-500">
+                        Version {template.Version}
+                        {template.Draft && (
+                          <span className="ml-2 rounded bg-yellow-100 px-1.5 py-0.5 font-semibold text-yellow-800">
+                            Draft
+                          </span>
+                        )}
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </div>
+
+            {!selected ? (
+              <div className="rounded-md border border-dashed border-gray-300 p-6 text-center text-sm text-gray-500">
+                Pick a template to edit it.
+              </div>
+            ) : (
+              <div className="space-y-4">
+                <div className="flex flex-wrap items-center gap-2 text-sm text-gray-600">
+                  <span>
+                    Published version {selected.Version}
+                    {formatSaved(selected.PublishedAt, selected.PublishedBy)}.
+                  </span>
+                  {selected.Draft && (
+                    <span className="rounded bg-yellow-100 px-2 py-0.5 text-xs font-semibold text-yellow-800">
+                      Draft saved
+                      {formatSaved(
+                        selected.Draft.UpdatedAt,
+                        selected.Draft.UpdatedBy,
+                      )}
+                    </span>
+                  )}
+                  {isDirty && (
+                    <span className="rounded bg-gray-100 px-2 py-0.5 text-xs font-semibold text-gray-700">
+                      Unsaved changes
+                    </span>
+                  )}
+                </div>
+                <p className="text-xs text-gray-500">
+                  {usedBy.length > 0
+                    ? `Sent for: ${usedBy
+                        .map((status) => status.Status_Streamline_Options)
+                        .join(", ")}`
+                    : "No status sends this template."}
+                </p>
+
+                {notice && (
+                  <div className="rounded-md border border-green-200 bg-green-50 px-4 py-3 text-sm text-green-800">
+                    {notice}
+                  </div>
+                )}
+                {error && (
+                  <div className="rounded-md border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-700">
+                    {error}
+                  </div>
+                )}
+
+                <div className="grid grid-cols-1 gap-6 xl:grid-cols-2">
+                  <div className="space-y-4">
+                    <label className="flex flex-col gap-1">
+                      <span className={LABEL_CLASSES}>Subject</span>
+                      <input
+                        ref={fieldRefs.Title}
+                        name="Title"
+                        value={form.Title}
+                        onChange={handleFieldChange}
+                        onFocus={() => setInsertTarget("Title")}
+                        disabled={busy}
+                        className={INPUT_CLASSES}
+                      />
+                    </label>
+                    <label className="flex flex-col gap-1">
+                      <span className={LABEL_CLASSES}>Message</span>
+                      <textarea
+                        ref={fieldRefs.Body}
+                        name="Body"
+                        value={form.Body}
+                        onChange={handleFieldChange}
+                        onFocus={() => setInsertTarget("Body")}
+                        disabled={busy}
+                        rows={10}
+                        className={`${INPUT_CLASSES} resize-y`}
+                      />
+                    </label>
+
+                    <div>
+                      <p className={`${LABEL_CLASSES} mb-2`}>
+                        Insert into the{" "}
+                        {insertTarget === "Title" ? "subject" : "message"}
+                      </p>
+                      <div className="flex flex-wrap gap-2">
+                        {TEMPLATE_VARIABLES.map((variable) => (
+                          <button
+                            key={variable.name}
+                            type="button"
+                            onClick={() => handleInsertVariable(variable.name)}
+                            disabled={busy}
+                            title={variable.label}
+                            className="rounded border border-gray-300 px-2 py-1 font-mono text-xs text-gray-700 hover:bg-gray-100 disabled:cursor-not-allowed disabled:opacity-40"
+                          >
+                            {toPlaceholder(variable.name)}
+                          </button>
+                        ))}
+                      </div>
+                    </div>
+
+                    {problems.length > 0 && (
+                      <ul className="list-disc space-y-1 rounded-md border border-yellow-200 bg-yellow-50 py-3 pl-8 pr-4 text-sm text-yellow-800">
+                        {problems.map((problem) => (
+                          <li key={problem}>{problem}</li>
+                        ))}
+                      </ul>
+                    )}
+
+                    <div className="flex flex-wrap justify-end gap-2">
+                      {isDirty && (
+                        <Button
+                          variant="secondary"
+                          size="sm"
+                          onClick={handleRevert}
+                          disabled={busy}
+                        >
+                          Revert changes
+                        </Button>
+                      )}
+                      {selected.Draft && !isDirty && (
+                        <Button
+                          variant="secondary"
+                          size="sm"
+                          onClick={handleDiscardDraft}
+                          disabled={busy}
+                        >
+                          {pendingAction === "discard"
+                            ? "Discarding..."
+                            : "Discard draft"}
+                        </Button>
+                      )}
+                      <Button
+                        variant="secondary"
+                        size="sm"
+                        onClick={handleSaveDraft}
+                        disabled={busy || !isDirty}
+                      >
+                        {pendingAction === "draft" ? "Saving..." : "Save draft"}
+                      </Button>
+                      <Button
+                        size="sm"
+                        onClick={handlePublish}
+                        disabled={
+                          busy ||
+                          problems.length > 0 ||
+                          (!isDirty && !selected.Draft)
+                        }
+                      >
+                        {pendingAction === "publish"
+                          ? "Publishing..."
+                          : "Publish"}
+                      </Button>
+                    </div>
+                  </div>
+
+                  <div className="space-y-4">
+                    <div className="rounded-md border border-gray-200">
+                      <div className="border-b border-gray-200 bg-gray-50 px-4 py-2">
+                        <p className={LABEL_CLASSES}>Preview</p>
+                        <p className="mt-1 text-sm font-semibold text-gray-900">
+                          {renderTemplate(form.Title, sampleValues) ||
+                            "No subject"}
+                        </p>
+                      </div>
+                      <p className="whitespace-pre-wrap px-4 py-3 text-sm text-gray-800">
+                        {renderTemplate(form.Body, sampleValues)}
+                      </p>
+                    </div>
+
+                    <div>
+                      <p className={`${LABEL_CLASSES} mb-2`}>
+                        Sample case data
+                      </p>
+                      <div className="grid grid-cols-1 gap-3 sm:grid-cols-2">
+                        {TEMPLATE_VARIABLES.map((variable) => (
+                          <label
+                            key={variable.name}
+                            className="flex flex-col gap-1 text-xs text-gray-600"
+                          >
+                            {variable.label}
+                            <input
+                              value={sampleValues[variable.name]}
+                              onChange={(e) =>
+                                setSampleValues((prev) => ({
+                                  ...prev,
+                                  [variable.name]: e.target.value,
+                                }))
+                              }
+                              className={INPUT_CLASSES}
+                            />
+                          </label>
+                        ))}
+                      </div>
+                    </div>
+                  </div>
+                </div>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default EmailTemplates;
@@ -0,0 +1,342 @@
+// src/pages/ForgotPassword.js
+/**
+ * Forgot Password Page Component
+ *
+ * Logged-out password reset in three steps:
+ * 1. Request a reset code for a username or email address
+ * 2. Enter the 6-character code sent by email
+ * 3. Choose a new password that meets the password policy
+ *
+ * Reset links from the email (?token=...) skip straight to step 3.
+ */
+
+import React, { useState } from "react";
+import {
+  Link,
+  Navigate,
+  useLocation,
+  useNavigate,
+  useSearchParams,
+} from "react-router-dom";
+import { ROUTES, MESSAGES } from "../config/constants";
+import Button from "../components/common/Button";
+import AccessCodeInput from "../components/common/AccessCodeInput";
+import PasswordStrength from "../components/common/PasswordStrength";
+import { useAuth } from "../contexts/AuthContext";
+import {
+  PASSWORD_RESET_ENDPOINTS,
+  requestPasswordReset,
+} from "../utils/authApi";
+import { checkPassword } from "../utils/passwordPolicy";
+
+const STEPS = {
+  REQUEST: "request",
+  VERIFY: "verify",
+  RESET: "reset",
+  DONE: "done",
+};
+
+const STEP_TITLES = {
+  [STEPS.REQUEST]: "Reset your password",
+  [STEPS.VERIFY]: "Check your email",
+  [STEPS.RESET]: "Choose a new password",
+  [STEPS.DONE]: "Password changed",
+};
+
+const INPUT_CLASSES =
+  "w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition disabled:bg-gray-100 disabled:cursor-not-allowed";
+
+/**
+ * Forgot password page component
+ */
+const ForgotPassword = () => {
+  const location = useLocation();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const { currentUser } = useAuth();
+  const linkToken = searchParams.get("token");
+
+  const [step, setStep] = useState(linkToken ? STEPS.RESET : STEPS.REQUEST);
+  const [identifier, setIdentifier] = useState(location.state?.username || "");
+  const [code, setCode] = useState("");
+  const [resetToken, setResetToken] = useState(linkToken);
+  // Username of the account being reset, once the backend has named it
+  const [username, setUsername] = useState("");
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [info, setInfo] = useState("");
+  const [error, setError] = useState("");
+  const [loading, setLoading] = useState(false);
+
+  const passwordCheck = checkPassword(password, { username });
+
+  /**
+   * Run one step's request with the shared loading and error handling
+   * @param {function} request - Async step request
+   */
+  const runStep = async (request) => {
+    setError("");
+    setLoading(true);
+    try {
+      await request();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Step 1: ask for a reset code
+   * The answer is the same whether or not the account exists.
+   */
+  const handleRequestCode = (e) => {
+    e.preventDefault();
+    if (!identifier.trim()) {
+      setError("Please enter your username or email address");
+      return;
+    }
+
+    runStep(async () => {
+      await requestPasswordReset(PASSWORD_RESET_ENDPOINTS.REQUEST, {
+        identifier: identifier.trim(),
+      });
+      setInfo(
+        "If an account matches, a 6-character reset code has been sent to its email address. The code expires in 15 minutes.",
+      );
+      setCode("");
+      setStep(STEPS.VERIFY);
+    });
+  };
+
+  /**
+   * Step 2: exchange the emailed code for a reset token
+   */
+  const handleVerifyCode = (e) => {
+    e.preventDefault();
+    if (!code.trim()) {
+      setError("Please enter the 6-character code from your email");
+      return;
+    }
+
+    runStep(async () => {
+      const data = await requestPasswordReset(PASSWORD_RESET_ENDPOINTS.VERIFY, {
+        identifier: identifier.trim(),
+        code: code.trim(),
+      });
+      setResetToken(data.resetToken);
+      setUsername(data.username || "");
+      setInfo("");
+      setStep(STEPS.RESET);
+    });
+  };
+
+  /**
+   * Step 3: set the new password
+   */
+  const handleResetPassword = (e) => {
+    e.preventDefault();
+    if (!passwordCheck.valid) {
+      setError("The new password does not meet every requirement below");
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError("The passwords do not match");
+      return;
+    }
+
+    runStep(async () => {
+      const data = await requestPasswordReset(PASSWORD_RESET_ENDPOINTS.RESET, {
+        resetToken,
+        password,
+      });
+      setUsername(data?.username || username);
+      setPassword("");
+      setConfirmPassword("");
+      setStep(STEPS.DONE);
+    });
+  };
+
+  /**
+   * Back to login, keeping the page login should return to
+   */
+  const handleBackToLogin = () => {
+    navigate(ROUTES.HOME, {
+      state: { ...location.state, username, passwordReset: true },
+    });
+  };
+
+  // Nothing to reset while logged in
+  if (currentUser) {
+    return <Navigate to={ROUTES.DASHBOARD} replace />;
+  }
+
+  return (
+    <div className="min-h-screen flex items-center justify-center bg-gray-50">
+      <div className="max-w-md w-full space-y-8 p-8">
+        {/* Header */}
+        <div className="text-center">
+          <h1 className="text-3xl font-bold text-gray-900 mb-2">
+            {MESSAGES.LOGIN_TITLE}
+          </h1>
+          <p className="text-gray-600">{STEP_TITLES[step]}</p>
+        </div>
+
+        <div className="bg-white shadow-md rounded-lg p-6">
+          {/* Info Message */}
+          {info && (
+            <div className="mb-4 p-4 bg-blue-50 border border-blue-200 text-blue-800 rounded-md text-sm">
+              {info}
+            </div>
+          )}
+
+          {/* Error Message */}
+          {error && (
+            <div className="mb-4 p-3 bg-red-100 border border-red-400 text-red-700 rounded-md text-sm">
+              {error}
+            </div>
+          )}
+
+          {step === STEPS.REQUEST && (
+            <form onSubmit={handleRequestCode} className="space-y-4">
+              <div>
+                <label
+                  htmlFor="identifier"
+                  className="block text-sm font-medium text-gray-700 mb-2"
+                >
+                  Username or email
+                </label>
+                <input
+                  id="identifier"
+                  name="identifier"
+                  type="text"
+                  placeholder="Enter your username or email"
+                  value={identifier}
+                  onChange={(e) => setIdentifier(e.target.value)}
+                  disabled={loading}
+                  autoFocus
+                  className={INPUT_CLASSES}
+                />
+              </div>
+              <Button
+                type="submit"
+                disabled={loading}
+                size="lg"
+                className="w-full"
+              >
+                {loading ? MESSAGES.LOADING : "Send reset code"}
+              </Button>
+            </form>
+          )}
+
+          {step === STEPS.VERIFY && (
+            <form onSubmit={handleVerifyCode} className="space-y-4">
+              <AccessCodeInput
+                id="resetCode"
+                name="resetCode"
+                label="Reset Code"
+                value={code}
+                onChange={(e) => setCode(e.target.value.toUpperCase())}
+                disabled={loading}
+                autoFocus
+              />
+              <Button
+                type="submit"
+                disabled={loading}
+                size="lg"
+                className="w-full"
+              >
+                {loading ? MESSAGES.LOADING : "Verify code"}
+              </Button>
+              <button
+                type="button"
+                onClick={handleRequestCode}
+                disabled={loading}
+                className="w-full text-sm font-semibold text-blue-600 hover:text-blue-800"
+              >
+                Send a new code
+              </button>
+            </form>
+          )}
+
+          {step === STEPS.RESET && (
+            <form onSubmit={handleResetPassword} className="space-y-4">
+              <div>
+                <label
+                  htmlFor="newPassword"
+                  className="block text-sm font-medium text-gray-700 mb-2"
+                >
+                  New password
+                </label>
+                <input
+                  id="newPassword"
+                  name="newPassword"
+                  type="password"
+                  value={password}
+                  onChange={(e) => setPassword(e.target.value)}
+                  disabled={loading}
+                  autoFocus
+                  autoComplete="new-password"
+                  className={INPUT_CLASSES}
+                />
+              </div>
+              <PasswordStrength result={passwordCheck} />
+              <div>
+                <label
+                  htmlFor="confirmPassword"
+                  className="block text-sm font-medium text-gray-700 mb-2"
+                >
+                  Confirm new password
+                </label>
+                <input
+                  id="confirmPassword"
+                  name="confirmPassword"
+                  type="password"
+                  value={confirmPassword}
+                  onChange={(e) => setConfirmPassword(e.target.value)}
+                  disabled={loading}
+                  autoComplete="new-password"
+                  className={INPUT_CLASSES}
+                />
+              </div>
+              <Button
+                type="submit"
+                disabled={loading}
+                size="lg"
+                className="w-full"
+              >
+                {loading ? MESSAGES.LOADING : "Change password"}
+              </Button>
+            </form>
+          )}
+
+          {step === STEPS.DONE && (
+            <div className="space-y-4">
+              <p className="text-sm text-gray-700">
+                Your password has been changed. Log in with the new password to
+                continue.
+              </p>
+              <Button onClick={handleBackToLogin} size="lg" className="w-full">
+                Back to login
+              </Button>
+            </div>
+          )}
+
+          {step !== STEPS.DONE && (
+            <div className="mt-6 text-center text-sm">
+              <Link
+                to={ROUTES.HOME}
+                state={location.state}
+                className="font-semibold text-blue-600 hover:text-blue-800"
+              >
+                Back to login
+              </Link>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
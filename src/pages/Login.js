@@ -11,24 +11,41 @@
  */
 
 import React, { useState } from "react";
-import { signInWithPopup } from "firebase/auth";
-import { useNavigate } from "react-router-dom";
-import { auth, googleProvider } from "../config/firebase";
+import { Link, Navigate, useLocation } from "react-router-dom";
 import { ROUTES, MESSAGES } from "../config/constants";
 import Button from "../components/common/Button";
+import AccessCodeInput from "../components/common/AccessCodeInput";
+import AccessCodeOptions from "../components/common/AccessCodeOptions";
 import { useAuth } from "../contexts/AuthContext";
+import { saveSession } from "../utils/session";
+import {
+  getAccessCodeChallenge,
+  getGoogleIdToken,
+  LOGIN_ENDPOINTS,
+  requestLogin,
+} from "../utils/authApi";
 
-const API_BASE_URL = process.env.REACT_APP_API_URL;
+/**
+ * Build the path to return to after login
+ * @param {Object} [from] - Location saved by ProtectedRoute
+ * @returns {string} Path with query string and hash
+ */
+const getReturnPath = (from) =>
+  from?.pathname
+    ? `${from.pathname}${from.search || ""}${from.hash || ""}`
+    : ROUTES.DASHBOARD;
 
 /**
  * Login page component
  * Displays login form with username/password and Google authentication options
  */
 const Login = () => {
-  const navigate = useNavigate();
-  const { setLocalAuth } = useAuth();
+  const location = useLocation();
+  const { currentUser, setLocalAuth, idleLogout } = useAuth();
   const [formData, setFormData] = useState({
-    username: "",
+    // After an idle logout or a password reset only the password is needed
+    // to carry on
+    username: location.state?.username || idleLogout?.username || "",
     password: "",
     accessCode: "",
   });
@@ -36,6 +53,12 @@ const Login = () => {
   const [loading, setLoading] = useState(false);
   const [showAccessCodeInput, setShowAccessCodeInput] = useState(false);
   const [accessCodeMessage, setAccessCodeMessage] = useState("");
+  // Expiry and resend limits of the emailed access code
+  const [accessCodeChallenge, setAccessCodeChallenge] = useState(null);
+  const [trustDevice, setTrustDevice] = useState(false);
+  // Firebase ID token kept while a Google sign-in waits for its access code
+  const [googleIdToken, setGoogleIdToken] = useState(null);
+  const [googleEmail, setGoogleEmail] = useState("");
 
   /**
    * Handle input field changes
@@ -53,6 +76,50 @@ const Login = () => {
     }
   };
 
+  /**
+   * Store the session returned by a login endpoint; the next render
+   * redirects to the requested page
+   * Shared by credential and Google login so both leave the same JWT and
+   * user record behind.
+   * @param {Object} data - Login response body
+   */
+  const completeLogin = (data) => {
+    // Check if access code is required
+    if (data.status === "access_code_required") {
+      setShowAccessCodeInput(true);
+      setAccessCodeMessage(
+        `${data.message}${data.data?.email ? ` (${data.data.email})` : ""}`,
+      );
+      setAccessCodeChallenge(getAccessCodeChallenge(data));
+      return;
+    }
+
+    if (data.status === "error") {
+      throw new Error(data.message || MESSAGES.LOGIN_ERROR_INVALID);
+    }
+
+    // Store JWT token in localStorage
+    saveSession(data.data);
+    setLocalAuth(data.data.user);
+
+    // The redirect happens on the next render
+    console.log("Login successful:", data.data.user.UserLogin);
+  };
+
+  /**
+   * Exchange a Firebase ID token for a backend session
+   * @param {string} idToken - Firebase ID token
+   * @param {string} [accessCode] - Access code, once the backend asked for it
+   */
+  const exchangeGoogleToken = async (idToken, accessCode) => {
+    const data = await requestLogin(LOGIN_ENDPOINTS.GOOGLE, {
+      idToken,
+      accessCode: accessCode || undefined,
+      trustDevice: (accessCode && trustDevice) || undefined,
+    });
+    completeLogin(data);
+  };
+
   /**
    * Handle credential-based login
    * Sends username, password, and optional access code to backend for authentication
@@ -63,64 +130,40 @@ const Login = () => {
     setLoading(true);
 
     try {
+      // Google sign-in waiting for its access code
+      if (googleIdToken) {
+        if (!formData.accessCode.trim()) {
+          setError("Please enter the 6-character access code from your email");
+          return;
+        }
+
+        await exchangeGoogleToken(googleIdToken, formData.accessCode.trim());
+        return;
+      }
+
       // Validate inputs
       if (!formData.username.trim() || !formData.password.trim()) {
         setError(MESSAGES.LOGIN_ERROR_REQUIRED);
-        setLoading(false);
         return;
       }
 
       // If access code input is shown but empty, require it
       if (showAccessCodeInput && !formData.accessCode.trim()) {
         setError("Please enter the 6-character access code from your email");
-        setLoading(false);
         return;
       }
 
       console.log("Attempting credential-based login...");
 
       // Call authentication API
-      const response = await fetch(`${API_BASE_URL}/auth/login`, {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-        },
-        body: JSON.stringify({
-          username: formData.username.trim(),
-          password: formData.password.trim(),
-          accessCode: formData.accessCode.trim() || undefined,
-        }),
+      const data = await requestLogin(LOGIN_ENDPOINTS.CREDENTIALS, {
+        username: formData.username.trim(),
+        password: formData.password.trim(),
+        accessCode: formData.accessCode.trim() || undefined,
+        trustDevice: (formData.accessCode.trim() && trustDevice) || undefined,
       });
 
-      const data = await response.json();
-
-      // Check if access code is required
-      if (data.status === "access_code_required") {
-        setShowAccessCodeInput(true);
-        setAccessCodeMessage(
-          `${data.message}${data.data?.email ? ` (${data.data.email})` : ""}`,
-        );
-        setLoading(false);
-        return;
-      }
-
-      if (!response.ok || data.status === "error") {
-        throw new Error(data.message || MESSAGES.LOGIN_ERROR_INVALID);
-      }
-
-      // Store JWT token in localStorage
-      localStorage.setItem("authToken", data.data.token);
-      localStorage.setItem("user", JSON.stringify(data.data.user));
-
-      setLocalAuth(data.data.user);
-
-      if (data.data.adminToken) {
-        localStorage.setItem("adminToken", data.data.adminToken);
-      }
-
-      console.log("Login successful:", data.data.user.UserLogin);
-      // Redirect to dashboard
-      navigate(ROUTES.DASHBOARD);
+      completeLogin(data);
     } catch (err) {
       console.error("Login failed:", err);
       setError(err.message || MESSAGES.LOGIN_ERROR_NETWORK);
@@ -131,22 +174,53 @@ const Login = () => {
 
   /**
    * Handle Google login button click
-   * Initiates Firebase Google authentication popup
+   * Signs in with the Firebase popup, then exchanges the ID token with the
+   * backend for the same session credential login gets
    */
   const handleGoogleLogin = async () => {
+    setError("");
+    setLoading(true);
+
     try {
       console.log("Attempting Google login...");
-      const result = await signInWithPopup(auth, googleProvider);
+      const { idToken, email, displayName } = await getGoogleIdToken();
 
-      console.log("Google login successful:", result.user.displayName);
-      // Redirect to dashboard after successful login
-      navigate(ROUTES.DASHBOARD);
+      console.log("Google login successful:", displayName);
+      setGoogleIdToken(idToken);
+      setGoogleEmail(email);
+      setFormData((prev) => ({ ...prev, accessCode: "" }));
+      await exchangeGoogleToken(idToken);
     } catch (err) {
       console.error("Google login failed:", err);
+      setGoogleIdToken(null);
+      setShowAccessCodeInput(false);
       setError(`Google login failed: ${err.message}`);
+    } finally {
+      setLoading(false);
     }
   };
 
+  /**
+   * Drop a pending Google sign-in and go back to the credential form
+   */
+  const handleCancelGoogleLogin = () => {
+    setGoogleIdToken(null);
+    setGoogleEmail("");
+    setShowAccessCodeInput(false);
+    setAccessCodeMessage("");
+    setAccessCodeChallenge(null);
+    setTrustDevice(false);
+    setFormData((prev) => ({ ...prev, accessCode: "" }));
+    setError("");
+  };
+
+  // Logged in here, or already logged in from another tab: back to the page
+  // that sent the user to login (kept through the access code step),
+  // otherwise to the dashboard
+  if (currentUser) {
+    return <Navigate to={getReturnPath(location.state?.from)} replace />;
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center bg-gray-50">
       <div className="max-w-md w-full space-y-8 p-8">
@@ -160,14 +234,31 @@ const Login = () => {
 
         {/* Login Form */}
         <div className="bg-white shadow-md rounded-lg p-6">
+          {/* Password Reset Message */}
+          {location.state?.passwordReset && !showAccessCodeInput && (
+            <div className="mb-4 p-4 bg-green-50 border border-green-200 text-green-800 rounded-md text-sm">
+              Your password has been changed. Log in with the new password.
+            </div>
+          )}
+
+          {/* Idle Logout Message */}
+          {idleLogout &&
+            !location.state?.passwordReset &&
+            !showAccessCodeInput && (
+              <div className="mb-4 p-4 bg-yellow-50 border border-yellow-200 text-yellow-800 rounded-md text-sm">
+                {MESSAGES.IDLE_LOGOUT_MESSAGE}
+              </div>
+            )}
+
           {/* Access Code Message */}
           {showAccessCodeInput && accessCodeMessage && (
             <div className="mb-4 p-4 bg-blue-50 border border-blue-200 text-blue-800 rounded-md text-sm">
               <div className="font-semibold mb-2">✉️ Access Code Required</div>
               <div>{accessCodeMessage}</div>
               <div className="mt-2 text-xs">
-                To log in, please re-enter your credentials and the access code
-                below
+                {googleIdToken
+                  ? "To finish signing in with Google, enter the access code below"
+                  : "To log in, please re-enter your credentials and the access code below"}
               </div>
             </div>
           )}
@@ -181,70 +272,104 @@ const Login = () => {
 
           {/* Credential Login Form */}
           <form onSubmit={handleCredentialLogin} className="space-y-4 mb-6">
+            {/* Google account waiting for its access code */}
+            {googleIdToken && (
+              <div className="flex items-center justify-between p-3 bg-gray-50 border border-gray-200 rounded-md text-sm text-gray-700">
+                <span className="truncate">
+                  Google account: <strong>{googleEmail || "signed in"}</strong>
+                </span>
+                <button
+                  type="button"
+                  onClick={handleCancelGoogleLogin}
+                  disabled={loading}
+                  className="ml-2 text-xs font-semibold text-blue-600 hover:text-blue-800"
+                >
+                  Use another account
+                </button>
+              </div>
+            )}
+
             {/* Username Input */}
-            <div>
-              <label
-                htmlFor="username"
-                className="block text-sm font-medium text-gray-700 mb-2"
-              >
-                Username
-              </label>
-              <input
-                id="username"
-                name="username"
-                type="text"
-                placeholder={MESSAGES.USERNAME_PLACEHOLDER}
-                value={formData.username}
-                onChange={handleInputChange}
-                disabled={loading}
-                className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition disabled:bg-gray-100 disabled:cursor-not-allowed"
-              />
-            </div>
+            {!googleIdToken && (
+              <div>
+                <label
+                  htmlFor="username"
+                  className="block text-sm font-medium text-gray-700 mb-2"
+                >
+                  Username
+                </label>
+                <input
+                  id="username"
+                  name="username"
+                  type="text"
+                  placeholder={MESSAGES.USERNAME_PLACEHOLDER}
+                  value={formData.username}
+                  onChange={handleInputChange}
+                  disabled={loading}
+                  className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition disabled:bg-gray-100 disabled:cursor-not-allowed"
+                />
+              </div>
+            )}
 
             {/* Password Input */}
-            <div>
-              <label
-                htmlFor="password"
-                className="block text-sm font-medium text-gray-700 mb-2"
-              >
-                Password
-              </label>
-              <input
-                id="password"
-                name="password"
-                type="password"
-                placeholder={MESSAGES.PASSWORD_PLACEHOLDER}
-                value={formData.password}
-                onChange={handleInputChange}
-                disabled={loading}
-                className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition disabled:bg-gray-100 disabled:cursor-not-allowed"
-              />
-            </div>
-
-            {/* Access Code Input - shown when required */}
-            {showAccessCodeInput && (
+            {!googleIdToken && (
               <div>
                 <label
-                  htmlFor="accessCode"
+                  htmlFor="password"
                   className="block text-sm font-medium text-gray-700 mb-2"
                 >
-                  Access Code
+                  Password
                 </label>
                 <input
-                  id="accessCode"
-                  name="accessCode"
-                  type="text"
-                  placeholder="Enter 6-character code"
-                  value={formData.accessCode}
+                  id="password"
+                  name="password"
+                  type="password"
+                  placeholder={MESSAGES.PASSWORD_PLACEHOLDER}
+                  autoFocus={Boolean(
+                    idleLogout || location.state?.passwordReset,
+                  )}
+                  value={formData.password}
                   onChange={handleInputChange}
                   disabled={loading}
-                  maxLength={6}
-                  className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition disabled:bg-gray-100 disabled:cursor-not-allowed uppercase tracking-wider text-center text-lg font-mono"
-                  autoComplete="off"
+                  className="w-full px-4 py-2 border border-gray-300 rounded-md focus:ring-2 focus:ring-blue-500 focus:border-transparent outline-none transition disabled:bg-gray-100 disabled:cursor-not-allowed"
                 />
               </div>
             )}
 
+            {/* Access Code Input - shown when required */}
+            {showAccessCodeInput && (
+              <AccessCodeInput
+                value={formData.accessCode}
+                onChange={handleInputChange}
+                disabled={loading}
+              />
+            )}
+            {showAccessCodeInput && accessCodeChallenge && (
+              <AccessCodeOptions
+                challenge={accessCodeChallenge}
+                onChallengeChange={setAccessCodeChallenge}
+                trustDevice={trustDevice}
+                onTrustDeviceChange={setTrustDevice}
+                disabled={loading}
+              />
+            )}
+
+            {/* Forgot Password Link */}
+            {!googleIdToken && (
+              <div className="text-right text-sm">
+                <Link
+                  to={ROUTES.FORGOT_PASSWORD}
+                  state={{
+                    from: location.state?.from,
+                    username: formData.username.trim(),
+                  }}
+                  className="font-semibold text-blue-600 hover:text-blue-800"
+                >
+                  {MESSAGES.FORGOT_PASSWORD}
+                </Link>
+              </div>
+            )}
+
             {/* Sign In Button */}
             <Button
               type="submit"
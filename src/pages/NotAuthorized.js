@@ -0,0 +1,37 @@
+// src/pages/NotAuthorized.js
+/**
+ * Not Authorized Page Component
+ *
+ * Shown in place of a page the logged-in user has no permission for.
+ */
+
+import React from "react";
+import { useNavigate } from "react-router-dom";
+import { MESSAGES, ROUTES } from "../config/constants";
+import Layout from "../components/layout/Layout";
+import Button from "../components/common/Button";
+
+/**
+ * Not authorized page component
+ * Keeps the sidebar so the user can move on to a page they can use
+ */
+const NotAuthorized = () => {
+  const navigate = useNavigate();
+
+  return (
+    <Layout showLogout={true} title={MESSAGES.DASHBOARD_TITLE}>
+      <div className="bg-white shadow-sm rounded-lg p-8 max-w-xl">
+        <p className="text-sm font-semibold text-red-600 mb-2">403</p>
+        <h1 className="text-2xl font-bold text-gray-900 mb-4">
+          {MESSAGES.NOT_AUTHORIZED_TITLE}
+        </h1>
+        <p className="text-gray-600 mb-6">{MESSAGES.NOT_AUTHORIZED_MESSAGE}</p>
+        <Button onClick={() => navigate(ROUTES.DASHBOARD)}>
+          Back to Dashboard
+        </Button>
+      </div>
+    </Layout>
+  );
+};
+
+export default NotAuthorized;
@@ -11,10 +11,10 @@
 
 import React, { useState, useEffect, useCallback } from "react";
 import Layout from "../components/layout/Layout";
-import { apiGet } from "../utils/api";
+import { usePreferences } from "../contexts/PreferencesContext";
+import { apiGet, apiDownload, saveBlobAsFile } from "../utils/api";
 
 const PAGE_SIZE = 20;
-const API_BASE_URL = process.env.REACT_APP_API_URL;
 
 const formatDate = (raw) => {
   if (!raw) return "-";
@@ -43,9 +43,16 @@ const RushCasesReport = () => {
   // cursors[0] is always null (first page needs no cursor).
   const [cursors, setCursors] = useState([null]);
   const [pageIndex, setPageIndex] = useState(0); // 0-based
-  const [minDaysInLab, setMinDaysInLab] = useState(0);
-  const [statusGroupFilter, setStatusGroupFilter] = useState("");
+  const { preferences } = usePreferences();
+  const [minDaysInLab, setMinDaysInLab] = useState(
+    preferences.rushMinDaysInLab,
+  );
+  const [statusGroupFilter, setStatusGroupFilter] = useState(
+    preferences.rushStatusGroup,
+  );
   const [exporting, setExporting] = useState(false);
+  // Download progress percentage (null until the size is known)
+  const [exportProgress, setExportProgress] = useState(null);
 
   const fetchPage = useCallback(
     async (cursor, targetIndex) => {
@@ -146,6 +153,7 @@ const RushCasesReport = () => {
 
   const handleExportCurrentFilterView = async () => {
     setExporting(true);
+    setExportProgress(null);
     setError("");
 
     try {
@@ -155,55 +163,20 @@ const RushCasesReport = () => {
         searchParams.set("statusGroup", statusGroupFilter);
       }
 
-      const token = localStorage.getItem("authToken");
-      const response = await fetch(
-        `${API_BASE_URL}/reports/rush-cases/export?${searchParams.toString()}`,
+      const { blob, fileName } = await apiDownload(
+        `/reports/rush-cases/export?${searchParams.toString()}`,
         {
-          method: "GET",
-          headers: token
-            ? {
-                Authorization: `Bearer ${token}`,
-              }
-            : {},
+          fallbackFileName: "rush-cases.csv",
+          onProgress: ({ percent }) => setExportProgress(percent),
         },
       );
 
-      if (response.status === 401) {
-        localStorage.removeItem("authToken");
-        localStorage.removeItem("user");
-        window.location.href = "/";
-        return;
-      }
-
-      if (!response.ok) {
-        let message = "Failed to export rush cases report.";
-        try {
-          const errorData = await response.json();
-          message = errorData.message || message;
-        } catch {
-          // Ignore parse failure and use fallback message.
-        }
-        throw new Error(message);
-      }
-
-      const blob = await response.blob();
-      const downloadUrl = window.URL.createObjectURL(blob);
-      const contentDisposition =
-        response.headers.get("Content-Disposition") || "";
-      const fileNameMatch = contentDisposition.match(/filename="([^"]+)"/i);
-      const fileName = fileNameMatch?.[1] || "rush-cases.csv";
-
-      const link = document.createElement("a");
-      link.href = downloadUrl;
-      link.download = fileName;
-      document.body.appendChild(link);
-      link.click();
-      link.remove();
-      window.URL.revokeObjectURL(downloadUrl);
+      saveBlobAsFile(blob, fileName);
     } catch (err) {
       setError(err.message || "Failed to export rush cases report.");
     } finally {
       setExporting(false);
+      setExportProgress(null);
     }
   };
 
@@ -268,7 +241,11 @@ const RushCasesReport = () => {
                     disabled={loading || exporting}
                     className="inline-flex w-full items-center justify-center rounded-md border border-gray-300 bg-white px-4 py-2 text-sm font-medium text-gray-700 hover:bg-gray-100 disabled:cursor-not-allowed disabled:opacity-50 xl:w-auto"
                   >
-                    {exporting ? "Exporting..." : "Export Current Filter View"}
+                    {exporting
+                      ? exportProgress !== null
+                        ? `Exporting... ${exportProgress}%`
+                        : "Exporting..."
+                      : "Export Current Filter View"}
                   </button>
                 </div>
               </div>
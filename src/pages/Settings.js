@@ -0,0 +1,287 @@
+// src/pages/Settings.js
+/**
+ * Settings Page Component
+ *
+ * The logged-in user's own defaults: batch mode, the default carrier for
+ * shipping, the default ticket status and email choice for status updates
+ * and the rush report filters. Pages start from these values on each
+ * visit; changes made on a page are not saved back.
+ *
+ * Sections only show for the pages the user may open.
+ */
+
+import React, { useEffect, useState } from "react";
+import Layout from "../components/layout/Layout";
+import Button from "../components/common/Button";
+import useApiQuery from "../hooks/useApiQuery";
+import { useAuth } from "../contexts/AuthContext";
+import { usePreferences } from "../contexts/PreferencesContext";
+import { PERMISSIONS } from "../config/permissions";
+import {
+  DEFAULT_PREFERENCES,
+  MESSAGES,
+  QUERY_TTL_MS,
+} from "../config/constants";
+
+const TICKET_STATUS_OPTIONS = [
+  { value: "closed", label: "Closed" },
+  { value: "open", label: "Open" },
+];
+
+const INPUT_CLASSES =
+  "rounded-md border border-gray-300 bg-white px-3 py-2 text-sm text-gray-800 focus:border-blue-500 focus:outline-none focus:ring-2 focus:ring-blue-100 disabled:cursor-not-allowed disabled:bg-gray-100";
+
+const LABEL_CLASSES =
+  "text-xs font-semibold uppercase tracking-wide text-gray-600";
+
+const CHECKBOX_CLASSES =
+  "w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500";
+
+const SECTION_TITLE_CLASSES = "text-sm font-semibold text-gray-900";
+
+/**
+ * Settings page component
+ */
+const Settings = () => {
+  const { can } = useAuth();
+  const { preferences, error: loadError, savePreferences } = usePreferences();
+  const [draft, setDraft] = useState(preferences);
+  const [saving, setSaving] = useState(false);
+  const [notice, setNotice] = useState("");
+  const [error, setError] = useState("");
+
+  const canShip = can(PERMISSIONS.SHIPPING_VALIDATE);
+  const canUpdateStatus = can(PERMISSIONS.CASES_UPDATE_STATUS);
+  const canSendEmail = can(PERMISSIONS.CASES_SEND_STATUS_EMAIL);
+  const canViewReports = can(PERMISSIONS.REPORTS_VIEW);
+
+  // Same cache entries as the shipping page and the rush report
+  const carriersQuery = useApiQuery("/shipping/carriers", {
+    ttl: QUERY_TTL_MS.CARRIERS,
+    enabled: canShip,
+  });
+  const statusGroupsQuery = useApiQuery("/reports/rush-cases/status-groups", {
+    enabled: canViewReports,
+  });
+  const carriers = carriersQuery.data?.data?.carriers || [];
+  const statusGroups = (statusGroupsQuery.data?.data || [])
+    .map((row) => row.Status_Group)
+    .filter(Boolean);
+
+  // Follow the saved preferences, e.g. after an admin starts acting as
+  // another user
+  useEffect(() => {
+    setDraft(preferences);
+  }, [preferences]);
+
+  const isDirty = Object.keys(DEFAULT_PREFERENCES).some(
+    (key) => draft[key] !== preferences[key],
+  );
+
+  const updateDraft = (key, value) => {
+    setNotice("");
+    setDraft((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setNotice("");
+    setError("");
+    setSaving(true);
+    try {
+      await savePreferences(draft);
+      setNotice("Settings saved. Pages start from them on your next visit.");
+    } catch (err) {
+      setError(err.message || "Your settings could not be saved.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRestoreDefaults = () => {
+    setNotice("");
+    setDraft(DEFAULT_PREFERENCES);
+  };
+
+  return (
+    <Layout showLogout={true} title="Settings">
+      <div className="space-y-6">
+        <form
+          onSubmit={handleSave}
+          className="bg-white shadow-sm rounded-lg border border-gray-200 overflow-hidden"
+        >
+          <div className="px-6 py-4 border-b border-gray-200 bg-gray-50">
+            <h1 className="text-xl font-semibold text-gray-900">Settings</h1>
+            <p className="mt-1 text-sm text-gray-600">
+              Your defaults. Each page starts from these; changes made on a page
+              only last until you leave it.
+            </p>
+          </div>
+
+          <div className="p-6 space-y-6">
+            {notice && (
+              <div className="rounded-md border border-green-200 bg-green-50 px-4 py-3 text-sm text-green-800">
+                {notice}
+              </div>
+            )}
+            {(error || loadError) && (
+              <div className="rounded-md border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-700">
+                {error ||
+                  `Your saved settings could not be loaded; the defaults are shown. ${loadError.message}`}
+              </div>
+            )}
+
+            <section className="space-y-3">
+              <h2 className={SECTION_TITLE_CLASSES}>Case entry</h2>
+              <div className="flex items-center">
+                <input
+                  type="checkbox"
+                  id="batchMode"
+                  checked={draft.batchMode}
+                  onChange={(e) => updateDraft("batchMode", e.target.checked)}
+                  disabled={saving}
+                  className={CHECKBOX_CLASSES}
+                />
+                <label
+                  htmlFor="batchMode"
+                  className="ml-2 text-sm text-gray-700"
+                >
+                  Start in batch mode (one case ID per line)
+                </label>
+              </div>
+            </section>
+
+            {canShip && (
+              <section className="space-y-3">
+                <h2 className={SECTION_TITLE_CLASSES}>
+                  Cases Shipped to Customer
+                </h2>
+                <label className="flex flex-col gap-1 md:max-w-sm">
+                  <span className={LABEL_CLASSES}>Default carrier</span>
+                  <select
+                    value={draft.defaultCarrierId}
+                    onChange={(e) =>
+                      updateDraft("defaultCarrierId", e.target.value)
+                    }
+                    disabled={saving || carriersQuery.loading}
+                    className={INPUT_CLASSES}
+                  >
+                    <option value="0">Detect from the tracking number</option>
+                    {carriers.map((carrier) => (
+                      <option key={carrier.ID} value={String(carrier.ID)}>
+                        {carrier.Name}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+              </section>
+            )}
+
+            {canUpdateStatus && (
+              <section className="space-y-3">
+                <h2 className={SECTION_TITLE_CLASSES}>Case Status Update</h2>
+                <label className="flex flex-col gap-1 md:max-w-sm">
+                  <span className={LABEL_CLASSES}>Default ticket status</span>
+                  <select
+                    value={draft.ticketStatus}
+                    onChange={(e) =>
+                      updateDraft("ticketStatus", e.target.value)
+                    }
+                    disabled={saving}
+                    className={INPUT_CLASSES}
+                  >
+                    {TICKET_STATUS_OPTIONS.map((option) => (
+                      <option key={option.value} value={option.value}>
+                        {option.label}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+                {canSendEmail && (
+                  <div className="flex items-center">
+                    <input
+                      type="checkbox"
+                      id="sendEmail"
+                      checked={draft.sendEmail}
+                      onChange={(e) =>
+                        updateDraft("sendEmail", e.target.checked)
+                      }
+                      disabled={saving}
+                      className={CHECKBOX_CLASSES}
+                    />
+                    <label
+                      htmlFor="sendEmail"
+                      className="ml-2 text-sm text-gray-700"
+                    >
+                      Send the status email by default
+                    </label>
+                  </div>
+                )}
+              </section>
+            )}
+
+            {canViewReports && (
+              <section className="space-y-3">
+                <h2 className={SECTION_TITLE_CLASSES}>Rush Cases Report</h2>
+                <div className="grid grid-cols-1 gap-4 md:grid-cols-2">
+                  <label className="flex flex-col gap-1">
+                    <span className={LABEL_CLASSES}>
+                      Days in Lab (greater than or equal to)
+                    </span>
+                    <input
+                      type="number"
+                      min="0"
+                      value={draft.rushMinDaysInLab}
+                      onChange={(e) =>
+                        updateDraft(
+                          "rushMinDaysInLab",
+                          Math.max(0, Number(e.target.value) || 0),
+                        )
+                      }
+                      disabled={saving}
+                      className={INPUT_CLASSES}
+                    />
+                  </label>
+                  <label className="flex flex-col gap-1">
+                    <span className={LABEL_CLASSES}>Status group</span>
+                    <select
+                      value={draft.rushStatusGroup}
+                      onChange={(e) =>
+                        updateDraft("rushStatusGroup", e.target.value)
+                      }
+                      disabled={saving || statusGroupsQuery.loading}
+                      className={INPUT_CLASSES}
+                    >
+                      <option value="">All Status Groups</option>
+                      {statusGroups.map((group) => (
+                        <option key={group} value={group}>
+                          {group}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+              </section>
+            )}
+          </div>
+
+          <div className="flex flex-wrap justify-end gap-2 px-6 py-4 border-t border-gray-200 bg-gray-50">
+            <Button
+              variant="secondary"
+              size="sm"
+              onClick={handleRestoreDefaults}
+              disabled={saving}
+            >
+              Restore defaults
+            </Button>
+            <Button type="submit" size="sm" disabled={saving || !isDirty}>
+              {saving ? MESSAGES.LOADING : "Save settings"}
+            </Button>
+          </div>
+        </form>
+      </div>
+    </Layout>
+  );
+};
+
+export default Settings;
@@ -4,14 +4,42 @@
  *
  * Displays a page for processing new Shopify case IDs.
  * - Input field for case IDs (numeral only, one per line)
- * - Process button to process cases one by one via API
+ * - Process button to process cases through the batch processor
  * - Display processed cases
  * - Display existing cases found in database
  */
 
-import React, { useState, useEffect, useCallback, useRef } from "react";
+import React, { useState, useRef } from "react";
 import Layout from "../components/layout/Layout";
-import { apiGet, apiPost } from "../utils/api";
+import { apiPost, isAbortError } from "../utils/api";
+import { invalidateQueries, setQueryData } from "../utils/queryCache";
+import { BATCH_STATES, ITEM_STATUSES } from "../utils/batchProcessor";
+import useApiQuery from "../hooks/useApiQuery";
+import { updateJobList, useJob } from "../contexts/JobsContext";
+import { usePreferences } from "../contexts/PreferencesContext";
+import BatchProgress from "../components/common/BatchProgress";
+import {
+  API_ERROR_CODES,
+  BATCH_CONCURRENCY,
+  QUERY_TTL_MS,
+  ROUTES,
+} from "../config/constants";
+
+const USER_STATS_KEY = "/cases/user-stats/today";
+
+const JOB_TYPE = "special-shopify-cases-received";
+
+// Job data before the first run
+const EMPTY_RESULTS = {
+  processingCases: [],
+  existingCases: [],
+  invalidCases: [],
+  successfulCases: [],
+  error: null,
+};
+
+// Shopify lookups can hang; fail the case instead of freezing the station
+const SHOPIFY_FETCH_TIMEOUT_MS = 20000;
 
 /**
  * Shopify Cases Received page component
@@ -19,15 +47,26 @@ import { apiGet, apiPost } from "../utils/api";
  */
 const SpecialShopifyCasesReceived = () => {
   const [caseInput, setCaseInput] = useState("");
-  const [batchProcessing, setBatchProcessing] = useState(false);
-  const [processingCases, setProcessingCases] = useState([]);
-  const [existingCases, setExistingCases] = useState([]);
-  const [invalidCases, setInvalidCases] = useState([]);
-  const [successfulCases, setSuccessfulCases] = useState([]);
-  const [loading, setLoading] = useState(false);
+  const { preferences } = usePreferences();
+  const [batchProcessing, setBatchProcessing] = useState(preferences.batchMode);
   const [error, setError] = useState(null);
-  const [totalCaseReceivedToday, setTotalCaseReceivedToday] = useState(0);
-  const [statsLoading, setStatsLoading] = useState(true);
+  // Results live in the job so they survive leaving the page
+  const receiveJob = useJob(JOB_TYPE);
+  const results = receiveJob.job?.data || EMPTY_RESULTS;
+  const { processingCases, existingCases, invalidCases, successfulCases } =
+    results;
+  const loading = receiveJob.isRunning;
+  const displayedError =
+    error ||
+    (receiveJob.job?.progress.state === BATCH_STATES.CANCELLED
+      ? "Processing cancelled. Remaining cases were not processed."
+      : results.error);
+  const userStatsQuery = useApiQuery(USER_STATS_KEY, {
+    ttl: QUERY_TTL_MS.USER_STATS,
+  });
+  const totalCaseReceivedToday =
+    userStatsQuery.data?.data?.totalCaseReceivedToday || 0;
+  const statsLoading = userStatsQuery.loading;
   const caseInputRef = useRef(null);
 
   const isAllowedCaseId = (value) => /^\d+$/.test(value) && value.length < 8;
@@ -73,30 +112,278 @@ const SpecialShopifyCasesReceived = () => {
     );
   };
 
-  const fetchUserStats = useCallback(async () => {
+  /**
+   * Receive one case: look it up in the database, then create it from its
+   * Shopify order if it is new
+   * Returns the list the case belongs in, or null when the lookup gave no
+   * answer. The "processing" list is updated here so it reflects cases in
+   * flight; the other lists are filled in input order by handleCaseComplete.
+   * @param {string} caseId - Case ID
+   * @param {Object} context - { signal, updateData } from the job
+   * @returns {Promise<Object|null>} { list, entry, created }
+   */
+  const receiveCase = async (caseId, { signal, updateData }) => {
+    // Attempts taken by the receive-case lookup (retried on transient errors)
+    let attempts = 1;
+    const onRetry = ({ attempt }) => {
+      attempts = attempt;
+    };
+
+    // Step 1: Check if case exists in database
+    const dbCheckResponse = await apiPost(
+      "/cases/receive-case",
+      { caseId },
+      { signal, onRetry },
+    );
+
+    if (dbCheckResponse.status !== "success") {
+      return null;
+    }
+
+    const caseData = dbCheckResponse.data;
+
+    if (caseData.exists) {
+      const firstName =
+        caseData.caseData?.Case_Patient_First_Name?.trim() || "";
+      const lastName = caseData.caseData?.Case_Patient_Last_Name?.trim() || "";
+
+      // Case exists in database - add to existing cases
+      return {
+        list: "existingCases",
+        entry: {
+          caseId,
+          caseData: caseData.caseData,
+          customerName:
+            [firstName, lastName].filter(Boolean).join(" ") || "N/A",
+          caseStatus: caseData.caseData?.Status_Streamline_Options || "Unknown",
+          receivedDate: caseData.caseData?.Case_Date_Received || "N/A",
+          isRush: caseData.caseData?.IsRushOrder || false,
+          lastStatusUpdate: caseData.caseData?.Last_Status_Update || "N/A",
+          attempts,
+        },
+      };
+    }
+
+    // Case doesn't exist - add to processing and fetch from Shopify
+    updateData(
+      updateJobList("processingCases", (prev) => [
+        ...prev,
+        {
+          caseId,
+          status: "Pending Shopify Lookup",
+          attempts,
+        },
+      ]),
+    );
+
     try {
-      setStatsLoading(true);
-      const response = await apiGet("/cases/user-stats/today");
+      // Step 2: Fetch order from Shopify using caseId as orderId
+      let shopifyResponse;
+      try {
+        shopifyResponse = await apiPost(
+          "/shopify/fetch-order",
+          { orderId: caseId },
+          { signal, timeout: SHOPIFY_FETCH_TIMEOUT_MS },
+        );
+      } catch (shopifyErr) {
+        console.error(
+          `Error fetching Shopify order for ${caseId}:`,
+          shopifyErr,
+        );
+
+        if (isAbortError(shopifyErr)) {
+          throw shopifyErr;
+        }
+
+        const isOrderNotFound =
+          shopifyErr.code === API_ERROR_CODES.SHOPIFY_ORDER_NOT_FOUND ||
+          shopifyErr.code === API_ERROR_CODES.NOT_FOUND;
+
+        // Prefer the server's message; fall back on the error code
+        const errorMessage =
+          shopifyErr.body?.message ||
+          (isOrderNotFound
+            ? "Order not found in Shopify"
+            : shopifyErr.message || "Shopify lookup failed");
+
+        return {
+          list: "invalidCases",
+          entry: {
+            caseId,
+            reason: errorMessage,
+            errorCode: shopifyErr.code || API_ERROR_CODES.UNKNOWN_ERROR,
+            orderData: null,
+            attempts,
+          },
+        };
+      }
+
+      if (shopifyResponse.status !== "success") {
+        // Shopify lookup failed - get reason from response
+        return {
+          list: "invalidCases",
+          entry: {
+            caseId,
+            reason: shopifyResponse.message || "Shopify lookup failed",
+            errorCode: shopifyResponse.code || API_ERROR_CODES.UNKNOWN_ERROR,
+            orderData: null,
+            attempts,
+          },
+        };
+      }
 
-      if (response.status === "success") {
-        setTotalCaseReceivedToday(response.data?.totalCaseReceivedToday || 0);
-        if (response.data?.userName) {
-          // userName is now shown in the navigation sidebar
+      const orderData = shopifyResponse.data.orderData;
+
+      console.log(`Order data for case ${caseId}:`, orderData);
+
+      // Step 3: Create case in database
+      try {
+        const createCaseResponse = await apiPost(
+          "/cases/create-case",
+          { orderData },
+          { signal },
+        );
+
+        if (createCaseResponse.status === "success") {
+          console.log(`Case ${caseId} created in database successfully`);
+
+          return {
+            list: "successfulCases",
+            created: true,
+            entry: {
+              caseId,
+              orderData,
+              status: "Case Created Successfully",
+              attempts,
+            },
+          };
         }
+
+        // Case creation failed
+        const errorReason =
+          createCaseResponse.message || "Case creation failed";
+
+        console.error(`Failed to create case ${caseId}:`, errorReason);
+
+        return {
+          list: "invalidCases",
+          entry: {
+            caseId,
+            reason: errorReason,
+            errorCode: createCaseResponse.code || API_ERROR_CODES.UNKNOWN_ERROR,
+            orderData,
+            attempts,
+          },
+        };
+      } catch (caseErr) {
+        console.error(`Error creating case for ${caseId}:`, caseErr);
+
+        if (isAbortError(caseErr)) {
+          throw caseErr;
+        }
+
+        return {
+          list: "invalidCases",
+          entry: {
+            caseId,
+            reason: caseErr.message || "Failed to create case",
+            errorCode: caseErr.code || "CASE_CREATION_ERROR",
+            orderData,
+            attempts,
+          },
+        };
       }
-    } catch (statsError) {
-      console.error("Error fetching user stats:", statsError);
     } finally {
-      setStatsLoading(false);
+      // Remove from processing once the case has an outcome
+      updateData(
+        updateJobList("processingCases", (prev) =>
+          prev.filter((item) => item.caseId !== caseId),
+        ),
+      );
     }
-  }, []);
+  };
 
-  useEffect(() => {
-    fetchUserStats();
-  }, [fetchUserStats]);
+  /**
+   * Add a finished case to its result list
+   * Called by the job in input order.
+   * @param {Object} result - { item, status, value, error } from the batch processor
+   * @param {Object} context - { updateData } from the job
+   */
+  const handleCaseComplete = (
+    { item: caseId, status, value, error: err },
+    { updateData },
+  ) => {
+    if (status === ITEM_STATUSES.CANCELLED) {
+      return;
+    }
+
+    if (status === ITEM_STATUSES.REJECTED) {
+      console.error(`Error processing case ${caseId}:`, err);
+      updateData((data) => ({
+        ...data,
+        error: `Error processing case ${caseId}: ${err.message}`,
+        invalidCases: [
+          ...data.invalidCases,
+          {
+            caseId,
+            reason: err.message || "Failed to receive case",
+            errorCode: err.code || API_ERROR_CODES.UNKNOWN_ERROR,
+            orderData: null,
+            attempts: err.attempts || 1,
+          },
+        ],
+      }));
+      return;
+    }
+
+    if (!value) {
+      return;
+    }
+
+    updateData(updateJobList(value.list, (prev) => [...prev, value.entry]));
+
+    if (value.created) {
+      // Count the case right away; the real total is refetched when the
+      // batch finishes
+      setQueryData(USER_STATS_KEY, (prev) => ({
+        ...prev,
+        data: {
+          ...prev?.data,
+          totalCaseReceivedToday: (prev?.data?.totalCaseReceivedToday || 0) + 1,
+        },
+      }));
+    }
+  };
 
   /**
-   * Process all case IDs one by one
+   * Start a receive job
+   * Single-case runs carry the previous results over; batch runs start empty.
+   * @param {Array<string>} caseIds - Case IDs to receive
+   * @param {Array<Object>} rejectedCases - Invalid cases to list up front
+   * @returns {Promise<Object>} { results, cancelled }
+   */
+  const startReceiveJob = (caseIds, rejectedCases) => {
+    const previous = batchProcessing ? EMPTY_RESULTS : results;
+
+    return receiveJob.start({
+      title: "Special Shopify Cases Received",
+      route: ROUTES.SPECIAL_SHOPIFY_CASES_RECEIVED,
+      items: caseIds,
+      worker: receiveCase,
+      initialData: {
+        ...previous,
+        error: null,
+        invalidCases: [...previous.invalidCases, ...rejectedCases],
+      },
+      concurrency: BATCH_CONCURRENCY,
+      // The same case scanned twice is processed one copy after the other
+      getKey: (caseId) => caseId,
+      onItemComplete: handleCaseComplete,
+    });
+  };
+
+  /**
+   * Process all case IDs as a background job
    */
   const handleProcess = async (inputOverride) => {
     const resolvedInput =
@@ -114,207 +401,18 @@ const SpecialShopifyCasesReceived = () => {
       return;
     }
 
-    setLoading(true);
     setError(null);
 
-    if (batchProcessing) {
-      setProcessingCases([]);
-      setExistingCases([]);
-      setInvalidCases([]);
-      setSuccessfulCases([]);
-    }
-
-    if (invalidLengthCases.length > 0) {
-      setInvalidCases((prev) => [...prev, ...invalidLengthCases]);
-    }
-
     try {
-      // Process each case ID sequentially
-      for (const caseId of validCaseIds) {
-        try {
-          // Step 1: Check if case exists in database
-          const dbCheckResponse = await apiPost("/cases/receive-case", {
-            caseId,
-          });
+      const { cancelled } = await startReceiveJob(
+        validCaseIds,
+        invalidLengthCases,
+      );
 
-          if (dbCheckResponse.status === "success") {
-            const caseData = dbCheckResponse.data;
-
-            if (caseData.exists) {
-              const firstName =
-                caseData.caseData?.Case_Patient_First_Name?.trim() || "";
-              const lastName =
-                caseData.caseData?.Case_Patient_Last_Name?.trim() || "";
-
-              // Case exists in database - add to existing cases
-              setExistingCases((prev) => [
-                ...prev,
-                {
-                  caseId,
-                  caseData: caseData.caseData,
-                  customerName:
-                    [firstName, lastName].filter(Boolean).join(" ") || "N/A",
-                  caseStatus:
-                    caseData.caseData?.Status_Streamline_Options || "Unknown",
-                  receivedDate: caseData.caseData?.Case_Date_Received || "N/A",
-                  isRush: caseData.caseData?.IsRushOrder || false,
-                  lastStatusUpdate:
-                    caseData.caseData?.Last_Status_Update || "N/A",
-                },
-              ]);
-            } else {
-              // Case doesn't exist - add to processing and fetch from Shopify
-              setProcessingCases((prev) => [
-                ...prev,
-                {
-                  caseId,
-                  status: "Pending Shopify Lookup",
-                },
-              ]);
-
-              // Step 2: Fetch order from Shopify using caseId as orderId
-              try {
-                const shopifyResponse = await apiPost("/shopify/fetch-order", {
-                  orderId: caseId,
-                });
-
-                if (shopifyResponse.status === "success") {
-                  const orderData = shopifyResponse.data.orderData;
-
-                  console.log(`Order data for case ${caseId}:`, orderData);
-
-                  // Step 3: Create case in database
-                  try {
-                    const createCaseResponse = await apiPost(
-                      "/cases/create-case",
-                      {
-                        orderData,
-                      },
-                    );
-
-                    if (createCaseResponse.status === "success") {
-                      // Remove from processing and add to successful
-                      setProcessingCases((prev) =>
-                        prev.filter((item) => item.caseId !== caseId),
-                      );
-
-                      setSuccessfulCases((prev) => [
-                        ...prev,
-                        {
-                          caseId,
-                          orderData,
-                          status: "Case Created Successfully",
-                        },
-                      ]);
-
-                      setTotalCaseReceivedToday((prev) => prev + 1);
-
-                      console.log(
-                        `Case ${caseId} created in database successfully`,
-                      );
-                    } else {
-                      // Case creation failed
-                      const errorReason =
-                        createCaseResponse.message || "Case creation failed";
-                      const errorCode =
-                        createCaseResponse.code || "UNKNOWN_ERROR";
-
-                      setProcessingCases((prev) =>
-                        prev.filter((item) => item.caseId !== caseId),
-                      );
-
-                      setInvalidCases((prev) => [
-                        ...prev,
-                        {
-                          caseId,
-                          reason: errorReason,
-                          errorCode,
-                          orderData,
-                        },
-                      ]);
-
-                      console.error(
-                        `Failed to create case ${caseId}:`,
-                        errorReason,
-                      );
-                    }
-                  } catch (caseErr) {
-                    console.error(
-                      `Error creating case for ${caseId}:`,
-                      caseErr,
-                    );
-
-                    setProcessingCases((prev) =>
-                      prev.filter((item) => item.caseId !== caseId),
-                    );
-
-                    setInvalidCases((prev) => [
-                      ...prev,
-                      {
-                        caseId,
-                        reason: caseErr.message || "Failed to create case",
-                        errorCode: "CASE_CREATION_ERROR",
-                        orderData,
-                      },
-                    ]);
-                  }
-                } else {
-                  // Shopify lookup failed - get reason from response
-                  const errorReason =
-                    shopifyResponse.message || "Shopify lookup failed";
-                  const errorCode = shopifyResponse.code || "UNKNOWN_ERROR";
-
-                  setProcessingCases((prev) =>
-                    prev.filter((item) => item.caseId !== caseId),
-                  );
-
-                  setInvalidCases((prev) => [
-                    ...prev,
-                    {
-                      caseId,
-                      reason: errorReason,
-                      errorCode,
-                      orderData: null,
-                    },
-                  ]);
-                }
-              } catch (shopifyErr) {
-                console.error(
-                  `Error fetching Shopify order for ${caseId}:`,
-                  shopifyErr,
-                );
-
-                // Move from processing to invalid
-                setProcessingCases((prev) =>
-                  prev.filter((item) => item.caseId !== caseId),
-                );
-
-                // Extract error message from response if available
-                const errorMessage =
-                  shopifyErr.message ||
-                  shopifyErr.data?.message ||
-                  "Order not found in Shopify";
-
-                setInvalidCases((prev) => [
-                  ...prev,
-                  {
-                    caseId,
-                    reason: errorMessage,
-                    orderData: null,
-                  },
-                ]);
-              }
-            }
-          }
-        } catch (err) {
-          console.error(`Error processing case ${caseId}:`, err);
-          setError(`Error processing case ${caseId}: ${err.message}`);
-        }
+      if (!cancelled) {
+        invalidateQueries(USER_STATS_KEY);
       }
     } finally {
-      await fetchUserStats();
-      setLoading(false);
-
       if (!batchProcessing) {
         setCaseInput("");
         setTimeout(() => {
@@ -347,15 +445,17 @@ const SpecialShopifyCasesReceived = () => {
     const invalidReason = getInvalidLengthReason(normalizedCaseId);
     if (invalidReason) {
       setError(null);
-      setInvalidCases((prev) => [
-        ...prev,
-        {
-          caseId: normalizedCaseId,
-          reason: invalidReason,
-          errorCode: "INVALID_CASE_ID_LENGTH",
-          orderData: null,
-        },
-      ]);
+      startReceiveJob(
+        [],
+        [
+          {
+            caseId: normalizedCaseId,
+            reason: invalidReason,
+            errorCode: "INVALID_CASE_ID_LENGTH",
+            orderData: null,
+          },
+        ],
+      );
       setCaseInput("");
 
       setTimeout(() => {
@@ -374,11 +474,8 @@ const SpecialShopifyCasesReceived = () => {
    */
   const handleClear = () => {
     setCaseInput("");
-    setBatchProcessing(false);
-    setProcessingCases([]);
-    setExistingCases([]);
-    setInvalidCases([]);
-    setSuccessfulCases([]);
+    setBatchProcessing(preferences.batchMode);
+    receiveJob.dismiss();
     setError(null);
   };
 
@@ -511,21 +608,38 @@ const SpecialShopifyCasesReceived = () => {
                   >
                     {loading ? "Processing..." : "Process"}
                   </button>
-                  <button
-                    onClick={handleClear}
-                    disabled={loading}
-                    className="flex-1 px-4 py-2 bg-gray-300 text-gray-900 rounded-lg hover:bg-gray-400 disabled:bg-gray-200 disabled:cursor-not-allowed transition-colors font-medium"
-                  >
-                    Clear
-                  </button>
+                  {loading ? (
+                    <button
+                      onClick={receiveJob.cancel}
+                      className="flex-1 px-4 py-2 bg-red-600 text-white rounded-lg hover:bg-red-700 transition-colors font-medium"
+                    >
+                      Cancel
+                    </button>
+                  ) : (
+                    <button
+                      onClick={handleClear}
+                      className="flex-1 px-4 py-2 bg-gray-300 text-gray-900 rounded-lg hover:bg-gray-400 transition-colors font-medium"
+                    >
+                      Clear
+                    </button>
+                  )}
                 </div>
 
-                {error && (
+                {displayedError && (
                   <div className="bg-red-50 border border-red-200 rounded-lg p-3">
-                    <p className="text-sm text-red-800">{error}</p>
+                    <p className="text-sm text-red-800">{displayedError}</p>
                   </div>
                 )}
 
+                {batchProcessing && (
+                  <BatchProgress
+                    progress={receiveJob.job?.progress}
+                    onPause={receiveJob.pause}
+                    onResume={receiveJob.resume}
+                    onCancel={receiveJob.cancel}
+                  />
+                )}
+
                 {/* Stats */}
                 <div className="rounded-lg border border-gray-400 p-3">
                   <div className="text-xs text-gray-600">
@@ -626,6 +740,9 @@ const SpecialShopifyCasesReceived = () => {
                         <th className="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
                           Rush
                         </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
+                          Attempts
+                        </th>
                       </tr>
                     </thead>
                     <tbody className="bg-white divide-y divide-gray-200">
@@ -657,6 +774,9 @@ const SpecialShopifyCasesReceived = () => {
                               </span>
                             )}
                           </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                            {item.attempts || "-"}
+                          </td>
                         </tr>
                       ))}
                     </tbody>
@@ -699,6 +819,9 @@ const SpecialShopifyCasesReceived = () => {
                         <th className="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
                           Details
                         </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
+                          Attempts
+                        </th>
                       </tr>
                     </thead>
                     <tbody className="bg-white divide-y divide-gray-200">
@@ -715,6 +838,9 @@ const SpecialShopifyCasesReceived = () => {
                               Failed
                             </span>
                           </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                            {item.attempts || "-"}
+                          </td>
                         </tr>
                       ))}
                     </tbody>
@@ -759,6 +885,9 @@ const SpecialShopifyCasesReceived = () => {
                         <th className="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
                           Details
                         </th>
+                        <th className="px-6 py-3 text-left text-xs font-medium text-gray-700 uppercase tracking-wider">
+                          Attempts
+                        </th>
                       </tr>
                     </thead>
                     <tbody className="bg-white divide-y divide-gray-200">
@@ -775,6 +904,9 @@ const SpecialShopifyCasesReceived = () => {
                               Success
                             </span>
                           </td>
+                          <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-600">
+                            {item.attempts || "-"}
+                          </td>
                         </tr>
                       ))}
                     </tbody>
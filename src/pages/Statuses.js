@@ -0,0 +1,466 @@
+// src/pages/Statuses.js
+/**
+ * Statuses Page Component
+ *
+ * Administration of case statuses: list, create and edit them. Every
+ * status drives side effects when a case is set to it (customer email,
+ * Klaviyo event, Shopify tags, ship carrier, rush flag, scheduled
+ * follow-up); the list and the editor spell them out before anything is
+ * saved.
+ *
+ * Saved changes refresh statusService, which passes them on to every open
+ * tab.
+ */
+
+import React, { useState } from "react";
+import PropTypes from "prop-types";
+import Layout from "../components/layout/Layout";
+import Button from "../components/common/Button";
+import useApiQuery from "../hooks/useApiQuery";
+import useStatuses from "../hooks/useStatuses";
+import { QUERY_TTL_MS } from "../config/constants";
+import { apiPost, apiPut } from "../utils/api";
+import { refreshStatusCache } from "../utils/statusService";
+import {
+  EMPTY_STATUS,
+  describeStatusSideEffects,
+  normalizeStatus,
+  validateStatus,
+} from "../utils/statusConfig";
+
+const INPUT_CLASSES =
+  "rounded-md border border-gray-300 bg-white px-3 py-2 text-sm text-gray-800 focus:border-blue-500 focus:outline-none focus:ring-2 focus:ring-blue-100 disabled:cursor-not-allowed disabled:bg-gray-100";
+
+const LABEL_CLASSES =
+  "text-xs font-semibold uppercase tracking-wide text-gray-600";
+
+const HEADER_CELL_CLASSES =
+  "px-4 py-3 text-left text-xs font-semibold uppercase tracking-wide text-gray-500";
+
+const ACTION_BUTTON_CLASSES =
+  "rounded border border-gray-300 px-2 py-1 text-xs font-medium text-gray-700 hover:bg-gray-100 disabled:cursor-not-allowed disabled:opacity-40";
+
+/**
+ * Form values for a status: references become strings, "" meaning none
+ * @param {Object} status - Status record
+ * @returns {Object} Form values
+ */
+const toFormValues = (status) => ({
+  ...status,
+  Status_ID: status.Status_ID ?? "",
+  Email_Template_Id: status.Email_Template_Id ?? "",
+  AssignCaseShipCarrierID: status.AssignCaseShipCarrierID ?? "",
+  Default_Scheduled_Status_ID: status.Default_Scheduled_Status_ID ?? "",
+});
+
+/**
+ * Side effects of a status as a list of labels
+ * @param {Object} props - Component props
+ * @param {Array<Object>} props.effects - From describeStatusSideEffects
+ */
+const SideEffectList = ({ effects }) =>
+  effects.length === 0 ? (
+    <span className="text-gray-500">Only changes the case status</span>
+  ) : (
+    <ul className="flex flex-wrap gap-1">
+      {effects.map((effect) => (
+        <li
+          key={effect.key}
+          className="rounded-md bg-blue-50 px-2 py-0.5 text-xs font-medium text-blue-800"
+        >
+          {effect.label}
+        </li>
+      ))}
+    </ul>
+  );
+
+// Prop types for type checking
+SideEffectList.propTypes = {
+  effects: PropTypes.arrayOf(
+    PropTypes.shape({
+      key: PropTypes.string.isRequired,
+      label: PropTypes.string.isRequired,
+    }),
+  ).isRequired,
+};
+
+const Statuses = () => {
+  const { statuses, loading, error: statusesError } = useStatuses();
+  const templatesQuery = useApiQuery("/status/email-templates", {
+    ttl: QUERY_TTL_MS.STATUSES,
+  });
+  const carriersQuery = useApiQuery("/shipping/carriers", {
+    ttl: QUERY_TTL_MS.CARRIERS,
+  });
+  const templates = templatesQuery.data?.data?.templates || [];
+  const carriers = carriersQuery.data?.data?.carriers || [];
+  const lookups = { statuses, templates, carriers };
+
+  const [search, setSearch] = useState("");
+  // { isNew, values } while the editor is open
+  const [editor, setEditor] = useState(null);
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [notice, setNotice] = useState("");
+  const [error, setError] = useState("");
+
+  const term = search.trim().toLowerCase();
+  const visibleStatuses = [...statuses]
+    .sort((a, b) => a.Status_ID - b.Status_ID)
+    .filter(
+      (status) =>
+        status.Status_Streamline_Options.toLowerCase().includes(term) ||
+        String(status.Status_ID).includes(term),
+    );
+
+  const draft = editor ? normalizeStatus(editor.values) : null;
+
+  const openEditor = (status) => {
+    setNotice("");
+    setError("");
+    setFieldErrors({});
+    setEditor({
+      isNew: !status,
+      values: toFormValues(status || EMPTY_STATUS),
+    });
+  };
+
+  const handleFieldChange = (e) => {
+    const { name, value, type, checked } = e.target;
+    setFieldErrors((prev) => ({ ...prev, [name]: undefined }));
+    setEditor((prev) => ({
+      ...prev,
+      values: {
+        ...prev.values,
+        [name]: type === "checkbox" ? checked : value,
+      },
+    }));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setError("");
+    setNotice("");
+
+    const errors = validateStatus(draft, { ...lookups, isNew: editor.isNew });
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) {
+      setError("Fix the highlighted fields before saving.");
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (editor.isNew) {
+        await apiPost("/status/status", draft);
+      } else {
+        await apiPut(`/status/status/${draft.Status_ID}`, draft);
+      }
+      await refreshStatusCache();
+      setNotice(
+        `${draft.Status_Streamline_Options} has been ${
+          editor.isNew ? "created" : "saved"
+        }. Cases set to it from now on use the new settings.`,
+      );
+      setEditor(null);
+    } catch (err) {
+      setFieldErrors(err.data?.errors || {});
+      setError(err.message || "The status could not be saved.");
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  /**
+   * Label, input and error message of one editor field
+   * @param {string} name - Field name
+   * @param {string} label - Field label
+   * @param {ReactNode} input - Input element
+   */
+  const renderField = (name, label, input) => (
+    <label className="flex flex-col gap-1">
+      <span className={LABEL_CLASSES}>{label}</span>
+      {input}
+      {fieldErrors[name] && (
+        <span className="text-xs text-red-600">{fieldErrors[name]}</span>
+      )}
+    </label>
+  );
+
+  return (
+    <Layout showLogout={true} title="Statuses">
+      <div className="space-y-6">
+        <div className="bg-white shadow-sm rounded-lg border border-gray-200 overflow-hidden">
+          <div className="flex flex-wrap items-start justify-between gap-3 px-6 py-4 border-b border-gray-200 bg-gray-50">
+            <div>
+              <h1 className="text-xl font-semibold text-gray-900">Statuses</h1>
+              <p className="mt-1 text-sm text-gray-600">
+                Case statuses and what setting a case to each one does.
+              </p>
+            </div>
+            {!editor && (
+              <Button size="sm" onClick={() => openEditor(null)}>
+                Add status
+              </Button>
+            )}
+          </div>
+
+          <div className="p-6 space-y-4">
+            {editor && (
+              <form
+                onSubmit={handleSave}
+                className="rounded-lg border border-gray-200 bg-gray-50 p-4 space-y-4"
+              >
+                <h2 className="text-sm font-semibold text-gray-900">
+                  {editor.isNew
+                    ? "New status"
+                    : `Edit status ${editor.values.Status_ID}`}
+                </h2>
+                <div className="grid grid-cols-1 gap-4 md:grid-cols-2 xl:grid-cols-4">
+                  {renderField(
+                    "Status_ID",
+                    "Status ID",
+                    <input
+                      name="Status_ID"
+                      type="number"
+                      min="1"
+                      value={editor.values.Status_ID}
+                      onChange={handleFieldChange}
+                      disabled={saving || !editor.isNew}
+                      autoFocus={editor.isNew}
+                      className={INPUT_CLASSES}
+                    />,
+                  )}
+                  {renderField(
+                    "Status_Streamline_Options",
+                    "Name",
+                    <input
+                      name="Status_Streamline_Options"
+                      value={editor.values.Status_Streamline_Options}
+                      onChange={handleFieldChange}
+                      disabled={saving}
+                      autoFocus={!editor.isNew}
+                      className={INPUT_CLASSES}
+                    />,
+                  )}
+                  {renderField(
+                    "Email_Template_Id",
+                    "Customer email",
+                    <select
+                      name="Email_Template_Id"
+                      value={editor.values.Email_Template_Id}
+                      onChange={handleFieldChange}
+                      disabled={saving || templatesQuery.loading}
+                      className={INPUT_CLASSES}
+                    >
+                      <option value="">No email</option>
+                      {templates.map((template) => (
+                        <option
+                          key={template.Email_Template_Id}
+                          value={template.Email_Template_Id}
+                        >
+                          {template.Title}
+                        </option>
+                      ))}
+                    </select>,
+                  )}
+                  {renderField(
+                    "Default_Scheduled_Status_ID",
+                    "Scheduled follow-up status",
+                    <select
+                      name="Default_Scheduled_Status_ID"
+                      value={editor.values.Default_Scheduled_Status_ID}
+                      onChange={handleFieldChange}
+                      disabled={saving}
+                      className={INPUT_CLASSES}
+                    >
+                      <option value="">No scheduled follow-up</option>
+                      {statuses
+                        .filter(
+                          (status) =>
+                            String(status.Status_ID) !==
+                            String(editor.values.Status_ID),
+                        )
+                        .map((status) => (
+                          <option
+                            key={status.Status_ID}
+                            value={status.Status_ID}
+                          >
+                            {status.Status_Streamline_Options} (
+                            {status.Status_ID})
+                          </option>
+                        ))}
+                    </select>,
+                  )}
+                  {renderField(
+                    "KlaviyoEventName",
+                    "Klaviyo event",
+                    <input
+                      name="KlaviyoEventName"
+                      value={editor.values.KlaviyoEventName}
+                      onChange={handleFieldChange}
+                      disabled={saving}
+                      placeholder="No event"
+                      className={INPUT_CLASSES}
+                    />,
+                  )}
+                  {renderField(
+                    "ShopifyTags",
+                    "Shopify tags (comma separated)",
+                    <input
+                      name="ShopifyTags"
+                      value={editor.values.ShopifyTags}
+                      onChange={handleFieldChange}
+                      disabled={saving}
+                      placeholder="No tags"
+                      className={INPUT_CLASSES}
+                    />,
+                  )}
+                  {renderField(
+                    "AssignCaseShipCarrierID",
+                    "Assign ship carrier",
+                    <select
+                      name="AssignCaseShipCarrierID"
+                      value={editor.values.AssignCaseShipCarrierID}
+                      onChange={handleFieldChange}
+                      disabled={saving || carriersQuery.loading}
+                      className={INPUT_CLASSES}
+                    >
+                      <option value="">Keep the case carrier</option>
+                      {carriers.map((carrier) => (
+                        <option key={carrier.ID} value={carrier.ID}>
+                          {carrier.Name}
+                        </option>
+                      ))}
+                    </select>,
+                  )}
+                  <label className="flex items-center gap-2 self-end pb-2 text-sm text-gray-700">
+                    <input
+                      type="checkbox"
+                      name="MarkRush"
+                      checked={editor.values.MarkRush}
+                      onChange={handleFieldChange}
+                      disabled={saving}
+                      className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                    />
+                    Mark cases as rush
+                  </label>
+                </div>
+
+                <div className="rounded-md border border-blue-100 bg-white px-4 py-3 text-sm">
+                  <p className="mb-2 font-semibold text-gray-900">
+                    Setting a case to this status will:
+                  </p>
+                  <SideEffectList
+                    effects={describeStatusSideEffects(draft, lookups)}
+                  />
+                </div>
+
+                <div className="flex justify-end gap-2">
+                  <Button
+                    variant="secondary"
+                    size="sm"
+                    onClick={() => setEditor(null)}
+                    disabled={saving}
+                  >
+                    Cancel
+                  </Button>
+                  <Button type="submit" size="sm" disabled={saving}>
+                    {saving
+                      ? "Saving..."
+                      : editor.isNew
+                        ? "Create status"
+                        : "Save status"}
+                  </Button>
+                </div>
+              </form>
+            )}
+
+            <input
+              type="search"
+              aria-label="Search statuses"
+              placeholder="Search by name or ID"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              className={`${INPUT_CLASSES} w-full md:w-80`}
+            />
+
+            {notice && (
+              <div className="rounded-md border border-green-200 bg-green-50 px-4 py-3 text-sm text-green-800">
+                {notice}
+              </div>
+            )}
+
+            {(error || statusesError) && (
+              <div className="rounded-md border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-700">
+                {error || statusesError.message}
+              </div>
+            )}
+
+            {loading ? (
+              <div className="rounded-md border border-blue-100 bg-blue-50 px-4 py-3 text-sm text-blue-800">
+                Loading statuses...
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className={HEADER_CELL_CLASSES}>ID</th>
+                      <th className={HEADER_CELL_CLASSES}>Status</th>
+                      <th className={HEADER_CELL_CLASSES}>Side Effects</th>
+                      <th className={HEADER_CELL_CLASSES}>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100 bg-white">
+                    {visibleStatuses.length === 0 ? (
+                      <tr>
+                        <td
+                          colSpan={4}
+                          className="px-4 py-6 text-center text-gray-500"
+                        >
+                          No statuses found.
+                        </td>
+                      </tr>
+                    ) : (
+                      visibleStatuses.map((status) => (
+                        <tr key={status.Status_ID} className="hover:bg-gray-50">
+                          <td className="px-4 py-3 font-mono text-gray-700">
+                            {status.Status_ID}
+                          </td>
+                          <td className="px-4 py-3 font-medium text-gray-900">
+                            {status.Status_Streamline_Options}
+                          </td>
+                          <td className="px-4 py-3">
+                            <SideEffectList
+                              effects={describeStatusSideEffects(
+                                status,
+                                lookups,
+                              )}
+                            />
+                          </td>
+                          <td className="px-4 py-3">
+                            <button
+                              type="button"
+                              onClick={() => openEditor(status)}
+                              disabled={saving}
+                              className={ACTION_BUTTON_CLASSES}
+                            >
+                              Edit
+                            </button>
+                          </td>
+                        </tr>
+                      ))
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default Statuses;
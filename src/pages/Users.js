@@ -0,0 +1,474 @@
+// src/pages/Users.js
+/**
+ * Users Page Component
+ *
+ * Administration of staff accounts: list, create, deactivate and reactivate
+ * users, assign roles and send password reset links. Each row shows the
+ * user's last login and today's intake and shipping counts.
+ *
+ * New users get an email with a link to choose their own password, so
+ * admins never see or set passwords.
+ */
+
+import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import Layout from "../components/layout/Layout";
+import Button from "../components/common/Button";
+import useApiQuery from "../hooks/useApiQuery";
+import { useAuth } from "../contexts/AuthContext";
+import { ROLES } from "../config/permissions";
+import { QUERY_TTL_MS, ROUTES } from "../config/constants";
+import { apiPost, apiPut } from "../utils/api";
+import { invalidateQueries } from "../utils/queryCache";
+
+const USERS_QUERY_KEY = "/users";
+
+const EMPTY_NEW_USER = {
+  UserLogin: "",
+  UserName: "",
+  email: "",
+  role: ROLES.EMPLOYEE,
+};
+
+const INPUT_CLASSES =
+  "rounded-md border border-gray-300 bg-white px-3 py-2 text-sm text-gray-800 focus:border-blue-500 focus:outline-none focus:ring-2 focus:ring-blue-100 disabled:cursor-not-allowed disabled:bg-gray-100";
+
+const HEADER_CELL_CLASSES =
+  "px-4 py-3 text-left text-xs font-semibold uppercase tracking-wide text-gray-500";
+
+const ACTION_BUTTON_CLASSES =
+  "rounded border border-gray-300 px-2 py-1 text-xs font-medium text-gray-700 hover:bg-gray-100 disabled:cursor-not-allowed disabled:opacity-40";
+
+/**
+ * Format the time of a user's last login
+ * @param {string|null} value - ISO date time
+ * @returns {string}
+ */
+const formatLastLogin = (value) => {
+  if (!value) return "Never";
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return "-";
+  return date.toLocaleString("en-US", {
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+  });
+};
+
+const Users = () => {
+  const navigate = useNavigate();
+  const { currentUser, canImpersonate, impersonate } = useAuth();
+  const usersQuery = useApiQuery(USERS_QUERY_KEY, {
+    ttl: QUERY_TTL_MS.USERS,
+  });
+  const users = usersQuery.data?.data?.users || [];
+
+  const [search, setSearch] = useState("");
+  const [showInactive, setShowInactive] = useState(false);
+  const [showCreateForm, setShowCreateForm] = useState(false);
+  const [newUser, setNewUser] = useState(EMPTY_NEW_USER);
+  const [creating, setCreating] = useState(false);
+  // "<UserID>:<action>" of the row action in flight
+  const [pendingAction, setPendingAction] = useState(null);
+  const [notice, setNotice] = useState("");
+  const [error, setError] = useState("");
+
+  const term = search.trim().toLowerCase();
+  const visibleUsers = users.filter(
+    (user) =>
+      (showInactive || user.active) &&
+      [user.UserLogin, user.UserName, user.email].some((value) =>
+        String(value || "")
+          .toLowerCase()
+          .includes(term),
+      ),
+  );
+
+  /**
+   * Reload every list that shows users
+   */
+  const refreshUsers = () => {
+    invalidateQueries(USERS_QUERY_KEY);
+    invalidateQueries("/auth/impersonate/users");
+  };
+
+  /**
+   * Run a row action and report how it went
+   * @param {Object} user - Row user
+   * @param {string} action - Action name, for the pending state
+   * @param {function} request - Async request
+   * @param {string} successMessage - Message shown when it succeeds
+   */
+  const runUserAction = async (user, action, request, successMessage) => {
+    setError("");
+    setNotice("");
+    setPendingAction(`${user.UserID}:${action}`);
+    try {
+      await request();
+      setNotice(successMessage);
+      refreshUsers();
+    } catch (err) {
+      setError(err.message || "The change could not be saved.");
+    } finally {
+      setPendingAction(null);
+    }
+  };
+
+  const handleRoleChange = (user, role) =>
+    runUserAction(
+      user,
+      "role",
+      () => apiPut(`/users/${user.UserID}`, { role }),
+      `${user.UserName} is now ${role}. Their menus change at their next login.`,
+    );
+
+  const handleToggleActive = (user) =>
+    runUserAction(
+      user,
+      "active",
+      () => apiPut(`/users/${user.UserID}`, { active: !user.active }),
+      user.active
+        ? `${user.UserName} has been deactivated and can no longer log in.`
+        : `${user.UserName} has been reactivated.`,
+    );
+
+  const handleSendPasswordReset = (user) =>
+    runUserAction(
+      user,
+      "reset",
+      () => apiPost(`/users/${user.UserID}/reset-password`, {}),
+      `A password reset link has been sent to ${user.email}.`,
+    );
+
+  const handleImpersonate = async (user) => {
+    setError("");
+    setPendingAction(`${user.UserID}:impersonate`);
+    try {
+      await impersonate(user.UserID);
+      navigate(ROUTES.DASHBOARD);
+    } catch (err) {
+      setError(err.message);
+      setPendingAction(null);
+    }
+  };
+
+  const handleNewUserChange = (e) => {
+    const { name, value } = e.target;
+    setNewUser((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleCreateUser = async (e) => {
+    e.preventDefault();
+    setError("");
+    setNotice("");
+
+    const payload = {
+      ...newUser,
+      UserLogin: newUser.UserLogin.trim(),
+      UserName: newUser.UserName.trim(),
+      email: newUser.email.trim(),
+    };
+    if (!payload.UserLogin || !payload.UserName || !payload.email) {
+      setError("Login, name and email are required.");
+      return;
+    }
+
+    setCreating(true);
+    try {
+      await apiPost("/users", payload);
+      setNotice(
+        `${payload.UserName} has been created and will get an email to choose a password.`,
+      );
+      setNewUser(EMPTY_NEW_USER);
+      setShowCreateForm(false);
+      refreshUsers();
+    } catch (err) {
+      setError(err.message || "The user could not be created.");
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <Layout showLogout={true} title="Users">
+      <div className="space-y-6">
+        <div className="bg-white shadow-sm rounded-lg border border-gray-200 overflow-hidden">
+          <div className="flex flex-wrap items-start justify-between gap-3 px-6 py-4 border-b border-gray-200 bg-gray-50">
+            <div>
+              <h1 className="text-xl font-semibold text-gray-900">Users</h1>
+              <p className="mt-1 text-sm text-gray-600">
+                Staff accounts, their roles and today&apos;s activity.
+              </p>
+            </div>
+            {!showCreateForm && (
+              <Button size="sm" onClick={() => setShowCreateForm(true)}>
+                Add user
+              </Button>
+            )}
+          </div>
+
+          <div className="p-6 space-y-4">
+            {showCreateForm && (
+              <form
+                onSubmit={handleCreateUser}
+                className="rounded-lg border border-gray-200 bg-gray-50 p-4"
+              >
+                <div className="grid grid-cols-1 gap-4 md:grid-cols-2 xl:grid-cols-4">
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold uppercase tracking-wide text-gray-600">
+                      Login
+                    </span>
+                    <input
+                      name="UserLogin"
+                      value={newUser.UserLogin}
+                      onChange={handleNewUserChange}
+                      disabled={creating}
+                      autoFocus
+                      className={INPUT_CLASSES}
+                    />
+                  </label>
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold uppercase tracking-wide text-gray-600">
+                      Full name
+                    </span>
+                    <input
+                      name="UserName"
+                      value={newUser.UserName}
+                      onChange={handleNewUserChange}
+                      disabled={creating}
+                      className={INPUT_CLASSES}
+                    />
+                  </label>
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold uppercase tracking-wide text-gray-600">
+                      Email
+                    </span>
+                    <input
+                      name="email"
+                      type="email"
+                      value={newUser.email}
+                      onChange={handleNewUserChange}
+                      disabled={creating}
+                      className={INPUT_CLASSES}
+                    />
+                  </label>
+                  <label className="flex flex-col gap-1">
+                    <span className="text-xs font-semibold uppercase tracking-wide text-gray-600">
+                      Role
+                    </span>
+                    <select
+                      name="role"
+                      value={newUser.role}
+                      onChange={handleNewUserChange}
+                      disabled={creating}
+                      className={`${INPUT_CLASSES} capitalize`}
+                    >
+                      {Object.values(ROLES).map((role) => (
+                        <option key={role} value={role}>
+                          {role}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+                <p className="mt-3 text-xs text-gray-500">
+                  The new user gets an email with a link to choose their
+                  password.
+                </p>
+                <div className="mt-4 flex justify-end gap-2">
+                  <Button
+                    variant="secondary"
+                    size="sm"
+                    onClick={() => {
+                      setShowCreateForm(false);
+                      setNewUser(EMPTY_NEW_USER);
+                    }}
+                    disabled={creating}
+                  >
+                    Cancel
+                  </Button>
+                  <Button type="submit" size="sm" disabled={creating}>
+                    {creating ? "Creating..." : "Create user"}
+                  </Button>
+                </div>
+              </form>
+            )}
+
+            <div className="flex flex-wrap items-center gap-4">
+              <input
+                type="search"
+                aria-label="Search users"
+                placeholder="Search by name, login or email"
+                value={search}
+                onChange={(e) => setSearch(e.target.value)}
+                className={`${INPUT_CLASSES} w-full md:w-80`}
+              />
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={showInactive}
+                  onChange={(e) => setShowInactive(e.target.checked)}
+                  className="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+                />
+                Show deactivated users
+              </label>
+            </div>
+
+            {notice && (
+              <div className="rounded-md border border-green-200 bg-green-50 px-4 py-3 text-sm text-green-800">
+                {notice}
+              </div>
+            )}
+
+            {(error || usersQuery.error) && (
+              <div className="rounded-md border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-700">
+                {error || usersQuery.error.message}
+              </div>
+            )}
+
+            {usersQuery.loading ? (
+              <div className="rounded-md border border-blue-100 bg-blue-50 px-4 py-3 text-sm text-blue-800">
+                Loading users...
+              </div>
+            ) : (
+              <div className="overflow-x-auto">
+                <table className="min-w-full divide-y divide-gray-200 text-sm">
+                  <thead className="bg-gray-50">
+                    <tr>
+                      <th className={HEADER_CELL_CLASSES}>User</th>
+                      <th className={HEADER_CELL_CLASSES}>Email</th>
+                      <th className={HEADER_CELL_CLASSES}>Role</th>
+                      <th className={HEADER_CELL_CLASSES}>Status</th>
+                      <th className={HEADER_CELL_CLASSES}>Last Login</th>
+                      <th className={HEADER_CELL_CLASSES}>Received Today</th>
+                      <th className={HEADER_CELL_CLASSES}>Shipped Today</th>
+                      <th className={HEADER_CELL_CLASSES}>Actions</th>
+                    </tr>
+                  </thead>
+                  <tbody className="divide-y divide-gray-100 bg-white">
+                    {visibleUsers.length === 0 ? (
+                      <tr>
+                        <td
+                          colSpan={8}
+                          className="px-4 py-6 text-center text-gray-500"
+                        >
+                          No users found.
+                        </td>
+                      </tr>
+                    ) : (
+                      visibleUsers.map((user) => {
+                        const isSelf = user.UserID === currentUser?.UserID;
+                        const rowBusy =
+                          pendingAction !== null &&
+                          pendingAction.startsWith(`${user.UserID}:`);
+
+                        return (
+                          <tr
+                            key={user.UserID}
+                            className={
+                              user.active
+                                ? "hover:bg-gray-50"
+                                : "bg-gray-50 opacity-60"
+                            }
+                          >
+                            <td className="px-4 py-3">
+                              <p className="font-medium text-gray-900">
+                                {user.UserName}
+                                {isSelf && (
+                                  <span className="ml-1 text-xs text-gray-500">
+                                    (you)
+                                  </span>
+                                )}
+                              </p>
+                              <p className="text-xs text-gray-500">
+                                {user.UserLogin}
+                              </p>
+                            </td>
+                            <td className="px-4 py-3 text-gray-700">
+                              {user.email}
+                            </td>
+                            <td className="px-4 py-3">
+                              <select
+                                aria-label={`Role of ${user.UserLogin}`}
+                                value={user.role}
+                                onChange={(e) =>
+                                  handleRoleChange(user, e.target.value)
+                                }
+                                disabled={isSelf || !user.active || rowBusy}
+                                className={`${INPUT_CLASSES} py-1 capitalize`}
+                              >
+                                {Object.values(ROLES).map((role) => (
+                                  <option key={role} value={role}>
+                                    {role}
+                                  </option>
+                                ))}
+                              </select>
+                            </td>
+                            <td className="px-4 py-3">
+                              <span
+                                className={`inline-flex items-center rounded-md px-2 py-0.5 text-xs font-semibold ${
+                                  user.active
+                                    ? "bg-green-100 text-green-800"
+                                    : "bg-gray-200 text-gray-600"
+                                }`}
+                              >
+                                {user.active ? "Active" : "Deactivated"}
+                              </span>
+                            </td>
+                            <td className="px-4 py-3 text-gray-700">
+                              {formatLastLogin(user.lastLoginAt)}
+                            </td>
+                            <td className="px-4 py-3 font-semibold text-gray-700">
+                              {user.casesReceivedToday ?? "-"}
+                            </td>
+                            <td className="px-4 py-3 font-semibold text-gray-700">
+                              {user.casesShippedToday ?? "-"}
+                            </td>
+                            <td className="px-4 py-3">
+                              <div className="flex flex-wrap gap-2">
+                                <button
+                                  type="button"
+                                  onClick={() => handleSendPasswordReset(user)}
+                                  disabled={!user.active || rowBusy}
+                                  className={ACTION_BUTTON_CLASSES}
+                                >
+                                  Reset password
+                                </button>
+                                <button
+                                  type="button"
+                                  onClick={() => handleToggleActive(user)}
+                                  disabled={isSelf || rowBusy}
+                                  className={ACTION_BUTTON_CLASSES}
+                                >
+                                  {user.active ? "Deactivate" : "Reactivate"}
+                                </button>
+                                {canImpersonate && !isSelf && user.active && (
+                                  <button
+                                    type="button"
+                                    onClick={() => handleImpersonate(user)}
+                                    disabled={rowBusy}
+                                    className={ACTION_BUTTON_CLASSES}
+                                  >
+                                    Act as
+                                  </button>
+                                )}
+                              </div>
+                            </td>
+                          </tr>
+                        );
+                      })
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default Users;
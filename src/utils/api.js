@@ -2,98 +2,671 @@
  * API Utility Module
  *
  * Provides a centralized, modular approach to making authenticated API requests.
- * Automatically includes JWT token in Authorization header.
- * Handles errors and token expiration consistently across the application.
+ * Every request runs through an interceptor chain (see registerInterceptor);
+ * the built-in interceptors add the JWT token and handle token expiration.
+ * Handles errors consistently across the application.
  */
 
+import { API_ERROR_CODES } from "../config/constants";
+import { clearSession, getAuthToken } from "./session";
+
 const API_BASE_URL =
   process.env.REACT_APP_API_URL;
 
 /**
- * Get the stored JWT token from localStorage
- * @returns {string|null} JWT token or null if not found
+ * Default request timeout in milliseconds
+ * Can be overridden per request with the `timeout` option.
+ */
+const DEFAULT_TIMEOUT_MS =
+  parseInt(process.env.REACT_APP_API_TIMEOUT_MS, 10) || 30000;
+
+/**
+ * Default timeout for file downloads in milliseconds
+ * Covers the whole transfer, so it is longer than the JSON request timeout.
+ */
+const DOWNLOAD_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Failures treated as transient by default
+ * Network errors, timeouts, rate limiting and server-side errors.
  */
-const getAuthToken = () => {
-  return localStorage.getItem("authToken");
+const TRANSIENT_ERROR_CODES = [
+  API_ERROR_CODES.NETWORK_ERROR,
+  API_ERROR_CODES.REQUEST_TIMEOUT,
+];
+const TRANSIENT_STATUSES = [429, 500, 502, 503, 504];
+
+/**
+ * Retry policy applied to GET requests that have no policy of their own
+ */
+const DEFAULT_GET_RETRY_POLICY = {
+  retries: 2,
+  baseDelayMs: 500,
+  maxDelayMs: 4000,
 };
 
 /**
- * Build headers with authentication
- * Includes JWT token in Authorization header if available
+ * Retry policies for POST endpoints that are safe to repeat
+ *
+ * Only GET requests, endpoints listed here and calls passing an explicit
+ * `retry` option are retried. Each policy may set:
+ * - retries: extra attempts after the first one
+ * - baseDelayMs / maxDelayMs: exponential backoff bounds
+ * - retryOn: error codes and HTTP statuses considered transient
+ */
+export const RETRY_POLICIES = {
+  // Receiving writes to the case, so only retry responses that guarantee
+  // it was not applied. A network error can hide a write that went through.
+  "/cases/receive-case": {
+    retries: 3,
+    baseDelayMs: 500,
+    maxDelayMs: 4000,
+    retryOn: [429, 503],
+  },
+  // Lookup only
+  "/shipping/validate-case": {
+    retries: 3,
+    baseDelayMs: 500,
+    maxDelayMs: 4000,
+  },
+  // Status updates send emails and tag orders, so only retry responses
+  // that guarantee the update was not applied.
+  "/case-status/update": {
+    retries: 2,
+    baseDelayMs: 1000,
+    maxDelayMs: 4000,
+    retryOn: [429, 503],
+  },
+};
+
+/**
+ * Error thrown by apiFetch for every failed request
+ *
+ * Keeps what the server sent so callers can branch on `code` instead of
+ * matching message text.
+ * - status: HTTP status (0 when the request never got a response)
+ * - code: server error code, or one derived from the status
+ * - body: parsed JSON response body (null if none or not JSON)
+ * - endpoint: endpoint that was called (without base URL)
+ * - attempts: number of attempts made before giving up
+ */
+export class ApiError extends Error {
+  constructor(
+    message,
+    {
+      status = 0,
+      code = API_ERROR_CODES.UNKNOWN_ERROR,
+      body = null,
+      endpoint = "",
+    } = {},
+  ) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.body = body;
+    this.endpoint = endpoint;
+    this.attempts = 1;
+  }
+
+  /**
+   * Payload nested under `data` in the error body, e.g. `{ caseStatus }`
+   * @returns {Object|null}
+   */
+  get data() {
+    return this.body?.data ?? null;
+  }
+}
+
+/**
+ * Map an HTTP status to a generic error code
+ * Used when the response body does not carry its own `code`
+ * @param {number} status - HTTP status code
+ * @returns {string} Error code from API_ERROR_CODES
+ */
+const getCodeForStatus = (status) => {
+  if (status === 400) return API_ERROR_CODES.BAD_REQUEST;
+  if (status === 401) return API_ERROR_CODES.UNAUTHORIZED;
+  if (status === 403) return API_ERROR_CODES.FORBIDDEN;
+  if (status === 404) return API_ERROR_CODES.NOT_FOUND;
+  if (status === 409) return API_ERROR_CODES.CONFLICT;
+  if (status === 429) return API_ERROR_CODES.TOO_MANY_REQUESTS;
+  if (status >= 500) return API_ERROR_CODES.SERVER_ERROR;
+  return API_ERROR_CODES.UNKNOWN_ERROR;
+};
+
+/**
+ * Build the base request headers
+ * Authentication and other cross-cutting headers are added by interceptors.
  * @param {Object} customHeaders - Additional headers to include
  * @returns {Object} Complete headers object
  */
 const buildHeaders = (customHeaders = {}) => {
-  const headers = {
+  return {
     "Content-Type": "application/json",
     ...customHeaders,
   };
+};
+
+/**
+ * Listeners told when a request is rejected with 401
+ * @type {Set<function(string)>}
+ */
+const sessionExpiredListeners = new Set();
+
+/**
+ * Listen for expired sessions (401 responses)
+ * While anyone listens (the app's AuthProvider), a 401 is left to the
+ * listener, which asks the user to log in again without leaving the page.
+ * @param {function(string)} listener - Called with the endpoint that returned 401
+ * @returns {function} Unsubscribe function
+ */
+export const subscribeToSessionExpired = (listener) => {
+  sessionExpiredListeners.add(listener);
+  return () => {
+    sessionExpiredListeners.delete(listener);
+  };
+};
 
-  const token = getAuthToken();
-  if (token) {
-    headers.Authorization = `Bearer ${token}`;
+/**
+ * Handle an expired session
+ * Shared by every request type so a 401 is handled the same way everywhere.
+ * Without a listener the stored session is cleared and the page reloaded.
+ * @param {string} endpoint - API endpoint that returned 401
+ * @returns {ApiError} Error to throw to the caller
+ */
+const handleUnauthorized = (endpoint) => {
+  if (sessionExpiredListeners.size > 0) {
+    sessionExpiredListeners.forEach((listener) => listener(endpoint));
+  } else {
+    // Token expired or invalid - clear storage and reload; ProtectedRoute
+    // then sends the user to login and back to this page
+    clearSession();
+    window.location.reload();
   }
 
-  return headers;
+  return new ApiError("Authentication failed. Please login again.", {
+    status: 401,
+    code: API_ERROR_CODES.UNAUTHORIZED,
+    endpoint,
+  });
 };
 
 /**
- * Fetch wrapper with automatic error handling
- * @param {string} endpoint - API endpoint (without base URL)
- * @param {Object} options - Fetch options (method, body, headers, etc.)
- * @returns {Promise<Object>} Parsed JSON response
- * @throws {Error} On network error or HTTP error status
+ * Function that performs the HTTP call, `fetch` unless replaced
+ * @type {function(string, Object): Promise<Response>}
  */
-const apiFetch = async (endpoint, options = {}) => {
-  try {
-    const url = `${API_BASE_URL}${endpoint}`;
-    const headers = buildHeaders(options.headers);
+let transport = (url, init) => fetch(url, init);
+
+/**
+ * Replace the function that performs HTTP calls
+ * Used by the mock backend (src/mocks) to serve requests in the browser or
+ * in Node. Interceptors, retries and error handling still apply.
+ * @param {function(string, Object): Promise<Response>} nextTransport - fetch-compatible function
+ * @returns {function} Function that restores the previous transport
+ */
+export const setTransport = (nextTransport) => {
+  const previousTransport = transport;
+  transport = nextTransport;
+
+  return () => {
+    transport = previousTransport;
+  };
+};
+
+/**
+ * Registered interceptors, run in registration order
+ * @type {Array<Object>}
+ */
+const interceptors = [];
+
+/**
+ * Register an interceptor for every backend call
+ *
+ * An interceptor is an object with any of these hooks:
+ * - onRequest(config): runs before fetch; returns the (possibly updated)
+ *   config. `config` holds { endpoint, url, method, headers, body, attempt,
+ *   meta }, where `meta` is shared by all attempts of one call.
+ * - onResponse(response, config): runs when a response arrives, before the
+ *   status is checked; returns the response or throws to fail the request.
+ * - onError(error, config): notified when the request fails; the return
+ *   value is ignored and the error is still thrown to the caller.
+ *
+ * Hooks may be async.
+ *
+ * @param {Object} interceptor - Interceptor hooks
+ * @returns {function} Function that unregisters the interceptor
+ */
+export const registerInterceptor = (interceptor) => {
+  interceptors.push(interceptor);
+
+  return () => {
+    const index = interceptors.indexOf(interceptor);
+    if (index !== -1) {
+      interceptors.splice(index, 1);
+    }
+  };
+};
+
+/**
+ * Add the stored JWT token to the Authorization header
+ */
+export const authTokenInterceptor = {
+  onRequest: (config) => {
+    const token = getAuthToken();
+    if (!token) {
+      return config;
+    }
+
+    return {
+      ...config,
+      headers: { ...config.headers, Authorization: `Bearer ${token}` },
+    };
+  },
+};
+
+/**
+ * Turn a 401 response into a logout and an UNAUTHORIZED ApiError
+ * Skipped for requests made with `skipAuthRedirect` (e.g. the login call,
+ * where 401 means wrong credentials rather than an expired session).
+ */
+export const unauthorizedInterceptor = {
+  onResponse: (response, config) => {
+    if (response.status === 401 && !config.skipAuthRedirect) {
+      throw handleUnauthorized(config.endpoint);
+    }
+    return response;
+  },
+};
+
+registerInterceptor(authTokenInterceptor);
+registerInterceptor(unauthorizedInterceptor);
+
+/**
+ * Run the onRequest hooks over a request config
+ * @param {Object} config - Request config
+ * @returns {Promise<Object>} Final request config
+ */
+const runRequestInterceptors = async (config) => {
+  let nextConfig = config;
+  for (const interceptor of [...interceptors]) {
+    if (interceptor.onRequest) {
+      nextConfig = (await interceptor.onRequest(nextConfig)) || nextConfig;
+    }
+  }
+  return nextConfig;
+};
+
+/**
+ * Run the onResponse hooks over a response
+ * @param {Response} response - Fetch response
+ * @param {Object} config - Request config the response belongs to
+ * @returns {Promise<Response>} Final response
+ */
+const runResponseInterceptors = async (response, config) => {
+  let nextResponse = response;
+  for (const interceptor of [...interceptors]) {
+    if (interceptor.onResponse) {
+      nextResponse =
+        (await interceptor.onResponse(nextResponse, config)) || nextResponse;
+    }
+  }
+  return nextResponse;
+};
+
+/**
+ * Notify the onError hooks about a failed request
+ * A failing hook is logged and never replaces the original error.
+ * @param {Error} error - Error that will be thrown to the caller
+ * @param {Object} config - Request config
+ * @returns {Promise<void>}
+ */
+const runErrorInterceptors = async (error, config) => {
+  for (const interceptor of [...interceptors]) {
+    if (interceptor.onError) {
+      try {
+        await interceptor.onError(error, config);
+      } catch (hookError) {
+        console.error("API interceptor error:", hookError);
+      }
+    }
+  }
+};
+
+/**
+ * Link a caller's AbortSignal with a request timeout
+ * The returned signal aborts when either the caller aborts or the timeout fires.
+ * @param {AbortSignal} [callerSignal] - Signal supplied by the caller
+ * @param {number} timeout - Timeout in milliseconds (0 disables it)
+ * @returns {Object} { signal, didTimeOut, cleanup }
+ */
+const createRequestSignal = (callerSignal, timeout) => {
+  const controller = new AbortController();
+  let timedOut = false;
+
+  const abortFromCaller = () => controller.abort();
+
+  if (callerSignal) {
+    if (callerSignal.aborted) {
+      controller.abort();
+    } else {
+      callerSignal.addEventListener("abort", abortFromCaller, { once: true });
+    }
+  }
+
+  const timeoutId =
+    timeout > 0
+      ? setTimeout(() => {
+          timedOut = true;
+          controller.abort();
+        }, timeout)
+      : null;
+
+  return {
+    signal: controller.signal,
+    didTimeOut: () => timedOut,
+    cleanup: () => {
+      clearTimeout(timeoutId);
+      callerSignal?.removeEventListener("abort", abortFromCaller);
+    },
+  };
+};
+
+/**
+ * Convert a failure that happened before a response arrived into an ApiError
+ * Distinguishes timeouts and caller cancellation from plain network errors.
+ * @param {Error} error - Error raised by fetch or body parsing
+ * @param {Object} request - Value returned by createRequestSignal
+ * @param {string} endpoint - API endpoint
+ * @param {number} timeout - Timeout that applied to the request
+ * @returns {ApiError}
+ */
+const toTransportError = (error, request, endpoint, timeout) => {
+  if (request.didTimeOut()) {
+    return new ApiError(
+      `Request timed out after ${Math.round(timeout / 1000)}s`,
+      { code: API_ERROR_CODES.REQUEST_TIMEOUT, endpoint },
+    );
+  }
+
+  if (request.signal.aborted) {
+    return new ApiError("Request was cancelled", {
+      code: API_ERROR_CODES.REQUEST_ABORTED,
+      endpoint,
+    });
+  }
+
+  return new ApiError(error.message || "Network error. Please try again.", {
+    code: API_ERROR_CODES.NETWORK_ERROR,
+    endpoint,
+  });
+};
+
+/**
+ * Check whether an error comes from a request the caller cancelled
+ * Aborted requests are expected (unmount, Cancel button) and should not be
+ * reported to the user as failures.
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+export const isAbortError = (error) =>
+  error instanceof ApiError && error.code === API_ERROR_CODES.REQUEST_ABORTED;
+
+/**
+ * Resolve the retry policy for a request
+ * @param {string} endpoint - API endpoint (may include a query string)
+ * @param {string} method - HTTP method
+ * @param {Object|boolean} [retry] - Policy override, true to force the default, false to disable
+ * @returns {Object|null} Policy or null when the request must not be retried
+ */
+const getRetryPolicy = (endpoint, method, retry) => {
+  if (retry === false) {
+    return null;
+  }
+
+  const path = endpoint.split("?")[0];
+  const basePolicy =
+    RETRY_POLICIES[path] ||
+    (method === "GET" ? DEFAULT_GET_RETRY_POLICY : null);
+
+  if (retry === true) {
+    return basePolicy || DEFAULT_GET_RETRY_POLICY;
+  }
+
+  if (retry && typeof retry === "object") {
+    return { ...DEFAULT_GET_RETRY_POLICY, ...basePolicy, ...retry };
+  }
+
+  return basePolicy;
+};
+
+/**
+ * Check whether a failed attempt should be retried under a policy
+ * @param {ApiError} error - Error from the failed attempt
+ * @param {Object} policy - Retry policy
+ * @returns {boolean}
+ */
+const isRetryable = (error, policy) => {
+  if (!(error instanceof ApiError)) {
+    return false;
+  }
+
+  if (policy.retryOn) {
+    return (
+      policy.retryOn.includes(error.code) ||
+      policy.retryOn.includes(error.status)
+    );
+  }
 
-    const response = await fetch(url, {
-      ...options,
-      headers,
+  return (
+    TRANSIENT_ERROR_CODES.includes(error.code) ||
+    TRANSIENT_STATUSES.includes(error.status)
+  );
+};
+
+/**
+ * Exponential backoff delay with jitter
+ * @param {number} attempt - Attempt that just failed (1-based)
+ * @param {Object} policy - Retry policy
+ * @returns {number} Delay in milliseconds
+ */
+const getBackoffDelay = (attempt, policy) => {
+  const exponential = policy.baseDelayMs * 2 ** (attempt - 1);
+  const jitter = Math.random() * policy.baseDelayMs;
+  return Math.min(policy.maxDelayMs, exponential + jitter);
+};
+
+/**
+ * Wait before the next attempt, stopping early if the caller aborts
+ * @param {number} delayMs - Delay in milliseconds
+ * @param {AbortSignal} [signal] - Caller's signal
+ * @param {string} endpoint - API endpoint (for the abort error)
+ * @returns {Promise<void>}
+ */
+const waitForRetry = (delayMs, signal, endpoint) =>
+  new Promise((resolve, reject) => {
+    const abortError = new ApiError("Request was cancelled", {
+      code: API_ERROR_CODES.REQUEST_ABORTED,
+      endpoint,
     });
 
-    // Handle authentication errors
-    if (response.status === 401) {
-      // Token expired or invalid - clear storage and redirect to login
-      localStorage.removeItem("authToken");
-      localStorage.removeItem("user");
-      window.location.href = "/";
-      throw new Error("Authentication failed. Please login again.");
+    if (signal?.aborted) {
+      reject(abortError);
+      return;
     }
 
+    const onAbort = () => {
+      clearTimeout(timeoutId);
+      reject(abortError);
+    };
+    const timeoutId = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, delayMs);
+
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+
+/**
+ * Read a successful response as JSON
+ * @param {Response} response - Fetch response
+ * @returns {Promise<Object>}
+ */
+const parseJsonResponse = (response) => response.json();
+
+/**
+ * Send a single request attempt through the interceptor chain
+ * @param {string} endpoint - API endpoint (without base URL)
+ * @param {Object} options - Fetch options plus { signal, timeout, parseResponse, skipAuthRedirect }
+ * @param {Object} context - Per-call state: { attempt, meta }
+ * @returns {Promise<Object>} Parsed response (JSON unless parseResponse is given)
+ * @throws {ApiError} On network error, timeout, cancellation or HTTP error status
+ */
+const sendRequest = async (endpoint, options, context) => {
+  const {
+    signal,
+    timeout = DEFAULT_TIMEOUT_MS,
+    parseResponse = parseJsonResponse,
+    skipAuthRedirect = false,
+    ...fetchOptions
+  } = options;
+  const request = createRequestSignal(signal, timeout);
+
+  let config = {
+    endpoint,
+    url: `${API_BASE_URL}${endpoint}`,
+    method: fetchOptions.method || "GET",
+    headers: buildHeaders(fetchOptions.headers),
+    body: fetchOptions.body,
+    skipAuthRedirect,
+    attempt: context.attempt,
+    meta: context.meta,
+  };
+
+  try {
+    config = await runRequestInterceptors(config);
+
+    let response;
+    try {
+      response = await transport(config.url, {
+        ...fetchOptions,
+        method: config.method,
+        headers: config.headers,
+        body: config.body,
+        signal: request.signal,
+      });
+    } catch (networkError) {
+      throw toTransportError(networkError, request, endpoint, timeout);
+    }
+
+    response = await runResponseInterceptors(response, config);
+
     if (!response.ok) {
-      const errorData = await response.json().catch(() => ({}));
-      throw new Error(
-        errorData.message || `HTTP ${response.status}: ${response.statusText}`,
+      const errorBody = await response.json().catch(() => null);
+      throw new ApiError(
+        errorBody?.message || `HTTP ${response.status}: ${response.statusText}`,
+        {
+          status: response.status,
+          code: errorBody?.code || getCodeForStatus(response.status),
+          body: errorBody,
+          endpoint,
+        },
       );
     }
 
-    return await response.json();
+    try {
+      return await parseResponse(response);
+    } catch (parseError) {
+      if (request.signal.aborted) {
+        throw toTransportError(parseError, request, endpoint, timeout);
+      }
+      throw new ApiError("The server sent a response that could not be read.", {
+        status: response.status,
+        code: API_ERROR_CODES.INVALID_RESPONSE,
+        endpoint,
+      });
+    }
   } catch (error) {
-    console.error(`API Error [${endpoint}]:`, error);
+    await runErrorInterceptors(error, config);
     throw error;
+  } finally {
+    request.cleanup();
+  }
+};
+
+/**
+ * Fetch wrapper with automatic error handling and retries
+ *
+ * Transient failures are retried with exponential backoff when a retry
+ * policy applies (see RETRY_POLICIES). The final error carries `attempts`.
+ *
+ * @param {string} endpoint - API endpoint (without base URL)
+ * @param {Object} options - Fetch options (method, body, headers, etc.)
+ * @param {AbortSignal} [options.signal] - Signal to cancel the request
+ * @param {number} [options.timeout] - Timeout per attempt in milliseconds (0 disables it)
+ * @param {Object|boolean} [options.retry] - Retry policy override, or false to disable
+ * @param {function} [options.onRetry] - Called before each retry with { attempt, error, delayMs }
+ * @param {boolean} [options.skipAuthRedirect] - Return 401 as an error instead of logging out
+ * @returns {Promise<Object>} Parsed JSON response
+ * @throws {ApiError} On network error, timeout, cancellation or HTTP error status
+ */
+const apiFetch = async (endpoint, options = {}) => {
+  const { retry, onRetry, ...requestOptions } = options;
+  const policy = getRetryPolicy(endpoint, requestOptions.method, retry);
+  const maxAttempts = 1 + (policy?.retries || 0);
+  const meta = {};
+
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await sendRequest(endpoint, requestOptions, { attempt, meta });
+    } catch (error) {
+      if (error instanceof ApiError) {
+        error.attempts = attempt;
+      }
+
+      const canRetry =
+        attempt < maxAttempts &&
+        !requestOptions.signal?.aborted &&
+        isRetryable(error, policy);
+
+      if (!canRetry) {
+        if (!isAbortError(error)) {
+          console.error(`API Error [${endpoint}]:`, error);
+        }
+        throw error;
+      }
+
+      const delayMs = getBackoffDelay(attempt, policy);
+      console.warn(
+        `API retry [${endpoint}] attempt ${attempt + 1}/${maxAttempts} in ${Math.round(delayMs)}ms:`,
+        error.message,
+      );
+      onRetry?.({ attempt: attempt + 1, error, delayMs });
+      await waitForRetry(delayMs, requestOptions.signal, endpoint);
+    }
   }
 };
 
 /**
  * GET request
  * @param {string} endpoint - API endpoint
+ * @param {Object} [options] - Request options ({ signal, timeout, retry, onRetry })
  * @returns {Promise<Object>} Response data
  */
-export const apiGet = (endpoint) => {
-  return apiFetch(endpoint, { method: "GET" });
+export const apiGet = (endpoint, options = {}) => {
+  return apiFetch(endpoint, { ...options, method: "GET" });
 };
 
 /**
  * POST request
  * @param {string} endpoint - API endpoint
  * @param {Object} data - Request body data
+ * @param {Object} [options] - Request options ({ signal, timeout, retry, onRetry })
  * @returns {Promise<Object>} Response data
  */
-export const apiPost = (endpoint, data) => {
+export const apiPost = (endpoint, data, options = {}) => {
   return apiFetch(endpoint, {
+    ...options,
     method: "POST",
     body: JSON.stringify(data),
   });
@@ -103,10 +676,12 @@ export const apiPost = (endpoint, data) => {
  * PUT request
  * @param {string} endpoint - API endpoint
  * @param {Object} data - Request body data
+ * @param {Object} [options] - Request options ({ signal, timeout, retry, onRetry })
  * @returns {Promise<Object>} Response data
  */
-export const apiPut = (endpoint, data) => {
+export const apiPut = (endpoint, data, options = {}) => {
   return apiFetch(endpoint, {
+    ...options,
     method: "PUT",
     body: JSON.stringify(data),
   });
@@ -115,10 +690,135 @@ export const apiPut = (endpoint, data) => {
 /**
  * DELETE request
  * @param {string} endpoint - API endpoint
+ * @param {Object} [options] - Request options ({ signal, timeout, retry, onRetry })
  * @returns {Promise<Object>} Response data
  */
-export const apiDelete = (endpoint) => {
-  return apiFetch(endpoint, { method: "DELETE" });
+export const apiDelete = (endpoint, options = {}) => {
+  return apiFetch(endpoint, { ...options, method: "DELETE" });
+};
+
+/**
+ * Get the file name from a Content-Disposition header
+ * Prefers the RFC 5987 `filename*` form over the plain `filename` form.
+ * @param {string|null} header - Content-Disposition header value
+ * @returns {string|null} File name or null if the header has none
+ */
+export const getFileNameFromDisposition = (header) => {
+  if (!header) {
+    return null;
+  }
+
+  const encodedMatch = header.match(
+    /filename\*\s*=\s*(?:[\w-]+'[^']*')?([^;]+)/i,
+  );
+  if (encodedMatch) {
+    try {
+      return decodeURIComponent(encodedMatch[1].trim().replace(/^"|"$/g, ""));
+    } catch {
+      // Malformed encoding - fall back to the plain filename parameter.
+    }
+  }
+
+  const plainMatch = header.match(/filename\s*=\s*(?:"([^"]*)"|([^;]+))/i);
+  const fileName = (plainMatch?.[1] || plainMatch?.[2] || "").trim();
+  return fileName || null;
+};
+
+/**
+ * Read a response body as a Blob, reporting progress as chunks arrive
+ * Falls back to response.blob() when the body cannot be streamed.
+ * @param {Response} response - Fetch response
+ * @param {function} [onProgress] - Called with { loaded, total, percent }
+ * @returns {Promise<Blob>}
+ */
+const readBlobWithProgress = async (response, onProgress) => {
+  const contentType = response.headers.get("Content-Type") || "";
+  const total = parseInt(response.headers.get("Content-Length"), 10) || null;
+
+  const reportProgress = (loaded) => {
+    onProgress?.({
+      loaded,
+      total,
+      percent: total ? Math.min(100, Math.round((loaded / total) * 100)) : null,
+    });
+  };
+
+  if (!onProgress || !response.body?.getReader) {
+    const blob = await response.blob();
+    reportProgress(blob.size);
+    return blob;
+  }
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+
+  reportProgress(0);
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) {
+      break;
+    }
+    chunks.push(value);
+    loaded += value.length;
+    reportProgress(loaded);
+  }
+
+  return new Blob(chunks, { type: contentType });
+};
+
+/**
+ * Authenticated file download
+ *
+ * Goes through the same pipeline as the JSON helpers (auth header, 401
+ * handling, ApiError, timeout and retries) but returns the body as a Blob.
+ *
+ * @param {string} endpoint - API endpoint
+ * @param {Object} [options] - Request options ({ signal, timeout, retry, onRetry })
+ * @param {function} [options.onProgress] - Called with { loaded, total, percent }; total and percent are null without Content-Length
+ * @param {string} [options.fallbackFileName] - File name used when the response has no Content-Disposition
+ * @returns {Promise<Object>} { blob, fileName, contentType }
+ */
+export const apiDownload = (endpoint, options = {}) => {
+  const {
+    onProgress,
+    fallbackFileName = "download",
+    timeout = DOWNLOAD_TIMEOUT_MS,
+    ...requestOptions
+  } = options;
+
+  return apiFetch(endpoint, {
+    ...requestOptions,
+    timeout,
+    method: "GET",
+    parseResponse: async (response) => {
+      const blob = await readBlobWithProgress(response, onProgress);
+      return {
+        blob,
+        fileName:
+          getFileNameFromDisposition(
+            response.headers.get("Content-Disposition"),
+          ) || fallbackFileName,
+        contentType: blob.type || response.headers.get("Content-Type") || "",
+      };
+    },
+  });
+};
+
+/**
+ * Save a Blob to the user's machine through a temporary link
+ * @param {Blob} blob - File contents
+ * @param {string} fileName - Name to save the file as
+ */
+export const saveBlobAsFile = (blob, fileName) => {
+  const url = window.URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  window.URL.revokeObjectURL(url);
 };
 
 export default {
@@ -126,5 +826,6 @@ export default {
   apiPost,
   apiPut,
   apiDelete,
+  apiDownload,
   getAuthToken,
 };
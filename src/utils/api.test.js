@@ -0,0 +1,381 @@
+// src/utils/api.test.js
+import { API_ERROR_CODES } from "../config/constants";
+import {
+  ApiError,
+  apiDownload,
+  apiGet,
+  apiPost,
+  getFileNameFromDisposition,
+  isAbortError,
+} from "./api";
+
+// No backoff wait; the endpoint's own policy still decides what is retried
+const NO_DELAY = { baseDelayMs: 0, maxDelayMs: 0 };
+
+/**
+ * JSON response as fetch returns it
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ * @returns {Response}
+ */
+const jsonResponse = (status, body) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { "Content-Type": "application/json" },
+  });
+
+/**
+ * fetch stand-in answering each call with the next outcome
+ * An outcome is a status code, or an Error to reject with.
+ * @param {Array<number|Error>} outcomes - One per attempt
+ * @returns {jest.Mock}
+ */
+const createFetch = (outcomes) => {
+  const queue = [...outcomes];
+  return jest.fn(() => {
+    const outcome = queue.shift();
+    if (outcome instanceof Error) {
+      return Promise.reject(outcome);
+    }
+    return Promise.resolve(
+      outcome < 400
+        ? jsonResponse(outcome, { status: "success", data: { ok: true } })
+        : jsonResponse(outcome, {
+            status: "error",
+            message: `HTTP ${outcome}`,
+          }),
+    );
+  });
+};
+
+/**
+ * fetch stand-in that never answers and rejects once its signal aborts
+ * @returns {Promise<Response>}
+ */
+const hangingFetch = (url, { signal }) =>
+  new Promise((resolve, reject) => {
+    const rejectAborted = () => {
+      const error = new Error("The operation was aborted.");
+      error.name = "AbortError";
+      reject(error);
+    };
+    if (signal.aborted) {
+      rejectAborted();
+    }
+    signal.addEventListener("abort", rejectAborted);
+  });
+
+describe("api errors", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    global.fetch = jest.fn();
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    jest.restoreAllMocks();
+  });
+
+  it("returns the parsed body of a successful response", async () => {
+    global.fetch.mockResolvedValue(
+      jsonResponse(200, { status: "success", data: ["UPS"] }),
+    );
+
+    await expect(apiGet("/shipping/carriers")).resolves.toEqual({
+      status: "success",
+      data: ["UPS"],
+    });
+  });
+
+  it("keeps the server's error code, body and endpoint", async () => {
+    const body = {
+      status: "error",
+      message: "Case is already shipped",
+      code: API_ERROR_CODES.CONFLICT,
+      data: { caseStatus: "Shipped" },
+    };
+    global.fetch.mockResolvedValue(jsonResponse(409, body));
+
+    const error = await apiPost("/cases/receive-case", {}).catch((err) => err);
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error).toMatchObject({
+      message: "Case is already shipped",
+      status: 409,
+      code: API_ERROR_CODES.CONFLICT,
+      body,
+      endpoint: "/cases/receive-case",
+    });
+    expect(error.data).toEqual({ caseStatus: "Shipped" });
+  });
+
+  it.each([
+    [400, API_ERROR_CODES.BAD_REQUEST],
+    [403, API_ERROR_CODES.FORBIDDEN],
+    [404, API_ERROR_CODES.NOT_FOUND],
+    [502, API_ERROR_CODES.SERVER_ERROR],
+  ])("derives the code of a %i without one", async (status, code) => {
+    global.fetch.mockResolvedValue(new Response("Bad gateway", { status }));
+
+    await expect(
+      apiGet("/shipping/carriers", { retry: false }),
+    ).rejects.toMatchObject({
+      status,
+      code,
+      body: null,
+    });
+  });
+
+  it("reports a request that never got a response as a network error", async () => {
+    global.fetch.mockRejectedValue(new TypeError("Failed to fetch"));
+
+    await expect(
+      apiGet("/shipping/carriers", { retry: false }),
+    ).rejects.toMatchObject({
+      name: "ApiError",
+      status: 0,
+      code: API_ERROR_CODES.NETWORK_ERROR,
+      endpoint: "/shipping/carriers",
+    });
+  });
+
+  it("reports a successful response that is not JSON as invalid", async () => {
+    global.fetch.mockResolvedValue(
+      new Response("<html>Maintenance</html>", { status: 200 }),
+    );
+
+    const error = await apiGet("/shipping/carriers").catch((err) => err);
+
+    expect(error).toBeInstanceOf(ApiError);
+    expect(error).toMatchObject({
+      status: 200,
+      code: API_ERROR_CODES.INVALID_RESPONSE,
+      endpoint: "/shipping/carriers",
+    });
+  });
+});
+
+describe("api timeouts and cancellation", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    global.fetch = jest.fn(hangingFetch);
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    jest.restoreAllMocks();
+  });
+
+  it("fails with a timeout error when the server does not answer in time", async () => {
+    const error = await apiGet("/shipping/carriers", { timeout: 10 }).catch(
+      (err) => err,
+    );
+
+    expect(error.code).toBe(API_ERROR_CODES.REQUEST_TIMEOUT);
+    expect(isAbortError(error)).toBe(false);
+  });
+
+  it("reports a request the caller cancelled as aborted, without logging it", async () => {
+    const controller = new AbortController();
+
+    const request = apiPost(
+      "/cases/receive-case",
+      {},
+      { signal: controller.signal },
+    );
+    controller.abort();
+    const error = await request.catch((err) => err);
+
+    expect(error.code).toBe(API_ERROR_CODES.REQUEST_ABORTED);
+    expect(isAbortError(error)).toBe(true);
+    expect(console.error).not.toHaveBeenCalled();
+  });
+
+  it("cancels a request whose signal was aborted before it started", async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(
+      apiGet("/shipping/carriers", { signal: controller.signal }),
+    ).rejects.toMatchObject({ code: API_ERROR_CODES.REQUEST_ABORTED });
+  });
+});
+
+describe("api retries", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    delete global.fetch;
+    jest.restoreAllMocks();
+  });
+
+  it("retries a GET after a transient failure", async () => {
+    global.fetch = createFetch([503, 502, 200]);
+    const onRetry = jest.fn();
+
+    const response = await apiGet("/shipping/carriers", {
+      retry: NO_DELAY,
+      onRetry,
+    });
+
+    expect(response.data).toEqual({ ok: true });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(onRetry.mock.calls.map(([{ attempt }]) => attempt)).toEqual([2, 3]);
+  });
+
+  it("gives up after the policy's retries and reports the attempts", async () => {
+    global.fetch = createFetch([500, 500, 500, 500]);
+
+    const error = await apiGet("/shipping/carriers", { retry: NO_DELAY }).catch(
+      (err) => err,
+    );
+
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(error.code).toBe(API_ERROR_CODES.SERVER_ERROR);
+    expect(error.attempts).toBe(3);
+  });
+
+  it.each([
+    [400, API_ERROR_CODES.BAD_REQUEST],
+    [404, API_ERROR_CODES.NOT_FOUND],
+    [409, API_ERROR_CODES.CONFLICT],
+  ])("does not retry a %i", async (status, code) => {
+    global.fetch = createFetch([status, 200]);
+
+    const error = await apiGet("/shipping/carriers", { retry: NO_DELAY }).catch(
+      (err) => err,
+    );
+
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+    expect(error.code).toBe(code);
+    expect(error.attempts).toBe(1);
+  });
+
+  it("does not retry a POST without a retry policy", async () => {
+    global.fetch = createFetch([503, 200]);
+
+    await expect(apiPost("/cases/create-case", {})).rejects.toMatchObject({
+      status: 503,
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("retries a status update only when it was not applied", async () => {
+    global.fetch = createFetch([503, 200]);
+    await apiPost("/case-status/update", {}, { retry: NO_DELAY });
+    expect(global.fetch).toHaveBeenCalledTimes(2);
+
+    global.fetch = createFetch([500, 200]);
+    await expect(
+      apiPost("/case-status/update", {}, { retry: NO_DELAY }),
+    ).rejects.toMatchObject({ status: 500 });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("retries case receiving only when it was not applied", async () => {
+    global.fetch = createFetch([429, 503, 200]);
+    await apiPost("/cases/receive-case", {}, { retry: NO_DELAY });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+
+    global.fetch = createFetch([502, 200]);
+    await expect(
+      apiPost("/cases/receive-case", {}, { retry: NO_DELAY }),
+    ).rejects.toMatchObject({ status: 502 });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("does not retry case receiving after a network error", async () => {
+    global.fetch = createFetch([new TypeError("Failed to fetch"), 200]);
+
+    await expect(
+      apiPost("/cases/receive-case", {}, { retry: NO_DELAY }),
+    ).rejects.toMatchObject({
+      code: API_ERROR_CODES.NETWORK_ERROR,
+      attempts: 1,
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("does not retry a timed-out case receive", async () => {
+    global.fetch = jest.fn(hangingFetch);
+
+    await expect(
+      apiPost("/cases/receive-case", {}, { retry: NO_DELAY, timeout: 10 }),
+    ).rejects.toMatchObject({ code: API_ERROR_CODES.REQUEST_TIMEOUT });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+
+  it("stops waiting to retry when the caller aborts", async () => {
+    global.fetch = createFetch([503, 200]);
+    const controller = new AbortController();
+
+    const request = apiGet("/shipping/carriers", {
+      signal: controller.signal,
+      retry: { baseDelayMs: 60000, maxDelayMs: 60000 },
+      onRetry: () => setTimeout(() => controller.abort(), 0),
+    });
+
+    await expect(request).rejects.toMatchObject({
+      code: API_ERROR_CODES.REQUEST_ABORTED,
+    });
+    expect(global.fetch).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe("getFileNameFromDisposition", () => {
+  it.each([
+    ['attachment; filename="report.csv"', "report.csv"],
+    ["attachment; filename=report.csv", "report.csv"],
+    ["attachment; filename=report.csv; size=120", "report.csv"],
+    [
+      "attachment; filename=\"fallback.csv\"; filename*=UTF-8''caf%C3%A9%20cases.csv",
+      "café cases.csv",
+    ],
+    [
+      "attachment; filename*=UTF-8''bad%E0.csv; filename=plain.csv",
+      "plain.csv",
+    ],
+  ])("reads %s", (header, fileName) => {
+    expect(getFileNameFromDisposition(header)).toBe(fileName);
+  });
+
+  it.each([null, "", "attachment", 'attachment; filename=""'])(
+    "returns null for %p",
+    (header) => {
+      expect(getFileNameFromDisposition(header)).toBeNull();
+    },
+  );
+});
+
+describe("apiDownload", () => {
+  afterEach(() => {
+    delete global.fetch;
+  });
+
+  it("names the file from the response, or the fallback without one", async () => {
+    global.fetch = jest
+      .fn()
+      .mockResolvedValueOnce(
+        new Response("id,status", {
+          status: 200,
+          headers: {
+            "Content-Type": "text/csv",
+            "Content-Disposition": 'attachment; filename="cases.csv"',
+          },
+        }),
+      )
+      .mockResolvedValueOnce(new Response("id,status", { status: 200 }));
+
+    const named = await apiDownload("/reports/cases");
+    const unnamed = await apiDownload("/reports/cases", {
+      fallbackFileName: "report.csv",
+    });
+
+    expect(named.fileName).toBe("cases.csv");
+    expect(named.contentType).toMatch("text/csv");
+    expect(unnamed.fileName).toBe("report.csv");
+  });
+});
@@ -0,0 +1,186 @@
+// src/utils/apiInterceptors.js
+/**
+ * API Interceptors
+ *
+ * Cross-cutting features added to every backend call through the
+ * interceptor chain in api.js:
+ * - Station ID header identifying the workstation
+ * - Correlation ID header shared by all attempts of one call
+ * - Request timing logs
+ * - Server environment detection for the environment banner
+ */
+
+import { registerInterceptor } from "./api";
+
+const STATION_ID_STORAGE_KEY = "stationId";
+const STATION_ID_HEADER = "X-Station-ID";
+const CORRELATION_ID_HEADER = "X-Correlation-ID";
+const ENVIRONMENT_HEADER = "X-App-Environment";
+
+/**
+ * Get the ID of this workstation
+ * A value saved on the machine wins over the build-time default.
+ * @returns {string|null} Station ID or null if none is configured
+ */
+export const getStationId = () => {
+  return (
+    localStorage.getItem(STATION_ID_STORAGE_KEY) ||
+    process.env.REACT_APP_STATION_ID ||
+    null
+  );
+};
+
+/**
+ * Save the ID of this workstation
+ * @param {string} stationId - Station ID (empty to clear it)
+ */
+export const setStationId = (stationId) => {
+  if (stationId) {
+    localStorage.setItem(STATION_ID_STORAGE_KEY, stationId);
+  } else {
+    localStorage.removeItem(STATION_ID_STORAGE_KEY);
+  }
+};
+
+/**
+ * Create a unique ID for a request
+ * @returns {string}
+ */
+const createCorrelationId = () => {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+};
+
+/**
+ * Add the station ID header when one is configured
+ */
+export const stationIdInterceptor = {
+  onRequest: (config) => {
+    const stationId = getStationId();
+    if (!stationId) {
+      return config;
+    }
+
+    return {
+      ...config,
+      headers: { ...config.headers, [STATION_ID_HEADER]: stationId },
+    };
+  },
+};
+
+/**
+ * Add a correlation ID header and attach it to failed request errors
+ * Retries reuse the ID so the backend logs group them under one call.
+ */
+export const correlationIdInterceptor = {
+  onRequest: (config) => {
+    if (!config.meta.correlationId) {
+      config.meta.correlationId = createCorrelationId();
+    }
+
+    return {
+      ...config,
+      headers: {
+        ...config.headers,
+        [CORRELATION_ID_HEADER]: config.meta.correlationId,
+      },
+    };
+  },
+  onError: (error, config) => {
+    if (config.meta.correlationId) {
+      error.correlationId = config.meta.correlationId;
+    }
+  },
+};
+
+/**
+ * Log how long each request attempt took
+ */
+export const timingInterceptor = {
+  onRequest: (config) => {
+    config.meta.startedAt = performance.now();
+    return config;
+  },
+  onResponse: (response, config) => {
+    const duration = Math.round(performance.now() - config.meta.startedAt);
+    console.info(
+      `API ${config.method} ${config.endpoint} -> ${response.status} in ${duration}ms`,
+      config.meta.correlationId || "",
+    );
+    return response;
+  },
+  onError: (error, config) => {
+    // Requests that never reached fetch have no start time.
+    if (config.meta.startedAt === undefined || error.status) {
+      return;
+    }
+    const duration = Math.round(performance.now() - config.meta.startedAt);
+    console.info(
+      `API ${config.method} ${config.endpoint} -> ${error.code || "failed"} after ${duration}ms`,
+      config.meta.correlationId || "",
+    );
+  },
+};
+
+let serverEnvironment = null;
+const environmentListeners = new Set();
+
+/**
+ * Get the environment reported by the backend
+ * @returns {string|null} e.g. "staging", or null before the first response
+ */
+export const getServerEnvironment = () => serverEnvironment;
+
+/**
+ * Subscribe to changes of the backend environment
+ * @param {function} listener - Called with the new environment name
+ * @returns {function} Unsubscribe function
+ */
+export const subscribeToServerEnvironment = (listener) => {
+  environmentListeners.add(listener);
+  return () => environmentListeners.delete(listener);
+};
+
+/**
+ * Read the environment header from responses and notify the banner
+ */
+export const environmentInterceptor = {
+  onResponse: (response) => {
+    const environment = response.headers.get(ENVIRONMENT_HEADER);
+    if (environment && environment !== serverEnvironment) {
+      serverEnvironment = environment;
+      environmentListeners.forEach((listener) => listener(environment));
+    }
+    return response;
+  },
+};
+
+/**
+ * Check whether timing logs should be written
+ * Always on in development; enabled elsewhere with REACT_APP_API_TIMING_LOGS.
+ * @returns {boolean}
+ */
+const isTimingLogEnabled = () =>
+  process.env.NODE_ENV === "development" ||
+  process.env.REACT_APP_API_TIMING_LOGS === "true";
+
+/**
+ * Register the application's interceptors
+ * Called once at startup, before the first request.
+ * @returns {function} Function that unregisters all of them
+ */
+export const registerAppInterceptors = () => {
+  const unregisters = [
+    registerInterceptor(stationIdInterceptor),
+    registerInterceptor(correlationIdInterceptor),
+    registerInterceptor(environmentInterceptor),
+  ];
+
+  if (isTimingLogEnabled()) {
+    unregisters.push(registerInterceptor(timingInterceptor));
+  }
+
+  return () => unregisters.forEach((unregister) => unregister());
+};
@@ -0,0 +1,95 @@
+// src/utils/apiInterceptors.test.js
+import { apiGet } from "./api";
+import {
+  getServerEnvironment,
+  registerAppInterceptors,
+  setStationId,
+  subscribeToServerEnvironment,
+} from "./apiInterceptors";
+
+/**
+ * JSON response as fetch returns it
+ * @param {number} status - HTTP status
+ * @param {Object} [headers] - Extra response headers
+ * @returns {Response}
+ */
+const jsonResponse = (status, headers = {}) =>
+  new Response(JSON.stringify({ status: "success", data: [] }), {
+    status,
+    headers: { "Content-Type": "application/json", ...headers },
+  });
+
+// Headers sent with each fetch call
+const sentHeaders = () =>
+  global.fetch.mock.calls.map(([, init]) => init.headers);
+
+describe("app interceptors", () => {
+  let unregister;
+
+  beforeEach(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    global.fetch = jest.fn(() => Promise.resolve(jsonResponse(200)));
+    unregister = registerAppInterceptors();
+  });
+
+  afterEach(() => {
+    unregister();
+    setStationId("");
+    delete global.fetch;
+    jest.restoreAllMocks();
+  });
+
+  it("sends the station ID once one is saved", async () => {
+    await apiGet("/shipping/carriers");
+    setStationId("PACK-03");
+    await apiGet("/shipping/carriers");
+
+    const [before, after] = sentHeaders();
+    expect(before["X-Station-ID"]).toBeUndefined();
+    expect(after["X-Station-ID"]).toBe("PACK-03");
+  });
+
+  it("reuses one correlation ID across the retries of a call", async () => {
+    global.fetch
+      .mockResolvedValueOnce(jsonResponse(503))
+      .mockResolvedValueOnce(jsonResponse(200));
+
+    await apiGet("/shipping/carriers", {
+      retry: { baseDelayMs: 0, maxDelayMs: 0 },
+    });
+    await apiGet("/shipping/carriers");
+
+    const [first, retry, nextCall] = sentHeaders().map(
+      (headers) => headers["X-Correlation-ID"],
+    );
+    expect(first).toBeTruthy();
+    expect(retry).toBe(first);
+    expect(nextCall).not.toBe(first);
+  });
+
+  it("attaches the correlation ID to the error of a failed call", async () => {
+    global.fetch.mockResolvedValue(new Response("", { status: 404 }));
+
+    const error = await apiGet("/shipping/carriers").catch((err) => err);
+
+    expect(error.status).toBe(404);
+    expect(error.correlationId).toBe(sentHeaders()[0]["X-Correlation-ID"]);
+  });
+
+  it("reports the environment the backend announces", async () => {
+    const listener = jest.fn();
+    const unsubscribe = subscribeToServerEnvironment(listener);
+    global.fetch.mockImplementation(() =>
+      Promise.resolve(jsonResponse(200, { "X-App-Environment": "staging" })),
+    );
+
+    await apiGet("/shipping/carriers");
+    await apiGet("/shipping/carriers");
+    unsubscribe();
+
+    expect(getServerEnvironment()).toBe("staging");
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith("staging");
+  });
+});
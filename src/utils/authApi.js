@@ -0,0 +1,194 @@
+// src/utils/authApi.js
+/**
+ * Authentication API Module
+ *
+ * Login requests shared by the login page and the re-authentication
+ * dialog. Both sign-in methods end in the same backend session. Also the
+ * logged-out password reset requests and the admin impersonation requests.
+ */
+
+import { signInWithPopup, signOut } from "firebase/auth";
+import { auth, googleProvider } from "../config/firebase";
+import { MESSAGES } from "../config/constants";
+import { apiGet, apiPost } from "./api";
+import { getAdminToken, getDeviceToken, saveDeviceToken } from "./session";
+
+export const LOGIN_ENDPOINTS = {
+  CREDENTIALS: "/auth/login",
+  GOOGLE: "/auth/google",
+};
+
+/**
+ * Send a login request to the backend
+ * A 401 here means bad credentials, so it must not trigger the
+ * expired-session handling. The access code prompt may come back with an
+ * error status, so it is returned like any other response body.
+ * The trusted device token is sent with every login; a new one comes back
+ * when the user ticked "trust this device" with their access code.
+ * @param {string} endpoint - Login endpoint (see LOGIN_ENDPOINTS)
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} Response body
+ * @throws {Error} With a message to show the user
+ */
+export const requestLogin = async (endpoint, body) => {
+  try {
+    const response = await apiPost(
+      endpoint,
+      { ...body, deviceToken: getDeviceToken() || undefined },
+      { skipAuthRedirect: true, retry: false },
+    );
+    if (response.data?.deviceToken) {
+      saveDeviceToken(response.data.deviceToken);
+    }
+    return response;
+  } catch (requestError) {
+    if (requestError.body?.status !== "access_code_required") {
+      throw new Error(
+        requestError.body?.message ||
+          (requestError.status
+            ? MESSAGES.LOGIN_ERROR_INVALID
+            : MESSAGES.LOGIN_ERROR_NETWORK),
+      );
+    }
+    return requestError.body;
+  }
+};
+
+/**
+ * Read the access code challenge from an access_code_required response
+ * Times come as seconds from now, so the client clock does not matter.
+ * @param {Object} body - Response body (login or resend)
+ * @returns {Object} { challengeId, email, expiresAt, resendAvailableAt,
+ *   trustDeviceDays } with times in ms since epoch (expiresAt null if unknown)
+ */
+export const getAccessCodeChallenge = (body) => {
+  const data = body?.data || {};
+  const now = Date.now();
+
+  return {
+    challengeId: data.challengeId ?? null,
+    email: data.email || "",
+    expiresAt: data.expiresInSeconds
+      ? now + data.expiresInSeconds * 1000
+      : null,
+    resendAvailableAt: now + (data.resendInSeconds || 0) * 1000,
+    trustDeviceDays: data.trustDeviceDays || 0,
+  };
+};
+
+/**
+ * Email a new access code for a pending login
+ * The backend rate-limits resends; a 429 carries `resendInSeconds`.
+ * @param {string} challengeId - Challenge of the pending login
+ * @returns {Promise<Object>} The renewed challenge (see getAccessCodeChallenge)
+ * @throws {ApiError} When the backend refuses
+ */
+export const resendAccessCode = async (challengeId) => {
+  const response = await apiPost(
+    "/auth/access-code/resend",
+    { challengeId },
+    { skipAuthRedirect: true, retry: false },
+  );
+  return getAccessCodeChallenge(response);
+};
+
+/**
+ * Sign in with the Google popup and get a Firebase ID token
+ * The backend session is all the app uses, so the Firebase session is
+ * signed out again once the token is in hand.
+ * @returns {Promise<Object>} { idToken, email, displayName }
+ */
+export const getGoogleIdToken = async () => {
+  const result = await signInWithPopup(auth, googleProvider);
+  const idToken = await result.user.getIdToken();
+
+  await signOut(auth).catch((signOutError) => {
+    console.error("Error signing out of Firebase:", signOutError);
+  });
+
+  return {
+    idToken,
+    email: result.user.email || "",
+    displayName: result.user.displayName,
+  };
+};
+
+export const PASSWORD_RESET_ENDPOINTS = {
+  REQUEST: "/auth/password/forgot",
+  VERIFY: "/auth/password/verify",
+  RESET: "/auth/password/reset",
+};
+
+/**
+ * Send a password reset request to the backend
+ * The user is logged out here, so a 401 is an answer, not an expired
+ * session.
+ * @param {string} endpoint - Reset endpoint (see PASSWORD_RESET_ENDPOINTS)
+ * @param {Object} body - Request body
+ * @returns {Promise<Object>} Response data
+ * @throws {Error} With a message to show the user
+ */
+export const requestPasswordReset = async (endpoint, body) => {
+  try {
+    const response = await apiPost(endpoint, body, {
+      skipAuthRedirect: true,
+      retry: false,
+    });
+    return response.data;
+  } catch (requestError) {
+    throw new Error(
+      requestError.body?.message ||
+        (requestError.status
+          ? "The password reset failed. Please try again."
+          : MESSAGES.LOGIN_ERROR_NETWORK),
+    );
+  }
+};
+
+/**
+ * Headers of a request authorised by the stored admin token
+ * @returns {Object}
+ */
+const getAdminHeaders = () => ({ "X-Admin-Token": getAdminToken() || "" });
+
+/**
+ * Get the users an admin may act as
+ * @param {Object} [options] - Request options ({ signal })
+ * @returns {Promise<Array<Object>>} Users ({ UserID, UserLogin, UserName, email, role })
+ */
+export const getImpersonationUsers = async (options = {}) => {
+  const response = await apiGet("/auth/impersonate/users", {
+    ...options,
+    headers: getAdminHeaders(),
+  });
+  return response.data.users;
+};
+
+/**
+ * Get a session for acting as another user
+ * @param {number} userId - User to act as
+ * @returns {Promise<Object>} { token, user } of the impersonated user
+ */
+export const startImpersonation = async (userId) => {
+  const response = await apiPost(
+    "/auth/impersonate",
+    { userId },
+    { headers: getAdminHeaders(), retry: false },
+  );
+  return response.data;
+};
+
+/**
+ * Get the admin's own session back
+ * Authorised by the admin token alone, so it works after the impersonation
+ * JWT has expired. A 401 means the admin must log in again.
+ * @returns {Promise<Object>} { token, user, adminToken } of the admin
+ */
+export const endImpersonation = async () => {
+  const response = await apiPost(
+    "/auth/impersonate/end",
+    {},
+    { headers: getAdminHeaders(), skipAuthRedirect: true, retry: false },
+  );
+  return response.data;
+};
@@ -0,0 +1,313 @@
+// src/utils/batchProcessor.js
+/**
+ * Batch Processor Module
+ *
+ * Runs an async worker over a list of items with a concurrency limit.
+ * - Results and completion events come back in input order, whatever order
+ *   the requests finish in
+ * - Items sharing a key (see `getKey`) never run at the same time, so a case
+ *   pasted twice is still processed one copy after the other
+ * - The batch can be paused, resumed and cancelled
+ * - Progress events carry counts, percentage and an ETA
+ */
+
+import { isAbortError } from "./api";
+
+export const BATCH_STATES = {
+  IDLE: "idle",
+  RUNNING: "running",
+  PAUSED: "paused",
+  CANCELLED: "cancelled",
+  DONE: "done",
+};
+
+export const ITEM_STATUSES = {
+  FULFILLED: "fulfilled",
+  REJECTED: "rejected",
+  CANCELLED: "cancelled",
+};
+
+/**
+ * Check whether an error means the item was cancelled rather than failed
+ * @param {Error} error - Error thrown by the worker
+ * @param {AbortSignal} signal - Batch signal
+ * @returns {boolean}
+ */
+const isCancellation = (error, signal) =>
+  signal.aborted && (isAbortError(error) || error?.name === "AbortError");
+
+/**
+ * Create a batch processor
+ *
+ * @param {Array} items - Items to process
+ * @param {function(*, Object): Promise<*>} worker - Called with (item, { index, signal })
+ * @param {Object} [options]
+ * @param {number} [options.concurrency] - Maximum items in flight (default 4)
+ * @param {function(*): string} [options.getKey] - Items with the same key run one at a time
+ * @param {AbortSignal} [options.signal] - Cancels the batch when aborted
+ * @param {function(Object)} [options.onItemStart] - Called with { item, index }
+ * @param {function(Object)} [options.onItemComplete] - Called in input order with
+ *   { item, index, status, value, error }
+ * @param {function(Object)} [options.onProgress] - Called with the progress snapshot
+ * @returns {Object} { run, pause, resume, cancel, getProgress }
+ */
+export const createBatchProcessor = (
+  items,
+  worker,
+  {
+    concurrency = 4,
+    getKey,
+    signal: callerSignal,
+    onItemStart,
+    onItemComplete,
+    onProgress,
+  } = {},
+) => {
+  const controller = new AbortController();
+  const limit = Math.max(1, concurrency);
+  const results = new Array(items.length);
+  const pending = items.map((item, index) => index);
+  const activeKeys = new Set();
+  // Items dropped by cancel(); completion events skip over them
+  const skipped = new Set();
+
+  let state = BATCH_STATES.IDLE;
+  let inFlight = 0;
+  let completed = 0;
+  let failed = 0;
+  let nextToEmit = 0;
+  let startedAt = 0;
+  let pausedAt = 0;
+  let pausedMs = 0;
+  let resolveRun = null;
+
+  /**
+   * Snapshot of the batch progress
+   * ETA is the average time per finished item (wall clock, so it already
+   * reflects concurrency) times the items left.
+   * @returns {Object}
+   */
+  const getProgress = () => {
+    const now = state === BATCH_STATES.PAUSED ? pausedAt : Date.now();
+    const elapsedMs = startedAt ? now - startedAt - pausedMs : 0;
+    const remaining = items.length - completed;
+    const etaMs =
+      completed > 0 && remaining > 0
+        ? Math.round((elapsedMs / completed) * remaining)
+        : null;
+
+    return {
+      state,
+      total: items.length,
+      completed,
+      failed,
+      inFlight,
+      percent:
+        items.length > 0 ? Math.round((completed / items.length) * 100) : 100,
+      elapsedMs,
+      etaMs,
+    };
+  };
+
+  /**
+   * Call a caller-supplied callback
+   * A throwing callback is logged and must not stall the batch.
+   * @param {function} [callback] - Callback to call
+   * @param {Object} payload - Argument for the callback
+   */
+  const notify = (callback, payload) => {
+    try {
+      callback?.(payload);
+    } catch (error) {
+      console.error("Batch callback failed:", error);
+    }
+  };
+
+  const emitProgress = () => notify(onProgress, getProgress());
+
+  /**
+   * Emit completion events that are ready, in input order
+   */
+  const flushCompleted = () => {
+    while (
+      nextToEmit < items.length &&
+      (results[nextToEmit] || skipped.has(nextToEmit))
+    ) {
+      if (results[nextToEmit]) {
+        notify(onItemComplete, results[nextToEmit]);
+      }
+      nextToEmit += 1;
+    }
+  };
+
+  const finish = (finalState) => {
+    state = finalState;
+    emitProgress();
+    resolveRun?.({
+      results: results.filter(Boolean),
+      cancelled: finalState === BATCH_STATES.CANCELLED,
+    });
+    resolveRun = null;
+  };
+
+  /**
+   * Take the first pending item whose key is not already in flight
+   * @returns {number} Index of the item, or -1 if none can start now
+   */
+  const takeNext = () => {
+    const position = pending.findIndex(
+      (index) => !getKey || !activeKeys.has(getKey(items[index])),
+    );
+    return position === -1 ? -1 : pending.splice(position, 1)[0];
+  };
+
+  const record = (index, status, value, error) => {
+    results[index] = { item: items[index], index, status, value, error };
+    completed += 1;
+    if (status === ITEM_STATUSES.REJECTED) {
+      failed += 1;
+    }
+  };
+
+  const schedule = () => {
+    if (state !== BATCH_STATES.RUNNING) {
+      return;
+    }
+
+    while (inFlight < limit) {
+      const index = takeNext();
+      if (index === -1) {
+        break;
+      }
+      runItem(index);
+    }
+
+    if (inFlight === 0 && pending.length === 0) {
+      finish(BATCH_STATES.DONE);
+    }
+  };
+
+  const runItem = async (index) => {
+    const item = items[index];
+    const key = getKey?.(item);
+    inFlight += 1;
+    if (key !== undefined) {
+      activeKeys.add(key);
+    }
+    notify(onItemStart, { item, index });
+    emitProgress();
+
+    try {
+      const value = await worker(item, { index, signal: controller.signal });
+      record(index, ITEM_STATUSES.FULFILLED, value, null);
+    } catch (error) {
+      record(
+        index,
+        isCancellation(error, controller.signal)
+          ? ITEM_STATUSES.CANCELLED
+          : ITEM_STATUSES.REJECTED,
+        undefined,
+        error,
+      );
+    }
+
+    inFlight -= 1;
+    if (key !== undefined) {
+      activeKeys.delete(key);
+    }
+
+    flushCompleted();
+    emitProgress();
+
+    if (state === BATCH_STATES.CANCELLED) {
+      if (inFlight === 0) {
+        finish(BATCH_STATES.CANCELLED);
+      }
+      return;
+    }
+
+    schedule();
+  };
+
+  /**
+   * Start processing
+   * A batch runs once: run() after a cancel resolves as cancelled right
+   * away, and any other second call rejects.
+   * @returns {Promise<Object>} Resolves with { results, cancelled } once every
+   *   started item has settled. Results are in input order; items never
+   *   started after a cancel are left out.
+   */
+  const run = () => {
+    if (state === BATCH_STATES.CANCELLED && inFlight === 0) {
+      return Promise.resolve({
+        results: results.filter(Boolean),
+        cancelled: true,
+      });
+    }
+    if (state !== BATCH_STATES.IDLE) {
+      return Promise.reject(new Error("The batch has already been started"));
+    }
+
+    return new Promise((resolve) => {
+      resolveRun = resolve;
+      state = BATCH_STATES.RUNNING;
+      startedAt = Date.now();
+
+      if (callerSignal?.aborted) {
+        cancel();
+        return;
+      }
+      callerSignal?.addEventListener("abort", () => cancel(), { once: true });
+
+      emitProgress();
+      schedule();
+    });
+  };
+
+  /**
+   * Stop starting new items; in-flight items still finish
+   */
+  const pause = () => {
+    if (state !== BATCH_STATES.RUNNING) {
+      return;
+    }
+    state = BATCH_STATES.PAUSED;
+    pausedAt = Date.now();
+    emitProgress();
+  };
+
+  const resume = () => {
+    if (state !== BATCH_STATES.PAUSED) {
+      return;
+    }
+    pausedMs += Date.now() - pausedAt;
+    state = BATCH_STATES.RUNNING;
+    emitProgress();
+    schedule();
+  };
+
+  /**
+   * Abort in-flight items and drop the ones not started yet
+   */
+  const cancel = () => {
+    if (state === BATCH_STATES.DONE || state === BATCH_STATES.CANCELLED) {
+      return;
+    }
+    if (state === BATCH_STATES.PAUSED) {
+      pausedMs += Date.now() - pausedAt;
+    }
+    state = BATCH_STATES.CANCELLED;
+    pending.forEach((index) => skipped.add(index));
+    pending.length = 0;
+    controller.abort();
+    flushCompleted();
+
+    if (inFlight === 0) {
+      finish(BATCH_STATES.CANCELLED);
+    } else {
+      emitProgress();
+    }
+  };
+
+  return { run, pause, resume, cancel, getProgress };
+};
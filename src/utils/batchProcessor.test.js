@@ -0,0 +1,262 @@
+// src/utils/batchProcessor.test.js
+import {
+  BATCH_STATES,
+  ITEM_STATUSES,
+  createBatchProcessor,
+} from "./batchProcessor";
+
+/**
+ * Promise that is settled from the outside
+ * @returns {Object} { promise, resolve, reject }
+ */
+const createDeferred = () => {
+  let resolve;
+  let reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+// Let pending promise callbacks run
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * Worker whose calls are settled by the test, item by item
+ * Rejects with an AbortError when the batch signal aborts.
+ * @returns {Object} { worker, calls, active, maxActive }
+ */
+const createControlledWorker = () => {
+  const state = { calls: new Map(), active: 0, maxActive: 0 };
+
+  state.worker = (item, { signal }) => {
+    const deferred = createDeferred();
+    state.calls.set(item, deferred);
+    state.active += 1;
+    state.maxActive = Math.max(state.maxActive, state.active);
+
+    signal.addEventListener("abort", () => {
+      const error = new Error("aborted");
+      error.name = "AbortError";
+      deferred.reject(error);
+    });
+
+    return deferred.promise.finally(() => {
+      state.active -= 1;
+    });
+  };
+
+  return state;
+};
+
+describe("createBatchProcessor", () => {
+  it("reports results in input order whatever order items finish in", async () => {
+    const controlled = createControlledWorker();
+    const completed = [];
+    const processor = createBatchProcessor(["a", "b", "c"], controlled.worker, {
+      concurrency: 3,
+      onItemComplete: ({ item }) => completed.push(item),
+    });
+
+    const running = processor.run();
+    await flush();
+    controlled.calls.get("c").resolve("C");
+    controlled.calls.get("b").resolve("B");
+    await flush();
+    expect(completed).toEqual([]);
+
+    controlled.calls.get("a").resolve("A");
+    const { results, cancelled } = await running;
+
+    expect(completed).toEqual(["a", "b", "c"]);
+    expect(results.map((result) => result.value)).toEqual(["A", "B", "C"]);
+    expect(cancelled).toBe(false);
+    expect(processor.getProgress().state).toBe(BATCH_STATES.DONE);
+  });
+
+  it("never runs more items than the concurrency limit", async () => {
+    const controlled = createControlledWorker();
+    const items = [1, 2, 3, 4, 5];
+    const processor = createBatchProcessor(items, controlled.worker, {
+      concurrency: 2,
+    });
+
+    const running = processor.run();
+    for (const item of items) {
+      await flush();
+      controlled.calls.get(item).resolve(item);
+    }
+    await running;
+
+    expect(controlled.maxActive).toBe(2);
+  });
+
+  it("runs items sharing a key one after the other", async () => {
+    const controlled = createControlledWorker();
+    const processor = createBatchProcessor(
+      ["123-a", "123-b"],
+      controlled.worker,
+      { concurrency: 2, getKey: (item) => item.split("-")[0] },
+    );
+
+    const running = processor.run();
+    await flush();
+    expect([...controlled.calls.keys()]).toEqual(["123-a"]);
+
+    controlled.calls.get("123-a").resolve();
+    await flush();
+    expect([...controlled.calls.keys()]).toEqual(["123-a", "123-b"]);
+
+    controlled.calls.get("123-b").resolve();
+    await running;
+    expect(controlled.maxActive).toBe(1);
+  });
+
+  it("records failed items without stopping the batch", async () => {
+    const worker = (item) =>
+      item === "bad"
+        ? Promise.reject(new Error("Case not found"))
+        : Promise.resolve(item);
+    const processor = createBatchProcessor(["ok", "bad", "ok2"], worker);
+
+    const { results } = await processor.run();
+
+    expect(results.map((result) => result.status)).toEqual([
+      ITEM_STATUSES.FULFILLED,
+      ITEM_STATUSES.REJECTED,
+      ITEM_STATUSES.FULFILLED,
+    ]);
+    expect(results[1].error.message).toBe("Case not found");
+    expect(processor.getProgress()).toMatchObject({
+      completed: 3,
+      failed: 1,
+      percent: 100,
+    });
+  });
+
+  it("aborts in-flight items and skips pending ones on cancel", async () => {
+    const controlled = createControlledWorker();
+    const completed = [];
+    const processor = createBatchProcessor(
+      ["a", "b", "c", "d"],
+      controlled.worker,
+      {
+        concurrency: 2,
+        onItemComplete: ({ item, status }) => completed.push([item, status]),
+      },
+    );
+
+    const running = processor.run();
+    await flush();
+    controlled.calls.get("a").resolve("A");
+    await flush();
+    processor.cancel();
+    const { results, cancelled } = await running;
+
+    expect(cancelled).toBe(true);
+    expect([...controlled.calls.keys()]).toEqual(["a", "b", "c"]);
+    expect(completed).toEqual([
+      ["a", ITEM_STATUSES.FULFILLED],
+      ["b", ITEM_STATUSES.CANCELLED],
+      ["c", ITEM_STATUSES.CANCELLED],
+    ]);
+    expect(results).toHaveLength(3);
+    expect(processor.getProgress().state).toBe(BATCH_STATES.CANCELLED);
+  });
+
+  it("cancels when the caller's signal aborts", async () => {
+    const controlled = createControlledWorker();
+    const controller = new AbortController();
+    const processor = createBatchProcessor(["a", "b"], controlled.worker, {
+      concurrency: 1,
+      signal: controller.signal,
+    });
+
+    const running = processor.run();
+    await flush();
+    controller.abort();
+    const { results, cancelled } = await running;
+
+    expect(cancelled).toBe(true);
+    expect(results.map((result) => result.status)).toEqual([
+      ITEM_STATUSES.CANCELLED,
+    ]);
+  });
+
+  it("starts no new items while paused", async () => {
+    const controlled = createControlledWorker();
+    const processor = createBatchProcessor(["a", "b"], controlled.worker, {
+      concurrency: 1,
+    });
+
+    const running = processor.run();
+    await flush();
+    processor.pause();
+    controlled.calls.get("a").resolve();
+    await flush();
+
+    expect(processor.getProgress().state).toBe(BATCH_STATES.PAUSED);
+    expect(controlled.calls.has("b")).toBe(false);
+
+    processor.resume();
+    await flush();
+    controlled.calls.get("b").resolve();
+    const { results } = await running;
+
+    expect(results).toHaveLength(2);
+  });
+
+  it("finishes the batch when a caller callback throws", async () => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+    const throwing = () => {
+      throw new Error("setState failed");
+    };
+    const processor = createBatchProcessor(
+      ["a", "b", "c"],
+      (item) => Promise.resolve(item),
+      {
+        concurrency: 1,
+        onItemStart: throwing,
+        onItemComplete: throwing,
+        onProgress: throwing,
+      },
+    );
+
+    const { results } = await processor.run();
+
+    expect(results.map((result) => result.value)).toEqual(["a", "b", "c"]);
+    expect(processor.getProgress().state).toBe(BATCH_STATES.DONE);
+    expect(console.error).toHaveBeenCalled();
+    console.error.mockRestore();
+  });
+
+  it("runs a batch only once", async () => {
+    const controlled = createControlledWorker();
+    const processor = createBatchProcessor(["a"], controlled.worker);
+
+    const running = processor.run();
+    await expect(processor.run()).rejects.toThrow("already been started");
+
+    await flush();
+    controlled.calls.get("a").resolve("A");
+    const { results } = await running;
+
+    expect(results).toHaveLength(1);
+    expect(controlled.calls.size).toBe(1);
+    await expect(processor.run()).rejects.toThrow("already been started");
+  });
+
+  it("does not start a batch cancelled before it ran", async () => {
+    const controlled = createControlledWorker();
+    const processor = createBatchProcessor(["a", "b"], controlled.worker);
+
+    processor.cancel();
+    const { results, cancelled } = await processor.run();
+
+    expect(cancelled).toBe(true);
+    expect(results).toEqual([]);
+    expect(controlled.calls.size).toBe(0);
+    expect(processor.getProgress().state).toBe(BATCH_STATES.CANCELLED);
+  });
+});
@@ -0,0 +1,111 @@
+// src/utils/emailTemplates.js
+/**
+ * Email Templates Module
+ *
+ * Placeholder variables of the customer emails sent on status changes and
+ * how a template is rendered with a case's values. Placeholders are written
+ * `{{name}}`; spaces inside the braces are allowed.
+ */
+
+/**
+ * Variables a template may use, with the sample values of the editor preview
+ */
+export const TEMPLATE_VARIABLES = [
+  { name: "firstName", label: "Customer first name", sample: "Jane" },
+  { name: "lastName", label: "Customer last name", sample: "Doe" },
+  { name: "caseId", label: "Case ID", sample: "12345678" },
+  {
+    name: "trackingNumber",
+    label: "Tracking number",
+    sample: "1Z999AA10123456784",
+  },
+];
+
+const PLACEHOLDER_PATTERN = /\{\{\s*([\w.]+)\s*\}\}/g;
+
+/**
+ * Whether a variable has a value to fill in
+ * @param {*} value - Variable value
+ * @returns {boolean}
+ */
+const hasValue = (value) =>
+  value !== undefined && value !== null && value !== "";
+
+/**
+ * Sample values for every variable
+ * @returns {Object} Value by variable name
+ */
+export const getSampleValues = () =>
+  Object.fromEntries(
+    TEMPLATE_VARIABLES.map((variable) => [variable.name, variable.sample]),
+  );
+
+/**
+ * Build the placeholder text of a variable
+ * @param {string} name - Variable name
+ * @returns {string} e.g. "{{caseId}}"
+ */
+export const toPlaceholder = (name) => `{{${name}}}`;
+
+/**
+ * Find placeholders that are not template variables
+ * @param {string} text - Template text
+ * @returns {Array<string>} Unknown variable names, without duplicates
+ */
+export const findUnknownVariables = (text) => {
+  const known = new Set(TEMPLATE_VARIABLES.map((variable) => variable.name));
+  const unknown = [...String(text || "").matchAll(PLACEHOLDER_PATTERN)]
+    .map((match) => match[1])
+    .filter((name) => !known.has(name));
+  return [...new Set(unknown)];
+};
+
+/**
+ * Fill in the placeholders of a template text
+ * Variables without a value are left as written, so they stand out.
+ * @param {string} text - Template text
+ * @param {Object} values - Value by variable name
+ * @returns {string} Rendered text
+ */
+export const renderTemplate = (text, values) =>
+  String(text || "").replace(PLACEHOLDER_PATTERN, (placeholder, name) =>
+    hasValue(values[name]) ? String(values[name]) : placeholder,
+  );
+
+/**
+ * Find the variables a template uses that have no value
+ * @param {string} text - Template text
+ * @param {Object} values - Value by variable name
+ * @returns {Array<string>} Variable names, without duplicates
+ */
+export const findMissingVariables = (text, values) => {
+  const missing = [...String(text || "").matchAll(PLACEHOLDER_PATTERN)]
+    .map((match) => match[1])
+    .filter((name) => !hasValue(values[name]));
+  return [...new Set(missing)];
+};
+
+/**
+ * Check a template before it is published
+ * @param {Object} template - { Title, Body }
+ * @returns {Array<string>} Problems; empty when it can be published
+ */
+export const validateTemplate = ({ Title, Body }) => {
+  const problems = [];
+
+  if (!String(Title || "").trim()) {
+    problems.push("The subject is required");
+  }
+  if (!String(Body || "").trim()) {
+    problems.push("The message is required");
+  }
+
+  const unknown = findUnknownVariables(`${Title || ""}\n${Body || ""}`);
+  if (unknown.length > 0) {
+    problems.push(
+      `Unknown placeholders: ${unknown.map(toPlaceholder).join(", ")}`,
+    );
+  }
+
+  return problems;
+};
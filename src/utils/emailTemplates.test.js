@@ -0,0 +1,99 @@
+// src/utils/emailTemplates.test.js
+import {
+  TEMPLATE_VARIABLES,
+  findMissingVariables,
+  findUnknownVariables,
+  getSampleValues,
+  renderTemplate,
+  toPlaceholder,
+  validateTemplate,
+} from "./emailTemplates";
+
+describe("renderTemplate", () => {
+  it("fills in every placeholder, with or without spaces in the braces", () => {
+    expect(
+      renderTemplate("Hi {{firstName}}, case {{ caseId }} ({{caseId}})", {
+        firstName: "Ava",
+        caseId: 10000001,
+      }),
+    ).toBe("Hi Ava, case 10000001 (10000001)");
+  });
+
+  it("leaves placeholders without a value as written", () => {
+    expect(
+      renderTemplate("Tracking: {{trackingNumber}} {{lastName}}", {
+        trackingNumber: "",
+        lastName: null,
+      }),
+    ).toBe("Tracking: {{trackingNumber}} {{lastName}}");
+  });
+
+  it("renders the editor samples for every variable", () => {
+    const text = TEMPLATE_VARIABLES.map((variable) =>
+      toPlaceholder(variable.name),
+    ).join(" ");
+
+    expect(renderTemplate(text, getSampleValues())).toBe(
+      TEMPLATE_VARIABLES.map((variable) => variable.sample).join(" "),
+    );
+  });
+
+  it("treats a missing text as empty", () => {
+    expect(renderTemplate(undefined, {})).toBe("");
+  });
+});
+
+describe("findUnknownVariables", () => {
+  it("lists each unknown placeholder once", () => {
+    expect(
+      findUnknownVariables(
+        "{{firstName}} {{orderTotal}} {{ orderTotal }} {{customer.email}}",
+      ),
+    ).toEqual(["orderTotal", "customer.email"]);
+  });
+
+  it("ignores text that only looks like a placeholder", () => {
+    expect(findUnknownVariables("{firstName} {{ }} {{first name}}")).toEqual(
+      [],
+    );
+  });
+});
+
+describe("findMissingVariables", () => {
+  it("lists each variable used without a value once", () => {
+    expect(
+      findMissingVariables(
+        "{{firstName}} {{trackingNumber}} {{ trackingNumber }} {{lastName}}",
+        { firstName: "Ava", trackingNumber: "", lastName: null },
+      ),
+    ).toEqual(["trackingNumber", "lastName"]);
+  });
+
+  it("finds nothing missing when every used variable has a value", () => {
+    expect(findMissingVariables("Case {{caseId}}", { caseId: 0 })).toEqual([]);
+  });
+});
+
+describe("validateTemplate", () => {
+  it("accepts a template with a subject, a message and known placeholders", () => {
+    expect(
+      validateTemplate({
+        Title: "Case {{caseId}} shipped",
+        Body: "Hi {{firstName}}",
+      }),
+    ).toEqual([]);
+  });
+
+  it("requires a subject and a message", () => {
+    expect(validateTemplate({ Title: "  ", Body: "" })).toEqual([
+      "The subject is required",
+      "The message is required",
+    ]);
+  });
+
+  it("names the unknown placeholders of the subject and the message", () => {
+    expect(
+      validateTemplate({ Title: "{{orderId}}", Body: "{{eta}} {{caseId}}" }),
+    ).toEqual(["Unknown placeholders: {{orderId}}, {{eta}}"]);
+  });
+});
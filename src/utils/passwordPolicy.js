@@ -0,0 +1,80 @@
+// src/utils/passwordPolicy.js
+/**
+ * Password Policy Module
+ *
+ * Rules a new password must meet. The backend enforces the same policy;
+ * checking here lets the reset form explain what is missing as the user
+ * types.
+ */
+
+export const PASSWORD_MIN_LENGTH = 10;
+
+/**
+ * Password rules, in the order they are listed to the user
+ * Each test receives the password and the checked user's username.
+ */
+export const PASSWORD_RULES = [
+  {
+    id: "length",
+    label: `At least ${PASSWORD_MIN_LENGTH} characters`,
+    test: (password) => password.length >= PASSWORD_MIN_LENGTH,
+  },
+  {
+    id: "lowercase",
+    label: "A lowercase letter",
+    test: (password) => /[a-z]/.test(password),
+  },
+  {
+    id: "uppercase",
+    label: "An uppercase letter",
+    test: (password) => /[A-Z]/.test(password),
+  },
+  {
+    id: "digit",
+    label: "A number",
+    test: (password) => /\d/.test(password),
+  },
+  {
+    id: "symbol",
+    label: "A symbol",
+    test: (password) => /[^A-Za-z0-9]/.test(password),
+  },
+  {
+    id: "username",
+    label: "Does not contain your username",
+    test: (password, username) =>
+      !username || !password.toLowerCase().includes(username.toLowerCase()),
+  },
+];
+
+const STRENGTH_LABELS = ["Weak", "Weak", "Fair", "Good", "Strong"];
+
+/**
+ * Check a password against the policy
+ * @param {string} password - Candidate password
+ * @param {Object} [options]
+ * @param {string} [options.username] - Username the password must not contain
+ * @returns {Object} { rules: [{ id, label, passed }], valid, score (0-4), label }
+ */
+export const checkPassword = (password, { username } = {}) => {
+  const value = password || "";
+  const rules = PASSWORD_RULES.map(({ id, label, test }) => ({
+    id,
+    label,
+    passed: test(value, username),
+  }));
+  const valid = rules.every((rule) => rule.passed);
+
+  // Character variety sets the score; only a valid password can be Strong
+  const variety = rules.filter(
+    (rule) => rule.passed && rule.id !== "length" && rule.id !== "username",
+  ).length;
+  const score = valid ? 4 : Math.min(3, variety);
+
+  return {
+    rules,
+    valid,
+    score,
+    label: value ? STRENGTH_LABELS[score] : "",
+  };
+};
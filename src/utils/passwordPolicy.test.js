@@ -0,0 +1,53 @@
+// src/utils/passwordPolicy.test.js
+import { PASSWORD_RULES, checkPassword } from "./passwordPolicy";
+
+/**
+ * IDs of the rules a password fails
+ * @param {Object} result - Value returned by checkPassword
+ * @returns {Array<string>}
+ */
+const failedRules = (result) =>
+  result.rules.filter((rule) => !rule.passed).map((rule) => rule.id);
+
+describe("checkPassword", () => {
+  it("accepts a password meeting every rule as strong", () => {
+    const result = checkPassword("Tracking#2026", { username: "demo" });
+
+    expect(result.valid).toBe(true);
+    expect(result.score).toBe(4);
+    expect(result.label).toBe("Strong");
+    expect(result.rules.map((rule) => rule.id)).toEqual(
+      PASSWORD_RULES.map((rule) => rule.id),
+    );
+  });
+
+  it.each([
+    ["Tr#2026a", ["length"]],
+    ["TRACKING#2026", ["lowercase"]],
+    ["tracking#2026", ["uppercase"]],
+    ["Tracking#Case", ["digit"]],
+    ["Tracking2026", ["symbol"]],
+  ])("reports what %s is missing", (password, missing) => {
+    const result = checkPassword(password);
+
+    expect(failedRules(result)).toEqual(missing);
+    expect(result.valid).toBe(false);
+  });
+
+  it("rejects a password containing the username, whatever its case", () => {
+    const result = checkPassword("MyDemo#2026pw", { username: "DEMO" });
+
+    expect(failedRules(result)).toEqual(["username"]);
+  });
+
+  it("scores an invalid password by character variety, below strong", () => {
+    expect(checkPassword("abc")).toMatchObject({ score: 1, label: "Weak" });
+    expect(checkPassword("abcD1")).toMatchObject({ score: 3, label: "Good" });
+    expect(checkPassword("aB1#")).toMatchObject({ score: 3, valid: false });
+  });
+
+  it("has no label for an empty password", () => {
+    expect(checkPassword("")).toMatchObject({ valid: false, label: "" });
+    expect(checkPassword(undefined).valid).toBe(false);
+  });
+});
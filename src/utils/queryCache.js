@@ -0,0 +1,178 @@
+// src/utils/queryCache.js
+/**
+ * Query Cache Module
+ *
+ * Shared cache for read-only API lookups (carriers, statuses, user stats).
+ * - Requests for the same key made while one is in flight share its promise
+ * - Results are reused until their TTL expires
+ * - Mutations call invalidateQueries so every screen using the key refetches
+ *
+ * Keys are API endpoints by default, so invalidating "/shipping" covers
+ * every shipping lookup.
+ */
+
+import { apiGet } from "./api";
+
+export const DEFAULT_QUERY_TTL_MS = 60 * 1000;
+
+/**
+ * Cache entries by key
+ * Each entry holds { data, error, updatedAt, promise }.
+ * @type {Map<string, Object>}
+ */
+const entries = new Map();
+
+/**
+ * Subscribers by key
+ * @type {Map<string, Set<function>>}
+ */
+const subscribers = new Map();
+
+const getEntry = (key) => {
+  if (!entries.has(key)) {
+    entries.set(key, {
+      data: undefined,
+      error: null,
+      updatedAt: 0,
+      promise: null,
+    });
+  }
+  return entries.get(key);
+};
+
+/**
+ * Public view of an entry, passed to subscribers
+ * @param {string} key - Query key
+ * @returns {Object} { data, error, updatedAt, isFetching }
+ */
+export const getQuerySnapshot = (key) => {
+  const entry = getEntry(key);
+  return {
+    data: entry.data,
+    error: entry.error,
+    updatedAt: entry.updatedAt,
+    isFetching: Boolean(entry.promise),
+  };
+};
+
+/**
+ * Notify the subscribers of a key
+ * @param {string} key - Query key
+ * @param {string} type - "updated" or "invalidated"
+ */
+const notify = (key, type) => {
+  const snapshot = getQuerySnapshot(key);
+  subscribers.get(key)?.forEach((listener) => listener(snapshot, type));
+};
+
+/**
+ * Check whether cached data can still be used
+ * @param {string} key - Query key
+ * @param {number} ttl - Time to live in milliseconds
+ * @returns {boolean}
+ */
+export const isQueryFresh = (key, ttl = DEFAULT_QUERY_TTL_MS) => {
+  const entry = entries.get(key);
+  return Boolean(entry?.updatedAt) && Date.now() - entry.updatedAt < ttl;
+};
+
+/**
+ * Fetch a query, reusing fresh data and in-flight requests
+ * @param {string} key - Query key
+ * @param {function} [fetcher] - Loads the data; defaults to apiGet(key)
+ * @param {Object} [options]
+ * @param {number} [options.ttl] - Time to live in milliseconds
+ * @param {boolean} [options.force] - Ignore cached data (still shares in-flight requests)
+ * @returns {Promise<*>} Query data
+ */
+export const fetchQuery = (
+  key,
+  fetcher = () => apiGet(key),
+  { ttl = DEFAULT_QUERY_TTL_MS, force = false } = {},
+) => {
+  const entry = getEntry(key);
+
+  if (entry.promise) {
+    return entry.promise;
+  }
+
+  if (!force && isQueryFresh(key, ttl)) {
+    return Promise.resolve(entry.data);
+  }
+
+  entry.promise = Promise.resolve()
+    .then(fetcher)
+    .then(
+      (data) => {
+        entry.data = data;
+        entry.error = null;
+        entry.updatedAt = Date.now();
+        entry.promise = null;
+        notify(key, "updated");
+        return data;
+      },
+      (error) => {
+        entry.error = error;
+        entry.promise = null;
+        notify(key, "updated");
+        throw error;
+      },
+    );
+
+  notify(key, "updated");
+  return entry.promise;
+};
+
+/**
+ * Replace the cached data for a key, e.g. after a mutation returned it
+ * @param {string} key - Query key
+ * @param {*|function} updater - New data, or a function of the current data
+ */
+export const setQueryData = (key, updater) => {
+  const entry = getEntry(key);
+  entry.data = typeof updater === "function" ? updater(entry.data) : updater;
+  entry.error = null;
+  entry.updatedAt = Date.now();
+  notify(key, "updated");
+};
+
+/**
+ * Mark queries as stale and tell mounted screens to refetch them
+ * @param {string|function} match - Key prefix, or a predicate on the key
+ */
+export const invalidateQueries = (match) => {
+  const matches =
+    typeof match === "function" ? match : (key) => key.startsWith(match);
+
+  entries.forEach((entry, key) => {
+    if (matches(key)) {
+      entry.updatedAt = 0;
+      notify(key, "invalidated");
+    }
+  });
+};
+
+/**
+ * Subscribe to changes of a key
+ * @param {string} key - Query key
+ * @param {function} listener - Called with (snapshot, type)
+ * @returns {function} Unsubscribe function
+ */
+export const subscribeToQuery = (key, listener) => {
+  if (!subscribers.has(key)) {
+    subscribers.set(key, new Set());
+  }
+  subscribers.get(key).add(listener);
+
+  return () => {
+    subscribers.get(key)?.delete(listener);
+  };
+};
+
+/**
+ * Drop every cached query
+ * In-flight requests still resolve for their callers but are not cached.
+ */
+export const clearQueryCache = () => {
+  entries.clear();
+};
@@ -0,0 +1,124 @@
+// src/utils/queryCache.test.js
+import {
+  clearQueryCache,
+  fetchQuery,
+  getQuerySnapshot,
+  invalidateQueries,
+  isQueryFresh,
+  setQueryData,
+  subscribeToQuery,
+} from "./queryCache";
+
+describe("queryCache", () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, "now").mockImplementation(() => now);
+  });
+
+  afterEach(() => {
+    clearQueryCache();
+    jest.restoreAllMocks();
+  });
+
+  it("shares one request between callers while it is in flight", async () => {
+    const fetcher = jest.fn(() => Promise.resolve(["UPS"]));
+
+    const [first, second] = await Promise.all([
+      fetchQuery("/shipping/carriers", fetcher),
+      fetchQuery("/shipping/carriers", fetcher),
+    ]);
+
+    expect(fetcher).toHaveBeenCalledTimes(1);
+    expect(first).toBe(second);
+  });
+
+  it("reuses data until its TTL expires", async () => {
+    const fetcher = jest
+      .fn()
+      .mockResolvedValueOnce("first")
+      .mockResolvedValueOnce("second");
+
+    await fetchQuery("/status/statuses", fetcher, { ttl: 5000 });
+    now += 4999;
+    expect(isQueryFresh("/status/statuses", 5000)).toBe(true);
+    expect(await fetchQuery("/status/statuses", fetcher, { ttl: 5000 })).toBe(
+      "first",
+    );
+
+    now += 1;
+    expect(isQueryFresh("/status/statuses", 5000)).toBe(false);
+    expect(await fetchQuery("/status/statuses", fetcher, { ttl: 5000 })).toBe(
+      "second",
+    );
+    expect(fetcher).toHaveBeenCalledTimes(2);
+  });
+
+  it("refetches fresh data when forced", async () => {
+    const fetcher = jest
+      .fn()
+      .mockResolvedValueOnce("first")
+      .mockResolvedValueOnce("second");
+
+    await fetchQuery("/status/statuses", fetcher);
+    expect(await fetchQuery("/status/statuses", fetcher, { force: true })).toBe(
+      "second",
+    );
+  });
+
+  it("keeps a failed fetch's error and rethrows it", async () => {
+    const error = new Error("Server error");
+
+    await expect(
+      fetchQuery("/shipping/carriers", () => Promise.reject(error)),
+    ).rejects.toBe(error);
+    expect(getQuerySnapshot("/shipping/carriers").error).toBe(error);
+    expect(isQueryFresh("/shipping/carriers")).toBe(false);
+  });
+
+  it("invalidates every key under a prefix and notifies subscribers", async () => {
+    await fetchQuery("/shipping/carriers", () => Promise.resolve([]));
+    await fetchQuery("/shipping/user-stats/today", () => Promise.resolve({}));
+    await fetchQuery("/status/statuses", () => Promise.resolve([]));
+    const listener = jest.fn();
+    subscribeToQuery("/shipping/carriers", listener);
+
+    invalidateQueries("/shipping");
+
+    expect(isQueryFresh("/shipping/carriers")).toBe(false);
+    expect(isQueryFresh("/shipping/user-stats/today")).toBe(false);
+    expect(isQueryFresh("/status/statuses")).toBe(true);
+    expect(listener).toHaveBeenCalledWith(
+      expect.objectContaining({ data: [] }),
+      "invalidated",
+    );
+  });
+
+  it("invalidates the keys matching a predicate", async () => {
+    await fetchQuery("/status/email-template/1", () => Promise.resolve({}));
+    await fetchQuery("/status/email-template/2", () => Promise.resolve({}));
+
+    invalidateQueries((key) => key.endsWith("/1"));
+
+    expect(isQueryFresh("/status/email-template/1")).toBe(false);
+    expect(isQueryFresh("/status/email-template/2")).toBe(true);
+  });
+
+  it("stores data set by a mutation as fresh", () => {
+    const listener = jest.fn();
+    const unsubscribe = subscribeToQuery("/preferences", listener);
+
+    setQueryData("/preferences", { batchMode: true });
+    setQueryData("/preferences", (prev) => ({ ...prev, sendEmail: false }));
+    unsubscribe();
+    setQueryData("/preferences", {});
+
+    expect(listener).toHaveBeenCalledTimes(2);
+    expect(listener).toHaveBeenLastCalledWith(
+      expect.objectContaining({ data: { batchMode: true, sendEmail: false } }),
+      "updated",
+    );
+    expect(isQueryFresh("/preferences")).toBe(true);
+  });
+});
@@ -0,0 +1,195 @@
+// src/utils/session.js
+/**
+ * Session Storage Module
+ *
+ * The one place that reads and writes the stored login session, so login,
+ * logout and the 401 handler always agree on what a session is made of.
+ * Logins and logouts are announced to the other open tabs.
+ */
+
+/**
+ * localStorage keys of the session
+ */
+export const SESSION_KEYS = {
+  AUTH_TOKEN: "authToken",
+  USER: "user",
+  ADMIN_TOKEN: "adminToken",
+  // Admin user record while the admin acts as another user
+  IMPERSONATOR: "impersonator",
+};
+
+/**
+ * localStorage key of the trusted device token
+ * Not part of the session: it outlives logouts so the next login on this
+ * device can skip the access code.
+ */
+const DEVICE_TOKEN_KEY = "trustedDeviceToken";
+
+const SESSION_CHANNEL_NAME = "streamline-session";
+
+/**
+ * Channel shared by the tabs of the app
+ * Null where BroadcastChannel is missing; the storage event is used instead.
+ */
+const channel =
+  typeof BroadcastChannel === "undefined"
+    ? null
+    : new BroadcastChannel(SESSION_CHANNEL_NAME);
+
+/**
+ * Tell the other tabs the session changed
+ * @param {string} type - "login" or "logout"
+ */
+const notifyOtherTabs = (type) => {
+  channel?.postMessage({ type });
+};
+
+/**
+ * Get the stored JWT token
+ * @returns {string|null} JWT token or null if not logged in
+ */
+export const getAuthToken = () => localStorage.getItem(SESSION_KEYS.AUTH_TOKEN);
+
+/**
+ * Get the stored admin token
+ * Issued to admins at login; it stays the admin's while they act as
+ * another user.
+ * @returns {string|null} Admin token or null
+ */
+export const getAdminToken = () =>
+  localStorage.getItem(SESSION_KEYS.ADMIN_TOKEN);
+
+/**
+ * Decode the payload of a JWT
+ * The signature is not checked; that is the backend's job. The client
+ * only reads the expiry.
+ * @param {string} token - JWT
+ * @returns {Object|null} Payload, or null when the token is not a JWT
+ */
+export const decodeJwtPayload = (token) => {
+  try {
+    const payload = String(token).split(".")[1];
+    return JSON.parse(atob(payload.replace(/-/g, "+").replace(/_/g, "/")));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Get when a JWT expires
+ * @param {string} token - JWT
+ * @returns {number|null} Expiry in ms since epoch, or null when unknown
+ */
+export const getTokenExpiresAt = (token) => {
+  const exp = decodeJwtPayload(token)?.exp;
+  return typeof exp === "number" ? exp * 1000 : null;
+};
+
+/**
+ * Replace the stored token after a silent refresh
+ * Not announced: every tab reads the token from storage for each request.
+ * @param {string} token - New JWT
+ */
+export const updateAuthToken = (token) => {
+  localStorage.setItem(SESSION_KEYS.AUTH_TOKEN, token);
+};
+
+/**
+ * Get the stored session
+ * @returns {Object|null} { token, user, impersonator } or null when there is
+ *   none; impersonator is the admin user record or null
+ */
+export const getStoredSession = () => {
+  const token = getAuthToken();
+  const storedUser = localStorage.getItem(SESSION_KEYS.USER);
+  const storedImpersonator = localStorage.getItem(SESSION_KEYS.IMPERSONATOR);
+
+  if (!token || !storedUser) {
+    return null;
+  }
+
+  return {
+    token,
+    user: JSON.parse(storedUser),
+    impersonator: storedImpersonator ? JSON.parse(storedImpersonator) : null,
+  };
+};
+
+/**
+ * Store the session returned by a login endpoint
+ * @param {Object} session - Login response data
+ * @param {string} session.token - JWT token
+ * @param {Object} session.user - User record
+ * @param {string} [session.adminToken] - Admin token, when the user has one
+ * @param {Object} [session.impersonator] - Admin acting as `user`
+ */
+export const saveSession = ({ token, user, adminToken, impersonator }) => {
+  localStorage.setItem(SESSION_KEYS.AUTH_TOKEN, token);
+  localStorage.setItem(SESSION_KEYS.USER, JSON.stringify(user));
+
+  if (adminToken) {
+    localStorage.setItem(SESSION_KEYS.ADMIN_TOKEN, adminToken);
+  } else {
+    localStorage.removeItem(SESSION_KEYS.ADMIN_TOKEN);
+  }
+
+  if (impersonator) {
+    localStorage.setItem(
+      SESSION_KEYS.IMPERSONATOR,
+      JSON.stringify(impersonator),
+    );
+  } else {
+    localStorage.removeItem(SESSION_KEYS.IMPERSONATOR);
+  }
+
+  notifyOtherTabs("login");
+};
+
+/**
+ * Remove every stored session key
+ */
+export const clearSession = () => {
+  Object.values(SESSION_KEYS).forEach((key) => localStorage.removeItem(key));
+  notifyOtherTabs("logout");
+};
+
+/**
+ * Get the token of a device the user chose to trust
+ * @returns {string|null} Device token or null when the device is not trusted
+ */
+export const getDeviceToken = () => localStorage.getItem(DEVICE_TOKEN_KEY);
+
+/**
+ * Store the device token issued after a trusted access code login
+ * The backend decides how long it is honoured.
+ * @param {string} deviceToken - Device token
+ */
+export const saveDeviceToken = (deviceToken) => {
+  localStorage.setItem(DEVICE_TOKEN_KEY, deviceToken);
+};
+
+/**
+ * Listen for logins, logouts and user switches made in other tabs
+ * Changes made in this tab are not reported.
+ * @param {function(Object|null)} listener - Called with the stored session
+ *   (see getStoredSession) after each change
+ * @returns {function} Unsubscribe function
+ */
+export const subscribeToSessionChanges = (listener) => {
+  const handleMessage = () => listener(getStoredSession());
+
+  const handleStorage = (event) => {
+    // A null key means localStorage.clear()
+    if (event.key === null || event.key === SESSION_KEYS.USER) {
+      listener(getStoredSession());
+    }
+  };
+
+  if (channel) {
+    channel.addEventListener("message", handleMessage);
+    return () => channel.removeEventListener("message", handleMessage);
+  }
+
+  window.addEventListener("storage", handleStorage);
+  return () => window.removeEventListener("storage", handleStorage);
+};
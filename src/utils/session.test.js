@@ -0,0 +1,46 @@
+// src/utils/session.test.js
+import { decodeJwtPayload, getTokenExpiresAt } from "./session";
+
+/**
+ * Build an unsigned JWT the way the backend encodes it (base64url, no padding)
+ * @param {Object} payload - Token payload
+ * @returns {string}
+ */
+const createToken = (payload) => {
+  const encode = (value) =>
+    btoa(JSON.stringify(value))
+      .replace(/\+/g, "-")
+      .replace(/\//g, "_")
+      .replace(/=+$/, "");
+  return `${encode({ alg: "HS256", typ: "JWT" })}.${encode(payload)}.signature`;
+};
+
+describe("decodeJwtPayload", () => {
+  it("reads the payload of a base64url token", () => {
+    // "??>" encodes to characters that differ between base64 and base64url
+    const payload = { sub: 7, note: "??>", exp: 1760000000 };
+
+    expect(decodeJwtPayload(createToken(payload))).toEqual(payload);
+  });
+
+  it.each([null, "", "not-a-jwt", "header.%%%.signature"])(
+    "returns null for %p",
+    (token) => {
+      expect(decodeJwtPayload(token)).toBeNull();
+    },
+  );
+});
+
+describe("getTokenExpiresAt", () => {
+  it("converts the expiry to milliseconds", () => {
+    expect(getTokenExpiresAt(createToken({ exp: 1760000000 }))).toBe(
+      1760000000000,
+    );
+  });
+
+  it("returns null when the token has no usable expiry", () => {
+    expect(getTokenExpiresAt(createToken({ sub: 7 }))).toBeNull();
+    expect(getTokenExpiresAt(createToken({ exp: "tomorrow" }))).toBeNull();
+    expect(getTokenExpiresAt("opaque-session-token")).toBeNull();
+  });
+});
@@ -0,0 +1,229 @@
+// src/utils/statusConfig.js
+/**
+ * Status Configuration Module
+ *
+ * Validation and plain-language side effects of status records. Each
+ * status drives what happens to a case set to it: emails, Klaviyo events,
+ * Shopify tags, carrier assignment, rush flag and scheduled follow-ups.
+ */
+
+export const STATUS_NAME_MAX_LENGTH = 100;
+export const KLAVIYO_EVENT_MAX_LENGTH = 100;
+export const SHOPIFY_TAG_MAX_LENGTH = 40;
+
+/**
+ * Status record before any field is filled in
+ */
+export const EMPTY_STATUS = {
+  Status_ID: null,
+  Status_Streamline_Options: "",
+  Email_Template_Id: null,
+  KlaviyoEventName: "",
+  ShopifyTags: "",
+  AssignCaseShipCarrierID: null,
+  MarkRush: false,
+  Default_Scheduled_Status_ID: null,
+};
+
+/**
+ * Split a ShopifyTags value into tags
+ * @param {string} value - Comma-separated tags
+ * @returns {Array<string>} Trimmed, non-empty tags
+ */
+export const parseShopifyTags = (value) =>
+  String(value || "")
+    .split(",")
+    .map((tag) => tag.trim())
+    .filter(Boolean);
+
+/**
+ * Normalize a status before it is saved
+ * Trims text, removes empty tags and turns blank references into null.
+ * @param {Object} status - Status record
+ * @returns {Object} Status record
+ */
+export const normalizeStatus = (status) => {
+  const toId = (value) =>
+    value === null || value === undefined || value === ""
+      ? null
+      : Number(value);
+
+  return {
+    ...status,
+    Status_ID: toId(status.Status_ID),
+    Status_Streamline_Options: String(
+      status.Status_Streamline_Options || "",
+    ).trim(),
+    Email_Template_Id: toId(status.Email_Template_Id),
+    KlaviyoEventName: String(status.KlaviyoEventName || "").trim(),
+    ShopifyTags: parseShopifyTags(status.ShopifyTags).join(", "),
+    AssignCaseShipCarrierID: toId(status.AssignCaseShipCarrierID),
+    MarkRush: Boolean(status.MarkRush),
+    Default_Scheduled_Status_ID: toId(status.Default_Scheduled_Status_ID),
+  };
+};
+
+/**
+ * Validate a normalized status
+ * @param {Object} status - Status record (see normalizeStatus)
+ * @param {Object} context
+ * @param {Array} context.statuses - Existing statuses
+ * @param {Array} context.templates - Email templates ({ Email_Template_Id })
+ * @param {Array} context.carriers - Carriers ({ ID })
+ * @param {boolean} context.isNew - Whether the status is being created
+ * @returns {Object} Error message by field name; empty when valid
+ */
+export const validateStatus = (
+  status,
+  { statuses, templates, carriers, isNew },
+) => {
+  const errors = {};
+  // A new status must not reuse an ID, so every existing one is "other"
+  const others = isNew
+    ? statuses
+    : statuses.filter((other) => other.Status_ID !== status.Status_ID);
+
+  if (!Number.isInteger(status.Status_ID) || status.Status_ID < 1) {
+    errors.Status_ID = "Enter a whole number above 0";
+  } else if (
+    isNew &&
+    statuses.some((other) => other.Status_ID === status.Status_ID)
+  ) {
+    errors.Status_ID = `Status ${status.Status_ID} already exists`;
+  }
+
+  const name = status.Status_Streamline_Options;
+  if (!name) {
+    errors.Status_Streamline_Options = "A name is required";
+  } else if (name.length > STATUS_NAME_MAX_LENGTH) {
+    errors.Status_Streamline_Options = `Keep the name under ${STATUS_NAME_MAX_LENGTH} characters`;
+  } else if (
+    others.some(
+      (other) =>
+        other.Status_Streamline_Options.toLowerCase() === name.toLowerCase(),
+    )
+  ) {
+    errors.Status_Streamline_Options = "Another status has this name";
+  }
+
+  if (
+    status.Email_Template_Id !== null &&
+    !templates.some(
+      (template) => template.Email_Template_Id === status.Email_Template_Id,
+    )
+  ) {
+    errors.Email_Template_Id = "Pick an existing email template";
+  }
+
+  if (status.KlaviyoEventName.length > KLAVIYO_EVENT_MAX_LENGTH) {
+    errors.KlaviyoEventName = `Keep the event name under ${KLAVIYO_EVENT_MAX_LENGTH} characters`;
+  }
+
+  const longTag = parseShopifyTags(status.ShopifyTags).find(
+    (tag) => tag.length > SHOPIFY_TAG_MAX_LENGTH,
+  );
+  if (longTag) {
+    errors.ShopifyTags = `Tag "${longTag}" is longer than ${SHOPIFY_TAG_MAX_LENGTH} characters`;
+  }
+
+  if (
+    status.AssignCaseShipCarrierID !== null &&
+    !carriers.some((carrier) => carrier.ID === status.AssignCaseShipCarrierID)
+  ) {
+    errors.AssignCaseShipCarrierID = "Pick an existing carrier";
+  }
+
+  if (status.Default_Scheduled_Status_ID !== null) {
+    if (status.Default_Scheduled_Status_ID === status.Status_ID) {
+      errors.Default_Scheduled_Status_ID =
+        "A status cannot be scheduled to itself";
+    } else if (
+      !others.some(
+        (other) => other.Status_ID === status.Default_Scheduled_Status_ID,
+      )
+    ) {
+      errors.Default_Scheduled_Status_ID = "Pick an existing status";
+    } else if (status.Email_Template_Id === null) {
+      // Scheduled tickets are only offered for statuses that send an email
+      errors.Default_Scheduled_Status_ID =
+        "Scheduled follow-ups need an email template";
+    }
+  }
+
+  return errors;
+};
+
+/**
+ * Describe what setting a case to a status does
+ * @param {Object} status - Status record
+ * @param {Object} lookups
+ * @param {Array} lookups.statuses - Statuses, to name the scheduled status
+ * @param {Array} lookups.templates - Email templates, to name the email
+ * @param {Array} lookups.carriers - Carriers, to name the assigned carrier
+ * @returns {Array<Object>} { key, label } per side effect, empty when the
+ *   status only changes the case status
+ */
+export const describeStatusSideEffects = (
+  status,
+  { statuses, templates, carriers },
+) => {
+  const effects = [];
+
+  if (status.Email_Template_Id) {
+    const template = templates.find(
+      (candidate) => candidate.Email_Template_Id === status.Email_Template_Id,
+    );
+    effects.push({
+      key: "email",
+      label: `Emails the customer: ${
+        template?.Title || `template #${status.Email_Template_Id}`
+      }`,
+    });
+  }
+
+  if (status.KlaviyoEventName) {
+    effects.push({
+      key: "klaviyo",
+      label: `Sends Klaviyo event "${status.KlaviyoEventName}"`,
+    });
+  }
+
+  const tags = parseShopifyTags(status.ShopifyTags);
+  if (tags.length > 0) {
+    effects.push({
+      key: "shopify",
+      label: `Tags the Shopify order: ${tags.join(", ")}`,
+    });
+  }
+
+  if (status.AssignCaseShipCarrierID) {
+    const carrier = carriers.find(
+      (candidate) => candidate.ID === status.AssignCaseShipCarrierID,
+    );
+    effects.push({
+      key: "carrier",
+      label: `Assigns ship carrier ${
+        carrier?.Name || `#${status.AssignCaseShipCarrierID}`
+      }`,
+    });
+  }
+
+  if (status.MarkRush) {
+    effects.push({ key: "rush", label: "Marks the case as rush" });
+  }
+
+  if (status.Default_Scheduled_Status_ID) {
+    const scheduled = statuses.find(
+      (candidate) => candidate.Status_ID === status.Default_Scheduled_Status_ID,
+    );
+    effects.push({
+      key: "scheduled",
+      label: `Scheduled tickets move the case to ${
+        scheduled?.Status_Streamline_Options ||
+        `status #${status.Default_Scheduled_Status_ID}`
+      }`,
+    });
+  }
+
+  return effects;
+};
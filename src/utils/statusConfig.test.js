@@ -0,0 +1,178 @@
+// src/utils/statusConfig.test.js
+import {
+  EMPTY_STATUS,
+  SHOPIFY_TAG_MAX_LENGTH,
+  describeStatusSideEffects,
+  normalizeStatus,
+  validateStatus,
+} from "./statusConfig";
+
+const STATUSES = [
+  {
+    ...EMPTY_STATUS,
+    Status_ID: 20,
+    Status_Streamline_Options: "Received",
+  },
+  {
+    ...EMPTY_STATUS,
+    Status_ID: 30,
+    Status_Streamline_Options: "Shipped",
+    Email_Template_Id: 1,
+  },
+];
+
+const CONTEXT = {
+  statuses: STATUSES,
+  templates: [{ Email_Template_Id: 1, Title: "Your order has shipped" }],
+  carriers: [{ ID: 2, Name: "UPS" }],
+  isNew: true,
+};
+
+/**
+ * Normalized status with the given fields filled in
+ * @param {Object} fields - Status fields
+ * @returns {Object}
+ */
+const buildStatus = (fields) => normalizeStatus({ ...EMPTY_STATUS, ...fields });
+
+describe("normalizeStatus", () => {
+  it("trims text, tidies tags and turns form values into ids", () => {
+    expect(
+      normalizeStatus({
+        Status_ID: "40",
+        Status_Streamline_Options: "  On hold ",
+        Email_Template_Id: "",
+        KlaviyoEventName: " Case On Hold ",
+        ShopifyTags: " hold, , follow-up ,",
+        AssignCaseShipCarrierID: "2",
+        MarkRush: 1,
+        Default_Scheduled_Status_ID: undefined,
+      }),
+    ).toEqual({
+      Status_ID: 40,
+      Status_Streamline_Options: "On hold",
+      Email_Template_Id: null,
+      KlaviyoEventName: "Case On Hold",
+      ShopifyTags: "hold, follow-up",
+      AssignCaseShipCarrierID: 2,
+      MarkRush: true,
+      Default_Scheduled_Status_ID: null,
+    });
+  });
+});
+
+describe("validateStatus", () => {
+  it("accepts a complete new status", () => {
+    const status = buildStatus({
+      Status_ID: 40,
+      Status_Streamline_Options: "Delivered",
+      Email_Template_Id: 1,
+      AssignCaseShipCarrierID: 2,
+      Default_Scheduled_Status_ID: 30,
+    });
+
+    expect(validateStatus(status, CONTEXT)).toEqual({});
+  });
+
+  it("rejects a missing or reused ID and name for a new status", () => {
+    expect(
+      validateStatus(buildStatus({ Status_ID: "" }), CONTEXT),
+    ).toMatchObject({
+      Status_ID: "Enter a whole number above 0",
+      Status_Streamline_Options: "A name is required",
+    });
+
+    expect(
+      validateStatus(
+        buildStatus({ Status_ID: 20, Status_Streamline_Options: "SHIPPED" }),
+        CONTEXT,
+      ),
+    ).toMatchObject({
+      Status_ID: "Status 20 already exists",
+      Status_Streamline_Options: "Another status has this name",
+    });
+  });
+
+  it("lets an edited status keep its own ID and name", () => {
+    const status = buildStatus(STATUSES[0]);
+
+    expect(validateStatus(status, { ...CONTEXT, isNew: false })).toEqual({});
+  });
+
+  it("rejects references to templates, carriers and statuses that do not exist", () => {
+    const errors = validateStatus(
+      buildStatus({
+        Status_ID: 40,
+        Status_Streamline_Options: "Delivered",
+        Email_Template_Id: 9,
+        AssignCaseShipCarrierID: 9,
+        Default_Scheduled_Status_ID: 99,
+      }),
+      CONTEXT,
+    );
+
+    expect(errors).toEqual({
+      Email_Template_Id: "Pick an existing email template",
+      AssignCaseShipCarrierID: "Pick an existing carrier",
+      Default_Scheduled_Status_ID: "Pick an existing status",
+    });
+  });
+
+  it("only schedules follow-ups to another status of an emailing status", () => {
+    const toItself = buildStatus({
+      Status_ID: 40,
+      Status_Streamline_Options: "Delivered",
+      Email_Template_Id: 1,
+      Default_Scheduled_Status_ID: 40,
+    });
+    const withoutEmail = buildStatus({
+      Status_ID: 40,
+      Status_Streamline_Options: "Delivered",
+      Default_Scheduled_Status_ID: 30,
+    });
+
+    expect(validateStatus(toItself, CONTEXT).Default_Scheduled_Status_ID).toBe(
+      "A status cannot be scheduled to itself",
+    );
+    expect(
+      validateStatus(withoutEmail, CONTEXT).Default_Scheduled_Status_ID,
+    ).toBe("Scheduled follow-ups need an email template");
+  });
+
+  it("names the Shopify tag that is too long", () => {
+    const longTag = "x".repeat(SHOPIFY_TAG_MAX_LENGTH + 1);
+    const status = buildStatus({
+      Status_ID: 40,
+      Status_Streamline_Options: "Delivered",
+      ShopifyTags: `ok, ${longTag}`,
+    });
+
+    expect(validateStatus(status, CONTEXT).ShopifyTags).toContain(longTag);
+  });
+});
+
+describe("describeStatusSideEffects", () => {
+  it("lists each side effect by name", () => {
+    const status = buildStatus({
+      Status_ID: 40,
+      Email_Template_Id: 1,
+      ShopifyTags: "shipped",
+      AssignCaseShipCarrierID: 2,
+      Default_Scheduled_Status_ID: 20,
+    });
+
+    expect(describeStatusSideEffects(status, CONTEXT)).toEqual([
+      { key: "email", label: "Emails the customer: Your order has shipped" },
+      { key: "shopify", label: "Tags the Shopify order: shipped" },
+      { key: "carrier", label: "Assigns ship carrier UPS" },
+      {
+        key: "scheduled",
+        label: "Scheduled tickets move the case to Received",
+      },
+    ]);
+  });
+
+  it("has nothing to list for a plain status", () => {
+    expect(describeStatusSideEffects(STATUSES[0], CONTEXT)).toEqual([]);
+  });
+});
@@ -1,60 +1,121 @@
 /**
  * Status Service Module
  *
- * Provides global functions to fetch and manage case status information.
- * Caches status data to minimize API calls.
+ * The one source of case statuses. Every screen that needs them reads them
+ * through this module (or the useStatuses hook), never from the API.
+ * - Statuses are cached in the shared query cache under STATUSES_QUERY_KEY
+ * - They are persisted to localStorage with the backend's version, so a
+ *   reload only asks whether the version changed. Without a version in the
+ *   response (see README, "Backend requirements") nothing is persisted
+ * - While a user is logged in, the version is checked in the background and
+ *   whenever the window regains focus (see initializeStatusCache)
+ * - Statuses loaded by one tab reach the other open tabs through storage
  */
 
-import { apiPost } from "./api";
+import { ApiError, apiGet } from "./api";
+import { fetchQuery, getQuerySnapshot, setQueryData } from "./queryCache";
+import { QUERY_TTL_MS, STATUS_REFRESH_INTERVAL_MS } from "../config/constants";
 
-// In-memory cache for statuses
-let statusCache = null;
-let cacheLoadPromise = null;
+export const STATUSES_QUERY_KEY = "/status/statuses";
+
+const STATUSES_VERSION_ENDPOINT = "/status/statuses/version";
 
 /**
- * Fetch all statuses from the backend and cache them
- * @returns {Promise<Array>} Array of status objects
+ * localStorage key of the persisted statuses
+ * Holds { version, statuses }.
+ */
+const STORAGE_KEY = "statusCache";
+
+/**
+ * Read the persisted statuses
+ * @returns {Object|null} { version, statuses } or null when nothing usable is stored
  */
-const fetchAndCacheStatuses = async () => {
+const readStoredStatuses = () => {
   try {
-    const response = await apiPost("/status/statuses");
-
-    if (response.status === "success" && response.data.statuses) {
-      statusCache = response.data.statuses;
-      console.log("Status cache updated:", statusCache);
-      return statusCache;
-    } else {
-      console.warn("Failed to fetch statuses:", response.message);
-      return [];
-    }
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored?.version && Array.isArray(stored.statuses) ? stored : null;
   } catch (error) {
-    console.error("Error fetching statuses:", error);
-    return [];
+    return null;
   }
 };
 
 /**
- * Get or initialize the status cache
- * Ensures statuses are loaded only once
- * @returns {Promise<Array>} Cached statuses
+ * Persist statuses; other tabs pick them up from the storage event
+ * @param {Object} record - { version, statuses }
  */
-const getStatusCache = async () => {
-  // If cache is already loaded, return it
-  if (statusCache !== null) {
-    return statusCache;
+const storeStatuses = (record) => {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(record));
+  } catch (error) {
+    // Storage full or disabled: the statuses stay cached in this tab only
+    console.warn("Could not persist statuses:", error);
   }
+};
 
-  // If a fetch is already in progress, wait for it
-  if (cacheLoadPromise) {
-    return cacheLoadPromise;
+/**
+ * Load the statuses, downloading them only when the version changed
+ * Query fetcher for STATUSES_QUERY_KEY. An unchanged version returns the
+ * cached array itself, so screens do not re-render for nothing.
+ * @returns {Promise<Array>} Array of status objects
+ * @throws {ApiError} If the backend cannot be reached or reports a failure
+ */
+export const loadStatuses = async () => {
+  const stored = readStoredStatuses();
+
+  if (stored) {
+    const response = await apiGet(STATUSES_VERSION_ENDPOINT);
+    if (response.data?.version === stored.version) {
+      return getQuerySnapshot(STATUSES_QUERY_KEY).data || stored.statuses;
+    }
   }
 
-  // Start fetching and cache the promise
-  cacheLoadPromise = fetchAndCacheStatuses();
-  const result = await cacheLoadPromise;
-  cacheLoadPromise = null;
+  const response = await apiGet(STATUSES_QUERY_KEY);
+  if (
+    response.status !== "success" ||
+    !Array.isArray(response.data?.statuses)
+  ) {
+    // Keeps the statuses already cached instead of replacing them with []
+    throw new ApiError(response.message || "Failed to fetch statuses", {
+      body: response,
+      endpoint: STATUSES_QUERY_KEY,
+    });
+  }
 
-  return result;
+  const { statuses, version } = response.data;
+  if (version) {
+    storeStatuses({ version, statuses });
+  }
+  return statuses;
+};
+
+/**
+ * Remove the persisted statuses
+ * Called on logout, so the next user of the station starts from the backend.
+ */
+export const clearStatusCache = () => {
+  try {
+    localStorage.removeItem(STORAGE_KEY);
+  } catch (error) {
+    console.warn("Could not clear persisted statuses:", error);
+  }
+};
+
+/**
+ * Fetch all statuses through the query cache
+ * @param {Object} [options]
+ * @param {boolean} [options.force] - Check the version even if the cache is fresh
+ * @returns {Promise<Array>} Array of status objects
+ */
+const fetchStatuses = async ({ force = false } = {}) => {
+  try {
+    return await fetchQuery(STATUSES_QUERY_KEY, loadStatuses, {
+      ttl: QUERY_TTL_MS.STATUSES,
+      force,
+    });
+  } catch (error) {
+    console.error("Error fetching statuses:", error);
+    return getQuerySnapshot(STATUSES_QUERY_KEY).data || [];
+  }
 };
 
 /**
@@ -63,7 +124,7 @@ const getStatusCache = async () => {
  * @returns {Promise<Object|null>} Status object or null if not found
  */
 export const getStatusById = async (statusId) => {
-  const statuses = await getStatusCache();
+  const statuses = await fetchStatuses();
   return statuses.find((status) => status.Status_ID === statusId) || null;
 };
 
@@ -82,29 +143,62 @@ export const getStatusNameById = async (statusId) => {
  * @returns {Promise<Array>} All status objects
  */
 export const getAllStatuses = async () => {
-  return getStatusCache();
+  return fetchStatuses();
 };
 
 /**
- * Manually refresh the status cache
- * Useful if statuses change and need to be reloaded
- * @returns {Promise<Array>} Updated statuses
+ * Check the backend for changed statuses now
+ * Mounted screens are updated when the statuses changed.
+ * @returns {Promise<Array>} Current statuses
  */
-export const refreshStatusCache = async () => {
-  statusCache = null;
-  return fetchAndCacheStatuses();
-};
+export const refreshStatusCache = async () => fetchStatuses({ force: true });
 
 /**
- * Initialize status cache on app load
- * Call this in your App.js useEffect
+ * Keep the statuses current while a user is logged in
+ * - Shows the persisted statuses at once, then checks their version
+ * - Checks again every STATUS_REFRESH_INTERVAL_MS and when the window
+ *   regains focus
+ * - Takes the statuses another tab loaded
+ *
+ * Called by AuthProvider for the logged-in user.
+ * @returns {function} Stops the background refresh
  */
-export const initializeStatusCache = async () => {
-  try {
-    await getStatusCache();
-  } catch (error) {
-    console.error("Failed to initialize status cache:", error);
+export const initializeStatusCache = () => {
+  const stored = readStoredStatuses();
+  if (stored && !getQuerySnapshot(STATUSES_QUERY_KEY).data) {
+    setQueryData(STATUSES_QUERY_KEY, stored.statuses);
   }
+  refreshStatusCache();
+
+  const intervalId = setInterval(
+    refreshStatusCache,
+    STATUS_REFRESH_INTERVAL_MS,
+  );
+
+  const handleVisibilityChange = () => {
+    if (document.visibilityState === "visible") {
+      refreshStatusCache();
+    }
+  };
+
+  const handleStorage = (event) => {
+    if (event.key !== STORAGE_KEY) {
+      return;
+    }
+    const updated = readStoredStatuses();
+    if (updated) {
+      setQueryData(STATUSES_QUERY_KEY, updated.statuses);
+    }
+  };
+
+  document.addEventListener("visibilitychange", handleVisibilityChange);
+  window.addEventListener("storage", handleStorage);
+
+  return () => {
+    clearInterval(intervalId);
+    document.removeEventListener("visibilitychange", handleVisibilityChange);
+    window.removeEventListener("storage", handleStorage);
+  };
 };
 
 export default {
@@ -113,4 +207,5 @@ export default {
   getAllStatuses,
   refreshStatusCache,
   initializeStatusCache,
+  clearStatusCache,
 };
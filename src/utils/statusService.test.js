@@ -0,0 +1,95 @@
+// src/utils/statusService.test.js
+import { clearQueryCache } from "./queryCache";
+import {
+  clearStatusCache,
+  getAllStatuses,
+  loadStatuses,
+  refreshStatusCache,
+} from "./statusService";
+
+const STATUSES = [{ Status_ID: 20, Status_Streamline_Options: "Received" }];
+
+/**
+ * Make fetch answer each call with the next JSON body
+ * @param {Array<Object>} bodies - One response body per call
+ */
+const mockResponses = (bodies) => {
+  const queue = [...bodies];
+  global.fetch = jest.fn(() =>
+    Promise.resolve(
+      new Response(JSON.stringify(queue.shift()), {
+        status: 200,
+        headers: { "Content-Type": "application/json" },
+      }),
+    ),
+  );
+};
+
+// Endpoints fetched so far, without the base URL or query
+const fetchedPaths = () =>
+  global.fetch.mock.calls.map(([url]) => new URL(url, "http://x").pathname);
+
+describe("statusService", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    clearStatusCache();
+    clearQueryCache();
+    delete global.fetch;
+    jest.restoreAllMocks();
+  });
+
+  it("only checks the version once statuses with a version are stored", async () => {
+    mockResponses([
+      { status: "success", data: { statuses: STATUSES, version: "7" } },
+      { status: "success", data: { version: "7" } },
+    ]);
+
+    await loadStatuses();
+    const statuses = await loadStatuses();
+
+    expect(statuses).toEqual(STATUSES);
+    expect(fetchedPaths()).toEqual([
+      expect.stringMatching(/\/status\/statuses$/),
+      expect.stringMatching(/\/status\/statuses\/version$/),
+    ]);
+  });
+
+  it("does not persist statuses the backend sends without a version", async () => {
+    mockResponses([
+      { status: "success", data: { statuses: STATUSES } },
+      { status: "success", data: { statuses: STATUSES } },
+    ]);
+
+    await loadStatuses();
+    await loadStatuses();
+
+    expect(fetchedPaths()).toHaveLength(2);
+    expect(
+      fetchedPaths().every((path) => path.endsWith("/status/statuses")),
+    ).toBe(true);
+  });
+
+  it("rejects an error body instead of caching no statuses", async () => {
+    mockResponses([{ status: "error", message: "Database unavailable" }]);
+
+    await expect(loadStatuses()).rejects.toMatchObject({
+      name: "ApiError",
+      message: "Database unavailable",
+    });
+  });
+
+  it("keeps the statuses already loaded when a refresh fails", async () => {
+    mockResponses([
+      { status: "success", data: { statuses: STATUSES } },
+      { status: "error", message: "Database unavailable" },
+    ]);
+
+    await getAllStatuses();
+
+    expect(await refreshStatusCache()).toEqual(STATUSES);
+    expect(await getAllStatuses()).toEqual(STATUSES);
+  });
+});